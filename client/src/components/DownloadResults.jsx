@@ -60,9 +60,8 @@ function DownloadResults({ svgContent, clientName, projectName, onStartOver, onB
   const handleDownloadAI = async () => {
     setDownloading('ai');
     try {
-      const { width, height } = getSvgDimensions();
       const filename = generateFilename(clientName, projectName, 'ai');
-      await exportAsAI(svgContent, width, height, filename);
+      await exportAsAI(svgContent, filename);
     } finally {
       setTimeout(() => setDownloading(null), 500);
     }
@@ -11,8 +11,14 @@ function SimpleUpload({ onUpload, disabled }) {
   const [removeBackground, setRemoveBackground] = useState(true);
   const [mode, setMode] = useState('vectorize'); // 'vectorize' | 'cleanup'
 
-  const acceptedTypes = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf', 'image/svg+xml'];
-  const acceptedExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.pdf', '.svg'];
+  const acceptedTypes = [
+    'image/jpeg', 'image/png', 'image/webp', 'application/pdf', 'image/svg+xml',
+    'application/postscript', 'application/eps', 'application/x-eps', 'image/eps', 'image/x-eps',
+    'application/illustrator', 'application/vnd.adobe.illustrator',
+  ];
+  const acceptedExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.pdf', '.svg', '.eps', '.ai', '.ps'];
+  // Types the browser can display in an <img> preview
+  const previewableTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/svg+xml'];
 
   const validateFile = (file) => {
     if (!file) return 'No file selected';
@@ -21,7 +27,7 @@ function SimpleUpload({ onUpload, disabled }) {
       acceptedExtensions.some(ext => file.name.toLowerCase().endsWith(ext));
 
     if (!isValidType) {
-      return 'Please upload a JPG, PNG, WEBP, PDF, or SVG file';
+      return 'Please upload a JPG, PNG, WEBP, PDF, SVG, EPS, or AI file';
     }
 
     // 50MB limit
@@ -58,7 +64,7 @@ function SimpleUpload({ onUpload, disabled }) {
 
     setSelectedFile(file);
     // Create preview URL
-    if (file.type.startsWith('image/')) {
+    if (previewableTypes.includes(file.type)) {
       setPreviewUrl(URL.createObjectURL(file));
     } else {
       setPreviewUrl(null);
@@ -77,7 +83,7 @@ function SimpleUpload({ onUpload, disabled }) {
 
     setSelectedFile(file);
     // Create preview URL
-    if (file.type.startsWith('image/')) {
+    if (previewableTypes.includes(file.type)) {
       setPreviewUrl(URL.createObjectURL(file));
     } else {
       setPreviewUrl(null);
@@ -133,7 +139,7 @@ function SimpleUpload({ onUpload, disabled }) {
           <input
             id="file-input"
             type="file"
-            accept=".jpg,.jpeg,.png,.webp,.pdf,.svg"
+            accept=".jpg,.jpeg,.png,.webp,.pdf,.svg,.eps,.ai,.ps"
             onChange={handleFileInput}
             className="hidden"
             disabled={disabled}
@@ -187,7 +193,7 @@ function SimpleUpload({ onUpload, disabled }) {
                 <p className="text-gray-500 dark:text-gray-400 mt-1">or click to browse</p>
               </div>
               <p className="text-sm text-gray-400 dark:text-gray-500">
-                JPG, PNG, WEBP, PDF, or SVG
+                JPG, PNG, WEBP, PDF, SVG, EPS, or AI
               </p>
             </div>
           )}
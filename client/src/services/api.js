@@ -65,6 +65,8 @@ export const vectorizeImage = async (file, options = {}) => {
   if (options.removeBackground) formData.append('removeBackground', options.removeBackground);
   if (options.optimize !== undefined) formData.append('optimize', options.optimize.toString());
   if (options.optimizeLevel) formData.append('optimizeLevel', options.optimizeLevel);
+  // Per-engine overrides, see `parameters` in /api/methods
+  if (options.engineParams) formData.append('engineParams', JSON.stringify(options.engineParams));
 
   // Don't set Content-Type manually - let browser set it with correct boundary
   const response = await api.post('/vectorize', formData);
@@ -3,6 +3,8 @@
  * Shared functions for exporting canvas content in various formats
  */
 
+import api from '../services/api';
+
 /**
  * Sanitize SVG content by removing script tags
  * Protects against browser extension injection
@@ -60,29 +62,22 @@ export const exportAsPDF = async (svgString, width, height, filename = 'canvas-e
 
 /**
  * Export canvas as AI (Adobe Illustrator)
- * Creates a PDF with AI-compatible metadata
+ * The server writes a PDF-compatible .ai file with one layer per color group
  */
-export const exportAsAI = async (svgString, width, height, filename = 'canvas-export.ai') => {
-  const { jsPDF } = await import('jspdf');
-  await import('svg2pdf.js');
+export const exportAsAI = async (svgString, filename = 'canvas-export.ai') => {
+  const response = await api.post('/export', {
+    svgContent: sanitizeSVG(svgString),
+    format: 'ai',
+    filename,
+  }, { responseType: 'blob' });
 
-  const parser = new DOMParser();
-  const svgDoc = parser.parseFromString(svgString, 'image/svg+xml');
-  const svgElement = svgDoc.documentElement;
-
-  const pdf = new jsPDF({
-    orientation: width > height ? 'landscape' : 'portrait',
-    unit: 'px',
-    format: [width, height],
-  });
-
-  pdf.setProperties({
-    title: 'Canvas Export',
-    creator: 'idegy Vectorizer',
-    subject: 'Vector Graphics',
+  // Read as data URL to bypass Blob interception by browser extensions
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(response.data);
   });
 
-  await pdf.svg(svgElement, { x: 0, y: 0, width, height });
-  pdf.save(filename);
+  downloadFile(dataUrl, filename);
 };
-
@@ -1,5 +1,14 @@
 const { z } = require('zod');
 const { StatusCodes } = require('http-status-codes');
+const { ValidationError } = require('../utils/errors');
+const { METRICS } = require('../services/colorScience');
+const { ENGINE_PARAMETERS } = require('../services/engineParameters');
+
+const hexColor = z.string().regex(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i, 'Expected a hex color like #1565c0');
+const paletteColors = z.array(z.union([
+  hexColor,
+  z.object({ hex: hexColor, name: z.string().min(1).max(100).optional() }).strict(),
+])).min(1).max(256);
 
 // Validation schemas
 const schemas = {
@@ -42,6 +51,119 @@ const schemas = {
     name: z.string().min(1).max(100).optional(),
     email: z.string().email().optional(),
   }),
+
+  palette: z.object({
+    name: z.string()
+      .min(1)
+      .max(64)
+      .regex(/^[a-z0-9][a-z0-9-]*$/, 'Use lowercase letters, digits and hyphens'),
+    description: z.string().max(500).optional(),
+    colors: paletteColors,
+  }).strict(),
+
+  updatePalette: z.object({
+    description: z.string().max(500).optional(),
+    colors: paletteColors.optional(),
+  }).strict(),
+};
+
+// Build a strict zod object from parameter definitions
+function parameterSchema(parameters) {
+  const shape = {};
+  for (const { name, type, min, max, values } of parameters) {
+    if (type === 'enum') {
+      shape[name] = z.enum(values);
+    } else {
+      const number = type === 'integer' ? z.number().int() : z.number();
+      shape[name] = number.min(min).max(max);
+    }
+  }
+  return z.object(shape).partial().strict();
+}
+
+const engineParamSchemas = Object.fromEntries(
+  Object.entries(ENGINE_PARAMETERS).map(([method, parameters]) => [method, parameterSchema(parameters)])
+);
+
+/**
+ * Parse and validate `engineParams` for a method
+ * @param {string} method - Vectorization method
+ * @param {string|object} input - JSON string from a form field, or an object
+ * @returns {object} Validated parameters (empty when none were sent)
+ * @throws {ValidationError} On malformed JSON, unknown names or out-of-range values
+ */
+const parseEngineParams = (method, input) => {
+  if (input === undefined || input === null || input === '') return {};
+
+  let value = input;
+  if (typeof input === 'string') {
+    try {
+      value = JSON.parse(input);
+    } catch (error) {
+      throw new ValidationError('engineParams must be a JSON object', [
+        { field: 'engineParams', message: error.message, code: 'invalid_json' },
+      ]);
+    }
+  }
+
+  // Methods without a schema fall back to VTracer, like the pipeline does
+  const schema = engineParamSchemas[method] || engineParamSchemas.vtracer;
+  const result = schema.safeParse(value);
+  if (!result.success) {
+    throw new ValidationError(`Invalid engineParams for method ${method}`, result.error.errors.map(err => ({
+      field: ['engineParams', ...err.path].join('.'),
+      message: err.message,
+      code: err.code,
+    })));
+  }
+  return result.data;
+};
+
+// Hard output budgets, sent as form fields (see services/outputBudget.js)
+const outputBudgetSchema = z.object({
+  maxPaths: z.coerce.number().int().min(1).max(1000000),
+  maxNodes: z.coerce.number().int().min(1).max(100000000),
+  maxBytes: z.coerce.number().int().min(1024).max(500000000),
+}).partial();
+
+/**
+ * Validate the output budgets in vectorize settings
+ * @param {object} settings - From vectorizationService.parseSettings
+ * @returns {object} { maxPaths, maxNodes, maxBytes } as numbers, undefined when not sent
+ * @throws {ValidationError} When a budget is not an integer in range
+ */
+const parseOutputBudget = ({ maxPaths, maxNodes, maxBytes }) => {
+  const given = Object.fromEntries(
+    Object.entries({ maxPaths, maxNodes, maxBytes }).filter(([, value]) => value !== undefined && value !== '')
+  );
+  const result = outputBudgetSchema.safeParse(given);
+  if (!result.success) {
+    throw new ValidationError('Invalid output budget', result.error.errors.map(err => ({
+      field: err.path.join('.'),
+      message: err.message,
+      code: err.code,
+    })));
+  }
+  return { maxPaths: undefined, maxNodes: undefined, maxBytes: undefined, ...result.data };
+};
+
+/**
+ * Validate the colorMetric vectorize setting
+ * @param {string} colorMetric - Request field, may be missing
+ * @returns {string|undefined} One of colorScience METRICS, undefined when not sent
+ * @throws {ValidationError} For unknown metrics
+ */
+const parseColorMetric = (colorMetric) => {
+  if (colorMetric === undefined || colorMetric === '') return undefined;
+  const result = z.enum(METRICS).safeParse(colorMetric);
+  if (!result.success) {
+    throw new ValidationError('Invalid colorMetric', result.error.errors.map(err => ({
+      field: 'colorMetric',
+      message: err.message,
+      code: err.code,
+    })));
+  }
+  return result.data;
 };
 
 // Validation middleware factory
@@ -169,6 +291,9 @@ const validateSVGContent = (svgContent) => {
 
 module.exports = {
   schemas,
+  parseEngineParams,
+  parseOutputBudget,
+  parseColorMetric,
   validate,
   validateFile,
   validateSVGContent
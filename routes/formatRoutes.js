@@ -3,6 +3,24 @@ const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
 const formatConverter = require('../services/formatConverter');
+const separationWriter = require('../services/separationWriter');
+const paletteStore = require('../services/paletteStore');
+const PaletteManager = require('../services/vectorizer/paletteManager');
+const { validateSVGContent, parseColorMetric } = require('../middleware/validation');
+
+/**
+ * Extract PDF page setup options from a request body
+ */
+const getPdfOptions = (body) => {
+  const { pageSize, orientation, margin, unit, metadata } = body;
+  const options = {};
+  if (pageSize !== undefined) options.pageSize = pageSize;
+  if (orientation !== undefined) options.orientation = orientation;
+  if (margin !== undefined) options.margin = margin;
+  if (unit !== undefined) options.unit = unit;
+  if (metadata && typeof metadata === 'object') options.metadata = metadata;
+  return options;
+};
 
 /**
  * GET /api/formats
@@ -19,6 +37,7 @@ router.get('/formats', (req, res) => {
 /**
  * POST /api/convert/:filename
  * Convert an existing SVG to different format
+ * PDF accepts optional pageSize, orientation, margin, unit and metadata
  */
 router.post('/convert/:filename', async (req, res) => {
   try {
@@ -45,7 +64,7 @@ router.post('/convert/:filename', async (req, res) => {
     const outputPath = path.join(__dirname, '../output', outputFilename);
 
     // Convert
-    const result = await formatConverter.convertTo(svgContent, format, outputPath);
+    const result = await formatConverter.convertTo(svgContent, format, outputPath, getPdfOptions(req.body));
 
     if (!result.success) {
       return res.status(500).json({
@@ -93,6 +112,7 @@ router.post('/export-formats', async (req, res) => {
     const svgContent = await fs.readFile(svgPath, 'utf8');
 
     const baseName = path.parse(filename).name;
+    const pdfOptions = getPdfOptions(req.body);
     const results = [];
 
     // Convert to each requested format
@@ -111,7 +131,7 @@ router.post('/export-formats', async (req, res) => {
       const outputFilename = `${baseName}${formatInfo.extension}`;
       const outputPath = path.join(__dirname, '../output', outputFilename);
 
-      const result = await formatConverter.convertTo(svgContent, format, outputPath);
+      const result = await formatConverter.convertTo(svgContent, format, outputPath, pdfOptions);
 
       results.push({
         format: format.toUpperCase(),
@@ -140,4 +160,135 @@ router.post('/export-formats', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/separations/:filename
+ * Write spot color separations of an existing SVG: PDF and/or EPS files with
+ * every color on a named Separation color space, and a plate preview PNG per
+ * spot. Accepts spotLibrary (palette name or colors), colorMetric, formats
+ * and previewWidth.
+ */
+router.post('/separations/:filename', async (req, res) => {
+  try {
+    const filename = path.basename(req.params.filename);
+    const { formats = ['pdf', 'eps'], previewWidth } = req.body;
+
+    let library;
+    let colorMetric;
+    try {
+      library = await paletteStore.resolve(req.body.spotLibrary || PaletteManager.DEFAULT_SPOT_LIBRARY, 'spotLibrary');
+      colorMetric = parseColorMetric(req.body.colorMetric);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: validationError.message,
+        details: validationError.details,
+      });
+    }
+
+    if (!Array.isArray(formats) || formats.length === 0 || formats.some(format => !['pdf', 'eps'].includes(format))) {
+      return res.status(400).json({ success: false, error: 'formats must list pdf and/or eps' });
+    }
+
+    const width = previewWidth === undefined ? undefined : Number(previewWidth);
+    if (width !== undefined && !(Number.isInteger(width) && width >= 16 && width <= 4096)) {
+      return res.status(400).json({ success: false, error: 'previewWidth must be an integer from 16 to 4096' });
+    }
+
+    const outputDir = path.join(__dirname, '../output');
+    const svgContent = await fs.readFile(path.join(outputDir, filename), 'utf8');
+    const baseName = path.parse(filename).name;
+    const separation = separationWriter.separate(svgContent, library.colors, colorMetric);
+    const title = `${baseName} separations`;
+
+    const files = [];
+    for (const format of formats) {
+      const outputFilename = `${baseName}-separations.${format}`;
+      const content = format === 'pdf'
+        ? separationWriter.generatePDF(separation, { title })
+        : separationWriter.generateEPS(separation, { title });
+      await fs.writeFile(path.join(outputDir, outputFilename), content);
+      files.push({ format: format.toUpperCase(), outputFilename, downloadUrl: `/api/download/${outputFilename}` });
+    }
+
+    const previews = await separationWriter.platePreviews(separation, { width });
+    const plates = [];
+    for (const [i, plate] of separation.plates.entries()) {
+      const previewFilename = `${baseName}-plate-${i + 1}.png`;
+      await fs.writeFile(path.join(outputDir, previewFilename), previews[i]);
+      plates.push({ ...plate, previewFilename, previewUrl: `/api/download/${previewFilename}` });
+    }
+
+    res.json({
+      success: true,
+      originalFilename: filename,
+      spotLibrary: library.name,
+      plates,
+      paper: separation.paper,
+      files
+    });
+
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Separation export failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/export
+ * Convert SVG content from the request body and return the file directly
+ * Used by the client to export edited artwork (e.g. AI) without saving it first
+ */
+router.post('/export', async (req, res) => {
+  try {
+    const { svgContent, format, filename = 'export' } = req.body;
+
+    const validation = validateSVGContent(svgContent);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    const formatInfo = formatConverter.getAvailableFormats().find(f => f.id === format);
+    if (!formatInfo) {
+      return res.status(400).json({ success: false, error: 'Invalid format specified' });
+    }
+
+    let content;
+    switch (format) {
+      case 'pdf':
+        content = await formatConverter.generatePDF(svgContent, getPdfOptions(req.body));
+        break;
+      case 'eps':
+        content = formatConverter.generateEPSFromSVG(svgContent, { title: path.parse(filename).name });
+        break;
+      case 'ai':
+        content = formatConverter.generateAI(svgContent, { title: path.parse(filename).name });
+        break;
+      default:
+        content = svgContent;
+    }
+
+    const safeName = `${path.parse(filename).name.replace(/[^\w\-]/g, '_') || 'export'}${formatInfo.extension}`;
+
+    res.setHeader('Content-Type', formatInfo.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${safeName}"`);
+    res.send(content);
+
+  } catch (error) {
+
+    res.status(500).json({
+      success: false,
+      error: 'Export failed',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
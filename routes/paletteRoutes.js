@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const paletteStore = require('../services/paletteStore');
+const { validate } = require('../middleware/validation');
+const { asyncHandler } = require('../utils/errors');
+
+/**
+ * GET /api/palettes
+ * List stored customer palettes followed by the built-in palettes
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const palettes = await paletteStore.list();
+
+  res.json({
+    success: true,
+    palettes,
+  });
+}));
+
+/**
+ * GET /api/palettes/:name
+ * Get one stored or built-in palette
+ */
+router.get('/:name', asyncHandler(async (req, res) => {
+  const palette = await paletteStore.get(req.params.name);
+
+  res.json({
+    success: true,
+    palette,
+  });
+}));
+
+/**
+ * POST /api/palettes
+ * Store a named palette: { name, description?, colors } where colors are hex
+ * strings or { hex, name } objects. Pass the name as `palette` to
+ * /api/vectorize to snap every output color to it.
+ */
+router.post('/', validate('palette'), asyncHandler(async (req, res) => {
+  const palette = await paletteStore.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Palette created',
+    palette,
+  });
+}));
+
+/**
+ * PUT /api/palettes/:name
+ * Replace the description or colors of a stored palette
+ */
+router.put('/:name', validate('updatePalette'), asyncHandler(async (req, res) => {
+  const palette = await paletteStore.update(req.params.name, req.body);
+
+  res.json({
+    success: true,
+    message: 'Palette updated',
+    palette,
+  });
+}));
+
+/**
+ * DELETE /api/palettes/:name
+ * Delete a stored palette
+ */
+router.delete('/:name', asyncHandler(async (req, res) => {
+  await paletteStore.delete(req.params.name);
+
+  res.json({
+    success: true,
+    message: 'Palette deleted',
+  });
+}));
+
+module.exports = router;
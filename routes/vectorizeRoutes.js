@@ -1,36 +1,308 @@
 const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
 const sharp = require('sharp');
 const replicateService = require('../services/replicateService');
 const vtracerService = require('../services/vtracerService');
-const IdegyVectorizer = require('../services/vectorizer');
 const AIVectorizer = require('../services/vectorizer/aiVectorizer');
-const ColorPreservingVectorizer = require('../services/vectorizer/colorPreservingVectorizer');
-const AIColorPreservingVectorizer = require('../services/vectorizer/aiColorPreservingVectorizer');
-const SmoothingVectorizer = require('../services/vectorizer/smoothingVectorizer');
 const generativeReconstructionService = require('../services/generativeReconstructionService');
-const svgPostProcessor = require('../services/svgPostProcessor');
 const qualityValidator = require('../services/qualityValidator');
 const backgroundRemovalService = require('../services/backgroundRemovalService');
 const svgOptimizer = require('../services/svgOptimizer');
 const pdfConverter = require('../services/pdfConverter');
-const { validate } = require('../middleware/validation');
-const { asyncHandler, ProcessingError, NotFoundError } = require('../utils/errors');
+const formatConverter = require('../services/formatConverter');
+const jobQueue = require('../services/jobQueue');
+const storageService = require('../services/storageService');
+const vectorizationService = require('../services/vectorizationService');
+const { ZipWriter } = require('../services/zipWriter');
+const cacheService = require('../services/cacheService');
+const paletteStore = require('../services/paletteStore');
+const { METRICS } = require('../services/colorScience');
+const { validate, parseEngineParams, parseOutputBudget, parseColorMetric } = require('../middleware/validation');
+const { ENGINE_PARAMETERS } = require('../services/engineParameters');
+const { asyncHandler, ValidationError, ProcessingError, NotFoundError, FileError } = require('../utils/errors');
 const { requireAuth } = require('../services/authService');
 const { apiLogger } = require('../utils/logger');
 
+/**
+ * Whether the app is running on a read-only serverless filesystem
+ */
+function isServerlessEnvironment() {
+  return !!process.env.VERCEL || !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+}
+
+/**
+ * Quality and analysis for a vectorized output, with the fidelity heatmap
+ * saved as `<baseName>-heatmap.png` and linked as quality.fidelity.heatmapUrl
+ * @param {object} output - From vectorizationService.vectorizeFile
+ * @param {string} method - Requested method id
+ * @param {string} baseName - Output file name without extension
+ * @returns {Promise<object>} { quality, analysis }
+ */
+async function describeOutput(output, method, baseName) {
+  const { quality, analysis } = await vectorizationService.describe(output.svg, output.source, method, output.fidelity, output.engine);
+  if (!quality.fidelity) return { quality, analysis };
+
+  const { heatmap, ...fidelity } = quality.fidelity;
+  const heatmapFilename = `${baseName}-heatmap.png`;
+  if (!isServerlessEnvironment()) {
+    await storageService.saveFile(heatmap, heatmapFilename, 'output');
+  }
+
+  return {
+    quality: { ...quality, fidelity: { ...fidelity, heatmapUrl: `/api/download/${heatmapFilename}` } },
+    analysis,
+  };
+}
+
+/**
+ * Vectorize several pages of a PDF, reporting progress per page
+ * Pages that fail are reported individually; the rest still complete.
+ * @param {Buffer} pdfBuffer - Uploaded PDF
+ * @param {number[]} pageNumbers - 1-indexed pages to vectorize
+ * @param {object} settings - Vectorize request fields
+ * @param {object} context - { jobContext, file, baseName, pageOutput } where jobContext is the job queue handler context
+ * @returns {Promise<object>} { pages, processingMethod, pdf } where pdf is set for pageOutput 'pdf'
+ */
+async function vectorizePdfPages(pdfBuffer, pageNumbers, settings, context) {
+  const { jobContext, file, baseName, pageOutput } = context;
+  const originalFilename = file.originalname;
+  const isServerless = isServerlessEnvironment();
+  const pages = [];
+  const pageSvgs = [];
+  const methods = new Set();
+
+  for (let i = 0; i < pageNumbers.length; i++) {
+    if (jobContext.signal.aborted) break;
+
+    const page = pageNumbers[i];
+    const reportStatus = (stage) => jobContext.updateProgress({
+      stage,
+      currentPage: page,
+      currentIndex: i,
+      totalPages: pageNumbers.length,
+    });
+
+    try {
+      const output = await vectorizationService.vectorizeFile(pdfBuffer, file, settings, {
+        page,
+        reportStatus,
+        signal: jobContext.signal,
+      });
+
+      const outputFilename = `${baseName}-page${page}.svg`;
+      if (!isServerless) {
+        await storageService.saveSVG(output.svg, outputFilename);
+      }
+
+      methods.add(output.processingMethod);
+      pageSvgs.push(output.svg);
+
+      const pageResult = {
+        success: true,
+        originalFilename,
+        page,
+        outputFilename,
+        downloadUrl: `/api/download/${outputFilename}`,
+        previewUrl: `/api/preview/${outputFilename}`,
+        route: output.route,
+        routeReason: output.routeReason,
+        ...(output.methodSelection && { methodSelection: output.methodSelection }),
+        ...(output.budget && { budget: output.budget }),
+        ...(output.palette && { palette: output.palette }),
+        ...(output.spots && { spots: output.spots }),
+        ...(output.comparison && { comparison: rankingOf(output.comparison) }),
+        ...(await describeOutput(output, settings.method, `${baseName}-page${page}`)),
+      };
+
+      pages.push({ ...pageResult, svgContent: output.svg });
+      jobContext.addResult(pageResult);
+    } catch (pageError) {
+      const errorResult = { success: false, originalFilename, page, error: pageError.message };
+      pages.push(errorResult);
+      jobContext.addError(errorResult);
+    }
+  }
+
+  let pdf = null;
+  if (pageOutput === 'pdf' && pageSvgs.length > 0) {
+    jobContext.updateProgress({ stage: 'building_pdf' });
+
+    const outputFilename = `${baseName}.pdf`;
+    const pdfContent = await formatConverter.generateMultiPagePDF(pageSvgs, {
+      metadata: { title: baseName },
+    });
+    if (!isServerless) {
+      await storageService.saveFile(pdfContent, outputFilename, 'output');
+    }
+
+    pdf = {
+      outputFilename,
+      downloadUrl: `/api/download/${outputFilename}`,
+      pageCount: pageSvgs.length,
+    };
+  }
+
+  return { pages, processingMethod: Array.from(methods).join(' + ') || null, pdf };
+}
+
+/**
+ * Read an uploaded file referenced by a job payload
+ * @param {object} file - { path } for disk storage or { buffer } for memory storage
+ * @returns {Promise<Buffer>}
+ */
+async function readUpload(file) {
+  if (file.buffer) return Buffer.from(file.buffer);
+
+  try {
+    return await fs.readFile(file.path);
+  } catch {
+    throw new FileError(`Uploaded file ${file.originalname} is no longer available`);
+  }
+}
+
+/**
+ * Describe an uploaded file for a job payload
+ * Disk uploads are referenced by path so the job can be resumed after a
+ * restart; memory uploads (serverless) keep their buffer.
+ */
+function uploadPayload(file, extra = {}) {
+  return {
+    originalname: file.originalname,
+    mimetype: file.mimetype,
+    ...(file.path ? { path: file.path } : { buffer: file.buffer }),
+    ...extra,
+  };
+}
+
+/**
+ * Job priority from a request field, falling back to the default for the route
+ */
+function parsePriority(value, fallback) {
+  const priority = parseInt(value, 10);
+  return Number.isFinite(priority) ? Math.max(-100, Math.min(100, priority)) : fallback;
+}
+
+/**
+ * Run one queued single-file vectorization
+ * @param {object} job - Queued job; payload { files: [file], settings, baseName, pageNumbers, pageOutput, cacheKey }
+ * @param {object} context - Job queue handler context
+ * @returns {Promise<object>} Response body for the request
+ */
+async function vectorizeUpload(job, context) {
+  const { files: [file], settings, baseName, pageNumbers, pageOutput, cacheKey } = job.payload;
+  const startTime = Date.now();
+  const imageBuffer = await readUpload(file);
+
+  if (pageNumbers && (pageNumbers.length > 1 || pageOutput === 'pdf')) {
+    const { pages: pageResults, processingMethod, pdf } = await vectorizePdfPages(
+      imageBuffer, pageNumbers, settings,
+      { jobContext: context, file, baseName, pageOutput }
+    );
+
+    const successCount = pageResults.filter(p => p.success).length;
+    if (successCount === 0) {
+      throw new ProcessingError(pageResults[0]?.error || 'No pages could be vectorized', { pages: pageResults });
+    }
+
+    return {
+      success: true,
+      message: `Vectorized ${successCount} of ${pageNumbers.length} pages`,
+      method: processingMethod,
+      originalFilename: file.originalname,
+      pageCount: pageNumbers.length,
+      pages: pageResults,
+      ...(pdf || {}),
+      jobId: job.id,
+      processingTime: `${Date.now() - startTime}ms`,
+    };
+  }
+
+  const output = await vectorizationService.vectorizeFile(imageBuffer, file, settings, {
+    page: pageNumbers ? pageNumbers[0] : 1,
+    reportStatus: stage => context.updateProgress({ stage }),
+    signal: context.signal,
+  });
+  const svgToSave = output.svg;
+
+  const outputFilename = `${baseName}.svg`;
+
+  // On Vercel/serverless, skip disk storage (read-only filesystem)
+  // SVG content is returned directly in the response
+  if (!isServerlessEnvironment()) {
+    await storageService.saveSVG(svgToSave, outputFilename);
+  }
+
+  // Validate quality and analyze SVG
+  const { quality, analysis } = await describeOutput(output, settings.method, baseName);
+
+  // Build result
+  const result = {
+    success: true,
+    message: 'Image vectorized successfully',
+    method: output.processingMethod,
+    originalFilename: file.originalname,
+    outputFilename,
+    downloadUrl: `/api/download/${outputFilename}`,
+    previewUrl: `/api/preview/${outputFilename}`,
+    svgContent: svgToSave,
+    ...(output.route && { route: output.route, routeReason: output.routeReason }),
+    jobId: job.id,
+    processingTime: `${Date.now() - startTime}ms`,
+    quality,
+    analysis,
+    optimization: output.optimizationStats,
+    postProcessing: output.postProcessStats,
+    ...(output.symmetry && { symmetry: output.symmetry }),
+    ...(output.methodSelection && { methodSelection: output.methodSelection }),
+    ...(output.budget && { budget: output.budget }),
+    ...(output.palette && { palette: output.palette }),
+    ...(output.spots && { spots: output.spots }),
+    ...(output.comparison && { comparison: output.comparison }),
+  };
+
+  // Cache the result
+  cacheService.setSVG(cacheKey, result);
+
+  context.addResult({ success: true, originalFilename: file.originalname, outputFilename, downloadUrl: result.downloadUrl });
+
+  return result;
+}
+
+/**
+ * Job handler for POST /api/vectorize
+ */
+async function processVectorizeJob(job, context) {
+  const { files: [file], settings } = job.payload;
+  const startTime = Date.now();
+
+  try {
+    const result = await vectorizeUpload(job, context);
+    apiLogger.vectorize(file.originalname, settings.method, true, Date.now() - startTime);
+    return result;
+  } catch (error) {
+    apiLogger.vectorize(file.originalname, settings.method, false, Date.now() - startTime);
+    throw error;
+  }
+}
+
 /**
  * POST /api/vectorize
  * Convert a single image to SVG vector
+ * PDF uploads accept `pages` (e.g. "1-3,5" or "all") to vectorize several pages;
+ * `pageOutput` selects one SVG per page ('svg', default) or a single multi-page 'pdf'.
+ * PDF pages that contain only vector artwork are extracted rather than traced,
+ * and SVG, EPS and Illustrator uploads are imported without tracing;
+ * `route` in the response reports which path was taken.
+ * The work runs on the job queue; the request waits for the result unless
+ * `async=true`, which returns 202 with a jobId to poll at /api/job/:jobId.
+ * `priority` (default 10) orders the job against other queued work.
  * Requires authentication with @idegy.com email
  */
 router.post('/vectorize', asyncHandler(async (req, res) => {
   const upload = req.app.get('upload');
-  const cacheService = req.app.get('cache');
-  const websocketService = req.app.get('websocket');
-  const storageService = req.app.get('storage');
   upload.single('image')(req, res, async (error) => {
     if (error) {
       return res.status(400).json({ success: false, error: error.message });
@@ -41,38 +313,76 @@ router.post('/vectorize', asyncHandler(async (req, res) => {
     }
 
     const startTime = Date.now();
+    let job = null;
 
     try {
+      // Engine, background removal and post-processing fields
+      const { settings, rest } = vectorizationService.parseSettings(req.body);
+      const { method, detailLevel, removeBackground } = settings;
+      try {
+        settings.engineParams = parseEngineParams(method, settings.engineParams);
+        Object.assign(settings, parseOutputBudget(settings));
+        settings.colorMetric = parseColorMetric(settings.colorMetric);
+        settings.palette = await paletteStore.resolve(settings.palette);
+        settings.spotLibrary = await paletteStore.resolve(settings.spotLibrary, 'spotLibrary');
+      } catch (validationError) {
+        if (req.file.path) await fs.unlink(req.file.path).catch(() => {});
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          message: validationError.message,
+          details: validationError.details,
+        });
+      }
       const {
-        method = 'color-preserving',
-        removeBackground = 'false',
-        detailLevel = 'medium',
-        optimize = 'true',
-        optimizeLevel = 'default',
         invert = 'false',
-        // Post-processing options
-        detectShapes = 'true',
-        gapFiller = 'false',
-        groupBy = 'none',
-        adobeCompatibility = 'false',
+        // Multi-page PDF options
+        pages,
+        pageOutput = 'svg',
+        // Job queue options
+        async: runAsync = 'false',
+        priority,
         ...options
-      } = req.body;
+      } = rest;
+      settings.mimeType = req.file.mimetype;
+      settings.options = options;
 
-      // Get image buffer - handle both memory storage (Vercel) and disk storage (local)
-      let imageBuffer = req.file.buffer || await fs.readFile(req.file.path);
+      // Generate filename from originalname if filename not available (memory storage)
+      const baseName = req.file.filename
+        ? path.parse(req.file.filename).name
+        : `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
 
-      // Convert PDF to image if needed
-      if (req.file.mimetype === 'application/pdf' || pdfConverter.isPdf(imageBuffer)) {
-        try {
-          imageBuffer = await pdfConverter.pdfToImage(imageBuffer, { page: 1, scale: 2 });
-        } catch (pdfError) {
-          throw new ProcessingError(pdfError.message);
+      // Get image buffer - handle both memory storage (Vercel) and disk storage (local)
+      const imageBuffer = req.file.buffer || await fs.readFile(req.file.path);
+
+      // PDF pages are extracted as vectors when possible, otherwise rasterized and traced
+      let pageNumbers = null;
+      if (vectorizationService.detectInput(imageBuffer, req.file).isPdf) {
+        pageNumbers = [1];
+
+        if (pages !== undefined || pageOutput === 'pdf') {
+          try {
+            const { numPages } = await pdfConverter.getPdfInfo(imageBuffer);
+            pageNumbers = pdfConverter.parsePageRange(pages, numPages);
+          } catch (rangeError) {
+            if (req.file.path) await fs.unlink(req.file.path).catch(() => {});
+            return res.status(400).json({ success: false, error: rangeError.message });
+          }
         }
       }
 
+      const multiPage = pageNumbers && (pageNumbers.length > 1 || pageOutput === 'pdf');
+
       // Check cache first
-      const cacheKey = cacheService.generateSVGKey(imageBuffer, { method, detailLevel, removeBackground });
-      const cachedResult = cacheService.getSVG(cacheKey);
+      const cacheKey = cacheService.generateSVGKey(imageBuffer, {
+        method, detailLevel, removeBackground, engineParams: settings.engineParams,
+        maxPaths: settings.maxPaths, maxNodes: settings.maxNodes, maxBytes: settings.maxBytes,
+        palette: settings.palette,
+        colorMetric: settings.colorMetric,
+        spotLibrary: settings.spotLibrary,
+        page: pageNumbers ? pageNumbers[0] : null,
+      });
+      const cachedResult = multiPage ? null : cacheService.getSVG(cacheKey);
 
       if (cachedResult) {
         // Clean up uploaded file (only if using disk storage)
@@ -86,344 +396,343 @@ router.post('/vectorize', asyncHandler(async (req, res) => {
         });
       }
 
-      // Create WebSocket job for progress tracking
-      const jobId = websocketService.createJob({ totalItems: 1 });
+      job = jobQueue.enqueue('vectorize', {
+        files: [uploadPayload(req.file)],
+        settings,
+        baseName,
+        pageNumbers,
+        pageOutput,
+        cacheKey,
+      }, {
+        priority: parsePriority(priority, 10),
+        totalItems: multiPage ? pageNumbers.length : 1,
+      });
 
-      // Optional: Remove background before vectorization
-      if (removeBackground === 'true' && backgroundRemovalService.isAvailable()) {
-        websocketService.updateJobProgress(jobId, { status: 'removing_background' });
+      if (runAsync === 'true') {
+        return res.status(202).json({
+          success: true,
+          message: 'Vectorization queued',
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/api/job/${job.id}`,
+        });
+      }
 
-        try {
-          const dataUri = replicateService.bufferToDataUri(imageBuffer, req.file.mimetype);
-          const processedDataUri = await backgroundRemovalService.removeBackground(dataUri);
-          const base64Data = processedDataUri.replace(/^data:image\/\w+;base64,/, '');
-          imageBuffer = Buffer.from(base64Data, 'base64');
-        } catch (bgError) {
-          console.warn('Background removal failed:', bgError.message);
-        }
+      const finished = await jobQueue.waitFor(job.id);
+      if (finished.status === 'completed') {
+        return res.json(finished.output);
       }
 
-      let svgContent;
-      let processingMethod;
-      let svgToSave;
-
-      websocketService.updateJobProgress(jobId, { status: 'vectorizing' });
-
-      const metadata = await sharp(imageBuffer).metadata();
-
-      // Choose vectorization method: 'smooth' (default), 'color-preserving', 'gen-pro', 'ai-pro', 'idegy', 'vtracer', or 'ai'
-      if (method === 'smooth' || method === 'color-preserving') {
-        // SMOOTHING VECTORIZER - Best quality: exact colors with smooth Bezier curves
-        // 1. Upscales image 3x for higher tracing resolution
-        // 2. Traces with imagetracerjs for exact color regions
-        // 3. Converts polylines to smooth Bezier curves (Catmull-Rom)
-        // 4. Snaps colors to detected brand colors
-
-        const vectorizer = new SmoothingVectorizer({ upscaleFactor: 3 });
-        const quantizeColors = detailLevel !== 'ultra';
-        svgToSave = await vectorizer.vectorize(imageBuffer, { quantizeColors });
-        processingMethod = 'Smoothing Vectorizer (exact colors + smooth curves)';
-
-      } else if (method === 'ai-color' && replicateService.isAvailable()) {
-        // AI COLOR-PRESERVING VECTORIZER - Clean shapes but may change regions
-        // Uses Recraft AI for smooth vector shapes, then samples original image for exact colors
-        // Note: AI may reinterpret the image, changing region boundaries
-
-        const vectorizer = new AIColorPreservingVectorizer();
-        const quantizeColors = detailLevel !== 'ultra';
-        svgToSave = await vectorizer.vectorize(imageBuffer, { quantizeColors });
-        processingMethod = 'AI Color-Preserving Vectorizer (Recraft AI + exact colors)';
-
-      } else if (method === 'gen-pro' && generativeReconstructionService.isAvailable()) {
-        // Use Generative Reconstruction Pipeline + VTracer
-        // This is the highest quality option using:
-        // 1. Real-ESRGAN AI super-resolution
-        // 2. OpenCV edge preservation (bilateral filter + adaptive sharpening)
-        // 3. Color quantization to solid hex codes
-        // 4. VTracer for final vectorization
-
-        websocketService.updateJobProgress(jobId, { status: 'ai_preprocessing' });
-
-        const colorMap = {
-          low: 8,
-          medium: 16,
-          high: 24,
-          ultra: 32,
-        };
-
-        const result = await generativeReconstructionService.process(imageBuffer, {
-          upscaleFactor: 4,
-          maxColors: colorMap[detailLevel] || 16,
-          outputDpi: 300,
-          minDimension: 2000,
-          sharpenEdges: true,
-          denoise: true,
+      if (finished.status === 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          error: 'Vectorization cancelled',
+          jobId: job.id,
+          results: finished.results,
         });
+      }
 
-        websocketService.updateJobProgress(jobId, { status: 'vectorizing' });
+      res.status(500).json({
+        success: false,
+        error: 'Vectorization failed',
+        message: finished.error?.message || `Job ${finished.status}`,
+        ...(finished.error?.details || {}),
+        jobId: job.id,
+      });
 
-        // Now vectorize the preprocessed image
-        svgToSave = await vtracerService.vectorizeImage(result.buffer, {
-          preset: 'logo',
-          preprocess: false,  // Already preprocessed by Python pipeline
-          aiUpscale: false,
-        });
+    } catch (error) {
+      // Once queued, the job owns the upload and removes it when finished
+      if (req.file?.path && !job) {
+        await fs.unlink(req.file.path).catch(() => {});
+      }
 
-        processingMethod = `Generative Reconstruction + VTracer (${detailLevel} quality)`;
-
-      } else if (method === 'ai-pro' || (method === 'gen-pro' && !generativeReconstructionService.isAvailable())) {
-        // Use VTracer with optimized settings for clean vector output
-        // Logo preset produces cleaner, smaller files
-        // Falls back here if gen-pro requested but Python pipeline not available
-        const presetMap = {
-          low: 'poster',
-          medium: 'logo',
-          high: 'logo',      // Logo preset is best for most cases
-          ultra: 'detailed',
-        };
-        const preset = presetMap[detailLevel] || 'logo';
-
-        svgToSave = await vtracerService.vectorizeImage(imageBuffer, {
-          preset,
-          preprocess: true,
-          aiUpscale: false,  // Disabled - causes bloated output (4x paths)
-        });
-        processingMethod = `AI Vectorizer Pro (${preset} preset)`;
-
-      } else if (method === 'idegy' || method === 'vtracer' && false) {
-        // Use IDEGY Vectorizer (built from scratch, no external dependencies)
-        const presetMap = {
-          low: { maxColors: 16, minArea: 25, simplifyTolerance: 2.5, lineTolerance: 2.0 },
-          medium: { maxColors: 32, minArea: 8, simplifyTolerance: 1.5, lineTolerance: 1.0 },
-          high: { maxColors: 64, minArea: 4, simplifyTolerance: 1.0, lineTolerance: 0.5 },
-        };
-        const preset = presetMap[detailLevel] || presetMap.medium;
-
-        const vectorizer = new IdegyVectorizer({
-          ...preset,
-          gapFiller: true,  // Always use gap filler
-          detectShapes: false,  // Disable shape detection (causes issues)
-        });
+      apiLogger.vectorize(req.file?.originalname, req.body.method, false, Date.now() - startTime);
 
-        svgToSave = await vectorizer.vectorize(imageBuffer);
-        processingMethod = `IDEGY Vectorizer (${detailLevel} detail)`;
+      res.status(500).json({
+        success: false,
+        error: 'Vectorization failed',
+        message: error.message,
+      });
+    }
+  });
+}));
 
-        // Mark to skip optimization - IDEGY output is already clean
-        // The SVGO optimizer strips black fills which breaks the output
+/**
+ * Store one batch result in the requested format
+ * @param {string} svgContent - Finished SVG from the vectorization pipeline
+ * @param {object} settings - { outputFormat, baseName }
+ * @returns {Promise<object>} { outputFilename, downloadUrl, svgContent }
+ */
+async function saveBatchOutput(svgContent, settings) {
+  const { outputFormat, baseName } = settings;
 
-      } else if (method === 'ai' && replicateService.isAvailable()) {
-        // Use Replicate AI (recraft-vectorize)
-        const maxDimension = 4096;
-        const minDimension = 512;
-        let mimeType = 'image/png';
+  let outputFilename;
+  let downloadUrl;
 
-        const needsDownscale = metadata.width > maxDimension || metadata.height > maxDimension;
-        const needsUpscale = metadata.width < minDimension || metadata.height < minDimension;
+  // On Vercel/serverless, skip disk storage (read-only filesystem)
+  const isServerless = isServerlessEnvironment();
 
-        let resizeOptions = { fit: 'inside', withoutEnlargement: true };
+  if (outputFormat === 'svg') {
+    outputFilename = `${baseName}.svg`;
+    if (!isServerless) {
+      await storageService.saveSVG(svgContent, outputFilename);
+    }
+    downloadUrl = `/api/download/${outputFilename}`;
+  } else if (outputFormat === 'png') {
+    // Convert SVG to PNG using Sharp
+    outputFilename = `${baseName}.png`;
+    const svgBuffer = Buffer.from(svgContent);
+    const pngBuffer = await sharp(svgBuffer)
+      .resize(2048, 2048, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+    if (!isServerless) {
+      await storageService.saveFile(pngBuffer, outputFilename, 'output');
+    }
+    downloadUrl = `/api/download/${outputFilename}`;
+  } else if (outputFormat === 'pdf') {
+    outputFilename = `${baseName}.svg`;
+    if (!isServerless) {
+      await storageService.saveSVG(svgContent, outputFilename);
+    }
+    downloadUrl = `/api/download/${baseName}.pdf?source=${outputFilename}`;
+  } else {
+    outputFilename = `${baseName}.svg`;
+    if (!isServerless) {
+      await storageService.saveSVG(svgContent, outputFilename);
+    }
+    downloadUrl = `/api/download/${outputFilename}`;
+  }
 
-        if (needsUpscale && !needsDownscale) {
-          const scale = minDimension / Math.min(metadata.width, metadata.height);
-          const targetWidth = Math.round(metadata.width * scale);
-          const targetHeight = Math.round(metadata.height * scale);
-          resizeOptions = { width: targetWidth, height: targetHeight, fit: 'fill' };
-        } else if (needsDownscale) {
-          resizeOptions = { width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true };
-        }
+  return { outputFilename, downloadUrl, svgContent };
+}
 
-        imageBuffer = await sharp(imageBuffer)
-          .resize(resizeOptions)
-          .flatten({ background: { r: 255, g: 255, b: 255 } })
-          .png({ quality: 100 })
-          .toBuffer();
+/**
+ * Engine comparison without the candidate SVGs, which would bloat batch job records
+ */
+function rankingOf(comparison) {
+  return { candidates: comparison.candidates.map(candidate => ({ ...candidate, svgContent: undefined })) };
+}
 
-        const dataUri = replicateService.bufferToDataUri(imageBuffer, mimeType);
-        svgContent = await replicateService.vectorizeImage(dataUri, options);
-        processingMethod = 'Replicate AI (recraft-vectorize)';
-
-        // Handle URL responses from Replicate
-        svgToSave = svgContent;
-        if (typeof svgContent === 'string' && svgContent.startsWith('http')) {
-          const response = await fetch(svgContent);
-          svgToSave = await response.text();
-        } else if (typeof svgContent === 'object' && svgContent.uri) {
-          const response = await fetch(svgContent.uri);
-          svgToSave = await response.text();
-        } else if (typeof svgContent !== 'string') {
-          svgToSave = String(svgContent);
-        }
-      } else {
-        // Use VTracer with AI upscaling for best quality
-        // Map detailLevel to VTracer preset
-        const presetMap = {
-          low: 'poster',
-          medium: 'logo',
-          high: 'detailed',
-        };
-        const preset = presetMap[detailLevel] || 'logo';
-
-        // VTracer with preprocessing for best quality
-        // AI upscale only for very small images to keep output manageable
-        svgToSave = await vtracerService.vectorizeImage(imageBuffer, {
-          preset,
-          preprocess: true,
-          aiUpscale: true,
-          aiUpscaleMinDimension: 400,   // Only upscale very small images
-          aiUpscaleMaxDimension: 1200,  // Cap to prevent huge SVGs
-        });
-        processingMethod = `VTracer (${preset} preset with AI upscaling)`;
-      }
+/**
+ * Vectorize one batch file, reporting each result to the job
+ * Files go through the same pipeline as single uploads, so method selection,
+ * background removal, post-processing, quality metrics and caching all apply.
+ * @param {object} file - Job payload file ({ originalname, mimetype, path|buffer, baseName })
+ * @param {number} index - Position of the file in the batch
+ * @param {object} job - Running job; payload { settings, outputFormat, pages, pageOutput }
+ * @param {object} context - Job queue handler context
+ */
+async function processBatchFile(file, index, job, context) {
+  const { outputFormat, pages, pageOutput } = job.payload;
+  const settings = { ...job.payload.settings, mimeType: file.mimetype };
+  const { baseName } = file;
+
+  context.updateProgress({
+    stage: 'processing',
+    currentFile: file.originalname,
+    currentIndex: index,
+  });
 
-      // Optimize SVG if requested (skip for IDEGY - optimizer strips black fills)
-      let optimizationStats = null;
-      const skipOptimization = processingMethod.includes('IDEGY');
-      if (optimize === 'true' && !skipOptimization) {
-        websocketService.updateJobProgress(jobId, { status: 'optimizing' });
+  const fileBuffer = await readUpload(file);
+  const { isPdf } = vectorizationService.detectInput(fileBuffer, file);
 
-        const optimized = svgOptimizer.optimize(svgToSave, {
-          level: optimizeLevel,
-          preserveColors: true,
-        });
+  if (!isPdf) {
+    const output = await vectorizationService.vectorizeFile(fileBuffer, file, settings, {
+      reportStatus: stage => context.updateProgress({ stage, currentFile: file.originalname, currentIndex: index }),
+      signal: context.signal,
+    });
+    const saved = await saveBatchOutput(output.svg, { outputFormat, baseName });
+    const { quality } = await describeOutput(output, settings.method, baseName);
 
-        if (optimized.success) {
-          svgToSave = optimized.data;
-          optimizationStats = optimized.stats;
-        }
-      }
+    context.addResult({
+      success: true,
+      originalFilename: file.originalname,
+      method: output.processingMethod,
+      route: output.route,
+      routeReason: output.routeReason,
+      ...(output.methodSelection && { methodSelection: output.methodSelection }),
+      ...(output.budget && { budget: output.budget }),
+      ...(output.palette && { palette: output.palette }),
+      ...(output.spots && { spots: output.spots }),
+      ...(output.comparison && { comparison: rankingOf(output.comparison) }),
+      outputFilename: saved.outputFilename,
+      downloadUrl: saved.downloadUrl,
+      svgContent: outputFormat === 'svg' ? saved.svgContent : undefined,
+      format: outputFormat,
+      quality,
+    });
+    return;
+  }
 
-      // Post-process SVG (shape detection, grouping, gap filler)
-      // Skip for IDEGY - it already has gap filler and proper structure
-      let postProcessStats = null;
-      if (!skipOptimization) {
-        try {
-          websocketService.updateJobProgress(jobId, { status: 'post-processing' });
-
-          const statsBefore = svgPostProcessor.getStatistics(svgToSave);
-
-          svgToSave = svgPostProcessor.process(svgToSave, {
-            detectShapes: detectShapes === 'true',
-            shapeTypes: ['circle', 'ellipse', 'rectangle'],
-            gapFiller: { enabled: gapFiller === 'true', strokeWidth: 1.5 },
-            groupBy: groupBy || 'none',
-            adobeCompatibility: adobeCompatibility === 'true',
-            svgVersion: '1.1',
-          });
-
-          const statsAfter = svgPostProcessor.getStatistics(svgToSave);
-          postProcessStats = {
-            shapesDetected: (statsAfter.circles || 0) + (statsAfter.ellipses || 0) + (statsAfter.rectangles || 0),
-            pathsBefore: statsBefore.paths,
-            pathsAfter: statsAfter.paths,
-            groups: statsAfter.groups,
-          };
-        } catch (postProcessError) {
-          console.warn('Post-processing failed, using original SVG:', postProcessError.message);
-        }
-      }
+  let pageNumbers = [1];
+  if (pages !== undefined) {
+    const { numPages } = await pdfConverter.getPdfInfo(fileBuffer);
+    pageNumbers = pdfConverter.parsePageRange(pages, numPages);
+  }
 
-      // Sanitize SVG for security
-      const sanitized = svgOptimizer.sanitize(svgToSave);
-      if (sanitized.success) {
-        svgToSave = sanitized.data;
-      }
+  const combinePages = pageOutput === 'pdf';
+  const multiPage = pageNumbers.length > 1;
 
-      // Save SVG - generate filename from originalname if filename not available (memory storage)
-      const baseName = req.file.filename
-        ? path.parse(req.file.filename).name
-        : `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
-      const outputFilename = `${baseName}.svg`;
+  // Each extra page is tracked as its own job item unless pages are combined
+  if (multiPage && !combinePages) {
+    context.updateProgress({ totalItems: job.totalItems + pageNumbers.length - 1 });
+  }
 
-      // On Vercel/serverless, skip disk storage (read-only filesystem)
-      // SVG content is returned directly in the response
-      const isServerless = !!process.env.VERCEL || !!process.env.AWS_LAMBDA_FUNCTION_NAME;
-      if (!isServerless) {
-        await storageService.saveSVG(svgToSave, outputFilename);
-      }
+  const pageResults = [];
+  const pageSvgs = [];
 
-      // Validate quality
-      const qualityMetrics = qualityValidator.validateSVG(svgToSave);
-      const imageMetadata = await sharp(imageBuffer).metadata();
-      const sourceComparison = qualityValidator.compareWithSource(imageMetadata, qualityMetrics);
-      const recommendations = qualityValidator.getMethodRecommendations(method, qualityMetrics);
+  for (let p = 0; p < pageNumbers.length; p++) {
+    if (context.signal.aborted) break;
 
-      // Analyze SVG
-      const svgAnalysis = svgOptimizer.analyze(svgToSave);
+    const page = pageNumbers[p];
+    const pageBaseName = multiPage ? `${baseName}-page${page}` : baseName;
+    const pageProgress = {
+      currentFile: file.originalname,
+      currentIndex: index,
+      currentPage: page,
+      totalPages: pageNumbers.length,
+    };
 
-      // Clean up uploaded file (only if using disk storage)
-      if (req.file.path) await fs.unlink(req.file.path).catch(() => {});
+    context.updateProgress({ stage: 'processing', ...pageProgress });
+
+    try {
+      const output = await vectorizationService.vectorizeFile(fileBuffer, file, settings, {
+        page,
+        reportStatus: stage => context.updateProgress({ stage, ...pageProgress }),
+        signal: context.signal,
+      });
 
-      const duration = Date.now() - startTime;
+      const saved = await saveBatchOutput(output.svg, {
+        outputFormat: combinePages ? 'svg' : outputFormat,
+        baseName: pageBaseName,
+      });
+      const { quality } = await describeOutput(output, settings.method, pageBaseName);
 
-      // Build result
       const result = {
         success: true,
-        message: 'Image vectorized successfully',
-        method: processingMethod,
-        originalFilename: req.file.originalname,
-        outputFilename,
-        downloadUrl: `/api/download/${outputFilename}`,
-        previewUrl: `/api/preview/${outputFilename}`,
-        svgContent: svgToSave,
-        jobId,
-        processingTime: `${duration}ms`,
-        quality: {
-          score: qualityMetrics.score,
-          rating: qualityMetrics.quality,
-          isTrueVector: qualityMetrics.isTrueVector,
-          hasEmbeddedRaster: qualityMetrics.hasEmbeddedRaster,
-          resolutionIndependent: qualityMetrics.resolutionIndependent,
-          complexity: qualityMetrics.complexity,
-          pathCount: qualityMetrics.pathCount,
-          vectorElements: qualityMetrics.vectorElements,
-          fileSize: qualityMetrics.fileSize,
-          fileSizeKB: (qualityMetrics.fileSize / 1024).toFixed(2),
-          hasColors: qualityMetrics.hasColors,
-          colorCount: qualityMetrics.colorCount,
-          warnings: qualityMetrics.warnings,
-          sourceResolution: sourceComparison.sourceResolution,
-          recommendations: [...sourceComparison.recommendations, ...recommendations],
-        },
-        analysis: svgAnalysis,
-        optimization: optimizationStats,
-        postProcessing: postProcessStats,
+        originalFilename: file.originalname,
+        page,
+        method: output.processingMethod,
+        route: output.route,
+        routeReason: output.routeReason,
+        ...(output.methodSelection && { methodSelection: output.methodSelection }),
+        ...(output.budget && { budget: output.budget }),
+        ...(output.palette && { palette: output.palette }),
+        ...(output.spots && { spots: output.spots }),
+        ...(output.comparison && { comparison: rankingOf(output.comparison) }),
+        outputFilename: saved.outputFilename,
+        downloadUrl: saved.downloadUrl,
+        svgContent: outputFormat === 'svg' && !combinePages ? saved.svgContent : undefined,
+        format: combinePages ? 'svg' : outputFormat,
+        quality,
       };
 
-      // Cache the result
-      cacheService.setSVG(cacheKey, result);
+      pageSvgs.push(saved.svgContent);
+      pageResults.push(result);
+      if (!combinePages) {
+        context.addResult(result);
+      }
+    } catch (pageError) {
+      const errorResult = {
+        success: false,
+        originalFilename: file.originalname,
+        page,
+        error: pageError.message,
+      };
 
-      // Complete the job
-      websocketService.completeJob(jobId, 'completed');
+      pageResults.push(errorResult);
+      if (!combinePages) {
+        context.addError(errorResult);
+      }
+    }
+  }
 
-      // Log the operation
-      apiLogger.vectorize(req.file.originalname, method, true, duration);
+  if (combinePages) {
+    if (pageSvgs.length === 0) {
+      throw new ProcessingError(pageResults[0]?.error || 'No pages could be vectorized');
+    }
 
-      res.json(result);
+    const outputFilename = `${baseName}.pdf`;
+    const pdfContent = await formatConverter.generateMultiPagePDF(pageSvgs, {
+      metadata: { title: path.parse(file.originalname).name },
+    });
+    if (!isServerlessEnvironment()) {
+      await storageService.saveFile(pdfContent, outputFilename, 'output');
+    }
 
-    } catch (error) {
-      if (req.file?.path) {
-        await fs.unlink(req.file.path).catch(() => {});
-      }
+    context.addResult({
+      success: true,
+      originalFilename: file.originalname,
+      outputFilename,
+      downloadUrl: `/api/download/${outputFilename}`,
+      format: 'pdf',
+      pages: pageResults.map(({ page, success, route, error: pageError }) => ({ page, success, route, error: pageError })),
+    });
+  }
+}
 
-      apiLogger.vectorize(req.file?.originalname, req.body.method, false, Date.now() - startTime);
+/**
+ * Job handler for POST /api/vectorize/batch
+ * Files are processed in order; the index of the next file is checkpointed
+ * so a batch interrupted by a restart, or paused, resumes where it stopped.
+ * Cancelling skips the remaining files; results so far are kept.
+ * @param {object} job - Queued job; payload { files, settings, outputFormat, pages, pageOutput }
+ * @param {object} context - Job queue handler context
+ * @returns {Promise<object>} { totalFiles, successCount }
+ */
+async function processBatchJob(job, context) {
+  const { files, settings } = job.payload;
+  const startTime = Date.now();
+  const firstFile = job.checkpoint?.nextFile || 0;
 
-      res.status(500).json({
+  for (let i = firstFile; i < files.length; i++) {
+    if (context.signal.aborted) break;
+    context.pausePoint();
+
+    const file = files[i];
+    try {
+      await processBatchFile(file, i, job, context);
+    } catch (err) {
+      // The file interrupted by a cancel is skipped rather than reported as failed
+      if (context.signal.aborted) break;
+
+      context.addError({
         success: false,
-        error: 'Vectorization failed',
-        message: error.message,
+        originalFilename: file.originalname,
+        error: err.message,
       });
     }
-  });
-}));
+
+    context.checkpoint({ nextFile: i + 1 });
+
+    // Clean up uploaded file (only if using disk storage)
+    if (file.path) await fs.unlink(file.path).catch(() => {});
+  }
+
+  const successCount = job.results.filter(r => r.success).length;
+  apiLogger.batch(files.length, successCount, settings.method, Date.now() - startTime);
+
+  return { totalFiles: files.length, successCount };
+}
+
+jobQueue.registerHandler('vectorize', processVectorizeJob);
+jobQueue.registerHandler('vectorize-batch', processBatchJob);
 
 /**
  * POST /api/vectorize/batch
  * Convert multiple images to SVG vectors with real-time progress
+ * Accepts the same `method`, background removal and post-processing fields as
+ * /api/vectorize (`method` defaults to 'ai').
+ * PDF files accept `pages` (e.g. "1-3,5" or "all"); each page becomes its own
+ * result, or with `pageOutput=pdf` one multi-page PDF per uploaded document.
+ * SVG, EPS and Illustrator files are imported and cleaned up without tracing.
+ * The batch is queued (optional `priority`, default 0) and responds at once;
+ * progress is reported over WebSocket and at /api/job/:jobId.
  * Requires authentication with @idegy.com email
  */
 router.post('/vectorize/batch', asyncHandler(async (req, res) => {
   const upload = req.app.get('upload');
-  const websocketService = req.app.get('websocket');
-  const storageService = req.app.get('storage');
 
   upload.array('images', 20)(req, res, async (error) => {
     if (error) {
@@ -434,177 +743,56 @@ router.post('/vectorize/batch', asyncHandler(async (req, res) => {
       return res.status(400).json({ success: false, error: 'No image files provided' });
     }
 
-    const startTime = Date.now();
-    const { method = 'ai', optimize = 'true', outputFormat = 'svg', ...options } = req.body;
-
-    // Create WebSocket job
-    const jobId = websocketService.createJob({ totalItems: req.files.length });
+    // Same engine and post-processing fields as /api/vectorize
+    const { settings, rest } = vectorizationService.parseSettings(req.body, { method: 'ai' });
+    try {
+      settings.engineParams = parseEngineParams(settings.method, settings.engineParams);
+      Object.assign(settings, parseOutputBudget(settings));
+      settings.colorMetric = parseColorMetric(settings.colorMetric);
+      settings.palette = await paletteStore.resolve(settings.palette);
+      settings.spotLibrary = await paletteStore.resolve(settings.spotLibrary, 'spotLibrary');
+    } catch (validationError) {
+      await Promise.all(req.files.filter(file => file.path).map(file => fs.unlink(file.path).catch(() => {})));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: validationError.message,
+        details: validationError.details,
+      });
+    }
+    const {
+      outputFormat = 'svg',
+      pages,
+      pageOutput = 'svg',
+      priority,
+      ...options
+    } = rest;
+    settings.options = options;
+
+    const job = jobQueue.enqueue('vectorize-batch', {
+      files: req.files.map((file, i) => uploadPayload(file, {
+        // Determine output filename - generate if not available (memory storage)
+        baseName: file.filename
+          ? path.parse(file.filename).name
+          : `${Date.now()}-${Math.round(Math.random() * 1E9)}-${i}`,
+      })),
+      settings,
+      outputFormat,
+      pages,
+      pageOutput,
+    }, {
+      priority: parsePriority(priority, 0),
+      totalItems: req.files.length,
+    });
 
     // Return immediately with job ID
     res.json({
       success: true,
       message: 'Batch processing started',
-      jobId,
+      jobId: job.id,
       totalFiles: req.files.length,
-      method: 'Replicate AI',
+      method: settings.method,
     });
-
-    // Process in background
-    const results = [];
-
-    for (let i = 0; i < req.files.length; i++) {
-      const file = req.files[i];
-
-      try {
-        websocketService.updateJobProgress(jobId, {
-          status: 'processing',
-          currentFile: file.originalname,
-          currentIndex: i,
-        });
-
-        // Get image buffer - handle both memory storage (Vercel) and disk storage (local)
-        let imageBuffer = file.buffer || await fs.readFile(file.path);
-
-        // Convert PDF to image if needed
-        if (file.mimetype === 'application/pdf' || pdfConverter.isPdf(imageBuffer)) {
-          imageBuffer = await pdfConverter.pdfToImage(imageBuffer, { page: 1, scale: 2 });
-        }
-
-        // Preprocess image: always convert to PNG for better Replicate compatibility
-        const metadata = await sharp(imageBuffer).metadata();
-        const maxDimension = 4096;
-        const minDimension = 512;
-        const mimeType = 'image/png';
-
-        // Calculate resize needs
-        const needsDownscale = metadata.width > maxDimension || metadata.height > maxDimension;
-        // Upscale if EITHER dimension is below minimum (not just both)
-        const needsUpscale = metadata.width < minDimension || metadata.height < minDimension;
-
-        let resizeOptions = { fit: 'inside', withoutEnlargement: true };
-
-        if (needsUpscale && !needsDownscale) {
-          // Upscale so the SMALLER dimension reaches minimum (ensures both dimensions are >= minDimension)
-          const scale = minDimension / Math.min(metadata.width, metadata.height);
-          const targetWidth = Math.round(metadata.width * scale);
-          const targetHeight = Math.round(metadata.height * scale);
-          resizeOptions = { width: targetWidth, height: targetHeight, fit: 'fill' };
-        } else if (needsDownscale) {
-          resizeOptions = { width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true };
-        }
-
-        imageBuffer = await sharp(imageBuffer)
-          .resize(resizeOptions)
-          .flatten({ background: { r: 255, g: 255, b: 255 } })
-          .png({ quality: 100 })
-          .toBuffer();
-
-        let svgContent;
-
-        // Vectorize using Replicate AI
-        const dataUri = replicateService.bufferToDataUri(imageBuffer, mimeType);
-        svgContent = await replicateService.vectorizeImage(dataUri, options);
-
-        // Handle URL responses
-        if (typeof svgContent === 'string' && svgContent.startsWith('http')) {
-          const response = await fetch(svgContent);
-          svgContent = await response.text();
-        } else if (typeof svgContent === 'object' && svgContent.uri) {
-          const response = await fetch(svgContent.uri);
-          svgContent = await response.text();
-        }
-
-        // Optimize if requested
-        if (optimize === 'true') {
-          const optimized = svgOptimizer.optimize(svgContent);
-          if (optimized.success) {
-            svgContent = optimized.data;
-          }
-        }
-
-        // Sanitize
-        const sanitized = svgOptimizer.sanitize(svgContent);
-        if (sanitized.success) {
-          svgContent = sanitized.data;
-        }
-
-        // Determine output filename and format - generate if not available (memory storage)
-        const baseName = file.filename
-          ? path.parse(file.filename).name
-          : `${Date.now()}-${Math.round(Math.random() * 1E9)}-${i}`;
-        let outputFilename;
-        let downloadUrl;
-
-        // On Vercel/serverless, skip disk storage (read-only filesystem)
-        const isServerless = !!process.env.VERCEL || !!process.env.AWS_LAMBDA_FUNCTION_NAME;
-
-        if (outputFormat === 'svg') {
-          outputFilename = `${baseName}.svg`;
-          if (!isServerless) {
-            await storageService.saveSVG(svgContent, outputFilename);
-          }
-          downloadUrl = `/api/download/${outputFilename}`;
-        } else if (outputFormat === 'png') {
-          // Convert SVG to PNG using Sharp
-          outputFilename = `${baseName}.png`;
-          const svgBuffer = Buffer.from(svgContent);
-          const pngBuffer = await sharp(svgBuffer)
-            .resize(2048, 2048, { fit: 'inside', withoutEnlargement: true })
-            .png()
-            .toBuffer();
-          if (!isServerless) {
-            await storageService.saveFile(pngBuffer, outputFilename, 'output');
-          }
-          downloadUrl = `/api/download/${outputFilename}`;
-        } else if (outputFormat === 'pdf') {
-          outputFilename = `${baseName}.svg`;
-          if (!isServerless) {
-            await storageService.saveSVG(svgContent, outputFilename);
-          }
-          downloadUrl = `/api/download/${baseName}.pdf?source=${outputFilename}`;
-        } else {
-          outputFilename = `${baseName}.svg`;
-          if (!isServerless) {
-            await storageService.saveSVG(svgContent, outputFilename);
-          }
-          downloadUrl = `/api/download/${outputFilename}`;
-        }
-
-        const result = {
-          success: true,
-          originalFilename: file.originalname,
-          outputFilename,
-          downloadUrl,
-          svgContent: outputFormat === 'svg' ? svgContent : undefined,
-          format: outputFormat,
-        };
-
-        results.push(result);
-        websocketService.addJobResult(jobId, result);
-
-      } catch (err) {
-        const errorResult = {
-          success: false,
-          originalFilename: file.originalname,
-          error: err.message,
-        };
-
-        results.push(errorResult);
-        websocketService.addJobError(jobId, errorResult);
-      }
-
-      // Clean up uploaded file (only if using disk storage)
-      if (file.path) await fs.unlink(file.path).catch(() => {});
-    }
-
-    const successCount = results.filter(r => r.success).length;
-    const duration = Date.now() - startTime;
-
-    // Complete the job
-    websocketService.completeJob(jobId, 'completed');
-
-    // Log the operation
-    apiLogger.batch(req.files.length, successCount, method, duration);
   });
 }));
 
@@ -617,8 +805,8 @@ router.get('/download/:filename', asyncHandler(async (req, res) => {
   const filename = req.params.filename;
   const sourceFile = req.query.source; // For PDF conversion from SVG
 
-  // Validate filename - allow svg, png, pdf extensions
-  if (!/^[\w\-\.]+\.(svg|png|pdf)$/i.test(filename)) {
+  // Validate filename - allow svg, png, pdf, eps, ai extensions
+  if (!/^[\w\-\.]+\.(svg|png|pdf|eps|ai)$/i.test(filename)) {
     throw new NotFoundError('File');
   }
 
@@ -641,37 +829,42 @@ router.get('/download/:filename', asyncHandler(async (req, res) => {
     } catch (err) {
       throw new NotFoundError('File');
     }
+  } else if (ext === '.eps' || ext === '.ai') {
+    // EPS and AI files are written to the output folder by /api/convert
+    try {
+      const result = await storageService.readFile(filename, 'output');
+      res.setHeader('Content-Type', 'application/postscript');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Cache-Control', 'public, max-age=86400');
+      res.send(result.content);
+    } catch (err) {
+      throw new NotFoundError('File');
+    }
   } else if (ext === '.pdf') {
+    // Multi-page vectorizations store a finished PDF in the output folder
+    if (!sourceFile) {
+      const stored = await storageService.readFile(filename, 'output').catch(() => null);
+      if (stored) {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+        return res.send(stored.content);
+      }
+    }
+
     // Convert SVG to PDF on-the-fly
     const svgFilename = sourceFile || filename.replace('.pdf', '.svg');
     try {
       const result = await storageService.readSVG(svgFilename);
       const svgContent = result.content;
 
-      // Use PDFKit to create PDF from SVG
-      const PDFDocument = require('pdfkit');
-      const SVGtoPDF = require('svg-to-pdfkit');
-
-      const doc = new PDFDocument({ autoFirstPage: false });
-      const chunks = [];
-
-      doc.on('data', chunk => chunks.push(chunk));
-      doc.on('end', () => {
-        const pdfBuffer = Buffer.concat(chunks);
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.send(pdfBuffer);
+      const pdfBuffer = await formatConverter.generatePDF(svgContent, {
+        metadata: { title: path.parse(filename).name },
       });
 
-      // Parse SVG to get dimensions
-      const widthMatch = svgContent.match(/width="(\d+)"/);
-      const heightMatch = svgContent.match(/height="(\d+)"/);
-      const width = widthMatch ? parseInt(widthMatch[1]) : 800;
-      const height = heightMatch ? parseInt(heightMatch[1]) : 600;
-
-      doc.addPage({ size: [width, height] });
-      SVGtoPDF(doc, svgContent, 0, 0, { width, height });
-      doc.end();
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(pdfBuffer);
     } catch (err) {
       throw new NotFoundError('File');
     }
@@ -702,10 +895,11 @@ router.get('/preview/:filename', asyncHandler(async (req, res) => {
 /**
  * GET /api/job/:jobId
  * Get job status
+ * Jobs are persisted, so status and results remain available after a
+ * restart; `output` holds the full result once a single vectorization completes.
  */
 router.get('/job/:jobId', (req, res) => {
-  const websocketService = req.app.get('websocket');
-  const job = websocketService.getJob(req.params.jobId);
+  const job = jobQueue.getJob(req.params.jobId);
 
   if (!job) {
     return res.status(404).json({
@@ -721,9 +915,227 @@ router.get('/job/:jobId', (req, res) => {
   });
 });
 
+/**
+ * Apply a cancel, pause or resume request to a job
+ * Finished jobs cannot change state and answer 409.
+ */
+function controlJob(action) {
+  return (req, res) => {
+    const job = jobQueue.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'The job may have expired or does not exist',
+      });
+    }
+
+    if (jobQueue.isFinished(job)) {
+      return res.status(409).json({
+        success: false,
+        error: `Job already ${job.status}`,
+        job,
+      });
+    }
+
+    res.json({
+      success: true,
+      job: jobQueue[action](job.id),
+    });
+  };
+}
+
+/**
+ * DELETE /api/job/:jobId
+ * Cancel a job: queued jobs stop immediately, running jobs abort their
+ * in-flight Replicate call and skip remaining files. Results produced before
+ * cancellation stay in the job and remain downloadable.
+ */
+router.delete('/job/:jobId', controlJob('cancel'));
+
+/**
+ * POST /api/job/:jobId/pause
+ * Pause a job; a running batch stops after the file in progress
+ */
+router.post('/job/:jobId/pause', controlJob('pause'));
+
+/**
+ * POST /api/job/:jobId/resume
+ * Resume a paused job from where it stopped
+ */
+router.post('/job/:jobId/resume', controlJob('resume'));
+
+const ARCHIVE_FORMATS = ['svg', 'pdf', 'png'];
+
+/**
+ * Load the SVG behind a job result, from the output folder or the result itself
+ * @returns {Promise<string|null>} null when the result was not kept as SVG
+ */
+async function readResultSvg(result) {
+  if (path.extname(result.outputFilename).toLowerCase() === '.svg') {
+    const stored = await storageService.readSVG(result.outputFilename).catch(() => null);
+    if (stored) return stored.content;
+  }
+  return result.svgContent || null;
+}
+
+/**
+ * Write one archive entry per requested format for a job result
+ * Formats that cannot be produced are reported in the returned errors instead.
+ * @param {ZipWriter} zip - Archive being written
+ * @param {object} result - Successful job result
+ * @param {string} name - Entry name without extension
+ * @param {string[]} formats - Requested formats
+ * @returns {Promise<object>} { quality, files, errors } for the manifest
+ */
+async function addResultToArchive(zip, result, name, formats) {
+  const storedFormat = path.extname(result.outputFilename).slice(1).toLowerCase();
+  const svg = await readResultSvg(result);
+  const files = {};
+  const errors = [];
+
+  // The score the job reported, fidelity included, rather than a rescore of the file
+  const quality = result.quality ? { score: result.quality.score, rating: result.quality.rating } : null;
+
+  for (const format of formats) {
+    const entryName = `${name}.${format}`;
+
+    // Outputs stored as PNG or combined PDFs are copied as-is
+    if (format === storedFormat && format !== 'svg') {
+      if (await storageService.fileExists(result.outputFilename)) {
+        await zip.addStream(entryName, createReadStream(path.join(storageService.outputDir, result.outputFilename)));
+        files[format] = entryName;
+      } else {
+        errors.push({ format, error: 'Output file is no longer available' });
+      }
+      continue;
+    }
+
+    if (!svg) {
+      errors.push({ format, error: `Cannot convert ${storedFormat.toUpperCase()} output to ${format.toUpperCase()}` });
+      continue;
+    }
+
+    let data;
+    try {
+      if (format === 'svg') {
+        data = svg;
+      } else if (format === 'pdf') {
+        data = await formatConverter.generatePDF(svg, { metadata: { title: name } });
+      } else {
+        data = await sharp(Buffer.from(svg))
+          .resize(2048, 2048, { fit: 'inside', withoutEnlargement: true })
+          .png()
+          .toBuffer();
+      }
+    } catch (conversionError) {
+      errors.push({ format, error: conversionError.message });
+      continue;
+    }
+
+    // PNG data is already compressed
+    await zip.addFile(entryName, data, { compress: format !== 'png' });
+    files[format] = entryName;
+  }
+
+  return { quality, files, errors };
+}
+
+/**
+ * Stream every successful output of a job into a ZIP archive
+ * Results are converted and written one at a time, so only a single output
+ * is held in memory. manifest.json is written last.
+ * @param {ZipWriter} zip - Archive being written
+ * @param {object} job - Job snapshot
+ * @param {string[]} formats - Requested formats
+ */
+async function writeJobArchive(zip, job, formats) {
+  const usedNames = new Set();
+  const entries = [];
+
+  for (const result of job.results) {
+    if (!result.success || !result.outputFilename) continue;
+
+    // Named after the uploaded file; duplicates get a numeric suffix
+    const original = path.parse(result.originalFilename || result.outputFilename).name;
+    const baseName = result.page ? `${original}-page${result.page}` : original;
+    let name = baseName;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${baseName} (${n})`;
+    }
+    usedNames.add(name);
+
+    const { quality, files, errors } = await addResultToArchive(zip, result, name, formats);
+    entries.push({
+      originalFilename: result.originalFilename,
+      page: result.page,
+      route: result.route,
+      quality,
+      files,
+      errors,
+    });
+  }
+
+  const manifest = {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: new Date(job.createdAt).toISOString(),
+    completedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null,
+    formats,
+    files: entries,
+    errors: job.errors,
+  };
+  await zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+  await zip.finalize();
+}
+
+/**
+ * GET /api/job/:jobId/archive
+ * Download every successful output of a job as a ZIP archive
+ * `formats` is a comma-separated list of svg, pdf and png (default svg).
+ * Files are named after the uploaded file, and manifest.json lists quality
+ * scores and per-file errors. The archive is streamed as it is built.
+ */
+router.get('/job/:jobId/archive', asyncHandler(async (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: 'The job may have expired or does not exist',
+    });
+  }
+
+  const formats = [...new Set(String(req.query.formats || 'svg')
+    .split(',')
+    .map(format => format.trim().toLowerCase())
+    .filter(Boolean))];
+  const invalid = formats.filter(format => !ARCHIVE_FORMATS.includes(format));
+  if (formats.length === 0 || invalid.length > 0) {
+    throw new ValidationError(`Invalid archive format: ${invalid.join(', ') || 'none'}`, [
+      { field: 'formats', message: `Use a comma-separated list of ${ARCHIVE_FORMATS.join(', ')}` },
+    ]);
+  }
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="job-${job.id.slice(0, 8)}.zip"`);
+
+  try {
+    await writeJobArchive(new ZipWriter(res), job, formats);
+  } catch (error) {
+    // Headers are already sent, so the only signal left is a truncated response
+    console.error('Job archive failed:', error.message);
+    res.destroy(error);
+  }
+}));
+
 /**
  * GET /api/methods
- * Get available vectorization methods and their info
+ * Get available vectorization methods and their info, including the
+ * `parameters` each method accepts in `engineParams`
  */
 router.get('/methods', asyncHandler(async (req, res) => {
   const cacheService = req.app.get('cache');
@@ -740,6 +1152,33 @@ router.get('/methods', asyncHandler(async (req, res) => {
 
   const result = {
     methods: [
+      {
+        id: 'auto',
+        name: 'Automatic',
+        description: 'Analyzes the upload and picks the engine and its parameters. The choice and the reasons for it are returned as methodSelection.',
+        available: true,
+        recommended: false,
+        default: false,
+        features: [
+          'Measures color count, photographic texture and smooth shading',
+          'Finds lettering, line art and transparency',
+          'Tunes color count and upscaling to the resolution',
+          'Explains its choice in the response',
+        ],
+      },
+      {
+        id: 'compare',
+        name: 'Engine Comparison',
+        description: 'Runs the Smoothing, Potrace, VTracer and IDEGY engines in parallel and returns the best-scoring result, with every candidate ranked.',
+        available: true,
+        recommended: false,
+        default: false,
+        features: [
+          'Local engines traced side by side in worker threads',
+          'Scored on SVG quality and pixel fidelity to the source',
+          'All candidates returned ranked, best one as the output',
+        ],
+      },
       {
         id: 'smooth',
         name: 'Smoothing Vectorizer',
@@ -818,6 +1257,50 @@ router.get('/methods', asyncHandler(async (req, res) => {
           'No external dependencies',
         ],
       },
+      {
+        id: 'centerline',
+        name: 'Centerline Tracer',
+        description: 'Traces the middle of strokes instead of their outlines. Best for line art, signatures, technical drawings and engravings.',
+        available: true,
+        recommended: false,
+        default: false,
+        features: [
+          'Open stroked paths instead of filled outlines',
+          'Stroke width estimated from the ink',
+          'Crossing lines kept as continuous strokes',
+          'Keeps ink color per stroke',
+          'Easy to edit or plot (pen plotters, laser engraving)',
+        ],
+      },
+      {
+        id: 'pixel-art',
+        name: 'Pixel Art',
+        description: 'Exact square pixels for sprites and icons, even when they were upscaled. Optional smooth depixelized style.',
+        available: true,
+        recommended: false,
+        default: false,
+        features: [
+          'Native pixel grid detected in nearest-neighbor upscaled images',
+          'Same-colored pixels merged into minimal rectilinear paths',
+          'Crisp axis-aligned edges (shape-rendering="crispEdges")',
+          'Exact colors, transparency kept',
+          'Smooth style: diagonals resolved and cells reshaped before curve fitting',
+        ],
+      },
+      {
+        id: 'illustration',
+        name: 'Illustration / Photo',
+        description: 'Stacked flat-color layers for photos and painted illustrations, kept under a path or file-size budget.',
+        available: true,
+        recommended: false,
+        default: false,
+        features: [
+          'Perceptually uniform superpixel regions (SLIC in CIELAB)',
+          'Detail slider from 0 to 100 merges similar and small regions',
+          'Layers stacked large to small with no gaps between them',
+          'Hard maxPaths and maxBytes budgets',
+        ],
+      },
       {
         id: 'vtracer',
         name: 'VTracer',
@@ -853,8 +1336,15 @@ router.get('/methods', asyncHandler(async (req, res) => {
       batchProcessing: true,
       realTimeProgress: true,
     },
+    // Values of colorMetric, the first being the engines' default
+    colorMetrics: METRICS,
   };
 
+  // Tunable engineParams for each method
+  for (const method of result.methods) {
+    method.parameters = ENGINE_PARAMETERS[method.id] || [];
+  }
+
   // Cache for 5 minutes
   cacheService.setAPI('methods', result, 300);
 
@@ -21,11 +21,13 @@ const { errorHandler } = require('./utils/errors');
 const websocketService = require('./services/websocketService');
 const cacheService = require('./services/cacheService');
 const storageService = require('./services/storageService');
+const jobQueue = require('./services/jobQueue');
 
 // Routes
 const vectorizeRoutes = require('./routes/vectorizeRoutes');
 const formatRoutes = require('./routes/formatRoutes');
 const authRoutes = require('./routes/authRoutes');
+const paletteRoutes = require('./routes/paletteRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -38,6 +40,9 @@ if (!process.env.VERCEL) {
   websocketService.initialize(server);
 }
 
+// Job progress reaches WebSocket clients through queue events
+websocketService.attachJobQueue(jobQueue);
+
 // Trust proxy (for rate limiting behind reverse proxy)
 app.set('trust proxy', 1);
 
@@ -97,11 +102,19 @@ const upload = multer({
     files: 20 // Max 20 files for batch
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp', 'application/pdf'];
-    if (allowedTypes.includes(file.mimetype)) {
+    const allowedTypes = [
+      'image/png', 'image/jpeg', 'image/jpg', 'image/webp', 'application/pdf',
+      // Vector documents imported without tracing
+      'image/svg+xml', 'application/postscript', 'application/eps', 'application/x-eps',
+      'image/eps', 'image/x-eps', 'application/illustrator', 'application/vnd.adobe.illustrator',
+    ];
+    // Browsers report EPS/AI files inconsistently (often as octet-stream)
+    const vectorExtensions = ['.svg', '.eps', '.ai', '.ps'];
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (allowedTypes.includes(file.mimetype) || vectorExtensions.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PNG, JPG, JPEG, WEBP, and PDF are allowed.'));
+      cb(new Error('Invalid file type. Only PNG, JPG, JPEG, WEBP, PDF, SVG, EPS, and AI are allowed.'));
     }
   }
 });
@@ -116,6 +129,7 @@ app.set('storage', storageService);
 app.use('/api', vectorizeRoutes);
 app.use('/api', formatRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/palettes', paletteRoutes);
 
 // Health check with extended info
 app.get('/api/health', cacheService.cacheMiddleware(60), (req, res) => {
@@ -136,6 +150,7 @@ app.get('/api/health', cacheService.cacheMiddleware(60), (req, res) => {
     stats: {
       cache: cacheService.getStats(),
       websocket: websocketService.getStats(),
+      jobs: jobQueue.getStats(),
     }
   });
 });
@@ -153,6 +168,7 @@ app.get('/api/stats', async (req, res) => {
     cache: cacheService.getStats(),
     storage: storageStats,
     websocket: websocketService.getStats(),
+    jobs: jobQueue.getStats(),
   });
 });
 
@@ -189,6 +205,9 @@ const gracefulShutdown = async (signal) => {
   // Close WebSocket connections
   websocketService.shutdown();
 
+  // Stop taking jobs; running jobs are resumed on the next start
+  await jobQueue.stop();
+
   // Close HTTP server
   server.close(() => {
     logger.info('HTTP server closed');
@@ -221,6 +240,9 @@ const startServer = async () => {
     // Ensure directories exist
     await storageService.ensureDirectories();
 
+    // Resume queued and interrupted jobs
+    await jobQueue.start();
+
     server.listen(PORT, () => {
       const startupMessage = `
 ╔═══════════════════════════════════════════════════════════╗
@@ -254,6 +276,9 @@ const startServer = async () => {
 // Only start server when not running on Vercel serverless
 if (!process.env.VERCEL) {
   startServer();
+} else {
+  // Serverless requests still run through the (in-memory) job queue
+  jobQueue.start().catch(error => logger.error('Failed to start job queue:', error));
 }
 
 // Export for Vercel serverless (needs default export of app)
@@ -78,12 +78,16 @@ class BackgroundRemovalService {
    * @param {Object} options - Options for background removal
    * @param {string} options.quality - Quality preset: 'fast', 'balanced', or 'quality'
    * @param {number} options.threshold - Threshold for balanced model (0.0-1.0)
+   * @param {AbortSignal} options.signal - Cancels the prediction
    * @returns {Promise<string>} - Data URI of image with background removed
    */
   async removeBackground(imageDataUri, options = {}) {
     if (!this.isAvailable()) {
       throw new Error('Background removal service is not available - REPLICATE_API_TOKEN not configured');
     }
+    if (options.signal?.aborted) {
+      throw new Error('Background removal cancelled');
+    }
 
     const quality = options.quality || this.defaultModel;
     const modelConfig = this.models[quality] || this.models[this.defaultModel];
@@ -98,7 +102,10 @@ class BackgroundRemovalService {
         input.threshold = options.threshold;
       }
 
-      const output = await this.replicate.run(modelConfig.id, { input });
+      const output = await this.replicate.run(modelConfig.id, { input, signal: options.signal });
+      if (options.signal?.aborted) {
+        throw new Error('cancelled');
+      }
 
       console.log('Background removed successfully');
 
@@ -118,7 +125,7 @@ class BackgroundRemovalService {
 
       // Convert URL to data URI
       if (typeof resultUrl === 'string' && resultUrl.startsWith('http')) {
-        const response = await fetch(resultUrl);
+        const response = await fetch(resultUrl, { signal: options.signal });
         const arrayBuffer = await response.arrayBuffer();
         const buffer = Buffer.from(arrayBuffer);
         const base64 = buffer.toString('base64');
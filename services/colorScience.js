@@ -0,0 +1,192 @@
+/**
+ * Color Science
+ * Color space conversions and color difference metrics shared by every
+ * engine, so merging, snapping and edge decisions agree on what "close"
+ * means.
+ *
+ * Metrics work on coordinates from coordinates(): CIELab for cie76, cie94
+ * and ciede2000, OKLab scaled by 100 for oklab so its distances are on the
+ * same scale as the CIELab ones and engine thresholds carry over.
+ */
+
+const METRICS = ['cie76', 'cie94', 'ciede2000', 'oklab'];
+const DEFAULT_METRIC = 'cie76';
+
+// sRGB channel (0-255) to linear light
+const LINEAR = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  LINEAR[i] = c > 0.04045 ? ((c + 0.055) / 1.055) ** 2.4 : c / 12.92;
+}
+
+const RAD = Math.PI / 180;
+
+function isMetric(name) {
+  return METRICS.includes(name);
+}
+
+/**
+ * Convert sRGB to CIELab (D65)
+ * @param {object} color - { r, g, b } with 0-255 channels
+ * @returns {object} { L, a, b } with L in 0-100
+ */
+function rgbToLab({ r, g, b }) {
+  const lr = LINEAR[Math.round(r)];
+  const lg = LINEAR[Math.round(g)];
+  const lb = LINEAR[Math.round(b)];
+  const f = t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const fx = f((lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047);
+  const fy = f(lr * 0.2126 + lg * 0.7152 + lb * 0.0722);
+  const fz = f((lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883);
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+/**
+ * Convert sRGB to OKLab (Ottosson 2020)
+ * @param {object} color - { r, g, b } with 0-255 channels
+ * @returns {object} { L, a, b } with L in 0-1
+ */
+function rgbToOklab({ r, g, b }) {
+  const lr = LINEAR[Math.round(r)];
+  const lg = LINEAR[Math.round(g)];
+  const lb = LINEAR[Math.round(b)];
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+  };
+}
+
+/**
+ * Coordinates a metric measures differences in
+ * Averages of these are valid inputs to difference(), so engines can keep
+ * running means of region colors.
+ * @param {object} color - { r, g, b } with 0-255 channels
+ * @param {string} metric - One of METRICS
+ * @returns {object} { L, a, b }
+ */
+function coordinates(color, metric = DEFAULT_METRIC) {
+  if (metric === 'oklab') {
+    const { L, a, b } = rgbToOklab(color);
+    return { L: L * 100, a: a * 100, b: b * 100 };
+  }
+  return rgbToLab(color);
+}
+
+/**
+ * CIE76: euclidean distance in Lab
+ */
+function deltaE76(lab1, lab2) {
+  return Math.sqrt((lab1.L - lab2.L) ** 2 + (lab1.a - lab2.a) ** 2 + (lab1.b - lab2.b) ** 2);
+}
+
+/**
+ * CIE94 with graphic-arts weights; lab1 is the reference color
+ */
+function deltaE94(lab1, lab2) {
+  const chroma1 = Math.hypot(lab1.a, lab1.b);
+  const chroma2 = Math.hypot(lab2.a, lab2.b);
+  const dL = lab1.L - lab2.L;
+  const dC = chroma1 - chroma2;
+  const dH2 = Math.max(0, (lab1.a - lab2.a) ** 2 + (lab1.b - lab2.b) ** 2 - dC * dC);
+  const sC = 1 + 0.045 * chroma1;
+  const sH = 1 + 0.015 * chroma1;
+  return Math.sqrt(dL * dL + (dC / sC) ** 2 + dH2 / (sH * sH));
+}
+
+/**
+ * CIEDE2000 (Sharma, Wu and Dalal 2005)
+ * @returns {number} ΔE00, where about 1 is just noticeable
+ */
+function deltaE2000(lab1, lab2) {
+  const cBar = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2;
+  const g = 0.5 * (1 - Math.sqrt(cBar ** 7 / (cBar ** 7 + 25 ** 7)));
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+  const chroma1 = Math.hypot(a1, lab1.b);
+  const chroma2 = Math.hypot(a2, lab2.b);
+  const hue = (b, a) => (b === 0 && a === 0 ? 0 : (Math.atan2(b, a) / RAD + 360) % 360);
+  const h1 = hue(lab1.b, a1);
+  const h2 = hue(lab2.b, a2);
+
+  const dL = lab2.L - lab1.L;
+  const dC = chroma2 - chroma1;
+  let dh = 0;
+  if (chroma1 * chroma2 !== 0) {
+    dh = h2 - h1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(chroma1 * chroma2) * Math.sin((dh / 2) * RAD);
+
+  const lBar = (lab1.L + lab2.L) / 2;
+  const chromaBar = (chroma1 + chroma2) / 2;
+  let hBar = h1 + h2;
+  if (chroma1 * chroma2 !== 0) {
+    hBar = Math.abs(h1 - h2) <= 180 ? hBar / 2 : (hBar < 360 ? (hBar + 360) / 2 : (hBar - 360) / 2);
+  }
+
+  const t = 1
+    - 0.17 * Math.cos((hBar - 30) * RAD)
+    + 0.24 * Math.cos(2 * hBar * RAD)
+    + 0.32 * Math.cos((3 * hBar + 6) * RAD)
+    - 0.20 * Math.cos((4 * hBar - 63) * RAD);
+  const sL = 1 + (0.015 * (lBar - 50) ** 2) / Math.sqrt(20 + (lBar - 50) ** 2);
+  const sC = 1 + 0.045 * chromaBar;
+  const sH = 1 + 0.015 * chromaBar * t;
+  const rT = -2 * Math.sqrt(chromaBar ** 7 / (chromaBar ** 7 + 25 ** 7))
+    * Math.sin(60 * Math.exp(-(((hBar - 275) / 25) ** 2)) * RAD);
+
+  return Math.sqrt(
+    (dL / sL) ** 2 +
+    (dC / sC) ** 2 +
+    (dH / sH) ** 2 +
+    rT * (dC / sC) * (dH / sH)
+  );
+}
+
+/**
+ * Difference between two colors given as coordinates()
+ * @param {object} p1 - { L, a, b }, the reference color for cie94
+ * @param {object} p2 - { L, a, b }
+ * @param {string} metric - One of METRICS
+ */
+function difference(p1, p2, metric = DEFAULT_METRIC) {
+  switch (metric) {
+    case 'cie94':
+      return deltaE94(p1, p2);
+    case 'ciede2000':
+      return deltaE2000(p1, p2);
+    case 'cie76':
+    case 'oklab':
+    default:
+      return deltaE76(p1, p2);
+  }
+}
+
+/**
+ * Perceptual distance between two sRGB colors
+ * @param {object} c1 - { r, g, b }, the reference color for cie94
+ * @param {object} c2 - { r, g, b }
+ * @param {string} metric - One of METRICS (default cie76)
+ */
+function distance(c1, c2, metric = DEFAULT_METRIC) {
+  return difference(coordinates(c1, metric), coordinates(c2, metric), metric);
+}
+
+module.exports = {
+  METRICS,
+  DEFAULT_METRIC,
+  isMetric,
+  rgbToLab,
+  rgbToOklab,
+  coordinates,
+  deltaE76,
+  deltaE94,
+  deltaE2000,
+  difference,
+  distance,
+};
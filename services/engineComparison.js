@@ -0,0 +1,124 @@
+/**
+ * Engine Comparison Service
+ * Backs method=compare: traces one image with several local engines in
+ * parallel worker threads, scores every result on SVG quality and on how
+ * closely its rendering matches the source, and ranks them best first.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const qualityValidator = require('./qualityValidator');
+const vtracerService = require('./vtracerService');
+const { ProcessingError } = require('../utils/errors');
+
+const WORKER_PATH = path.join(__dirname, 'workers', 'traceWorker.js');
+
+class EngineComparison {
+  constructor() {
+    // Local engines only: each runs without network access or API tokens.
+    // potrace (ColorPreservingVectorizer) is raced here but is not a public method
+    this.engines = ['smooth', 'potrace', 'vtracer', 'idegy'];
+    this.timeout = 120000; // Per engine, in ms
+  }
+
+  /**
+   * Trace an image with every local engine and rank the results
+   * @param {Buffer} imageBuffer - Raster image
+   * @param {object} settings - Vectorize settings shared by all engines
+   * @param {object} control - { reportStatus, signal } where signal stops all workers
+   * @returns {Promise<Array>} Candidates, best first: { rank, method, success,
+   *   processingMethod, score, quality, fidelity, duration, output } or
+   *   { method, success: false, error } for engines that failed
+   */
+  async compare(imageBuffer, settings, control = {}) {
+    const { reportStatus = () => {}, signal } = control;
+    const engines = this.engines.filter(method => method !== 'vtracer' || vtracerService.isAvailable());
+    const skipped = this.engines
+      .filter(method => !engines.includes(method))
+      .map(method => ({ method, success: false, error: 'Engine is not available' }));
+
+    reportStatus('comparing');
+    const candidates = await Promise.all(engines.map(async (method) => {
+      const startTime = Date.now();
+      try {
+        const output = await this.runWorker(method, imageBuffer, settings, signal);
+        const duration = Date.now() - startTime;
+        return { method, success: true, duration, output, ...(await this.score(output.svg, imageBuffer)) };
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(`[EngineComparison] ${method} failed:`, error.message);
+        return { method, success: false, error: error.message };
+      }
+    }));
+
+    const ranked = candidates
+      .filter(candidate => candidate.success)
+      .sort((a, b) => b.score - a.score || a.quality.fileSize - b.quality.fileSize)
+      .map((candidate, index) => ({ rank: index + 1, ...candidate, processingMethod: candidate.output.processingMethod }));
+
+    if (ranked.length === 0) {
+      throw new ProcessingError('No engine could vectorize the image', {
+        candidates: [...candidates, ...skipped].map(({ method, error }) => ({ method, error })),
+      });
+    }
+
+    console.log(`[EngineComparison] ${ranked.map(c => `${c.method}=${c.score}`).join(', ')}`);
+    return [...ranked, ...candidates.filter(candidate => !candidate.success), ...skipped];
+  }
+
+  /**
+   * Score one SVG against its source
+   * @returns {Promise<object>} { score, quality, fidelity }
+   */
+  async score(svg, imageBuffer) {
+    const metrics = qualityValidator.validateSVG(svg);
+    const fidelity = await qualityValidator.measureFidelity(svg, imageBuffer, { maxSize: 512, heatmap: false });
+
+    return {
+      score: qualityValidator.combineScores(metrics.score, fidelity),
+      quality: {
+        score: metrics.score,
+        rating: metrics.quality,
+        pathCount: metrics.pathCount,
+        fileSize: metrics.fileSize,
+      },
+      fidelity,
+    };
+  }
+
+  /**
+   * Run the pipeline for one engine in a worker thread
+   * @returns {Promise<object>} { svg, processingMethod, optimizationStats, postProcessStats, symmetry, palette, spots }
+   */
+  runWorker(method, imageBuffer, settings, signal) {
+    if (signal?.aborted) return Promise.reject(new Error('Comparison cancelled'));
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_PATH, {
+        workerData: { method, image: imageBuffer, settings },
+      });
+
+      let settled = false;
+      const finish = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abort);
+        worker.terminate();
+        callback(value);
+      };
+      const abort = () => finish(reject, new Error('Comparison cancelled'));
+      const timer = setTimeout(() => finish(reject, new Error(`Timed out after ${this.timeout / 1000}s`)), this.timeout);
+      signal?.addEventListener('abort', abort, { once: true });
+
+      worker.on('message', (message) => {
+        if (message.error) finish(reject, new Error(message.error));
+        else finish(resolve, message.output);
+      });
+      worker.on('error', error => finish(reject, error));
+      worker.on('exit', code => finish(reject, new Error(`Worker exited with code ${code}`)));
+    });
+  }
+}
+
+module.exports = new EngineComparison();
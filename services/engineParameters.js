@@ -0,0 +1,88 @@
+/**
+ * Engine Parameters
+ * Tunable parameters of each vectorization method, sent as JSON in
+ * `engineParams`. middleware/validation.js builds the request schemas from
+ * them, /api/methods publishes them and outputBudget relaxes them.
+ */
+
+// A value sent in engineParams overrides the one the detailLevel preset
+// would pick. Defaults are listed where they do not depend on detailLevel.
+const smoothParameters = [
+  { name: 'upscaleFactor', type: 'integer', min: 1, max: 6, default: 3, description: 'Scale applied before tracing' },
+  { name: 'colorCount', type: 'integer', min: 2, max: 64, default: 64, description: 'Most colors the image is quantized to' },
+  { name: 'lineTolerance', type: 'number', min: 0.1, max: 10, default: 0.5, description: 'Error in upscaled pixels accepted for a straight segment' },
+  { name: 'curveTolerance', type: 'number', min: 0.1, max: 10, default: 0.5, description: 'Error in upscaled pixels accepted for a curve segment' },
+  { name: 'speckleFilter', type: 'integer', min: 0, max: 1000, default: 4, description: 'Outlines with fewer edge points are dropped' },
+  { name: 'cornerThreshold', type: 'integer', min: 1, max: 180, default: 60, description: 'Turns sharper than this many degrees stay corners (planar topology)' },
+];
+
+const vtracerParameters = [
+  { name: 'colorCount', type: 'integer', min: 2, max: 256, description: 'Colors the image is quantized to before tracing' },
+  { name: 'colorPrecision', type: 'integer', min: 1, max: 8, description: 'Significant bits per color channel' },
+  { name: 'layerDifference', type: 'integer', min: 0, max: 255, description: 'Color difference between layers' },
+  { name: 'filterSpeckle', type: 'integer', min: 0, max: 128, description: 'Patches smaller than this many pixels are discarded' },
+  { name: 'cornerThreshold', type: 'integer', min: 0, max: 180, description: 'Minimum angle in degrees to be a corner' },
+  { name: 'spliceThreshold', type: 'integer', min: 0, max: 180, description: 'Minimum angle displacement in degrees to splice a spline' },
+  { name: 'lengthThreshold', type: 'number', min: 1, max: 20, description: 'Segments shorter than this are merged' },
+  { name: 'maxIterations', type: 'integer', min: 1, max: 50, description: 'Curve fitting iterations' },
+  { name: 'pathPrecision', type: 'integer', min: 0, max: 8, description: 'Decimal places in path coordinates' },
+];
+
+const vtracerPreset = {
+  name: 'preset', type: 'enum', values: ['logo', 'detailed', 'poster', 'bw', 'text'], description: 'VTracer preset the other parameters override',
+};
+
+const ENGINE_PARAMETERS = {
+  smooth: smoothParameters,
+  'color-preserving': smoothParameters,
+  'gen-pro': [
+    { name: 'upscaleFactor', type: 'integer', min: 2, max: 4, default: 4, description: 'Real-ESRGAN super-resolution scale' },
+    ...vtracerParameters,
+  ],
+  'ai-pro': [vtracerPreset, ...vtracerParameters],
+  vtracer: [vtracerPreset, ...vtracerParameters],
+  idegy: [
+    { name: 'edgeThreshold', type: 'integer', min: 1, max: 255, default: 10, description: 'Gradient magnitude that counts as an edge' },
+    { name: 'colorGroupThreshold', type: 'integer', min: 1, max: 100, default: 15, description: 'Color distance merged into one region' },
+    { name: 'minContourLength', type: 'integer', min: 1, max: 1000, default: 4, description: 'Contours with fewer points are dropped' },
+    { name: 'simplifyTolerance', type: 'number', min: 0.1, max: 10, description: 'Polyline simplification tolerance in pixels' },
+    { name: 'smoothIterations', type: 'integer', min: 1, max: 10, default: 1, description: 'Contour smoothing passes' },
+    { name: 'lineTolerance', type: 'number', min: 0.1, max: 10, description: 'Error in pixels accepted for a straight segment' },
+    { name: 'arcTolerance', type: 'number', min: 0.1, max: 10, default: 0.5, description: 'Error in pixels accepted for an arc' },
+    { name: 'bezierTolerance', type: 'number', min: 0.1, max: 10, default: 0.5, description: 'Error in pixels accepted for a Bezier curve' },
+    { name: 'gapFillerWidth', type: 'number', min: 0.1, max: 5, default: 1, description: 'Width of the strokes that close gaps between shapes' },
+  ],
+  centerline: [
+    { name: 'threshold', type: 'integer', min: 0, max: 255, description: "Luminance below which a pixel is ink; Otsu's method when omitted" },
+    { name: 'maxDimension', type: 'integer', min: 100, max: 8000, default: 2000, description: 'Larger images are downscaled before tracing' },
+    { name: 'minStrokeLength', type: 'integer', min: 1, max: 1000, default: 3, description: 'Strokes with fewer skeleton pixels are dropped' },
+    { name: 'minInkArea', type: 'integer', min: 1, max: 10000, default: 4, description: 'Ink specks with fewer pixels are dropped' },
+    { name: 'smoothing', type: 'integer', min: 0, max: 10, description: 'Moving-average radius along each stroke' },
+    { name: 'lineTolerance', type: 'number', min: 0.1, max: 10, description: 'Error in pixels accepted for a straight segment' },
+    { name: 'bezierTolerance', type: 'number', min: 0.1, max: 10, description: 'Error in pixels accepted for a Bezier curve' },
+    { name: 'cornerThreshold', type: 'integer', min: 1, max: 180, default: 50, description: 'Turns sharper than this many degrees stay corners' },
+  ],
+  'pixel-art': [
+    { name: 'style', type: 'enum', values: ['crisp', 'smooth'], default: 'crisp', description: 'crisp keeps exact square pixels; smooth depixelizes them into curves' },
+    { name: 'pixelSize', type: 'integer', min: 1, max: 256, description: 'Source pixels per art pixel; detected from the image when omitted' },
+    { name: 'colorTolerance', type: 'integer', min: 0, max: 64, default: 8, description: 'Channel difference still counted as the same color' },
+    { name: 'cornerThreshold', type: 'integer', min: 1, max: 180, default: 60, description: 'Turns sharper than this many degrees stay corners (smooth style)' },
+  ],
+  illustration: [
+    { name: 'detail', type: 'integer', min: 0, max: 100, description: 'Higher keeps smaller regions and finer color steps' },
+    { name: 'maxPaths', type: 'integer', min: 1, max: 100000, description: 'Regions are merged until the SVG has at most this many paths' },
+    { name: 'maxBytes', type: 'integer', min: 1024, max: 50000000, description: 'Regions are merged until the SVG is at most this many bytes' },
+    { name: 'compactness', type: 'number', min: 1, max: 40, default: 10, description: 'Superpixel shape regularity against color uniformity' },
+    { name: 'maxDimension', type: 'integer', min: 100, max: 4000, default: 1000, description: 'Larger images are downscaled before segmenting' },
+  ],
+  'ai-color': [],
+  ai: [],
+  // Chosen by the method selector
+  auto: [],
+  // Every engine runs with its own defaults
+  compare: [],
+};
+
+module.exports = {
+  ENGINE_PARAMETERS,
+};
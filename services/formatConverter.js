@@ -1,23 +1,43 @@
 /**
  * Format Converter Service
- * Converts SVG to multiple vector formats (PDF, EPS)
+ * Converts SVG to multiple vector formats (PDF, EPS, AI)
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+const postscriptWriter = require('./postscriptWriter');
+const illustratorWriter = require('./illustratorWriter');
+const { getDocumentSize } = require('./svgSceneParser');
+
+// Unit conversion to PDF points
+const UNIT_TO_PT = { pt: 1, mm: 72 / 25.4, in: 72 };
+
+// Named page sizes in points (portrait)
+const PAGE_SIZES = {
+  letter: [612, 792],
+  legal: [612, 1008],
+  tabloid: [792, 1224],
+  a5: [419.53, 595.28],
+  a4: [595.28, 841.89],
+  a3: [841.89, 1190.55],
+};
 
 class FormatConverter {
   /**
    * Convert SVG to PDF
    * @param {string} svgContent - SVG content
    * @param {string} outputPath - Output file path
+   * @param {object} options - PDF options (see generatePDF)
    * @returns {Promise<string>} Path to PDF file
    */
-  async svgToPDF(svgContent, outputPath) {
+  async svgToPDF(svgContent, outputPath, options = {}) {
     try {
-      // PDF generation using SVG
-      // We'll use a simple approach: embed SVG in PDF
-      const pdfContent = this.generatePDFWithSVG(svgContent);
+      const pdfContent = await this.generatePDF(svgContent, {
+        ...options,
+        metadata: { title: path.parse(outputPath).name, ...options.metadata },
+      });
       await fs.writeFile(outputPath, pdfContent);
       return outputPath;
     } catch (error) {
@@ -26,43 +46,152 @@ class FormatConverter {
   }
 
   /**
-   * Generate PDF content with embedded SVG
+   * Generate a vector PDF from SVG content
+   * Paths are drawn as native PDF operators by svg-to-pdfkit; raster images are dropped
    * @param {string} svgContent - SVG content
-   * @returns {Buffer} PDF content
+   * @param {object} options - PDF options
+   * @param {string|number[]} options.pageSize - 'artwork' (viewBox size), a named size
+   *   such as 'a4' or 'letter', or [width, height] in `unit`
+   * @param {string} options.orientation - 'auto', 'portrait' or 'landscape' (named sizes only)
+   * @param {number|object} options.margin - Margin in `unit`, or { top, right, bottom, left }
+   * @param {string} options.unit - Unit for pageSize and margin: 'pt', 'mm' or 'in'
+   * @param {object} options.metadata - { title, author, subject, keywords }
+   * @returns {Promise<Buffer>} PDF content
+   */
+  generatePDF(svgContent, options = {}) {
+    return this.generateMultiPagePDF([svgContent], options);
+  }
+
+  /**
+   * Generate a vector PDF with one page per SVG document
+   * Each page is laid out independently with the same page options as generatePDF
+   * @param {string[]} svgContents - SVG content for each page, in order
+   * @param {object} options - PDF options (see generatePDF)
+   * @returns {Promise<Buffer>} PDF content
    */
-  generatePDFWithSVG(svgContent) {
-    // Extract viewBox or dimensions from SVG
-    const viewBoxMatch = svgContent.match(/viewBox=["']([^"']+)["']/);
-    const widthMatch = svgContent.match(/width=["']([^"']+)["']/);
-    const heightMatch = svgContent.match(/height=["']([^"']+)["']/);
+  generateMultiPagePDF(svgContents, options = {}) {
+    const {
+      pageSize = 'artwork',
+      orientation = 'auto',
+      margin = 0,
+      unit = 'pt',
+      metadata = {},
+    } = options;
 
-    let width = 612; // Default letter size
-    let height = 792;
+    const scale = UNIT_TO_PT[unit];
+    if (!scale) {
+      return Promise.reject(new Error(`Unsupported unit: ${unit}`));
+    }
+    if (!Array.isArray(svgContents) || svgContents.length === 0) {
+      return Promise.reject(new Error('No pages to write'));
+    }
+
+    const margins = this.resolveMargins(margin, scale);
 
-    if (viewBoxMatch) {
-      const [, , , vbWidth, vbHeight] = viewBoxMatch[1].split(/\s+/);
-      width = parseFloat(vbWidth) || width;
-      height = parseFloat(vbHeight) || height;
-    } else if (widthMatch && heightMatch) {
-      width = parseFloat(widthMatch[1]) || width;
-      height = parseFloat(heightMatch[1]) || height;
+    let layouts;
+    try {
+      layouts = svgContents.map(svgContent =>
+        this.resolvePageLayout(getDocumentSize(svgContent), { pageSize, orientation, margins, scale }));
+    } catch (error) {
+      return Promise.reject(error);
     }
 
-    // Basic PDF structure with embedded SVG
-    const pdfHeader = '%PDF-1.4\n';
-    const catalog = '1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n';
-    const pages = `2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n`;
-    const page = `3 0 obj\n<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Contents 4 0 R /Resources << /XObject << /Im1 5 0 R >> >> >>\nendobj\n`;
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        autoFirstPage: false,
+        info: {
+          Title: metadata.title || 'Vectorized Image',
+          Author: metadata.author || 'idegy',
+          Subject: metadata.subject || '',
+          Keywords: Array.isArray(metadata.keywords) ? metadata.keywords.join(', ') : (metadata.keywords || ''),
+          Creator: 'idegy AI Image Vectorizer',
+        },
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
 
-    // SVG as XObject stream
-    const svgStream = Buffer.from(svgContent);
-    const contents = `4 0 obj\n<< /Length 44 >>\nstream\nq\n${width} 0 0 ${height} 0 0 cm\n/Im1 Do\nQ\nendstream\nendobj\n`;
-    const svgObj = `5 0 obj\n<< /Type /XObject /Subtype /Form /BBox [0 0 ${width} ${height}] /Length ${svgStream.length} >>\nstream\n${svgContent}\nendstream\nendobj\n`;
+      try {
+        svgContents.forEach((svgContent, index) => {
+          const { page, x, y, width, height } = layouts[index];
+          doc.addPage({ size: page, margin: 0 });
 
-    const xref = 'xref\n0 6\n0000000000 65535 f\n0000000009 00000 n\n0000000058 00000 n\n0000000115 00000 n\n';
-    const trailer = `trailer\n<< /Size 6 /Root 1 0 R >>\nstartxref\n${pdfHeader.length + catalog.length + pages.length + page.length + contents.length + svgObj.length}\n%%EOF`;
+          SVGtoPDF(doc, svgContent, x, y, {
+            width,
+            height,
+            assumePt: true,
+            preserveAspectRatio: 'xMidYMid meet',
+            imageCallback: () => null,
+            warningCallback: () => {},
+          });
+        });
 
-    return Buffer.from(pdfHeader + catalog + pages + page + contents + svgObj + xref + trailer);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Work out the page size and artwork placement for one page
+   * @param {object} artwork - Artwork size in points { width, height }
+   * @param {object} setup - { pageSize, orientation, margins, scale }
+   * @returns {object} { page: [w, h], x, y, width, height }
+   */
+  resolvePageLayout(artwork, { pageSize, orientation, margins, scale }) {
+    let page;
+    if (pageSize === 'artwork') {
+      page = [artwork.width + margins.left + margins.right, artwork.height + margins.top + margins.bottom];
+    } else if (Array.isArray(pageSize) && pageSize.length === 2) {
+      page = [Number(pageSize[0]) * scale, Number(pageSize[1]) * scale];
+    } else if (PAGE_SIZES[String(pageSize).toLowerCase()]) {
+      page = PAGE_SIZES[String(pageSize).toLowerCase()].slice();
+      const landscape = orientation === 'landscape'
+        || (orientation === 'auto' && artwork.width > artwork.height);
+      if (landscape) page.reverse();
+    } else {
+      throw new Error(`Unsupported page size: ${pageSize}`);
+    }
+
+    const contentWidth = page[0] - margins.left - margins.right;
+    const contentHeight = page[1] - margins.top - margins.bottom;
+    if (!(page[0] > 0 && page[1] > 0 && contentWidth > 0 && contentHeight > 0)) {
+      throw new Error('Margins leave no room for the artwork');
+    }
+
+    // Fit the artwork into the content box, centered, keeping its aspect ratio
+    const fit = Math.min(contentWidth / artwork.width, contentHeight / artwork.height);
+    const width = artwork.width * fit;
+    const height = artwork.height * fit;
+
+    return {
+      page,
+      x: margins.left + (contentWidth - width) / 2,
+      y: margins.top + (contentHeight - height) / 2,
+      width,
+      height,
+    };
+  }
+
+  /**
+   * Normalize a margin option into points
+   */
+  resolveMargins(margin, scale) {
+    if (typeof margin === 'object' && margin !== null) {
+      const side = (value) => Math.max(0, Number(value) || 0) * scale;
+      return {
+        top: side(margin.top),
+        right: side(margin.right),
+        bottom: side(margin.bottom),
+        left: side(margin.left),
+      };
+    }
+
+    const all = Math.max(0, Number(margin) || 0) * scale;
+    return { top: all, right: all, bottom: all, left: all };
   }
 
   /**
@@ -73,7 +202,9 @@ class FormatConverter {
    */
   async svgToEPS(svgContent, outputPath) {
     try {
-      const epsContent = this.generateEPSFromSVG(svgContent);
+      const epsContent = this.generateEPSFromSVG(svgContent, {
+        title: path.parse(outputPath).name,
+      });
       await fs.writeFile(outputPath, epsContent);
       return outputPath;
     } catch (error) {
@@ -83,68 +214,29 @@ class FormatConverter {
 
   /**
    * Generate EPS content from SVG
+   * Paths, shapes, transforms, fills and strokes are translated to native
+   * PostScript operators by the PostScript writer
    * @param {string} svgContent - SVG content
+   * @param {object} options - { title, creator }
    * @returns {string} EPS content
    */
-  generateEPSFromSVG(svgContent) {
-    // Extract dimensions
-    const viewBoxMatch = svgContent.match(/viewBox=["']([^"']+)["']/);
-    const widthMatch = svgContent.match(/width=["']([^"']+)["']/);
-    const heightMatch = svgContent.match(/height=["']([^"']+)["']/);
-
-    let width = 612;
-    let height = 792;
-
-    if (viewBoxMatch) {
-      const [, , , vbWidth, vbHeight] = viewBoxMatch[1].split(/\s+/);
-      width = parseFloat(vbWidth) || width;
-      height = parseFloat(vbHeight) || height;
-    } else if (widthMatch && heightMatch) {
-      width = parseFloat(widthMatch[1]) || width;
-      height = parseFloat(heightMatch[1]) || height;
-    }
-
-    // Basic EPS structure
-    const eps = `%!PS-Adobe-3.0 EPSF-3.0
-%%BoundingBox: 0 0 ${Math.ceil(width)} ${Math.ceil(height)}
-%%Creator: idegy AI Image Vectorizer
-%%Title: Vectorized Image
-%%CreationDate: ${new Date().toISOString()}
-%%DocumentData: Clean7Bit
-%%Origin: 0 0
-%%LanguageLevel: 2
-%%Pages: 1
-%%Page: 1 1
-
-% SVG embedded as comment
-% ${svgContent.replace(/\n/g, '\n% ')}
-
-% Basic vector rendering
-gsave
-0 0 ${width} ${height} rectclip
-newpath
-grestore
-
-showpage
-%%EOF
-`;
-
-    return eps;
+  generateEPSFromSVG(svgContent, options = {}) {
+    return postscriptWriter.generateEPS(svgContent, options);
   }
 
   /**
    * Convert SVG to AI format (Adobe Illustrator)
-   * Note: AI format is proprietary, but we can export SVG with AI compatibility
+   * Writes a PDF-compatible .ai file with one layer per color group
    * @param {string} svgContent - SVG content
    * @param {string} outputPath - Output file path
    * @returns {Promise<string>} Path to file
    */
   async svgToAI(svgContent, outputPath) {
     try {
-      // Adobe Illustrator can open SVG files directly
-      // We'll add AI-specific metadata for better compatibility
-      const aiCompatibleSVG = this.addAIMetadata(svgContent);
-      await fs.writeFile(outputPath, aiCompatibleSVG);
+      const aiContent = this.generateAI(svgContent, {
+        title: path.parse(outputPath).name,
+      });
+      await fs.writeFile(outputPath, aiContent);
       return outputPath;
     } catch (error) {
       throw new Error(`AI conversion failed: ${error.message}`);
@@ -152,34 +244,13 @@ showpage
   }
 
   /**
-   * Add Adobe Illustrator metadata to SVG
+   * Generate Adobe Illustrator content from SVG
    * @param {string} svgContent - SVG content
-   * @returns {string} SVG with AI metadata
+   * @param {object} options - { title, creator }
+   * @returns {Buffer} AI content
    */
-  addAIMetadata(svgContent) {
-    // Add Adobe Illustrator namespace and metadata
-    let enhanced = svgContent;
-
-    // Add AI namespace if not present
-    if (!enhanced.includes('xmlns:i=')) {
-      enhanced = enhanced.replace(
-        '<svg',
-        '<svg xmlns:i="http://ns.adobe.com/AdobeIllustrator/10.0/"'
-      );
-    }
-
-    // Add metadata
-    const metadata = `
-  <metadata>
-    <sfw xmlns="http://ns.adobe.com/SaveForWeb/1.0/">
-      <slices/>
-      <sliceSourceBounds width="${enhanced.match(/width=["']([^"']+)["']/)?.[1] || '100'}" height="${enhanced.match(/height=["']([^"']+)["']/)?.[1] || '100'}" bottomLeftOrigin="true" x="0" y="0"/>
-    </sfw>
-  </metadata>`;
-
-    enhanced = enhanced.replace('</svg>', metadata + '\n</svg>');
-
-    return enhanced;
+  generateAI(svgContent, options = {}) {
+    return illustratorWriter.generateAI(svgContent, options);
   }
 
   /**
@@ -214,10 +285,10 @@ showpage
       },
       {
         id: 'ai',
-        name: 'AI (SVG)',
-        extension: '.svg',
-        description: 'Adobe Illustrator compatible SVG',
-        mimeType: 'image/svg+xml',
+        name: 'AI',
+        extension: '.ai',
+        description: 'Adobe Illustrator - PDF-compatible with one layer per color group',
+        mimeType: 'application/postscript',
         recommended: false
       }
     ];
@@ -228,9 +299,10 @@ showpage
    * @param {string} svgContent - SVG content
    * @param {string} format - Target format (svg, pdf, eps, ai)
    * @param {string} outputPath - Output file path
+   * @param {object} options - Format-specific options (PDF page setup and metadata)
    * @returns {Promise<object>} Conversion result
    */
-  async convertTo(svgContent, format, outputPath) {
+  async convertTo(svgContent, format, outputPath, options = {}) {
     const result = {
       success: false,
       format,
@@ -244,7 +316,7 @@ showpage
           await fs.writeFile(outputPath, svgContent);
           break;
         case 'pdf':
-          await this.svgToPDF(svgContent, outputPath);
+          await this.svgToPDF(svgContent, outputPath, options);
           break;
         case 'eps':
           await this.svgToEPS(svgContent, outputPath);
@@ -0,0 +1,213 @@
+/**
+ * Illustrator Writer Service
+ * Writes PDF-compatible Adobe Illustrator (.ai) files from SVG.
+ *
+ * Illustrator opens PDF-based .ai files natively and maps PDF optional
+ * content groups (OCGs) to its own layers, so each color group becomes an
+ * editable, named layer. Layers follow the `data-group-key` values written by
+ * svgPostProcessor.applyGrouping; ungrouped shapes are layered by color.
+ */
+
+const { parseScene, multiplyMatrix, colorToHex } = require('./svgSceneParser');
+const {
+  PDFWriter, formatNumber, pdfString, pdfDate, pathOperators,
+} = require('./pdfWriter');
+
+class IllustratorWriter {
+  /**
+   * Generate an .ai file from SVG content
+   * @param {string} svgContent - SVG content
+   * @param {object} options - { title, creator }
+   * @returns {Buffer} AI file content
+   */
+  generateAI(svgContent, options = {}) {
+    const {
+      title = 'Vectorized Image',
+      creator = 'idegy AI Image Vectorizer',
+    } = options;
+
+    const scene = parseScene(svgContent);
+    const { width, height } = scene;
+    const pageMatrix = multiplyMatrix([1, 0, 0, -1, 0, height], scene.rootMatrix);
+
+    const layers = new Map(); // layer name -> resource name
+    const graphicStates = new Map(); // "ca/CA" -> resource name
+    const content = [];
+    let currentLayer = null;
+
+    for (const item of scene.items) {
+      const drawing = this.itemToOperators(item, multiplyMatrix(pageMatrix, item.matrix), graphicStates);
+      if (!drawing) continue;
+
+      const layerName = this.layerName(item);
+      if (!layers.has(layerName)) {
+        layers.set(layerName, `L${layers.size}`);
+      }
+
+      // Consecutive items on the same layer share one marked-content section
+      if (layerName !== currentLayer) {
+        if (currentLayer !== null) content.push('EMC');
+        content.push(`/OC /${layers.get(layerName)} BDC`);
+        currentLayer = layerName;
+      }
+
+      content.push(drawing);
+    }
+
+    if (currentLayer !== null) content.push('EMC');
+
+    const writer = new PDFWriter({ version: '1.5' });
+    const catalogId = writer.reserve();
+    const pagesId = writer.reserve();
+    const pageId = writer.reserve();
+    const now = new Date();
+
+    const ocgIds = new Map();
+    for (const name of layers.keys()) {
+      ocgIds.set(name, writer.addObject(
+        `<< /Type /OCG /Name ${pdfString(name)} /Usage << /CreatorInfo << /Creator (Adobe Illustrator) /Subtype /Artwork >> >> >>`
+      ));
+    }
+
+    const contentId = writer.addStream('', content.join('\n'));
+
+    const properties = Array.from(layers.entries())
+      .map(([name, resource]) => `/${resource} ${ocgIds.get(name)} 0 R`).join(' ');
+    const extGStates = Array.from(graphicStates.entries())
+      .map(([key, resource]) => {
+        const [fillAlpha, strokeAlpha] = key.split('/');
+        return `/${resource} << /Type /ExtGState /ca ${fillAlpha} /CA ${strokeAlpha} >>`;
+      }).join(' ');
+
+    const mediaBox = `[0 0 ${formatNumber(width)} ${formatNumber(height)}]`;
+    writer.addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox ${mediaBox} /TrimBox ${mediaBox}` +
+      ` /Resources << /Properties << ${properties} >> /ExtGState << ${extGStates} >> >>` +
+      ` /Contents ${contentId} 0 R` +
+      ` /PieceInfo << /Illustrator << /LastModified (${pdfDate(now)}) /Private << >> >> >>` +
+      ` /LastModified (${pdfDate(now)}) >>`,
+      pageId
+    );
+
+    writer.addObject(`<< /Type /Pages /Kids [${pageId} 0 R] /Count 1 >>`, pagesId);
+
+    const metadataId = writer.addStream(
+      '/Type /Metadata /Subtype /XML',
+      Buffer.from(this.buildXMP(title, creator, now), 'utf8'),
+      { compress: false }
+    );
+
+    const ocgRefs = Array.from(ocgIds.values()).map(id => `${id} 0 R`).join(' ');
+    writer.addObject(
+      `<< /Type /Catalog /Pages ${pagesId} 0 R /Metadata ${metadataId} 0 R` +
+      ` /OCProperties << /OCGs [${ocgRefs}] /D << /Order [${ocgRefs}] /ON [${ocgRefs}] /OFF [] >> >> >>`,
+      catalogId
+    );
+
+    const infoId = writer.addObject(
+      `<< /Title ${pdfString(title)} /Creator ${pdfString(creator)} /Producer ${pdfString(creator)}` +
+      ` /CreationDate (${pdfDate(now)}) /ModDate (${pdfDate(now)}) >>`
+    );
+
+    return writer.toBuffer(catalogId, infoId);
+  }
+
+  /**
+   * Name of the layer an item belongs to
+   */
+  layerName(item) {
+    if (item.groupKey) return item.groupKey;
+    const color = item.style.fill || item.style.stroke;
+    return color ? colorToHex(color) : 'Artwork';
+  }
+
+  /**
+   * Emit PDF operators for a single scene item
+   * @param {Map} graphicStates - "ca/CA" -> ExtGState resource name, added to as needed
+   * @param {Function} paint - (color, stroking) => color setting operators
+   * @returns {string|null} Content stream fragment, or null if nothing is painted
+   */
+  itemToOperators(item, matrix, graphicStates, paint = (color, stroking) => `${this.colorComponents(color)} ${stroking ? 'RG' : 'rg'}`) {
+    const { style } = item;
+    const hasFill = style.fill && style.fillOpacity > 0;
+    const hasStroke = style.stroke && style.strokeOpacity > 0 && style.strokeWidth > 0;
+
+    if (!hasFill && !hasStroke) return null;
+
+    const ops = ['q', `${matrix.map(formatNumber).join(' ')} cm`];
+
+    const fillAlpha = hasFill ? formatNumber(style.fillOpacity) : '1';
+    const strokeAlpha = hasStroke ? formatNumber(style.strokeOpacity) : '1';
+    if (fillAlpha !== '1' || strokeAlpha !== '1') {
+      const key = `${fillAlpha}/${strokeAlpha}`;
+      if (!graphicStates.has(key)) {
+        graphicStates.set(key, `GS${graphicStates.size}`);
+      }
+      ops.push(`/${graphicStates.get(key)} gs`);
+    }
+
+    if (hasFill) {
+      ops.push(paint(style.fill, false));
+    }
+
+    if (hasStroke) {
+      ops.push(paint(style.stroke, true));
+      ops.push(`${formatNumber(style.strokeWidth)} w`);
+      ops.push(`${{ butt: 0, round: 1, square: 2 }[style.lineCap]} J`);
+      ops.push(`${{ miter: 0, round: 1, bevel: 2 }[style.lineJoin]} j`);
+      ops.push(`${formatNumber(Math.max(1, style.miterLimit))} M`);
+      if (style.dashArray.length > 0 && style.dashArray.some(v => v > 0)) {
+        ops.push(`[${style.dashArray.map(formatNumber).join(' ')}] ${formatNumber(style.dashOffset)} d`);
+      }
+    }
+
+    ops.push(pathOperators(item.subpaths));
+
+    const evenOdd = style.fillRule === 'evenodd' ? '*' : '';
+    if (hasFill && hasStroke) {
+      ops.push(`B${evenOdd}`);
+    } else if (hasFill) {
+      ops.push(`f${evenOdd}`);
+    } else {
+      ops.push('S');
+    }
+
+    ops.push('Q');
+    return ops.join('\n');
+  }
+
+  colorComponents(color) {
+    return [color.r, color.g, color.b].map(v => formatNumber(v / 255)).join(' ');
+  }
+
+  /**
+   * Build the XMP packet identifying the file as an Illustrator document
+   */
+  buildXMP(title, creator, date) {
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const iso = date.toISOString();
+
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:illustrator="http://ns.adobe.com/illustrator/1.0/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/">
+      <dc:format>application/vnd.adobe.illustrator</dc:format>
+      <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escape(title)}</rdf:li></rdf:Alt></dc:title>
+      <xmp:CreatorTool>${escape(creator)}</xmp:CreatorTool>
+      <xmp:CreateDate>${iso}</xmp:CreateDate>
+      <xmp:ModifyDate>${iso}</xmp:ModifyDate>
+      <illustrator:Type>Document</illustrator:Type>
+      <pdf:Producer>${escape(creator)}</pdf:Producer>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+  }
+}
+
+module.exports = new IllustratorWriter();
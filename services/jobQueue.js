@@ -0,0 +1,498 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils/logger');
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Thrown by context.pausePoint() to stop a handler that was asked to pause
+ */
+class PauseSignal {}
+
+/**
+ * Persistent job queue
+ * Jobs are stored as one JSON file each, so queued work and finished results
+ * survive restarts; jobs that were running when the process stopped are
+ * queued again on start. On read-only serverless filesystems jobs are kept
+ * in memory only.
+ *
+ * Handlers are registered per job type and called as
+ * `handler(job, { signal, pausePoint, updateProgress, addResult, addError, checkpoint })`;
+ * their return value is stored as `job.output`. Cancelling a job aborts
+ * `signal`; pausing takes effect the next time the handler calls
+ * `pausePoint()`, and the job is run again from its checkpoint on resume.
+ * Uploaded files listed in `payload.files` ({ path }) are deleted once the
+ * job reaches a final status.
+ *
+ * Events: 'progress' (job), 'itemComplete' (job, result), 'itemError' (job, error),
+ * 'retry' (job), 'finished' (job)
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * @param {object} options - { directory, concurrency, maxAttempts, retryDelay, maxRetryDelay, retention }
+   */
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory !== undefined
+      ? options.directory
+      : (process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME ? null : path.join(__dirname, '..', 'jobs'));
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelay = options.retryDelay ?? 2000;
+    this.maxRetryDelay = options.maxRetryDelay ?? 60000;
+    this.retention = options.retention ?? 24 * 60 * 60 * 1000;
+
+    this.jobs = new Map(); // jobId -> job (including payload)
+    this.handlers = new Map(); // type -> handler
+    this.running = new Map(); // jobId -> AbortController
+    this.writes = new Map(); // jobId -> pending write
+    this.waiters = new Map(); // jobId -> [resolve]
+    this.started = false;
+    this.timer = null;
+  }
+
+  /**
+   * Register the function that processes jobs of a type
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Load stored jobs and start processing
+   */
+  async start() {
+    if (this.started) return;
+
+    if (this.directory) {
+      await fs.mkdir(this.directory, { recursive: true });
+      const files = (await fs.readdir(this.directory)).filter(f => f.endsWith('.json'));
+
+      for (const filename of files) {
+        try {
+          const job = JSON.parse(await fs.readFile(path.join(this.directory, filename), 'utf8'));
+          this.jobs.set(job.id, job);
+        } catch (error) {
+          logger.warn('Skipping unreadable job file', { filename, error: error.message });
+        }
+      }
+
+      for (const job of this.jobs.values()) {
+        if (job.status !== 'running') continue;
+
+        // Interrupted by a restart; the attempt counts so that a job which
+        // keeps taking the process down eventually fails
+        if (job.cancelRequested) {
+          this.finish(job, 'cancelled');
+        } else if (job.pauseRequested) {
+          this.pauseJob(job);
+        } else if (job.attempts >= job.maxAttempts) {
+          this.finish(job, 'failed', { error: { message: 'Interrupted by server restart' } });
+        } else {
+          Object.assign(job, { status: 'queued', stage: null, nextRunAt: Date.now(), updatedAt: Date.now() });
+          this.persist(job);
+        }
+      }
+    }
+
+    await this.pruneExpired();
+    this.pruneInterval = setInterval(() => this.pruneExpired(), 60 * 60 * 1000);
+    this.pruneInterval.unref?.();
+
+    this.started = true;
+    logger.info('Job queue started', { jobs: this.jobs.size, concurrency: this.concurrency });
+    this.schedule();
+  }
+
+  /**
+   * Stop starting new jobs and wait for pending writes
+   * Running jobs are left as 'running' and picked up again on the next start.
+   */
+  async stop() {
+    this.started = false;
+    clearInterval(this.pruneInterval);
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.flush();
+  }
+
+  /**
+   * Add a job
+   * @param {string} type - Registered handler type
+   * @param {object} payload - Handler input (must be JSON-serializable)
+   * @param {object} options - { priority (higher runs first), maxAttempts, totalItems }
+   * @returns {object} Public job snapshot
+   */
+  enqueue(type, payload = {}, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const now = Date.now();
+    const job = {
+      id: uuidv4(),
+      type,
+      status: 'queued',
+      stage: null,
+      priority: options.priority || 0,
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.maxAttempts,
+      progress: 0,
+      totalItems: options.totalItems || 1,
+      completedItems: 0,
+      results: [],
+      errors: [],
+      checkpoint: null,
+      output: null,
+      error: null,
+      payload,
+      createdAt: now,
+      updatedAt: now,
+      nextRunAt: now,
+    };
+
+    this.jobs.set(job.id, job);
+    this.persist(job);
+    this.emit('progress', this.describe(job));
+    this.schedule();
+
+    return this.describe(job);
+  }
+
+  /**
+   * Public view of a job (without its payload)
+   */
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.describe(job) : undefined;
+  }
+
+  describe(job) {
+    const { payload, ...publicJob } = job;
+    return publicJob;
+  }
+
+  /**
+   * Resolve with the job once it reaches completed, failed or cancelled
+   */
+  waitFor(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return Promise.reject(new Error('Job not found'));
+    if (this.isFinished(job)) return Promise.resolve(this.describe(job));
+
+    return new Promise((resolve) => {
+      const waiting = this.waiters.get(jobId) || [];
+      waiting.push(resolve);
+      this.waiters.set(jobId, waiting);
+    });
+  }
+
+  /**
+   * Whether a job has completed, failed or been cancelled
+   */
+  isFinished(job) {
+    return FINAL_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Cancel a job
+   * Queued and paused jobs are cancelled immediately; running jobs have their
+   * abort signal triggered and finish as cancelled when their handler
+   * returns. Results reported before cancellation are kept.
+   * @returns {object|undefined} Job snapshot, or undefined if unknown
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return undefined;
+
+    if (job.status === 'queued' || job.status === 'paused') {
+      this.finish(job, 'cancelled');
+    } else if (job.status === 'running') {
+      job.cancelRequested = true;
+      this.running.get(jobId)?.abort();
+      this.touch(job);
+    }
+
+    return this.describe(job);
+  }
+
+  /**
+   * Pause a job
+   * Queued jobs are paused immediately; running jobs stop at their next
+   * pause point (e.g. between batch files) and are then marked paused.
+   * @returns {object|undefined} Job snapshot, or undefined if unknown
+   */
+  pause(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return undefined;
+
+    if (job.status === 'queued') {
+      this.pauseJob(job);
+    } else if (job.status === 'running') {
+      job.pauseRequested = true;
+      this.touch(job);
+    }
+
+    return this.describe(job);
+  }
+
+  /**
+   * Resume a paused job, or withdraw a pause request that has not taken effect
+   * @returns {object|undefined} Job snapshot, or undefined if unknown
+   */
+  resume(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return undefined;
+
+    if (job.status === 'paused') {
+      Object.assign(job, { status: 'queued', nextRunAt: Date.now() });
+      this.touch(job);
+      this.schedule();
+    } else if (job.pauseRequested) {
+      delete job.pauseRequested;
+      this.touch(job);
+    }
+
+    return this.describe(job);
+  }
+
+  pauseJob(job) {
+    delete job.pauseRequested;
+    Object.assign(job, { status: 'paused', stage: null });
+    this.touch(job);
+  }
+
+  /**
+   * Update progress fields (stage, currentFile, totalItems, ...)
+   */
+  updateJobProgress(jobId, updates) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    Object.assign(job, updates);
+    this.touch(job);
+  }
+
+  addJobResult(jobId, result) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    job.results.push(result);
+    job.completedItems++;
+    this.touch(job, false);
+    this.emit('itemComplete', this.describe(job), result);
+  }
+
+  addJobError(jobId, error) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    job.errors.push(error);
+    job.completedItems++;
+    this.touch(job, false);
+    this.emit('itemError', this.describe(job), error);
+  }
+
+  /**
+   * Save handler state that must survive a restart (e.g. the next batch item)
+   */
+  setCheckpoint(jobId, checkpoint) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    job.checkpoint = checkpoint;
+    this.touch(job, false);
+  }
+
+  touch(job, notify = true) {
+    job.updatedAt = Date.now();
+    if (job.totalItems > 0) {
+      job.progress = Math.min(100, Math.round((job.completedItems / job.totalItems) * 100));
+    }
+    this.persist(job);
+    if (notify) this.emit('progress', this.describe(job));
+  }
+
+  /**
+   * Start queued jobs up to the concurrency limit, highest priority first
+   */
+  schedule() {
+    if (!this.started) return;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    const queued = Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued')
+      .sort((a, b) => (b.priority - a.priority) || (a.createdAt - b.createdAt));
+
+    for (const job of queued) {
+      if (this.running.size >= this.concurrency) break;
+      if (job.nextRunAt <= now) this.run(job);
+    }
+
+    // Wake up for the next job waiting out a retry delay
+    const waiting = queued.filter(job => job.status === 'queued' && job.nextRunAt > now);
+    if (waiting.length > 0 && this.running.size < this.concurrency) {
+      const next = Math.min(...waiting.map(job => job.nextRunAt));
+      this.timer = setTimeout(() => this.schedule(), next - now);
+      this.timer.unref?.();
+    }
+  }
+
+  async run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+
+    job.attempts++;
+    Object.assign(job, { status: 'running', startedAt: job.startedAt || Date.now() });
+    this.touch(job);
+
+    const context = {
+      signal: controller.signal,
+      pausePoint: () => {
+        if (job.pauseRequested && !job.cancelRequested) throw new PauseSignal();
+      },
+      updateProgress: updates => this.updateJobProgress(job.id, updates),
+      addResult: result => this.addJobResult(job.id, result),
+      addError: error => this.addJobError(job.id, error),
+      checkpoint: data => this.setCheckpoint(job.id, data),
+    };
+
+    try {
+      const output = await this.handlers.get(job.type)(job, context);
+      this.finish(job, job.cancelRequested ? 'cancelled' : 'completed', { output: output ?? null });
+    } catch (error) {
+      if (job.cancelRequested) {
+        this.finish(job, 'cancelled');
+      } else if (error instanceof PauseSignal) {
+        // Pausing is not a failed attempt
+        job.attempts--;
+        this.pauseJob(job);
+      } else if (this.isRetryable(error) && job.attempts < job.maxAttempts) {
+        const delay = this.backoff(job.attempts);
+        Object.assign(job, {
+          status: 'queued',
+          stage: null,
+          nextRunAt: Date.now() + delay,
+          error: { message: error.message },
+        });
+        logger.warn('Job failed, retrying', { jobId: job.id, attempt: job.attempts, delay, error: error.message });
+        this.touch(job);
+        this.emit('retry', this.describe(job));
+      } else {
+        logger.error('Job failed', { jobId: job.id, type: job.type, error: error.message });
+        this.finish(job, 'failed', {
+          error: { message: error.message, code: error.code, details: error.details },
+        });
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.schedule();
+    }
+  }
+
+  /**
+   * Delay before retrying a job that failed its nth attempt (exponential)
+   */
+  backoff(attempts) {
+    return Math.min(this.retryDelay * 2 ** (attempts - 1), this.maxRetryDelay);
+  }
+
+  /**
+   * Errors caused by the request itself (bad input, unreadable files) fail
+   * immediately; anything else may be transient and is retried
+   */
+  isRetryable(error) {
+    return !(error.isOperational && error.statusCode < 500);
+  }
+
+  finish(job, status, fields = {}) {
+    const now = Date.now();
+    Object.assign(job, fields, { status, stage: null, completedAt: now, updatedAt: now });
+    if (status === 'completed') job.progress = 100;
+    delete job.cancelRequested;
+    delete job.pauseRequested;
+
+    this.removeUploads(job);
+    this.persist(job);
+
+    const snapshot = this.describe(job);
+    this.emit('finished', snapshot);
+
+    for (const resolve of this.waiters.get(job.id) || []) resolve(snapshot);
+    this.waiters.delete(job.id);
+  }
+
+  removeUploads(job) {
+    for (const file of job.payload?.files || []) {
+      if (file.path) fs.unlink(file.path).catch(() => {});
+    }
+  }
+
+  /**
+   * Delete finished jobs older than the retention period
+   */
+  async pruneExpired() {
+    const cutoff = Date.now() - this.retention;
+    for (const job of Array.from(this.jobs.values())) {
+      if (this.isFinished(job) && job.completedAt < cutoff) {
+        this.jobs.delete(job.id);
+        if (this.directory) {
+          await fs.unlink(this.jobFile(job.id)).catch(() => {});
+        }
+      }
+    }
+  }
+
+  jobFile(jobId) {
+    return path.join(this.directory, `${jobId}.json`);
+  }
+
+  /**
+   * Write a job to disk; writes for the same job are applied in order
+   */
+  persist(job) {
+    if (!this.directory) return;
+
+    const file = this.jobFile(job.id);
+    // In-memory uploads (buffers) cannot be restored after a restart
+    const content = JSON.stringify(job, (key, value) => (key === 'buffer' ? undefined : value));
+    const previous = this.writes.get(job.id) || Promise.resolve();
+    const write = previous
+      .then(async () => {
+        await fs.writeFile(`${file}.tmp`, content);
+        await fs.rename(`${file}.tmp`, file);
+      })
+      .catch((error) => {
+        logger.error('Failed to persist job', { jobId: job.id, error: error.message });
+      })
+      .finally(() => {
+        if (this.writes.get(job.id) === write) this.writes.delete(job.id);
+      });
+
+    this.writes.set(job.id, write);
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async flush() {
+    await Promise.all(Array.from(this.writes.values()));
+  }
+
+  getStats() {
+    const counts = {};
+    for (const job of this.jobs.values()) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+    return { running: this.running.size, concurrency: this.concurrency, persistent: !!this.directory, jobs: counts };
+  }
+}
+
+// Export singleton
+module.exports = new JobQueue();
+module.exports.JobQueue = JobQueue;
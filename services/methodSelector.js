@@ -0,0 +1,220 @@
+/**
+ * Method Selector
+ * Picks a vectorization engine and its parameters for method=auto.
+ * A downsampled copy of the upload is measured for color count, photographic
+ * texture, transparency, line art and resolution, and lettering is found with
+ * the text detector. choose() turns those measurements into a method,
+ * engineParams and the reasons behind them.
+ */
+
+const sharp = require('sharp');
+const TextDetector = require('./vectorizer/textDetector');
+const vtracerService = require('./vtracerService');
+
+class MethodSelector {
+  constructor() {
+    this.sampleSize = 256; // Longest side of the copy colors and texture are measured on
+    this.textSampleSize = 1000; // Longest side of the copy searched for lettering
+    this.colorCoverage = 0.9; // Share of opaque pixels the dominant colors must cover
+    this.textDetector = new TextDetector();
+  }
+
+  /**
+   * Analyze an image and choose a method for it
+   * @param {Buffer} imageBuffer - Raster image
+   * @returns {Promise<object>} { method, engineParams, reasons, analysis }
+   */
+  async select(imageBuffer) {
+    const analysis = await this.analyze(imageBuffer);
+    return { ...this.choose(analysis), analysis };
+  }
+
+  /**
+   * Measure the properties method selection depends on
+   * @param {Buffer} imageBuffer - Raster image
+   * @returns {Promise<object>} { width, height, transparency, dominantColors,
+   *   shading, texture, inkCoverage, strokeWidth, textLines, textCoverage }
+   */
+  async analyze(imageBuffer) {
+    const { width, height } = await sharp(imageBuffer).metadata();
+    const { data, info } = await sharp(imageBuffer)
+      .resize(this.sampleSize, this.sampleSize, { fit: 'inside', withoutEnlargement: true })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const size = info.width * info.height;
+    const opaque = new Uint8Array(size);
+    const histogram = new Map();
+    let opaqueCount = 0;
+
+    for (let i = 0; i < size; i++) {
+      const p = i * 4;
+      if (data[p + 3] < 128) continue;
+      opaque[i] = 1;
+      opaqueCount++;
+
+      const key = ((data[p] >> 3) << 10) | ((data[p + 1] >> 3) << 5) | (data[p + 2] >> 3);
+      histogram.set(key, (histogram.get(key) || 0) + 1);
+    }
+
+    // Colors that cover most of the art; anti-aliased edges fall in the rest
+    const ranked = [...histogram.entries()].sort((a, b) => b[1] - a[1]);
+    let dominantColors = 0;
+    for (let covered = 0; covered < opaqueCount * this.colorCoverage; dominantColors++) {
+      covered += ranked[dominantColors][1];
+    }
+
+    // Flat art has identical neighbors except along edges; gradients change
+    // by a step or two between neighbors, photos by more and everywhere
+    let pairs = 0;
+    let shaded = 0;
+    let textured = 0;
+    for (let y = 0; y < info.height; y++) {
+      for (let x = 0; x + 1 < info.width; x++) {
+        const i = y * info.width + x;
+        if (!opaque[i] || !opaque[i + 1]) continue;
+        const p = i * 4;
+        const difference = Math.max(
+          Math.abs(data[p] - data[p + 4]),
+          Math.abs(data[p + 1] - data[p + 5]),
+          Math.abs(data[p + 2] - data[p + 6])
+        );
+        pairs++;
+        if (difference >= 1 && difference < 4) shaded++;
+        else if (difference >= 4 && difference <= 48) textured++;
+      }
+    }
+
+    // Ink is whatever stands out from the most common (background) color
+    const ink = new Uint8Array(size);
+    if (ranked.length > 0) {
+      const key = ranked[0][0];
+      const background = [(key >> 10) << 3, ((key >> 5) & 31) << 3, (key & 31) << 3];
+      for (let i = 0; i < size; i++) {
+        const p = i * 4;
+        if (opaque[i] && Math.max(
+          Math.abs(data[p] - background[0]),
+          Math.abs(data[p + 1] - background[1]),
+          Math.abs(data[p + 2] - background[2])
+        ) > 48) {
+          ink[i] = 1;
+        }
+      }
+    }
+
+    // Mean stroke width from ink area over ink boundary, in source pixels
+    let inkArea = 0;
+    let inkEdge = 0;
+    for (let y = 0; y < info.height; y++) {
+      for (let x = 0; x < info.width; x++) {
+        const i = y * info.width + x;
+        if (!ink[i]) continue;
+        inkArea++;
+        if (x === 0 || y === 0 || x === info.width - 1 || y === info.height - 1
+          || !ink[i - 1] || !ink[i + 1] || !ink[i - info.width] || !ink[i + info.width]) {
+          inkEdge++;
+        }
+      }
+    }
+    const scale = width / info.width;
+
+    const textBuffer = await sharp(imageBuffer)
+      .resize(this.textSampleSize, this.textSampleSize, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+    const text = await this.textDetector.detect(textBuffer);
+    const textArea = text.lines.reduce((sum, line) => sum + line.bounds.width * line.bounds.height, 0);
+
+    return {
+      width,
+      height,
+      transparency: round(1 - opaqueCount / size),
+      dominantColors,
+      shading: round(pairs > 0 ? shaded / pairs : 0),
+      texture: round(pairs > 0 ? textured / pairs : 0),
+      inkCoverage: round(opaqueCount > 0 ? inkArea / opaqueCount : 0),
+      strokeWidth: round(inkEdge > 0 ? (2 * inkArea / inkEdge) * scale : 0),
+      textLines: text.lines.length,
+      textCoverage: round(textArea / (text.width * text.height)),
+    };
+  }
+
+  /**
+   * Choose a method and engineParams from an analysis
+   * @param {object} analysis - From analyze()
+   * @param {object} options - { vtracerAvailable } defaults to the VTracer binding's state
+   * @returns {object} { method, engineParams, reasons }
+   */
+  choose(analysis, { vtracerAvailable = vtracerService.isAvailable() } = {}) {
+    const {
+      width, height, transparency, dominantColors, shading, texture, inkCoverage, strokeWidth, textLines, textCoverage,
+    } = analysis;
+    const reasons = [];
+    const transparent = transparency > 0.01;
+    const photo = texture > 0.3 || dominantColors > 64;
+
+    if (!photo && dominantColors <= 3 && textLines === 0 && inkCoverage < 0.2 && strokeWidth > 0 && strokeWidth <= 8) {
+      reasons.push(`Line art: ${percent(inkCoverage)} ink in ${strokeWidth}px strokes, tracing stroke centerlines`);
+      return { method: 'centerline', engineParams: {}, reasons };
+    }
+
+    // VTracer flattens transparency onto white, so transparent art stays with the smoothing engine
+    const vtracerUsable = vtracerAvailable && !transparent;
+    if (!vtracerAvailable) {
+      reasons.push('VTracer is not available');
+    } else if (transparent) {
+      reasons.push(`${percent(transparency)} transparent: keeping the alpha channel with the color-preserving engine`);
+    }
+
+    if (photo && vtracerUsable) {
+      reasons.push(`Photographic texture (${percent(texture)} of neighbors vary, ${dominantColors} dominant colors): VTracer with preprocessing and the detailed preset`);
+      return { method: 'ai-pro', engineParams: { preset: 'detailed' }, reasons };
+    }
+
+    if (!photo && dominantColors <= 24 && (textLines >= 2 || textCoverage >= 0.1)) {
+      reasons.push(`${textLines} line(s) of lettering covering ${percent(textCoverage)}: IDEGY with font-aware cleanup`);
+      return { method: 'idegy', engineParams: {}, reasons };
+    }
+
+    if (!photo && shading <= 0.15 && dominantColors > 24 && vtracerUsable) {
+      reasons.push(`Flat illustration with ${dominantColors} dominant colors: VTracer with the detailed preset`);
+      return { method: 'vtracer', engineParams: { preset: 'detailed' }, reasons };
+    }
+
+    // Exact colors and smooth curves for everything else, sized to the upload
+    const engineParams = { colorCount: Math.min(64, Math.max(8, dominantColors * 2)) };
+    if (photo) {
+      reasons.push(`Photographic texture (${percent(texture)} of neighbors vary): color-preserving engine with ${engineParams.colorCount} colors`);
+    } else if (shading > 0.15) {
+      reasons.push(`Smooth shading between ${percent(shading)} of neighbors: color-preserving engine, which fills color ramps with gradients`);
+    } else {
+      reasons.push(`Flat art with ${dominantColors} dominant colors: color-preserving engine with ${engineParams.colorCount} colors`);
+    }
+
+    const shortSide = Math.min(width, height);
+    const longSide = Math.max(width, height);
+    if (shortSide < 200) {
+      engineParams.upscaleFactor = 4;
+      reasons.push(`Low resolution (${width}x${height}): upscaling 4x before tracing`);
+    } else if (longSide > 3000) {
+      engineParams.upscaleFactor = 1;
+      reasons.push(`High resolution (${width}x${height}): tracing without upscaling`);
+    } else if (longSide > 1500) {
+      engineParams.upscaleFactor = 2;
+      reasons.push(`High resolution (${width}x${height}): upscaling 2x before tracing`);
+    }
+
+    return { method: 'color-preserving', engineParams, reasons };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function percent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+module.exports = new MethodSelector();
@@ -0,0 +1,224 @@
+/**
+ * Output Budget
+ * Keeps traced SVGs under the hard limits downstream tools enforce
+ * (embroidery software, laser cutters, icon pipelines): maxPaths drawable
+ * shapes, maxNodes anchor points and maxBytes of markup.
+ *
+ * relax() gives the engine parameters for each retry, raising simplification
+ * tolerances and speckle filters and lowering color counts step by step.
+ * fit() is the last resort for output that is still over: the smallest
+ * shapes are dropped, which merges them into whatever is drawn beneath.
+ */
+
+const { JSDOM } = require('jsdom');
+const { shapeToSubpaths, subpathBounds } = require('./svgSceneParser');
+const { ENGINE_PARAMETERS } = require('./engineParameters');
+
+const BUDGETS = { maxPaths: 'paths', maxNodes: 'nodes', maxBytes: 'bytes' };
+
+const SHAPES = 'path, rect, circle, ellipse, line, polyline, polygon';
+const NON_RENDERED = 'defs, clipPath, mask, symbol, marker, pattern';
+
+// Parameters relaxed per method. Step n multiplies the starting value (the
+// request's engineParams, else `start`, else the published default) by
+// `factor` n times; integers move at least n units.
+const simplify = { factor: 1.6 };
+const filter = { factor: 2 };
+const reduce = { factor: 0.7 };
+const smoothRelaxation = [
+  { name: 'lineTolerance', ...simplify },
+  { name: 'curveTolerance', ...simplify },
+  { name: 'speckleFilter', ...filter },
+  { name: 'colorCount', ...reduce },
+];
+const vtracerRelaxation = [
+  { name: 'filterSpeckle', start: 4, ...filter },
+  { name: 'lengthThreshold', start: 4, ...simplify },
+  { name: 'layerDifference', start: 16, ...filter },
+  { name: 'colorCount', start: 16, ...reduce },
+];
+const RELAXATION = {
+  smooth: smoothRelaxation,
+  'color-preserving': smoothRelaxation,
+  idegy: [
+    { name: 'simplifyTolerance', start: 1.5, ...simplify },
+    { name: 'lineTolerance', start: 1, ...simplify },
+    { name: 'bezierTolerance', ...simplify },
+    { name: 'minContourLength', ...filter },
+    { name: 'colorGroupThreshold', ...simplify },
+  ],
+  centerline: [
+    { name: 'lineTolerance', start: 0.75, ...simplify },
+    { name: 'bezierTolerance', start: 0.75, ...simplify },
+    { name: 'minStrokeLength', ...filter },
+    { name: 'minInkArea', ...filter },
+  ],
+  'pixel-art': [
+    { name: 'colorTolerance', ...filter },
+  ],
+  // The engine merges regions until it fits maxPaths and maxBytes itself
+  illustration: [
+    { name: 'detail', start: 50, factor: 0.75 },
+  ],
+  vtracer: vtracerRelaxation,
+  'ai-pro': vtracerRelaxation,
+  'gen-pro': vtracerRelaxation,
+};
+
+class OutputBudget {
+  constructor() {
+    this.maxSteps = 5; // Strongest relaxation tried before shapes are dropped
+  }
+
+  /**
+   * The budgets set in vectorize settings
+   * @param {object} settings - Vectorize settings with numeric maxPaths, maxNodes, maxBytes
+   * @returns {object|null} The limits that are set, or null when there are none
+   */
+  limitsOf(settings) {
+    const limits = {};
+    for (const budget of Object.keys(BUDGETS)) {
+      if (settings[budget] !== undefined && settings[budget] !== null) limits[budget] = settings[budget];
+    }
+    return Object.keys(limits).length > 0 ? limits : null;
+  }
+
+  /**
+   * Count what the budgets limit
+   * @param {string} svg - SVG document
+   * @returns {object} { paths, nodes, bytes } where paths counts rendered
+   *   shape elements and nodes their anchor points
+   */
+  measure(svg) {
+    const shapes = renderedShapes(new JSDOM(svg, { contentType: 'image/svg+xml' }).window.document);
+    return {
+      paths: shapes.length,
+      nodes: shapes.reduce((sum, el) => sum + nodeCount(shapeSubpaths(el)), 0),
+      bytes: Buffer.byteLength(svg),
+    };
+  }
+
+  /**
+   * Budgets a measurement is over, the most exceeded first
+   * @returns {Array<string>} Budget names, e.g. ['maxNodes', 'maxBytes']
+   */
+  exceeded(measured, limits) {
+    return Object.entries(limits)
+      .filter(([budget, limit]) => measured[BUDGETS[budget]] > limit)
+      .sort(([a, limitA], [b, limitB]) => measured[BUDGETS[b]] / limitB - measured[BUDGETS[a]] / limitA)
+      .map(([budget]) => budget);
+  }
+
+  /**
+   * Relaxation step for the next retrace
+   * Output far over budget skips ahead one step per doubling, so large
+   * overages do not cost a retrace for every step.
+   * @param {number} step - Step of the last trace, 0 for the unrelaxed one
+   * @returns {number|null} The next step, or null past maxSteps
+   */
+  nextStep(step, measured, limits) {
+    if (step >= this.maxSteps) return null;
+    const overage = Math.max(...Object.entries(limits).map(([budget, limit]) => measured[BUDGETS[budget]] / limit));
+    return Math.min(this.maxSteps, step + Math.max(1, Math.floor(Math.log2(overage))));
+  }
+
+  /**
+   * Engine parameters for a relaxed retrace
+   * @param {string} method - Resolved vectorization method
+   * @param {object} engineParams - Parameters of the first trace
+   * @param {number} step - From nextStep()
+   * @param {object} limits - From limitsOf()
+   * @returns {object|null} engineParams, or null when the method has nothing
+   *   to relax
+   */
+  relax(method, engineParams, step, limits) {
+    const knobs = RELAXATION[method];
+    if (!knobs) return null;
+
+    const definitions = ENGINE_PARAMETERS[method];
+    const relaxed = { ...engineParams };
+    for (const { name, start, factor } of knobs) {
+      const { type, min, max, default: fallback } = definitions.find(param => param.name === name);
+      relaxed[name] = relaxedValue(engineParams[name] ?? start ?? fallback, factor, step, type, min, max);
+    }
+
+    if (method === 'illustration') {
+      if (limits.maxPaths) relaxed.maxPaths = Math.min(limits.maxPaths, engineParams.maxPaths ?? Infinity);
+      if (limits.maxBytes) relaxed.maxBytes = Math.min(limits.maxBytes, engineParams.maxBytes ?? Infinity);
+    }
+    return relaxed;
+  }
+
+  /**
+   * Drop the smallest shapes until an SVG is within its budgets
+   * @param {string} svg - SVG document
+   * @param {object} limits - From limitsOf()
+   * @returns {object} { svg, removed, measured } where svg is unchanged when
+   *   nothing had to go
+   */
+  fit(svg, limits) {
+    const dom = new JSDOM(svg, { contentType: 'image/svg+xml' });
+    const shapes = renderedShapes(dom.window.document).map((el) => {
+      const subpaths = shapeSubpaths(el);
+      return { el, nodes: nodeCount(subpaths), area: boxArea(subpaths) };
+    });
+
+    let measured = {
+      paths: shapes.length,
+      nodes: shapes.reduce((sum, shape) => sum + shape.nodes, 0),
+      bytes: Buffer.byteLength(svg),
+    };
+    if (this.exceeded(measured, limits).length === 0) return { svg, removed: 0, measured };
+
+    const bySize = shapes.sort((a, b) => a.area - b.area);
+    let removed = 0;
+    let output = svg;
+    while (this.exceeded(measured, limits).length > 0 && removed < bySize.length - 1) {
+      const { el, nodes } = bySize[removed++];
+      const bytes = Buffer.byteLength(el.outerHTML);
+      el.remove();
+      measured = { paths: measured.paths - 1, nodes: measured.nodes - nodes, bytes: measured.bytes - bytes };
+
+      // Bytes are estimated per shape; settle them on the serialized document
+      if (this.exceeded(measured, limits).length === 0 || removed === bySize.length - 1) {
+        output = dom.serialize();
+        measured.bytes = Buffer.byteLength(output);
+      }
+    }
+
+    return { svg: output, removed, measured };
+  }
+}
+
+// Shape elements that are drawn, leaving out definitions
+function renderedShapes(doc) {
+  return Array.from(doc.querySelectorAll(SHAPES)).filter(el => !el.closest(NON_RENDERED));
+}
+
+function shapeSubpaths(el) {
+  return shapeToSubpaths(el, name => el.getAttribute(name));
+}
+
+// Anchor points: the start of each subpath and the end of each segment
+function nodeCount(subpaths) {
+  return subpaths.reduce((sum, subpath) => sum + 1 + subpath.segments.length, 0);
+}
+
+// Size of a shape: the boxes of its subpaths, so compound paths made of
+// scattered specks still count as small
+function boxArea(subpaths) {
+  return subpaths.reduce((sum, subpath) => {
+    const box = subpathBounds([subpath]);
+    return sum + (box ? (box.maxX - box.minX) * (box.maxY - box.minY) : 0);
+  }, 0);
+}
+
+function relaxedValue(from, factor, step, type, min, max) {
+  const scaled = from * factor ** step;
+  if (type !== 'integer') return Math.round(Math.min(max, Math.max(min, scaled)) * 100) / 100;
+  const value = factor > 1 ? Math.max(scaled, from + step) : Math.min(scaled, from - step);
+  return Math.round(Math.min(max, Math.max(min, value)));
+}
+
+module.exports = new OutputBudget();
+module.exports.BUDGETS = BUDGETS;
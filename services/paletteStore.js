@@ -0,0 +1,222 @@
+/**
+ * Palette Store
+ * Named customer palettes for brand color locking. Each palette is stored as
+ * one JSON file, so palettes survive restarts; on read-only serverless
+ * filesystems they are kept in memory only. The predefined palettes of
+ * PaletteManager (web-safe, material, grayscale, pantone and the
+ * pantone-coated and ral spot references) are listed alongside as read-only
+ * built-ins.
+ *
+ * A palette is { name, description, colors: [{ hex, name? }], builtIn,
+ * createdAt, updatedAt } where name is a lowercase slug.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const PaletteManager = require('./vectorizer/paletteManager');
+const { colorToHex } = require('./svgSceneParser');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const HEX_COLOR = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+class PaletteStore {
+  /**
+   * @param {object} options - { directory } where null keeps palettes in memory
+   */
+  constructor(options = {}) {
+    this.directory = options.directory !== undefined
+      ? options.directory
+      : (process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME ? null : path.join(__dirname, '..', 'palettes'));
+    this.palettes = new Map(); // name -> palette
+    this.loading = null;
+  }
+
+  /**
+   * Read stored palettes once; a failed read is retried on the next call
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.readAll().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async readAll() {
+    if (!this.directory) return;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    const files = (await fs.readdir(this.directory)).filter(f => f.endsWith('.json'));
+    for (const filename of files) {
+      try {
+        const palette = JSON.parse(await fs.readFile(path.join(this.directory, filename), 'utf8'));
+        this.palettes.set(palette.name, palette);
+      } catch (error) {
+        logger.warn('Skipping unreadable palette file', { filename, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Stored palettes by name, then the built-ins
+   */
+  async list() {
+    await this.load();
+    const stored = Array.from(this.palettes.values()).sort((a, b) => a.name.localeCompare(b.name));
+    return [...stored, ...builtInPalettes()];
+  }
+
+  /**
+   * @throws {NotFoundError} When no stored or built-in palette has the name
+   */
+  async get(name) {
+    await this.load();
+    const palette = this.palettes.get(name) || builtInPalettes().find(p => p.name === name);
+    if (!palette) {
+      throw new NotFoundError(`Palette '${name}'`);
+    }
+    return palette;
+  }
+
+  /**
+   * @param {object} input - { name, description?, colors } as validated by the 'palette' schema
+   * @throws {ConflictError} When the name is taken
+   */
+  async create({ name, description = '', colors }) {
+    await this.load();
+    if (this.palettes.has(name) || isBuiltIn(name)) {
+      throw new ConflictError(`Palette '${name}' already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const palette = { name, description, colors: normalizeColors(colors), builtIn: false, createdAt: now, updatedAt: now };
+    await this.save(palette);
+    return palette;
+  }
+
+  /**
+   * @param {object} changes - { description?, colors? }
+   * @throws {NotFoundError|ConflictError} For unknown and built-in palettes
+   */
+  async update(name, changes) {
+    const palette = await this.get(name);
+    if (palette.builtIn) {
+      throw new ConflictError(`Built-in palette '${name}' cannot be changed`);
+    }
+
+    const updated = {
+      ...palette,
+      ...(changes.description !== undefined && { description: changes.description }),
+      ...(changes.colors && { colors: normalizeColors(changes.colors) }),
+      updatedAt: new Date().toISOString(),
+    };
+    await this.save(updated);
+    return updated;
+  }
+
+  /**
+   * @throws {NotFoundError|ConflictError} For unknown and built-in palettes
+   */
+  async delete(name) {
+    const palette = await this.get(name);
+    if (palette.builtIn) {
+      throw new ConflictError(`Built-in palette '${name}' cannot be deleted`);
+    }
+
+    this.palettes.delete(name);
+    if (this.directory) {
+      await fs.unlink(this.paletteFile(name)).catch(() => {});
+    }
+  }
+
+  /**
+   * Resolve the `palette` (or `spotLibrary`) field of a request
+   * @param {string|Array} input - A palette name, a JSON array of colors or
+   *   comma-separated hex colors
+   * @param {string} field - Request field reported in validation details
+   * @returns {Promise<object|undefined>} { name, colors } with name null for
+   *   inline colors, undefined when no palette was sent
+   * @throws {ValidationError} For unknown names and malformed colors
+   */
+  async resolve(input, field = 'palette') {
+    if (input === undefined || input === null || input === '') return undefined;
+
+    let colors = input;
+    if (typeof input === 'string') {
+      const text = input.trim();
+      if (text.startsWith('[')) {
+        try {
+          colors = JSON.parse(text);
+        } catch (error) {
+          throw new ValidationError(`${field} must be a palette name or a list of colors`, [
+            { field, message: error.message, code: 'invalid_json' },
+          ]);
+        }
+      } else if (text.startsWith('#') || text.includes(',')) {
+        colors = text.split(',').map(color => color.trim());
+      } else {
+        try {
+          const { name, colors: paletteColors } = await this.get(text);
+          return { name, colors: paletteColors };
+        } catch (error) {
+          if (!(error instanceof NotFoundError)) throw error;
+          throw new ValidationError(`Unknown palette '${text}'`, [
+            { field, message: error.message, code: 'not_found' },
+          ]);
+        }
+      }
+    }
+
+    const valid = Array.isArray(colors) && colors.length > 0
+      && colors.every(color => HEX_COLOR.test(typeof color === 'string' ? color : color?.hex));
+    if (!valid) {
+      throw new ValidationError(`${field} colors must be hex colors like #1565c0`, [
+        { field, message: 'Expected a palette name or hex colors', code: 'invalid_string' },
+      ]);
+    }
+    return { name: null, colors: normalizeColors(colors) };
+  }
+
+  paletteFile(name) {
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  async save(palette) {
+    this.palettes.set(palette.name, palette);
+    if (!this.directory) return;
+
+    const file = this.paletteFile(palette.name);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(palette, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+  }
+}
+
+// PaletteManager's predefined palettes in the stored format
+function builtInPalettes() {
+  return Object.entries(PaletteManager.PALETTES).map(([name, colors]) => ({
+    name,
+    description: 'Built-in palette',
+    colors: colors.map(color => ({ hex: colorToHex(color), ...(color.name && { name: color.name }) })),
+    builtIn: true,
+  }));
+}
+
+function isBuiltIn(name) {
+  return Object.prototype.hasOwnProperty.call(PaletteManager.PALETTES, name);
+}
+
+// Colors as { hex: '#rrggbb', name? } from hex strings or { hex, name } objects
+function normalizeColors(colors) {
+  return colors.map((color) => {
+    const { hex, name } = typeof color === 'string' ? { hex: color } : color;
+    let digits = hex.replace('#', '').toLowerCase();
+    if (digits.length === 3) digits = digits.split('').map(d => d + d).join('');
+    return { hex: `#${digits}`, ...(name && { name }) };
+  });
+}
+
+module.exports = new PaletteStore();
+module.exports.PaletteStore = PaletteStore;
@@ -5,6 +5,8 @@
  */
 
 const sharp = require('sharp');
+const { PDFReader } = require('./pdfReader');
+const { ValidationError } = require('../utils/errors');
 
 /**
  * Convert a PDF buffer to a PNG image buffer
@@ -45,6 +47,47 @@ async function pdfToImage(pdfBuffer, options = {}) {
   }
 }
 
+/**
+ * Parse a page range specification such as "1-3,5" into page numbers
+ * @param {string} spec - Comma separated pages and ranges, or "all"
+ * @param {number} numPages - Total number of pages in the document
+ * @returns {number[]} Sorted, de-duplicated 1-indexed page numbers
+ * @throws {ValidationError} When a part is malformed or past the last page
+ */
+function parsePageRange(spec, numPages) {
+  const value = String(spec || '').trim().toLowerCase();
+
+  if (value === '' || value === 'all' || value === '*') {
+    return Array.from({ length: numPages }, (_, i) => i + 1);
+  }
+
+  const pages = new Set();
+
+  for (const part of value.split(',').map(p => p.trim()).filter(Boolean)) {
+    // Whitespace is only allowed around the hyphen, so "1 3" is not page 1
+    const match = part.match(/^(\d+)?(?:\s*(-)\s*(\d+)?)?$/);
+    if (!match || (!match[1] && !match[3])) {
+      throw new ValidationError(`Invalid page range: "${part}"`);
+    }
+
+    const start = match[1] ? parseInt(match[1], 10) : 1;
+    const end = match[2] ? (match[3] ? parseInt(match[3], 10) : numPages) : start;
+
+    if (start < 1 || end < start) {
+      throw new ValidationError(`Invalid page range: "${part}"`);
+    }
+    if (end > numPages) {
+      throw new ValidationError(`Page ${end} is out of range (document has ${numPages} page${numPages === 1 ? '' : 's'})`);
+    }
+
+    for (let page = start; page <= end; page++) {
+      pages.add(page);
+    }
+  }
+
+  return Array.from(pages).sort((a, b) => a - b);
+}
+
 /**
  * Get information about a PDF file
  * @param {Buffer} pdfBuffer - The PDF file buffer
@@ -60,6 +103,21 @@ async function getPdfInfo(pdfBuffer) {
       height: metadata.height,
     };
   } catch (error) {
+    // Without PDF support in libvips, read the page tree directly
+    try {
+      const pages = new PDFReader(pdfBuffer).getPages();
+      if (pages.length > 0) {
+        const [x0, y0, x1, y1] = pages[0].cropBox || pages[0].mediaBox;
+        return {
+          numPages: pages.length,
+          width: Math.round(Math.abs(x1 - x0)),
+          height: Math.round(Math.abs(y1 - y0)),
+        };
+      }
+    } catch (readError) {
+      // Report the original error below
+    }
+
     console.error('Failed to get PDF info:', error.message);
     throw new Error('Failed to read PDF: ' + error.message);
   }
@@ -93,6 +151,7 @@ function isAvailable() {
 
 module.exports = {
   pdfToImage,
+  parsePageRange,
   getPdfInfo,
   isPdf,
   isAvailable,
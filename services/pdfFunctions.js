@@ -0,0 +1,286 @@
+/**
+ * PDF Functions
+ * Evaluates PDF function objects (sampled, exponential, stitching and
+ * PostScript calculator functions) used by shadings and by the tint
+ * transforms of Separation/DeviceN color spaces.
+ */
+
+const { PDFStream } = require('./pdfReader');
+
+/**
+ * Build an evaluator for a PDF function (or array of 1-output functions)
+ * @param {PDFReader} reader - Reader used to resolve references and decode streams
+ * @param {*} value - Function object, reference, or array of functions
+ * @returns {Function|null} (inputs: number[]) => number[], or null if unsupported
+ */
+function createFunction(reader, value) {
+  const fn = reader.resolve(value);
+
+  if (Array.isArray(fn)) {
+    const parts = fn.map(part => createFunction(reader, part));
+    if (parts.some(part => !part)) return null;
+    return (inputs) => parts.map(part => part(inputs)[0]);
+  }
+
+  const dict = fn instanceof PDFStream ? fn.dict : fn;
+  if (!dict || typeof dict !== 'object') return null;
+
+  const domain = reader.resolve(dict.Domain) || [0, 1];
+  const range = reader.resolve(dict.Range);
+  let evaluate;
+
+  switch (dict.FunctionType) {
+    case 0:
+      evaluate = fn instanceof PDFStream ? sampledFunction(reader, fn, domain, range) : null;
+      break;
+    case 2:
+      evaluate = exponentialFunction(reader, dict);
+      break;
+    case 3:
+      evaluate = stitchingFunction(reader, dict, domain);
+      break;
+    case 4:
+      evaluate = fn instanceof PDFStream ? calculatorFunction(reader.decodeStream(fn).toString('latin1')) : null;
+      break;
+    default:
+      evaluate = null;
+  }
+
+  if (!evaluate) return null;
+
+  return (inputs) => {
+    const clipped = inputs.map((x, i) => clip(x, domain[i * 2], domain[i * 2 + 1]));
+    const outputs = evaluate(clipped);
+    if (!range) return outputs;
+    return outputs.map((y, i) => clip(y, range[i * 2], range[i * 2 + 1]));
+  };
+}
+
+function clip(value, min, max) {
+  if (min === undefined || max === undefined) return value;
+  return Math.min(max, Math.max(min, value));
+}
+
+function interpolate(x, xMin, xMax, yMin, yMax) {
+  if (xMax === xMin) return yMin;
+  return yMin + ((x - xMin) * (yMax - yMin)) / (xMax - xMin);
+}
+
+/**
+ * Type 0: sampled function (one input, linear interpolation between samples)
+ */
+function sampledFunction(reader, stream, domain, range) {
+  const { dict } = stream;
+  const size = reader.resolve(dict.Size) || [];
+  const bps = dict.BitsPerSample;
+  if (size.length !== 1 || !range || ![1, 2, 4, 8, 12, 16, 24, 32].includes(bps)) return null;
+
+  const outputs = range.length / 2;
+  const encode = reader.resolve(dict.Encode) || [0, size[0] - 1];
+  const decode = reader.resolve(dict.Decode) || range;
+  const data = reader.decodeStream(stream);
+  const maxValue = 2 ** bps - 1;
+
+  const sample = (index, output) => {
+    const bitOffset = (index * outputs + output) * bps;
+    let value = 0;
+    for (let bit = 0; bit < bps; bit++) {
+      const position = bitOffset + bit;
+      const byte = data[position >> 3] || 0;
+      value = value * 2 + ((byte >> (7 - (position & 7))) & 1);
+    }
+    return value;
+  };
+
+  return ([x]) => {
+    const e = clip(interpolate(x, domain[0], domain[1], encode[0], encode[1]), 0, size[0] - 1);
+    const i0 = Math.floor(e);
+    const i1 = Math.min(size[0] - 1, i0 + 1);
+    const t = e - i0;
+
+    const result = [];
+    for (let j = 0; j < outputs; j++) {
+      const value = sample(i0, j) * (1 - t) + sample(i1, j) * t;
+      result.push(interpolate(value, 0, maxValue, decode[j * 2], decode[j * 2 + 1]));
+    }
+    return result;
+  };
+}
+
+/**
+ * Type 2: exponential interpolation between C0 and C1
+ */
+function exponentialFunction(reader, dict) {
+  const c0 = reader.resolve(dict.C0) || [0];
+  const c1 = reader.resolve(dict.C1) || [1];
+  const n = dict.N === undefined ? 1 : dict.N;
+
+  return ([x]) => {
+    const xn = x ** n;
+    return c0.map((value, i) => value + xn * (c1[i] - value));
+  };
+}
+
+/**
+ * Type 3: stitching of 1-input functions over subdomains
+ */
+function stitchingFunction(reader, dict, domain) {
+  const functions = (reader.resolve(dict.Functions) || []).map(f => createFunction(reader, f));
+  if (functions.length === 0 || functions.some(f => !f)) return null;
+
+  const bounds = reader.resolve(dict.Bounds) || [];
+  const encode = reader.resolve(dict.Encode) || [];
+
+  return ([x]) => {
+    let k = 0;
+    while (k < bounds.length && x >= bounds[k]) k++;
+    const low = k === 0 ? domain[0] : bounds[k - 1];
+    const high = k === bounds.length ? domain[1] : bounds[k];
+    const e0 = encode[k * 2] !== undefined ? encode[k * 2] : 0;
+    const e1 = encode[k * 2 + 1] !== undefined ? encode[k * 2 + 1] : 1;
+    return functions[k]([interpolate(x, low, high, e0, e1)]);
+  };
+}
+
+/**
+ * Type 4: PostScript calculator function
+ */
+function calculatorFunction(source) {
+  let program;
+  try {
+    program = parseCalculator(source.replace(/%[^\r\n]*/g, ''));
+  } catch (error) {
+    return null;
+  }
+
+  return (inputs) => {
+    const stack = inputs.slice();
+    runCalculator(program, stack);
+    return stack;
+  };
+}
+
+function parseCalculator(source) {
+  const tokens = source.match(/[{}]|[^\s{}]+/g) || [];
+  let position = 0;
+
+  const parseBlock = () => {
+    if (tokens[position++] !== '{') throw new Error('Expected {');
+    const block = [];
+    while (position < tokens.length) {
+      const token = tokens[position];
+      if (token === '}') {
+        position++;
+        return block;
+      }
+      if (token === '{') {
+        block.push(parseBlock());
+      } else {
+        position++;
+        const number = Number(token);
+        block.push(Number.isNaN(number) ? token : number);
+      }
+    }
+    throw new Error('Unterminated procedure');
+  };
+
+  return parseBlock();
+}
+
+function runCalculator(program, stack) {
+  const pop = () => stack.pop();
+
+  for (let i = 0; i < program.length; i++) {
+    const op = program[i];
+    if (typeof op === 'number' || typeof op === 'boolean') {
+      stack.push(op);
+      continue;
+    }
+    if (Array.isArray(op)) {
+      // Procedures only appear as operands of a following if/ifelse
+      if (program[i + 1] === 'if') {
+        if (pop()) runCalculator(op, stack);
+        i += 1;
+      } else if (Array.isArray(program[i + 1]) && program[i + 2] === 'ifelse') {
+        runCalculator(pop() ? op : program[i + 1], stack);
+        i += 2;
+      } else {
+        throw new Error('Unexpected procedure');
+      }
+      continue;
+    }
+
+    let a;
+    let b;
+    switch (op) {
+      case 'add': b = pop(); a = pop(); stack.push(a + b); break;
+      case 'sub': b = pop(); a = pop(); stack.push(a - b); break;
+      case 'mul': b = pop(); a = pop(); stack.push(a * b); break;
+      case 'div': b = pop(); a = pop(); stack.push(b === 0 ? 0 : a / b); break;
+      case 'idiv': b = pop(); a = pop(); stack.push(b === 0 ? 0 : Math.trunc(a / b)); break;
+      case 'mod': b = pop(); a = pop(); stack.push(b === 0 ? 0 : a % b); break;
+      case 'neg': stack.push(-pop()); break;
+      case 'abs': stack.push(Math.abs(pop())); break;
+      case 'ceiling': stack.push(Math.ceil(pop())); break;
+      case 'floor': stack.push(Math.floor(pop())); break;
+      case 'round': stack.push(Math.round(pop())); break;
+      case 'truncate':
+      case 'cvi': stack.push(Math.trunc(pop())); break;
+      case 'cvr': break;
+      case 'sqrt': stack.push(Math.sqrt(pop())); break;
+      case 'sin': stack.push(Math.sin((pop() * Math.PI) / 180)); break;
+      case 'cos': stack.push(Math.cos((pop() * Math.PI) / 180)); break;
+      case 'atan': {
+        b = pop(); a = pop();
+        const angle = (Math.atan2(a, b) * 180) / Math.PI;
+        stack.push(angle < 0 ? angle + 360 : angle);
+        break;
+      }
+      case 'exp': b = pop(); a = pop(); stack.push(a ** b); break;
+      case 'ln': stack.push(Math.log(pop())); break;
+      case 'log': stack.push(Math.log10(pop())); break;
+      case 'dup': stack.push(stack[stack.length - 1]); break;
+      case 'exch': b = pop(); a = pop(); stack.push(b, a); break;
+      case 'pop': pop(); break;
+      case 'copy': {
+        const n = pop();
+        stack.push(...stack.slice(stack.length - n));
+        break;
+      }
+      case 'index': {
+        const n = pop();
+        stack.push(stack[stack.length - 1 - n]);
+        break;
+      }
+      case 'roll': {
+        const j = pop();
+        const n = pop();
+        if (n > 0) {
+          const items = stack.splice(stack.length - n, n);
+          const shift = ((j % n) + n) % n;
+          stack.push(...items.slice(n - shift), ...items.slice(0, n - shift));
+        }
+        break;
+      }
+      case 'eq': b = pop(); a = pop(); stack.push(a === b); break;
+      case 'ne': b = pop(); a = pop(); stack.push(a !== b); break;
+      case 'gt': b = pop(); a = pop(); stack.push(a > b); break;
+      case 'ge': b = pop(); a = pop(); stack.push(a >= b); break;
+      case 'lt': b = pop(); a = pop(); stack.push(a < b); break;
+      case 'le': b = pop(); a = pop(); stack.push(a <= b); break;
+      case 'and': b = pop(); a = pop(); stack.push(typeof a === 'boolean' ? a && b : a & b); break;
+      case 'or': b = pop(); a = pop(); stack.push(typeof a === 'boolean' ? a || b : a | b); break;
+      case 'xor': b = pop(); a = pop(); stack.push(typeof a === 'boolean' ? a !== b : a ^ b); break;
+      case 'not': a = pop(); stack.push(typeof a === 'boolean' ? !a : ~a); break;
+      case 'bitshift': b = pop(); a = pop(); stack.push(b >= 0 ? a << b : a >> -b); break;
+      case 'true': stack.push(true); break;
+      case 'false': stack.push(false); break;
+      default:
+        throw new Error(`Unsupported calculator operator: ${op}`);
+    }
+  }
+}
+
+module.exports = {
+  createFunction,
+};
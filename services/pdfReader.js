@@ -0,0 +1,790 @@
+/**
+ * PDF Reader
+ * Minimal PDF object parser: cross-reference tables and streams, object
+ * streams, stream filters and the page tree. Used to read vector content out
+ * of uploaded PDFs without rasterizing them.
+ */
+
+const zlib = require('zlib');
+
+// PDF whitespace and delimiter character classes
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+
+class PDFName {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+class PDFRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+class PDFStream {
+  /**
+   * @param {object} dict - Stream dictionary
+   * @param {Buffer} data - Raw (still encoded) stream data
+   */
+  constructor(dict, data) {
+    this.dict = dict;
+    this.data = data;
+  }
+}
+
+/**
+ * An operator or keyword in a PDF byte sequence (obj, R, stream, re, f, ...)
+ */
+class PDFKeyword {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+/**
+ * Tokenizer/parser for PDF object syntax, shared by the file parser and the
+ * content stream interpreter
+ */
+class PDFLexer {
+  /**
+   * @param {Buffer} buffer - Bytes to parse
+   * @param {number} position - Start offset
+   * @param {object} options - { allowRefs } resolves "n g R" into PDFRef
+   */
+  constructor(buffer, position = 0, options = {}) {
+    this.buffer = buffer;
+    this.position = position;
+    this.allowRefs = options.allowRefs !== false;
+  }
+
+  skipWhitespace() {
+    const { buffer } = this;
+    while (this.position < buffer.length) {
+      const ch = buffer[this.position];
+      if (WHITESPACE.has(ch)) {
+        this.position++;
+      } else if (ch === 0x25) {
+        // Comment runs to end of line
+        while (this.position < buffer.length && buffer[this.position] !== 0x0a && buffer[this.position] !== 0x0d) {
+          this.position++;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  atEnd() {
+    this.skipWhitespace();
+    return this.position >= this.buffer.length;
+  }
+
+  /**
+   * Read the next object or keyword
+   * @returns {*} Parsed value, PDFKeyword, or undefined at end of input
+   */
+  read() {
+    this.skipWhitespace();
+    const { buffer } = this;
+    if (this.position >= buffer.length) return undefined;
+
+    const ch = buffer[this.position];
+
+    if (ch === 0x2f) return this.readName();
+    if (ch === 0x28) return this.readLiteralString();
+    if (ch === 0x5b) {
+      this.position++;
+      const array = [];
+      for (;;) {
+        this.skipWhitespace();
+        if (this.position >= buffer.length) throw new Error('Unterminated array');
+        if (buffer[this.position] === 0x5d) {
+          this.position++;
+          return array;
+        }
+        array.push(this.read());
+      }
+    }
+    if (ch === 0x3c) {
+      if (buffer[this.position + 1] === 0x3c) return this.readDictionary();
+      return this.readHexString();
+    }
+    if (ch === 0x5d || ch === 0x3e || ch === 0x7b || ch === 0x7d || ch === 0x29) {
+      // Stray delimiter: skip it rather than failing the whole stream
+      this.position++;
+      return new PDFKeyword(String.fromCharCode(ch));
+    }
+
+    const token = this.readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      const number = parseFloat(token);
+      if (this.allowRefs && /^\d+$/.test(token)) {
+        const ref = this.tryReadRef(number);
+        if (ref) return ref;
+      }
+      return number;
+    }
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null') return null;
+    return new PDFKeyword(token);
+  }
+
+  /**
+   * Look ahead for "gen R" after an object number
+   */
+  tryReadRef(num) {
+    const saved = this.position;
+    this.skipWhitespace();
+    const gen = this.readRegular();
+    if (/^\d+$/.test(gen)) {
+      this.skipWhitespace();
+      if (this.buffer[this.position] === 0x52 && this.isBoundary(this.position + 1)) {
+        this.position++;
+        return new PDFRef(num, parseInt(gen, 10));
+      }
+    }
+    this.position = saved;
+    return null;
+  }
+
+  isBoundary(position) {
+    if (position >= this.buffer.length) return true;
+    const ch = this.buffer[position];
+    return WHITESPACE.has(ch) || DELIMITERS.has(ch);
+  }
+
+  readRegular() {
+    const start = this.position;
+    while (this.position < this.buffer.length && !this.isBoundary(this.position)) {
+      this.position++;
+    }
+    return this.buffer.toString('latin1', start, this.position);
+  }
+
+  readName() {
+    this.position++; // '/'
+    const raw = this.readRegular();
+    return new PDFName(raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+  }
+
+  readDictionary() {
+    this.position += 2; // '<<'
+    const dict = {};
+    for (;;) {
+      this.skipWhitespace();
+      if (this.position >= this.buffer.length) throw new Error('Unterminated dictionary');
+      if (this.buffer[this.position] === 0x3e && this.buffer[this.position + 1] === 0x3e) {
+        this.position += 2;
+        return dict;
+      }
+      const key = this.read();
+      if (!(key instanceof PDFName)) {
+        continue; // Malformed key - skip it
+      }
+      dict[key.name] = this.read();
+    }
+  }
+
+  readHexString() {
+    this.position++; // '<'
+    const end = this.buffer.indexOf(0x3e, this.position);
+    if (end === -1) throw new Error('Unterminated hex string');
+    let hex = this.buffer.toString('latin1', this.position, end).replace(/[^0-9a-fA-F]/g, '');
+    this.position = end + 1;
+    if (hex.length % 2) hex += '0';
+    return Buffer.from(hex, 'hex').toString('latin1');
+  }
+
+  readLiteralString() {
+    const { buffer } = this;
+    this.position++; // '('
+    let depth = 1;
+    let out = '';
+
+    while (this.position < buffer.length) {
+      const ch = buffer[this.position++];
+      if (ch === 0x5c) {
+        const next = buffer[this.position++];
+        const escapes = { 0x6e: '\n', 0x72: '\r', 0x74: '\t', 0x62: '\b', 0x66: '\f' };
+        if (escapes[next]) {
+          out += escapes[next];
+        } else if (next >= 0x30 && next <= 0x37) {
+          let octal = String.fromCharCode(next);
+          while (octal.length < 3 && buffer[this.position] >= 0x30 && buffer[this.position] <= 0x37) {
+            octal += String.fromCharCode(buffer[this.position++]);
+          }
+          out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === 0x0d) {
+          if (buffer[this.position] === 0x0a) this.position++;
+        } else if (next !== 0x0a) {
+          out += String.fromCharCode(next);
+        }
+      } else if (ch === 0x28) {
+        depth++;
+        out += '(';
+      } else if (ch === 0x29) {
+        depth--;
+        if (depth === 0) return out;
+        out += ')';
+      } else {
+        out += String.fromCharCode(ch);
+      }
+    }
+
+    throw new Error('Unterminated string');
+  }
+}
+
+class PDFReader {
+  /**
+   * @param {Buffer} buffer - Complete PDF file
+   */
+  constructor(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.toString('latin1', 0, 1024).indexOf('%PDF-') === -1) {
+      throw new Error('Not a PDF file');
+    }
+
+    this.buffer = buffer;
+    this.xref = new Map(); // object number -> { offset } | { stream, index }
+    this.cache = new Map();
+    this.trailer = {};
+
+    try {
+      this.readCrossReferences();
+    } catch (error) {
+      this.xref.clear();
+    }
+
+    if (this.xref.size === 0 || !this.trailer.Root) {
+      this.rebuildCrossReferences();
+    }
+
+    if (this.trailer.Encrypt) {
+      throw new Error('Encrypted PDFs are not supported');
+    }
+  }
+
+  /**
+   * Read the cross-reference chain starting at startxref
+   */
+  readCrossReferences() {
+    const tail = this.buffer.toString('latin1', Math.max(0, this.buffer.length - 1024));
+    const match = tail.match(/startxref\s+(\d+)\s*%%EOF\s*$/) || tail.match(/startxref\s+(\d+)/);
+    if (!match) throw new Error('startxref not found');
+
+    let offset = parseInt(match[1], 10);
+    const visited = new Set();
+
+    while (offset !== undefined && !visited.has(offset)) {
+      visited.add(offset);
+      const lexer = new PDFLexer(this.buffer, offset);
+      lexer.skipWhitespace();
+
+      let trailer;
+      if (this.buffer.toString('latin1', lexer.position, lexer.position + 4) === 'xref') {
+        lexer.position += 4;
+        trailer = this.readXrefTable(lexer);
+      } else {
+        trailer = this.readXrefStream(lexer);
+      }
+
+      // Newer sections are read first and take precedence
+      for (const key of Object.keys(trailer)) {
+        if (!(key in this.trailer)) this.trailer[key] = trailer[key];
+      }
+
+      if (typeof trailer.XRefStm === 'number' && !visited.has(trailer.XRefStm)) {
+        visited.add(trailer.XRefStm);
+        this.readXrefStream(new PDFLexer(this.buffer, trailer.XRefStm));
+      }
+
+      offset = typeof trailer.Prev === 'number' ? trailer.Prev : undefined;
+    }
+  }
+
+  readXrefTable(lexer) {
+    for (;;) {
+      const token = lexer.read();
+      if (token instanceof PDFKeyword && token.value === 'trailer') {
+        return lexer.read();
+      }
+      if (typeof token !== 'number') throw new Error('Malformed xref table');
+
+      const start = token;
+      const count = lexer.read();
+      for (let i = 0; i < count; i++) {
+        const entryOffset = lexer.read();
+        lexer.read(); // generation
+        const type = lexer.read();
+        const num = start + i;
+        if (type instanceof PDFKeyword && type.value === 'n' && !this.xref.has(num) && entryOffset > 0) {
+          this.xref.set(num, { offset: entryOffset });
+        } else if (!this.xref.has(num)) {
+          this.xref.set(num, null);
+        }
+      }
+    }
+  }
+
+  readXrefStream(lexer) {
+    const { stream } = this.readIndirectObject(lexer);
+    if (!(stream instanceof PDFStream)) throw new Error('Malformed xref stream');
+
+    const { dict } = stream;
+    const data = this.decodeStream(stream);
+    const widths = dict.W;
+    const index = dict.Index || [0, dict.Size];
+    const entrySize = widths[0] + widths[1] + widths[2];
+    let position = 0;
+
+    const field = (width, fallback) => {
+      if (width === 0) return fallback;
+      let value = 0;
+      for (let i = 0; i < width; i++) value = value * 256 + data[position++];
+      return value;
+    };
+
+    for (let i = 0; i < index.length; i += 2) {
+      for (let n = 0; n < index[i + 1]; n++) {
+        if (position + entrySize > data.length) break;
+        const num = index[i] + n;
+        const type = field(widths[0], 1);
+        const a = field(widths[1], 0);
+        const b = field(widths[2], 0);
+        if (this.xref.has(num)) continue;
+
+        if (type === 1) this.xref.set(num, { offset: a });
+        else if (type === 2) this.xref.set(num, { stream: a, index: b });
+        else this.xref.set(num, null);
+      }
+    }
+
+    return dict;
+  }
+
+  /**
+   * Recover object offsets by scanning the file (for damaged or missing xrefs)
+   */
+  rebuildCrossReferences() {
+    const text = this.buffer.toString('latin1');
+    const pattern = /(?:^|[\r\n\s])(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const num = parseInt(match[1], 10);
+      this.xref.set(num, { offset: match.index + match[0].indexOf(match[1]) });
+    }
+
+    const trailerIndex = text.lastIndexOf('trailer');
+    if (trailerIndex !== -1) {
+      try {
+        const lexer = new PDFLexer(this.buffer, trailerIndex + 7);
+        Object.assign(this.trailer, lexer.read());
+      } catch (error) {
+        // Fall through to the catalog search below
+      }
+    }
+
+    if (!this.trailer.Root) {
+      for (const num of this.xref.keys()) {
+        const value = this.getObject(num);
+        if (value && value.Type instanceof PDFName && value.Type.name === 'Catalog') {
+          this.trailer.Root = new PDFRef(num, 0);
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Parse "num gen obj ... endobj" at the lexer position
+   */
+  readIndirectObject(lexer) {
+    const num = lexer.read();
+    lexer.read(); // generation
+    const keyword = lexer.read();
+    if (!(keyword instanceof PDFKeyword) || keyword.value !== 'obj') {
+      throw new Error(`Object ${num} not found at offset`);
+    }
+
+    const value = lexer.read();
+    lexer.skipWhitespace();
+
+    if (value && typeof value === 'object' && !Array.isArray(value)
+      && this.buffer.toString('latin1', lexer.position, lexer.position + 6) === 'stream') {
+      let start = lexer.position + 6;
+      if (this.buffer[start] === 0x0d) start++;
+      if (this.buffer[start] === 0x0a) start++;
+
+      let length = value.Length;
+      if (length instanceof PDFRef) length = this.getObject(length.num);
+
+      let end = start + (typeof length === 'number' ? length : -1);
+      if (typeof length !== 'number' || end > this.buffer.length
+        || this.buffer.toString('latin1', end, end + 32).indexOf('endstream') === -1) {
+        // Unreliable /Length: find the terminating keyword instead
+        end = this.buffer.indexOf('endstream', start, 'latin1');
+        if (end === -1) end = this.buffer.length;
+        while (end > start && (this.buffer[end - 1] === 0x0a || this.buffer[end - 1] === 0x0d)) end--;
+      }
+
+      return { num, stream: new PDFStream(value, this.buffer.subarray(start, end)) };
+    }
+
+    return { num, stream: value };
+  }
+
+  /**
+   * Get an object by number
+   * @param {number} num - Object number
+   * @returns {*} Parsed object (PDFStream for streams)
+   */
+  getObject(num) {
+    if (this.cache.has(num)) return this.cache.get(num);
+
+    const entry = this.xref.get(num);
+    let value = null;
+
+    // Guard against reference cycles while the object is being read
+    this.cache.set(num, null);
+
+    try {
+      if (entry && entry.offset !== undefined) {
+        value = this.readIndirectObject(new PDFLexer(this.buffer, entry.offset)).stream;
+      } else if (entry && entry.stream !== undefined) {
+        value = this.readFromObjectStream(entry.stream, entry.index, num);
+      }
+    } catch (error) {
+      value = null;
+    }
+
+    this.cache.set(num, value);
+    return value;
+  }
+
+  readFromObjectStream(streamNum, index, num) {
+    const stream = this.getObject(streamNum);
+    if (!(stream instanceof PDFStream)) return null;
+
+    if (!stream.objects) {
+      const data = this.decodeStream(stream);
+      const header = new PDFLexer(data, 0, { allowRefs: false });
+      const offsets = new Map();
+      for (let i = 0; i < stream.dict.N; i++) {
+        const objectNum = header.read();
+        offsets.set(objectNum, header.read());
+      }
+      stream.objects = { data, offsets, first: stream.dict.First };
+    }
+
+    const { data, offsets, first } = stream.objects;
+    const offset = offsets.get(num);
+    if (offset === undefined) return null;
+    return new PDFLexer(data, first + offset).read();
+  }
+
+  /**
+   * Resolve a value that may be an indirect reference
+   */
+  resolve(value) {
+    let resolved = value;
+    let depth = 0;
+    while (resolved instanceof PDFRef && depth++ < 32) {
+      resolved = this.getObject(resolved.num);
+    }
+    return resolved;
+  }
+
+  /**
+   * Decode stream data through its filter chain
+   * @param {PDFStream} stream - Stream object
+   * @returns {Buffer} Decoded data
+   */
+  decodeStream(stream) {
+    const filters = this.toArray(this.resolve(stream.dict.Filter));
+    const params = this.toArray(this.resolve(stream.dict.DecodeParms));
+    let data = stream.data;
+
+    filters.forEach((filter, i) => {
+      const name = this.resolve(filter).name;
+      const parms = this.resolve(params[i]) || {};
+
+      switch (name) {
+        case 'FlateDecode':
+        case 'Fl':
+          data = applyPredictor(inflate(data), parms);
+          break;
+        case 'ASCIIHexDecode':
+        case 'AHx':
+          data = decodeASCIIHex(data);
+          break;
+        case 'ASCII85Decode':
+        case 'A85':
+          data = decodeASCII85(data);
+          break;
+        case 'LZWDecode':
+        case 'LZW':
+          data = applyPredictor(decodeLZW(data, parms.EarlyChange !== 0), parms);
+          break;
+        case 'RunLengthDecode':
+        case 'RL':
+          data = decodeRunLength(data);
+          break;
+        default:
+          throw new Error(`Unsupported stream filter: ${name}`);
+      }
+    });
+
+    return data;
+  }
+
+  toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * List the document's pages with inherited attributes resolved
+   * @returns {Array<{dict, resources, mediaBox, cropBox, rotate}>} Pages in order
+   */
+  getPages() {
+    if (this.pages) return this.pages;
+
+    const catalog = this.resolve(this.trailer.Root);
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (nodeRef, inherited) => {
+      const node = this.resolve(nodeRef);
+      if (!node || typeof node !== 'object') return;
+      if (nodeRef instanceof PDFRef) {
+        if (visited.has(nodeRef.num)) return;
+        visited.add(nodeRef.num);
+      }
+
+      const attributes = {
+        resources: node.Resources !== undefined ? this.resolve(node.Resources) : inherited.resources,
+        mediaBox: node.MediaBox !== undefined ? this.resolve(node.MediaBox) : inherited.mediaBox,
+        cropBox: node.CropBox !== undefined ? this.resolve(node.CropBox) : inherited.cropBox,
+        rotate: node.Rotate !== undefined ? this.resolve(node.Rotate) : inherited.rotate,
+      };
+
+      const kids = this.resolve(node.Kids);
+      if (Array.isArray(kids)) {
+        kids.forEach(kid => walk(kid, attributes));
+      } else {
+        pages.push({ dict: node, ...attributes });
+      }
+    };
+
+    if (catalog && catalog.Pages) {
+      walk(catalog.Pages, { resources: {}, mediaBox: [0, 0, 612, 792], cropBox: undefined, rotate: 0 });
+    }
+
+    this.pages = pages;
+    return pages;
+  }
+
+  /**
+   * Get the concatenated, decoded content stream of a page
+   * @param {object} page - Page from getPages()
+   * @returns {Buffer} Content stream bytes
+   */
+  getPageContent(page) {
+    const contents = this.toArray(this.resolve(page.dict.Contents))
+      .map(part => this.resolve(part))
+      .filter(part => part instanceof PDFStream)
+      .map(part => this.decodeStream(part));
+
+    // Streams are joined with whitespace so tokens never merge across parts
+    return Buffer.concat(contents.flatMap(part => [part, Buffer.from('\n')]));
+  }
+}
+
+/**
+ * Inflate zlib data, tolerating truncated streams
+ */
+function inflate(data) {
+  try {
+    return zlib.inflateSync(data);
+  } catch (error) {
+    try {
+      return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    } catch (rawError) {
+      return zlib.inflateRawSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    }
+  }
+}
+
+/**
+ * Undo TIFF/PNG predictors applied before compression
+ */
+function applyPredictor(data, parms) {
+  const predictor = parms.Predictor || 1;
+  if (predictor < 10) return data;
+
+  const colors = parms.Colors || 1;
+  const bpc = parms.BitsPerComponent || 8;
+  const columns = parms.Columns || 1;
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bpc) / 8));
+  const rowLength = Math.ceil((colors * bpc * columns) / 8);
+  const out = Buffer.alloc(Math.floor(data.length / (rowLength + 1)) * rowLength);
+  let previous = Buffer.alloc(rowLength);
+
+  for (let row = 0, input = 0; input + rowLength < data.length + 1 && row * rowLength < out.length; row++) {
+    const type = data[input++];
+    const current = out.subarray(row * rowLength, (row + 1) * rowLength);
+
+    for (let i = 0; i < rowLength; i++) {
+      const raw = data[input + i];
+      const left = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+
+      let value;
+      switch (type) {
+        case 1: value = raw + left; break;
+        case 2: value = raw + up; break;
+        case 3: value = raw + ((left + up) >> 1); break;
+        case 4: {
+          const p = left + up - upLeft;
+          const pa = Math.abs(p - left);
+          const pb = Math.abs(p - up);
+          const pc = Math.abs(p - upLeft);
+          value = raw + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+          break;
+        }
+        default: value = raw;
+      }
+      current[i] = value & 0xff;
+    }
+
+    input += rowLength;
+    previous = current;
+  }
+
+  return out;
+}
+
+function decodeASCIIHex(data) {
+  let hex = data.toString('latin1');
+  const end = hex.indexOf('>');
+  if (end !== -1) hex = hex.slice(0, end);
+  hex = hex.replace(/[^0-9a-fA-F]/g, '');
+  if (hex.length % 2) hex += '0';
+  return Buffer.from(hex, 'hex');
+}
+
+function decodeASCII85(data) {
+  let text = data.toString('latin1').replace(/\s/g, '');
+  if (text.startsWith('<~')) text = text.slice(2);
+  const end = text.indexOf('~>');
+  if (end !== -1) text = text.slice(0, end);
+
+  const out = [];
+  let group = [];
+
+  const flush = (count) => {
+    let value = 0;
+    for (let i = 0; i < 5; i++) value = value * 85 + (i < group.length ? group[i] : 84);
+    const bytes = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    out.push(...bytes.slice(0, count));
+    group = [];
+  };
+
+  for (const ch of text) {
+    if (ch === 'z' && group.length === 0) {
+      out.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(ch.charCodeAt(0) - 33);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length > 0) flush(group.length - 1);
+
+  return Buffer.from(out);
+}
+
+function decodeLZW(data, earlyChange) {
+  const out = [];
+  let dictionary = [];
+  let codeLength = 9;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let previous = null;
+
+  const reset = () => {
+    dictionary = [];
+    for (let i = 0; i < 256; i++) dictionary.push([i]);
+    dictionary.push(null, null); // 256 clear, 257 end-of-data
+    codeLength = 9;
+    previous = null;
+  };
+  reset();
+
+  for (const byte of data) {
+    bitBuffer = (bitBuffer << 8) | byte;
+    bitCount += 8;
+
+    while (bitCount >= codeLength) {
+      const code = (bitBuffer >> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+      bitCount -= codeLength;
+      bitBuffer &= (1 << bitCount) - 1;
+
+      if (code === 256) {
+        reset();
+        continue;
+      }
+      if (code === 257) return Buffer.from(out);
+
+      let entry;
+      if (code < dictionary.length && dictionary[code]) {
+        entry = dictionary[code];
+      } else if (previous) {
+        entry = previous.concat(previous[0]);
+      } else {
+        return Buffer.from(out);
+      }
+
+      out.push(...entry);
+      if (previous) dictionary.push(previous.concat(entry[0]));
+      previous = entry;
+
+      const limit = dictionary.length + (earlyChange ? 1 : 0);
+      if (limit >= (1 << codeLength) && codeLength < 12) codeLength++;
+    }
+  }
+
+  return Buffer.from(out);
+}
+
+function decodeRunLength(data) {
+  const out = [];
+  let i = 0;
+  while (i < data.length) {
+    const length = data[i++];
+    if (length === 128) break;
+    if (length < 128) {
+      out.push(...data.subarray(i, i + length + 1));
+      i += length + 1;
+    } else {
+      const count = 257 - length;
+      for (let n = 0; n < count; n++) out.push(data[i]);
+      i++;
+    }
+  }
+  return Buffer.from(out);
+}
+
+module.exports = {
+  PDFReader,
+  PDFLexer,
+  PDFName,
+  PDFRef,
+  PDFStream,
+  PDFKeyword,
+};
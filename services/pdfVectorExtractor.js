@@ -0,0 +1,788 @@
+/**
+ * PDF Vector Extractor
+ * Interprets PDF page content streams and re-emits the vector artwork as SVG,
+ * so logo PDFs that already contain paths are converted losslessly instead of
+ * being rasterized and re-traced.
+ *
+ * Supported: path construction and painting, fill/stroke colors (gray, RGB,
+ * CMYK, ICC-based, Lab, indexed, Separation/DeviceN tints), line styles,
+ * opacity from ExtGState, clipping paths, form XObjects, and axial/radial
+ * shadings (as SVG gradients). Raster images, live text and mesh shadings
+ * cannot be represented as paths; pages containing them are flagged so the
+ * caller can fall back to tracing.
+ */
+
+const {
+  PDFReader, PDFLexer, PDFName, PDFStream, PDFKeyword,
+} = require('./pdfReader');
+const { createFunction } = require('./pdfFunctions');
+const { multiplyMatrix, transformPoint } = require('./svgSceneParser');
+const { formatNumber } = require('./pdfWriter');
+const { buildSVG, pathData, toHex } = require('./svgSceneWriter');
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const MAX_FORM_DEPTH = 16;
+const GRADIENT_SAMPLES = 32;
+
+const DEVICE_GRAY = { components: 1, toRGB: ([g]) => rgb(g, g, g), initial: [0] };
+const DEVICE_RGB = { components: 3, toRGB: ([r, g, b]) => rgb(r, g, b), initial: [0, 0, 0] };
+const DEVICE_CMYK = { components: 4, toRGB: cmykToRGB, initial: [0, 0, 0, 1] };
+
+function rgb(r, g, b) {
+  const channel = (v) => Math.round(Math.min(1, Math.max(0, Number(v) || 0)) * 255);
+  return { r: channel(r), g: channel(g), b: channel(b) };
+}
+
+function cmykToRGB([c, m, y, k]) {
+  return rgb((1 - c) * (1 - k), (1 - m) * (1 - k), (1 - y) * (1 - k));
+}
+
+/**
+ * CIE L*a*b* to sRGB (D65 reference white approximation)
+ */
+function labToRGB([l, a, b], whitePoint = [0.9505, 1, 1.089]) {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const inverse = (t) => (t > 6 / 29 ? t ** 3 : 3 * (6 / 29) ** 2 * (t - 4 / 29));
+  const x = whitePoint[0] * inverse(fx);
+  const y = whitePoint[1] * inverse(fy);
+  const z = whitePoint[2] * inverse(fz);
+
+  const gamma = (v) => (v <= 0.0031308 ? 12.92 * v : 1.055 * v ** (1 / 2.4) - 0.055);
+  return rgb(
+    gamma(3.2406 * x - 1.5372 * y - 0.4986 * z),
+    gamma(-0.9689 * x + 1.8758 * y + 0.0415 * z),
+    gamma(0.0557 * x - 0.204 * y + 1.057 * z)
+  );
+}
+
+class PDFVectorExtractor {
+  /**
+   * Summarize which pages of a PDF can be extracted as vectors
+   * @param {Buffer} pdfBuffer - PDF file
+   * @returns {object} { pageCount, pages: [{ page, vectorizable, reason, images, text, paths }] }
+   */
+  analyze(pdfBuffer) {
+    const reader = new PDFReader(pdfBuffer);
+    const pages = reader.getPages().map((page, index) => {
+      const result = this.interpretPage(reader, page);
+      return {
+        page: index + 1,
+        vectorizable: result.vectorizable,
+        reason: result.reason,
+        images: result.images,
+        text: result.text,
+        paths: result.paths,
+      };
+    });
+
+    return { pageCount: pages.length, pages };
+  }
+
+  /**
+   * Extract one page as SVG
+   * @param {Buffer} pdfBuffer - PDF file
+   * @param {number} pageNumber - 1-indexed page number
+   * @returns {object} { svg, width, height, vectorizable, reason, images, text, paths, unsupported }
+   */
+  extractPage(pdfBuffer, pageNumber = 1) {
+    return this.extractPages(pdfBuffer, [pageNumber])[0];
+  }
+
+  /**
+   * Extract several pages as SVG, parsing the file once
+   * @param {Buffer} pdfBuffer - PDF file
+   * @param {number[]} pageNumbers - 1-indexed page numbers
+   * @returns {object[]} One extraction result per page (see extractPage)
+   */
+  extractPages(pdfBuffer, pageNumbers) {
+    const reader = new PDFReader(pdfBuffer);
+    const pages = reader.getPages();
+
+    return pageNumbers.map((pageNumber) => {
+      const page = pages[pageNumber - 1];
+      if (!page) {
+        throw new Error(`Page ${pageNumber} is out of range (document has ${pages.length} pages)`);
+      }
+      return { page: pageNumber, ...this.interpretPage(reader, page) };
+    });
+  }
+
+  /**
+   * Run a page's content stream and build the SVG
+   */
+  interpretPage(reader, page) {
+    const box = (page.cropBox || page.mediaBox || [0, 0, 612, 792]).map(v => reader.resolve(v));
+    const x0 = Math.min(box[0], box[2]);
+    const y0 = Math.min(box[1], box[3]);
+    const x1 = Math.max(box[0], box[2]);
+    const y1 = Math.max(box[1], box[3]);
+    const rotate = ((Number(page.rotate) || 0) % 360 + 360) % 360;
+
+    // Page space -> SVG space (y down, origin at the top-left of the visible page)
+    const pageMatrix = {
+      0: [1, 0, 0, -1, -x0, y1],
+      90: [0, 1, 1, 0, -y0, -x0],
+      180: [-1, 0, 0, 1, x1, -y0],
+      270: [0, -1, -1, 0, y1, x1],
+    }[rotate] || [1, 0, 0, -1, -x0, y1];
+
+    const rotated = rotate === 90 || rotate === 270;
+    const width = rotated ? y1 - y0 : x1 - x0;
+    const height = rotated ? x1 - x0 : y1 - y0;
+
+    const context = {
+      reader,
+      width,
+      height,
+      elements: [],
+      gradients: [],
+      images: 0,
+      text: 0,
+      unsupported: new Set(),
+    };
+
+    const state = this.initialState(pageMatrix);
+    const resources = reader.resolve(page.resources) || {};
+    this.runContent(context, reader.getPageContent(page), resources, state, 0);
+
+    const paths = context.elements.length;
+    let reason;
+    if (context.images > 0) {
+      reason = `Page contains ${context.images} raster image${context.images === 1 ? '' : 's'}`;
+    } else if (context.text > 0) {
+      reason = 'Page contains live text that is not converted to outlines';
+    } else if (context.unsupported.size > 0) {
+      reason = `Page uses unsupported features: ${Array.from(context.unsupported).join(', ')}`;
+    } else if (paths === 0) {
+      reason = 'Page has no vector paths';
+    } else {
+      reason = `Extracted ${paths} vector path${paths === 1 ? '' : 's'}`;
+    }
+
+    return {
+      svg: buildSVG(context, { idPrefix: 'pdf' }),
+      width,
+      height,
+      vectorizable: paths > 0 && context.images === 0 && context.text === 0 && context.unsupported.size === 0,
+      reason,
+      images: context.images,
+      text: context.text,
+      paths,
+      unsupported: Array.from(context.unsupported),
+    };
+  }
+
+  initialState(ctm) {
+    return {
+      ctm,
+      patternMatrix: ctm,
+      fillSpace: DEVICE_GRAY,
+      strokeSpace: DEVICE_GRAY,
+      fill: { color: rgb(0, 0, 0) },
+      stroke: { color: rgb(0, 0, 0) },
+      fillAlpha: 1,
+      strokeAlpha: 1,
+      lineWidth: 1,
+      lineCap: 0,
+      lineJoin: 0,
+      miterLimit: 10,
+      dash: { array: [], phase: 0 },
+      clips: [],
+      textRenderMode: 0,
+    };
+  }
+
+  cloneState(state) {
+    return { ...state, dash: { ...state.dash }, clips: state.clips.slice() };
+  }
+
+  /**
+   * Interpret a content stream
+   * @param {object} context - Page-level output collector
+   * @param {Buffer} content - Decoded content stream
+   * @param {object} resources - Resource dictionary in effect
+   * @param {object} initial - Graphics state at the start of the stream
+   * @param {number} depth - Form XObject nesting depth
+   */
+  runContent(context, content, resources, initial, depth) {
+    const { reader } = context;
+    const lexer = new PDFLexer(content, 0, { allowRefs: false });
+    const stack = [];
+    let state = initial;
+    let path = [];
+    let current = null; // current subpath
+    let pendingClip = null;
+    let inText = false;
+
+    const point = (x, y) => transformPoint(state.ctm, x, y);
+    const lastPoint = () => {
+      if (!current) return [0, 0];
+      const seg = current.segments[current.segments.length - 1];
+      return seg ? seg.slice(-2) : current.start;
+    };
+    const startSubpath = (p) => {
+      current = { start: p, segments: [], closed: false };
+      path.push(current);
+    };
+    const ensureSubpath = () => {
+      if (!current) startSubpath(point(0, 0));
+    };
+    const endPath = () => {
+      path = [];
+      current = null;
+      pendingClip = null;
+    };
+
+    for (;;) {
+      let token;
+      try {
+        if (lexer.atEnd()) break;
+        token = lexer.read();
+      } catch (error) {
+        break; // Truncated or malformed tail: keep what was drawn so far
+      }
+
+      if (!(token instanceof PDFKeyword)) {
+        stack.push(token);
+        continue;
+      }
+
+      const op = token.value;
+      const args = stack.splice(0, stack.length);
+      const n = (i) => Number(args[i]) || 0;
+
+      switch (op) {
+        // Graphics state
+        case 'q':
+          state = { ...this.cloneState(state), parent: state };
+          break;
+        case 'Q':
+          if (state.parent && state !== initial) state = state.parent;
+          break;
+        case 'cm':
+          state.ctm = multiplyMatrix(state.ctm, [n(0), n(1), n(2), n(3), n(4), n(5)]);
+          break;
+        case 'w': state.lineWidth = n(0); break;
+        case 'J': state.lineCap = n(0); break;
+        case 'j': state.lineJoin = n(0); break;
+        case 'M': state.miterLimit = n(0); break;
+        case 'd':
+          state.dash = { array: Array.isArray(args[0]) ? args[0].map(Number) : [], phase: n(1) };
+          break;
+        case 'gs':
+          this.applyExtGState(context, resources, args[0], state);
+          break;
+
+        // Path construction
+        case 'm':
+          startSubpath(point(n(0), n(1)));
+          break;
+        case 'l':
+          ensureSubpath();
+          current.segments.push(['L', ...point(n(0), n(1))]);
+          break;
+        case 'c':
+          ensureSubpath();
+          current.segments.push(['C', ...point(n(0), n(1)), ...point(n(2), n(3)), ...point(n(4), n(5))]);
+          break;
+        case 'v': {
+          ensureSubpath();
+          const from = lastPoint();
+          current.segments.push(['C', ...from, ...point(n(0), n(1)), ...point(n(2), n(3))]);
+          break;
+        }
+        case 'y': {
+          ensureSubpath();
+          const end = point(n(2), n(3));
+          current.segments.push(['C', ...point(n(0), n(1)), ...end, ...end]);
+          break;
+        }
+        case 'h':
+          if (current) {
+            current.closed = true;
+            // A new subpath starts at the same point after closepath
+            const start = current.start;
+            current = { start, segments: [], closed: false };
+            path.push(current);
+          }
+          break;
+        case 're': {
+          const [x, y, w, h] = [n(0), n(1), n(2), n(3)];
+          startSubpath(point(x, y));
+          current.segments.push(['L', ...point(x + w, y)], ['L', ...point(x + w, y + h)], ['L', ...point(x, y + h)]);
+          current.closed = true;
+          current = { start: point(x, y), segments: [], closed: false };
+          path.push(current);
+          break;
+        }
+
+        // Path painting
+        case 'S':
+        case 's':
+          if (op === 's') this.closeAll(path);
+          this.paint(context, state, path, { stroke: true });
+          this.commitClip(state, path, pendingClip);
+          endPath();
+          break;
+        case 'f':
+        case 'F': this.paint(context, state, path, { fill: true }); this.commitClip(state, path, pendingClip); endPath(); break;
+        case 'f*': this.paint(context, state, path, { fill: true, evenOdd: true }); this.commitClip(state, path, pendingClip); endPath(); break;
+        case 'B':
+        case 'B*':
+        case 'b':
+        case 'b*':
+          if (op.startsWith('b')) this.closeAll(path);
+          this.paint(context, state, path, { fill: true, stroke: true, evenOdd: op.endsWith('*') });
+          this.commitClip(state, path, pendingClip);
+          endPath();
+          break;
+        case 'n':
+          this.commitClip(state, path, pendingClip);
+          endPath();
+          break;
+        case 'W': pendingClip = 'nonzero'; break;
+        case 'W*': pendingClip = 'evenodd'; break;
+
+        // Color
+        case 'CS': state.strokeSpace = this.resolveColorSpace(context, resources, args[0]); state.stroke = this.initialColor(state.strokeSpace); break;
+        case 'cs': state.fillSpace = this.resolveColorSpace(context, resources, args[0]); state.fill = this.initialColor(state.fillSpace); break;
+        case 'SC':
+        case 'SCN':
+          state.stroke = this.colorFromOperands(context, resources, state, state.strokeSpace, args);
+          break;
+        case 'sc':
+        case 'scn':
+          state.fill = this.colorFromOperands(context, resources, state, state.fillSpace, args);
+          break;
+        case 'G': state.strokeSpace = DEVICE_GRAY; state.stroke = { color: rgb(n(0), n(0), n(0)) }; break;
+        case 'g': state.fillSpace = DEVICE_GRAY; state.fill = { color: rgb(n(0), n(0), n(0)) }; break;
+        case 'RG': state.strokeSpace = DEVICE_RGB; state.stroke = { color: rgb(n(0), n(1), n(2)) }; break;
+        case 'rg': state.fillSpace = DEVICE_RGB; state.fill = { color: rgb(n(0), n(1), n(2)) }; break;
+        case 'K': state.strokeSpace = DEVICE_CMYK; state.stroke = { color: cmykToRGB([n(0), n(1), n(2), n(3)]) }; break;
+        case 'k': state.fillSpace = DEVICE_CMYK; state.fill = { color: cmykToRGB([n(0), n(1), n(2), n(3)]) }; break;
+
+        // Shading, XObjects and inline images
+        case 'sh':
+          this.paintShading(context, resources, state, args[0]);
+          break;
+        case 'Do':
+          this.paintXObject(context, resources, state, args[0], depth);
+          break;
+        case 'BI':
+          this.skipInlineImage(lexer);
+          context.images++;
+          break;
+
+        // Text
+        case 'BT': inText = true; break;
+        case 'ET': inText = false; break;
+        case 'Tr': state.textRenderMode = n(0); break;
+        case 'Tj':
+        case 'TJ':
+        case '\'':
+        case '"':
+          // Invisible text (render mode 3) is an OCR layer, not artwork
+          if (inText && state.textRenderMode !== 3) context.text++;
+          break;
+
+        default:
+          // Marked content, compatibility sections and text positioning
+          // operators do not affect the extracted artwork
+          break;
+      }
+    }
+  }
+
+  closeAll(path) {
+    path.forEach((sp) => { sp.closed = true; });
+  }
+
+  /**
+   * Intersect the clipping region with the current path (after painting)
+   */
+  commitClip(state, path, rule) {
+    const subpaths = path.filter(sp => sp.segments.length > 0);
+    if (!rule || subpaths.length === 0) return;
+    state.clips = [...state.clips, { subpaths, rule, id: null }];
+  }
+
+  /**
+   * Record a painted path
+   */
+  paint(context, state, path, { fill = false, stroke = false, evenOdd = false }) {
+    const subpaths = path.filter(sp => sp.segments.length > 0);
+    if (subpaths.length === 0) return;
+
+    const hasFill = fill && state.fillAlpha > 0 && this.paintValue(context, state.fill) !== null;
+    const hasStroke = stroke && state.strokeAlpha > 0 && this.paintValue(context, state.stroke) !== null;
+    if (!hasFill && !hasStroke) return;
+
+    const scale = Math.sqrt(Math.abs(state.ctm[0] * state.ctm[3] - state.ctm[1] * state.ctm[2])) || 1;
+
+    context.elements.push({
+      d: pathData(subpaths),
+      clips: state.clips,
+      fill: hasFill ? this.paintValue(context, state.fill) : null,
+      fillOpacity: state.fillAlpha,
+      fillRule: evenOdd ? 'evenodd' : 'nonzero',
+      stroke: hasStroke ? this.paintValue(context, state.stroke) : null,
+      strokeOpacity: state.strokeAlpha,
+      // Zero-width lines are the thinnest line the device can render
+      strokeWidth: state.lineWidth > 0 ? state.lineWidth * scale : 0.25,
+      lineCap: state.lineCap,
+      lineJoin: state.lineJoin,
+      miterLimit: state.miterLimit,
+      dash: state.dash.array.map(v => v * scale),
+      dashOffset: state.dash.phase * scale,
+    });
+  }
+
+  /**
+   * SVG paint string for a fill/stroke value, or null if it cannot be painted
+   */
+  paintValue(context, value) {
+    if (!value) return null;
+    if (value.color) return toHex(value.color);
+    if (value.gradient) return `url(#${value.gradient})`;
+    return null;
+  }
+
+  applyExtGState(context, resources, nameValue, state) {
+    const { reader } = context;
+    const states = reader.resolve(resources.ExtGState) || {};
+    const gs = nameValue instanceof PDFName ? reader.resolve(states[nameValue.name]) : null;
+    if (!gs || typeof gs !== 'object') return;
+
+    if (typeof gs.ca === 'number') state.fillAlpha = gs.ca;
+    if (typeof gs.CA === 'number') state.strokeAlpha = gs.CA;
+    if (typeof gs.LW === 'number') state.lineWidth = gs.LW;
+    if (typeof gs.LC === 'number') state.lineCap = gs.LC;
+    if (typeof gs.LJ === 'number') state.lineJoin = gs.LJ;
+    if (typeof gs.ML === 'number') state.miterLimit = gs.ML;
+    const dash = reader.resolve(gs.D);
+    if (Array.isArray(dash)) {
+      state.dash = { array: (reader.resolve(dash[0]) || []).map(Number), phase: Number(dash[1]) || 0 };
+    }
+    const softMask = reader.resolve(gs.SMask);
+    if (softMask && !(softMask instanceof PDFName && softMask.name === 'None')) {
+      context.unsupported.add('soft masks');
+    }
+  }
+
+  /**
+   * Resolve a color space operand into { components, toRGB, initial, pattern }
+   */
+  resolveColorSpace(context, resources, value, depth = 0) {
+    const { reader } = context;
+    let space = reader.resolve(value);
+
+    if (space instanceof PDFName) {
+      switch (space.name) {
+        case 'DeviceGray':
+        case 'G':
+        case 'CalGray':
+          return DEVICE_GRAY;
+        case 'DeviceRGB':
+        case 'RGB':
+        case 'CalRGB':
+          return DEVICE_RGB;
+        case 'DeviceCMYK':
+        case 'CMYK':
+          return DEVICE_CMYK;
+        case 'Pattern':
+          return { components: 0, pattern: true, initial: [] };
+        default: {
+          const named = (reader.resolve(resources.ColorSpace) || {})[space.name];
+          if (named === undefined || depth > 4) return DEVICE_GRAY;
+          return this.resolveColorSpace(context, resources, named, depth + 1);
+        }
+      }
+    }
+
+    if (!Array.isArray(space) || !(reader.resolve(space[0]) instanceof PDFName)) {
+      return DEVICE_GRAY;
+    }
+
+    const family = reader.resolve(space[0]).name;
+    switch (family) {
+      case 'CalGray': return DEVICE_GRAY;
+      case 'CalRGB': return DEVICE_RGB;
+      case 'ICCBased': {
+        const stream = reader.resolve(space[1]);
+        const dict = stream instanceof PDFStream ? stream.dict : {};
+        if (dict.Alternate && depth <= 4) {
+          return this.resolveColorSpace(context, resources, dict.Alternate, depth + 1);
+        }
+        return { 1: DEVICE_GRAY, 3: DEVICE_RGB, 4: DEVICE_CMYK }[dict.N] || DEVICE_RGB;
+      }
+      case 'Lab': {
+        const params = reader.resolve(space[1]) || {};
+        const whitePoint = reader.resolve(params.WhitePoint) || [0.9505, 1, 1.089];
+        return { components: 3, toRGB: values => labToRGB(values, whitePoint), initial: [0, 0, 0] };
+      }
+      case 'Indexed':
+      case 'I': {
+        const base = this.resolveColorSpace(context, resources, space[1], depth + 1);
+        const hival = Number(reader.resolve(space[2])) || 0;
+        let lookup = reader.resolve(space[3]);
+        lookup = lookup instanceof PDFStream ? reader.decodeStream(lookup) : Buffer.from(String(lookup || ''), 'latin1');
+        return {
+          components: 1,
+          initial: [0],
+          toRGB: ([index]) => {
+            const i = Math.max(0, Math.min(hival, Math.round(index)));
+            const values = [];
+            for (let c = 0; c < base.components; c++) values.push((lookup[i * base.components + c] || 0) / 255);
+            return base.toRGB(values);
+          },
+        };
+      }
+      case 'Separation':
+      case 'DeviceN': {
+        const names = reader.resolve(space[1]);
+        const components = family === 'Separation' ? 1 : (Array.isArray(names) ? names.length : 1);
+        const alternate = this.resolveColorSpace(context, resources, space[2], depth + 1);
+        const tint = createFunction(reader, space[3]);
+        return {
+          components,
+          initial: new Array(components).fill(1),
+          toRGB: (values) => {
+            if (tint) {
+              try {
+                return alternate.toRGB(tint(values));
+              } catch (error) {
+                // Fall through to the gray approximation
+              }
+            }
+            const coverage = values.reduce((sum, v) => sum + v, 0) / values.length;
+            return rgb(1 - coverage, 1 - coverage, 1 - coverage);
+          },
+        };
+      }
+      case 'Pattern':
+        return { components: 0, pattern: true, initial: [] };
+      default:
+        context.unsupported.add(`${family} color space`);
+        return DEVICE_GRAY;
+    }
+  }
+
+  initialColor(space) {
+    if (space.pattern) return null;
+    return { color: space.toRGB(space.initial) };
+  }
+
+  colorFromOperands(context, resources, state, space, args) {
+    if (space.pattern) {
+      const name = args[args.length - 1];
+      return name instanceof PDFName ? this.patternPaint(context, resources, state, name) : null;
+    }
+    const values = args.filter(a => typeof a === 'number');
+    return { color: space.toRGB(values.length ? values : space.initial) };
+  }
+
+  /**
+   * Turn a shading pattern into a gradient paint
+   */
+  patternPaint(context, resources, state, name) {
+    const { reader } = context;
+    const patterns = reader.resolve(resources.Pattern) || {};
+    const pattern = reader.resolve(patterns[name.name]);
+    const dict = pattern instanceof PDFStream ? pattern.dict : pattern;
+    if (!dict || typeof dict !== 'object') return null;
+
+    if (dict.PatternType !== 2) {
+      context.unsupported.add('tiling patterns');
+      return null;
+    }
+
+    const matrix = reader.resolve(dict.Matrix) || IDENTITY;
+    const gradient = this.shadingGradient(context, resources, dict.Shading, multiplyMatrix(state.patternMatrix, matrix));
+    return gradient ? { gradient } : null;
+  }
+
+  /**
+   * Fill the current clipping region with a shading
+   */
+  paintShading(context, resources, state, name) {
+    const { reader } = context;
+    if (!(name instanceof PDFName)) return;
+    const shadings = reader.resolve(resources.Shading) || {};
+    const gradient = this.shadingGradient(context, resources, shadings[name.name], state.ctm);
+    if (!gradient) return;
+
+    const { width, height } = context;
+    context.elements.push({
+      d: `M0 0H${formatNumber(width)}V${formatNumber(height)}H0Z`,
+      clips: state.clips,
+      fill: `url(#${gradient})`,
+      fillOpacity: state.fillAlpha,
+      fillRule: 'nonzero',
+      stroke: null,
+    });
+  }
+
+  /**
+   * Convert an axial or radial shading into an SVG gradient definition
+   * @returns {string|null} Gradient id
+   */
+  shadingGradient(context, resources, value, matrix) {
+    const { reader } = context;
+    const shading = reader.resolve(value);
+    const dict = shading instanceof PDFStream ? shading.dict : shading;
+    if (!dict || typeof dict !== 'object') return null;
+
+    const type = dict.ShadingType;
+    if (type !== 2 && type !== 3) {
+      context.unsupported.add(type === 1 ? 'function shadings' : 'mesh shadings');
+      return null;
+    }
+
+    const space = this.resolveColorSpace(context, resources, dict.ColorSpace);
+    const fn = createFunction(reader, dict.Function);
+    if (!fn) {
+      context.unsupported.add('shading functions');
+      return null;
+    }
+
+    const coords = (reader.resolve(dict.Coords) || []).map(Number);
+    const [t0, t1] = reader.resolve(dict.Domain) || [0, 1];
+
+    let stops;
+    try {
+      stops = this.sampleStops((t) => space.toRGB(fn([t0 + t * (t1 - t0)])));
+    } catch (error) {
+      context.unsupported.add('shading functions');
+      return null;
+    }
+
+    const id = `pdf-gradient-${context.gradients.length + 1}`;
+    const transform = `matrix(${matrix.map(formatNumber).join(' ')})`;
+
+    if (type === 2) {
+      const [ax0, ay0, ax1, ay1] = coords;
+      context.gradients.push({
+        tag: 'linearGradient',
+        attributes: { id, gradientUnits: 'userSpaceOnUse', x1: ax0, y1: ay0, x2: ax1, y2: ay1, gradientTransform: transform },
+        stops,
+      });
+    } else {
+      const [fx, fy, r0, cx, cy, r1] = coords;
+      // SVG 1.1 has no focal radius: remap stops so the start circle keeps its color
+      const startOffset = r1 > 0 ? Math.max(0, Math.min(1, r0 / r1)) : 0;
+      context.gradients.push({
+        tag: 'radialGradient',
+        attributes: { id, gradientUnits: 'userSpaceOnUse', cx, cy, r: r1, fx, fy, gradientTransform: transform },
+        stops: stops.map(stop => ({ ...stop, offset: startOffset + stop.offset * (1 - startOffset) })),
+      });
+    }
+
+    return id;
+  }
+
+  /**
+   * Sample a color ramp and drop stops that linear interpolation reproduces
+   */
+  sampleStops(colorAt) {
+    const samples = [];
+    for (let i = 0; i <= GRADIENT_SAMPLES; i++) {
+      const offset = i / GRADIENT_SAMPLES;
+      samples.push({ offset, color: colorAt(offset) });
+    }
+
+    const stops = [samples[0]];
+    for (let i = 1; i < samples.length - 1; i++) {
+      const prev = stops[stops.length - 1];
+      const next = samples[i + 1];
+      const t = (samples[i].offset - prev.offset) / (next.offset - prev.offset);
+      const linear = ['r', 'g', 'b'].every(ch =>
+        Math.abs(prev.color[ch] + (next.color[ch] - prev.color[ch]) * t - samples[i].color[ch]) <= 1);
+      if (!linear) stops.push(samples[i]);
+    }
+    stops.push(samples[samples.length - 1]);
+
+    return stops;
+  }
+
+  /**
+   * Draw a form XObject, or record an image XObject
+   */
+  paintXObject(context, resources, state, name, depth) {
+    const { reader } = context;
+    if (!(name instanceof PDFName)) return;
+
+    const xobjects = reader.resolve(resources.XObject) || {};
+    const xobject = reader.resolve(xobjects[name.name]);
+    if (!(xobject instanceof PDFStream)) return;
+
+    const subtype = reader.resolve(xobject.dict.Subtype);
+    if (subtype && subtype.name === 'Image') {
+      context.images++;
+      return;
+    }
+    if (!subtype || subtype.name !== 'Form' || depth >= MAX_FORM_DEPTH) return;
+
+    const matrix = reader.resolve(xobject.dict.Matrix) || IDENTITY;
+    const formState = this.cloneState(state);
+    formState.ctm = multiplyMatrix(state.ctm, matrix.map(Number));
+    formState.patternMatrix = formState.ctm;
+    formState.parent = null;
+
+    const bbox = reader.resolve(xobject.dict.BBox);
+    if (Array.isArray(bbox) && bbox.length === 4) {
+      const [bx0, by0, bx1, by1] = bbox.map(Number);
+      const corners = [[bx0, by0], [bx1, by0], [bx1, by1], [bx0, by1]].map(([x, y]) => transformPoint(formState.ctm, x, y));
+      formState.clips = [...formState.clips, {
+        subpaths: [{ start: corners[0], segments: corners.slice(1).map(p => ['L', ...p]), closed: true }],
+        rule: 'nonzero',
+        id: null,
+        bbox: true,
+      }];
+    }
+
+    let content;
+    try {
+      content = reader.decodeStream(xobject);
+    } catch (error) {
+      context.unsupported.add('form XObject filters');
+      return;
+    }
+
+    const formResources = reader.resolve(xobject.dict.Resources) || resources;
+    this.runContent(context, content, formResources, formState, depth + 1);
+  }
+
+  /**
+   * Skip inline image data (BI ... ID <data> EI)
+   */
+  skipInlineImage(lexer) {
+    const { buffer } = lexer;
+    for (;;) {
+      const token = lexer.read();
+      if (token === undefined) return;
+      if (token instanceof PDFKeyword && token.value === 'ID') break;
+    }
+
+    let position = lexer.position + 1;
+    while (position < buffer.length) {
+      const index = buffer.indexOf('EI', position, 'latin1');
+      if (index === -1) {
+        position = buffer.length;
+        break;
+      }
+      const before = buffer[index - 1];
+      const after = buffer[index + 2];
+      if ((before === 0x20 || before === 0x0a || before === 0x0d || before === 0x09)
+        && (after === undefined || after === 0x20 || after === 0x0a || after === 0x0d || after === 0x09)) {
+        position = index + 2;
+        break;
+      }
+      position = index + 2;
+    }
+    lexer.position = position;
+  }
+}
+
+module.exports = new PDFVectorExtractor();
@@ -0,0 +1,176 @@
+/**
+ * PDF Writer
+ * Minimal low-level PDF serializer for exporters that need control over the
+ * document structure (optional content layers, color spaces, private data)
+ * beyond what pdfkit exposes.
+ */
+
+const zlib = require('zlib');
+
+class PDFWriter {
+  /**
+   * @param {object} options - { version }
+   */
+  constructor(options = {}) {
+    this.version = options.version || '1.5';
+    this.objects = []; // index = object number - 1
+  }
+
+  /**
+   * Reserve an object number to be filled in later (for forward references)
+   * @returns {number} Object number
+   */
+  reserve() {
+    this.objects.push(null);
+    return this.objects.length;
+  }
+
+  /**
+   * Add (or fill a reserved) object with serialized content
+   * @param {string} body - Serialized object, e.g. "<< /Type /Catalog >>"
+   * @param {number} id - Reserved object number
+   * @returns {number} Object number
+   */
+  addObject(body, id = null) {
+    const objectId = id || this.reserve();
+    this.objects[objectId - 1] = Buffer.from(body, 'latin1');
+    return objectId;
+  }
+
+  /**
+   * Add a stream object
+   * @param {string} dict - Extra dictionary entries (without << >>)
+   * @param {Buffer|string} data - Stream data
+   * @param {object} options - { compress, id }
+   * @returns {number} Object number
+   */
+  addStream(dict, data, options = {}) {
+    const { compress = true, id = null } = options;
+    let buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1');
+    let entries = dict || '';
+
+    if (compress) {
+      buffer = zlib.deflateSync(buffer);
+      entries += ' /Filter /FlateDecode';
+    }
+
+    const objectId = id || this.reserve();
+    this.objects[objectId - 1] = Buffer.concat([
+      Buffer.from(`<< ${entries.trim()} /Length ${buffer.length} >>\nstream\n`, 'latin1'),
+      buffer,
+      Buffer.from('\nendstream', 'latin1'),
+    ]);
+    return objectId;
+  }
+
+  /**
+   * Serialize the document with a correct cross-reference table
+   * @param {number} rootId - Catalog object number
+   * @param {number} infoId - Info dictionary object number (optional)
+   * @returns {Buffer} PDF file
+   */
+  toBuffer(rootId, infoId = null) {
+    const chunks = [];
+    const offsets = [];
+    let position = 0;
+
+    const write = (data) => {
+      const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1');
+      chunks.push(buffer);
+      position += buffer.length;
+    };
+
+    // Binary comment marks the file as binary for transfer tools
+    write(`%PDF-${this.version}\n%\xE2\xE3\xCF\xD3\n`);
+
+    this.objects.forEach((body, index) => {
+      if (!body) {
+        throw new Error(`PDF object ${index + 1} was reserved but never written`);
+      }
+      offsets.push(position);
+      write(`${index + 1} 0 obj\n`);
+      write(body);
+      write('\nendobj\n');
+    });
+
+    const xrefPosition = position;
+    const size = this.objects.length + 1;
+    write(`xref\n0 ${size}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+
+    write(`trailer\n<< /Size ${size} /Root ${rootId} 0 R${infoId ? ` /Info ${infoId} 0 R` : ''} >>\n`);
+    write(`startxref\n${xrefPosition}\n%%EOF\n`);
+
+    return Buffer.concat(chunks);
+  }
+}
+
+/**
+ * Format a number for PDF content (3 decimal places, no exponent)
+ */
+function formatNumber(value) {
+  const rounded = Math.round(value * 1000) / 1000;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Serialize text as a PDF string (UTF-16BE hex for non-ASCII text)
+ */
+function pdfString(text) {
+  const str = String(text);
+  if (/^[\x20-\x7E]*$/.test(str)) {
+    return `(${str.replace(/[\\()]/g, '\\$&')})`;
+  }
+
+  const utf16 = Buffer.from(str, 'utf16le').swap16();
+  return `<FEFF${utf16.toString('hex').toUpperCase()}>`;
+}
+
+/**
+ * Serialize a PDF name, escaping delimiters and non-regular characters
+ */
+function pdfName(name) {
+  return '/' + String(name).replace(/[^!-~]|[#()<>[\]{}/%]/g, ch =>
+    Buffer.from(ch, 'utf8').toString('hex').replace(/(..)/g, '#$1').toUpperCase());
+}
+
+/**
+ * Format a date as a PDF date string
+ */
+function pdfDate(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Convert scene subpaths to PDF path construction operators (m, l, c, h)
+ */
+function pathOperators(subpaths) {
+  const ops = [];
+
+  for (const sp of subpaths) {
+    ops.push(`${formatNumber(sp.start[0])} ${formatNumber(sp.start[1])} m`);
+
+    for (const seg of sp.segments) {
+      if (seg[0] === 'L') {
+        ops.push(`${formatNumber(seg[1])} ${formatNumber(seg[2])} l`);
+      } else {
+        ops.push(`${seg.slice(1).map(formatNumber).join(' ')} c`);
+      }
+    }
+
+    if (sp.closed) ops.push('h');
+  }
+
+  return ops.join('\n');
+}
+
+module.exports = {
+  PDFWriter,
+  formatNumber,
+  pdfString,
+  pdfName,
+  pdfDate,
+  pathOperators,
+};
@@ -0,0 +1,2559 @@
+/**
+ * PostScript Interpreter
+ * A small PostScript virtual machine that runs EPS/PS programs and records
+ * the painted paths so they can be re-emitted as SVG. Legacy (non-PDF)
+ * Adobe Illustrator files are read in a second mode that understands the
+ * Illustrator drawing operators (m, L, C, f, S, k, x, *u ...) directly,
+ * because those files reference procsets that are not embedded.
+ *
+ * The language core covers what EPS prologs rely on: stacks, dictionaries,
+ * control flow with stop/stopped, strings, arrays, save/restore, resources
+ * and currentfile reads. Painting supports paths, clipping and gray, RGB,
+ * CMYK, HSB, Separation, DeviceN and Indexed colors. Raster images and text
+ * are skipped and counted, as the PDF vector extractor does, and smooth
+ * shadings and patterns are reported as unsupported.
+ */
+
+const { multiplyMatrix, transformPoint } = require('./svgSceneParser');
+const { buildSVG, pathData, toHex } = require('./svgSceneWriter');
+
+const MAX_OPERATIONS = 5000000;
+const MAX_DEPTH = 800;
+const DEFAULT_BOX = [0, 0, 612, 792];
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// ---------------------------------------------------------------------------
+// Objects
+// ---------------------------------------------------------------------------
+
+class PSName {
+  constructor(name, executable = false) {
+    this.name = name;
+    this.executable = executable;
+  }
+}
+
+class PSString {
+  constructor(bytes, executable = false) {
+    this.bytes = bytes;
+    this.executable = executable;
+  }
+
+  get text() {
+    return this.bytes.toString('latin1');
+  }
+
+  static from(text) {
+    return new PSString(Buffer.from(String(text), 'latin1'));
+  }
+}
+
+class PSArray {
+  constructor(items, executable = false) {
+    this.items = items;
+    this.executable = executable;
+  }
+}
+
+/**
+ * Dictionary keyed like PostScript: names and strings with the same text
+ * are the same key
+ */
+class PSDict {
+  constructor(capacity = 0) {
+    this.entries = new Map();
+    this.capacity = capacity;
+  }
+
+  static key(key) {
+    if (key instanceof PSName) return key.name;
+    if (key instanceof PSString) return key.text;
+    return key;
+  }
+
+  get(key) {
+    const entry = this.entries.get(PSDict.key(key));
+    return entry ? entry.value : undefined;
+  }
+
+  has(key) {
+    return this.entries.has(PSDict.key(key));
+  }
+
+  set(key, value) {
+    const k = PSDict.key(key);
+    this.entries.set(k, { key: typeof k === 'string' ? new PSName(k) : key, value });
+  }
+
+  delete(key) {
+    this.entries.delete(PSDict.key(key));
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+class PSOperator {
+  constructor(name, fn) {
+    this.name = name;
+    this.fn = fn;
+  }
+}
+
+/**
+ * Input file: the program itself (currentfile) optionally wrapped in
+ * decode filters, or a filter over a string/procedure source
+ */
+class PSFile {
+  constructor(scanner, filters = [], source = null) {
+    this.scanner = scanner;
+    this.filters = filters;
+    this.source = source;
+  }
+}
+
+class PSSave {
+  constructor(state, gstack) {
+    this.state = state;
+    this.gstack = gstack;
+  }
+}
+
+class PSGState {
+  constructor(state) {
+    this.state = state;
+  }
+}
+
+class PSMark {}
+class PSNull {}
+const MARK = new PSMark();
+const NULL = new PSNull();
+
+/**
+ * PostScript error (undefined, typecheck, stackunderflow, ...)
+ */
+class PSError extends Error {
+  constructor(errorName, command) {
+    super(command ? `${errorName} in ${command}` : errorName);
+    this.name = 'PSError';
+    this.errorName = errorName;
+    this.command = command;
+  }
+}
+
+// Control-flow signals; deliberately not Errors so that loops stay cheap
+class StopSignal {}
+class ExitSignal {}
+class QuitSignal {}
+
+class OperationLimitError extends Error {}
+
+// ---------------------------------------------------------------------------
+// Scanner
+// ---------------------------------------------------------------------------
+
+const WHITESPACE = new Set([0, 9, 10, 12, 13, 32]);
+const DELIMITERS = new Set(Array.from('()<>[]{}/%', c => c.charCodeAt(0)));
+const EOF = Symbol('eof');
+const NUMBER = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+const RADIX_NUMBER = /^(\d+)#([0-9a-zA-Z]+)$/;
+
+class PSScanner {
+  /**
+   * @param {Buffer} data - Program text
+   * @param {object} options - { start, end, immediate } where immediate
+   *   resolves //name references at scan time
+   */
+  constructor(data, { start = 0, end = data.length, immediate = null } = {}) {
+    this.data = data;
+    this.pos = start;
+    this.end = end;
+    this.immediate = immediate;
+  }
+
+  skipWhitespaceAndComments() {
+    while (this.pos < this.end) {
+      const c = this.data[this.pos];
+      if (WHITESPACE.has(c)) {
+        this.pos++;
+      } else if (c === 0x25) {
+        while (this.pos < this.end && this.data[this.pos] !== 0x0a && this.data[this.pos] !== 0x0d) this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read the next object, or EOF
+   */
+  next() {
+    this.skipWhitespaceAndComments();
+    if (this.pos >= this.end) return EOF;
+
+    const c = this.data[this.pos];
+    switch (c) {
+      case 0x28: // (
+        this.pos++;
+        return new PSString(this.readLiteralString());
+      case 0x3c: // <
+        if (this.data[this.pos + 1] === 0x3c) {
+          this.pos += 2;
+          return new PSName('<<', true);
+        }
+        if (this.data[this.pos + 1] === 0x7e) {
+          this.pos += 2;
+          return new PSString(this.readAscii85String());
+        }
+        this.pos++;
+        return new PSString(this.readHexString());
+      case 0x3e: // >
+        if (this.data[this.pos + 1] === 0x3e) {
+          this.pos += 2;
+          return new PSName('>>', true);
+        }
+        this.pos++;
+        throw new PSError('syntaxerror');
+      case 0x5b: // [
+        this.pos++;
+        return new PSName('[', true);
+      case 0x5d: // ]
+        this.pos++;
+        return new PSName(']', true);
+      case 0x7b: // {
+        this.pos++;
+        return this.readProcedure();
+      case 0x2f: { // /
+        this.pos++;
+        if (this.data[this.pos] === 0x2f) {
+          this.pos++;
+          const name = this.readRegular();
+          return this.immediate ? this.immediate(name) : new PSName(name, true);
+        }
+        return new PSName(this.readRegular());
+      }
+      default: {
+        const text = this.readRegular();
+        if (text === '') {
+          // Unbalanced ) or }
+          this.pos++;
+          throw new PSError('syntaxerror');
+        }
+        return parseToken(text);
+      }
+    }
+  }
+
+  readRegular() {
+    const start = this.pos;
+    while (this.pos < this.end && !WHITESPACE.has(this.data[this.pos]) && !DELIMITERS.has(this.data[this.pos])) {
+      this.pos++;
+    }
+    const text = this.data.toString('latin1', start, this.pos);
+
+    // The whitespace character that ends a token is consumed with it, so
+    // currentfile reads start exactly at the following byte
+    if (this.pos < this.end && WHITESPACE.has(this.data[this.pos])) {
+      if (this.data[this.pos] === 0x0d && this.data[this.pos + 1] === 0x0a) this.pos++;
+      this.pos++;
+    }
+    return text;
+  }
+
+  readLiteralString() {
+    const out = [];
+    let depth = 1;
+
+    while (this.pos < this.end) {
+      let c = this.data[this.pos++];
+      if (c === 0x5c) {
+        c = this.data[this.pos++];
+        switch (c) {
+          case 0x6e: out.push(0x0a); break;
+          case 0x72: out.push(0x0d); break;
+          case 0x74: out.push(0x09); break;
+          case 0x62: out.push(0x08); break;
+          case 0x66: out.push(0x0c); break;
+          case 0x0d:
+            if (this.data[this.pos] === 0x0a) this.pos++;
+            break;
+          case 0x0a:
+            break;
+          default:
+            if (c >= 0x30 && c <= 0x37) {
+              let value = c - 0x30;
+              for (let i = 0; i < 2 && this.data[this.pos] >= 0x30 && this.data[this.pos] <= 0x37; i++) {
+                value = value * 8 + (this.data[this.pos++] - 0x30);
+              }
+              out.push(value & 0xff);
+            } else if (c !== undefined) {
+              out.push(c);
+            }
+        }
+      } else if (c === 0x28) {
+        depth++;
+        out.push(c);
+      } else if (c === 0x29) {
+        if (--depth === 0) return Buffer.from(out);
+        out.push(c);
+      } else if (c === 0x0d) {
+        if (this.data[this.pos] === 0x0a) this.pos++;
+        out.push(0x0a);
+      } else {
+        out.push(c);
+      }
+    }
+    throw new PSError('syntaxerror');
+  }
+
+  readHexString() {
+    const end = this.data.indexOf(0x3e, this.pos);
+    if (end < 0 || end >= this.end) throw new PSError('syntaxerror');
+    const digits = this.data.toString('latin1', this.pos, end).replace(/[^0-9a-fA-F]/g, '');
+    this.pos = end + 1;
+    return Buffer.from(digits.length % 2 ? `${digits}0` : digits, 'hex');
+  }
+
+  readAscii85String() {
+    const end = this.data.indexOf('~>', this.pos, 'latin1');
+    if (end < 0 || end >= this.end) throw new PSError('syntaxerror');
+    const text = this.data.toString('latin1', this.pos, end);
+    this.pos = end + 2;
+    return decodeAscii85(text);
+  }
+
+  readProcedure() {
+    const items = [];
+    for (;;) {
+      this.skipWhitespaceAndComments();
+      if (this.pos >= this.end) throw new PSError('syntaxerror');
+      if (this.data[this.pos] === 0x7d) {
+        this.pos++;
+        return new PSArray(items, true);
+      }
+      items.push(this.next());
+    }
+  }
+}
+
+function parseToken(text) {
+  if (NUMBER.test(text)) return Number(text);
+  const radix = text.match(RADIX_NUMBER);
+  if (radix) {
+    const base = Number(radix[1]);
+    const value = base >= 2 && base <= 36 ? parseInt(radix[2], base) : NaN;
+    if (!Number.isNaN(value)) return value;
+  }
+  return new PSName(text, true);
+}
+
+function decodeAscii85(text) {
+  const out = [];
+  let group = [];
+  const flush = (length) => {
+    let value = 0;
+    for (let i = 0; i < 5; i++) value = value * 85 + (i < group.length ? group[i] : 84);
+    const bytes = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    out.push(...bytes.slice(0, length));
+    group = [];
+  };
+
+  for (const ch of text) {
+    if (ch === 'z' && group.length === 0) {
+      out.push(0, 0, 0, 0);
+    } else if (ch >= '!' && ch <= 'u') {
+      group.push(ch.charCodeAt(0) - 33);
+      if (group.length === 5) flush(4);
+    }
+  }
+  if (group.length > 1) flush(group.length - 1);
+  return Buffer.from(out);
+}
+
+// ---------------------------------------------------------------------------
+// Colors and geometry
+// ---------------------------------------------------------------------------
+
+function rgb(r, g, b) {
+  const channel = (v) => Math.round(Math.min(1, Math.max(0, Number(v) || 0)) * 255);
+  return { r: channel(r), g: channel(g), b: channel(b) };
+}
+
+function cmykToRGB([c, m, y, k]) {
+  return rgb((1 - c) * (1 - k), (1 - m) * (1 - k), (1 - y) * (1 - k));
+}
+
+function hsbToRGB([h, s, v]) {
+  const sector = ((h % 1) + 1) % 1 * 6;
+  const i = Math.floor(sector);
+  const f = sector - i;
+  const p = v * (1 - s);
+  const q = v * (1 - s * f);
+  const t = v * (1 - s * (1 - f));
+  return [[v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]][i % 6];
+}
+
+const DEVICE_GRAY = { name: 'DeviceGray', components: 1, toRGB: ([g]) => rgb(g, g, g), initial: [0] };
+const DEVICE_RGB = { name: 'DeviceRGB', components: 3, toRGB: ([r, g, b]) => rgb(r, g, b), initial: [0, 0, 0] };
+const DEVICE_CMYK = { name: 'DeviceCMYK', components: 4, toRGB: cmykToRGB, initial: [0, 0, 0, 1] };
+const PATTERN = { name: 'Pattern', components: 0, toRGB: () => null, initial: [] };
+
+function invertMatrix([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  if (det === 0) throw new PSError('undefinedresult');
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+function copyPath(path) {
+  return path.map(sp => ({ start: sp.start, segments: sp.segments.slice(), closed: sp.closed }));
+}
+
+function sameClips(a, b) {
+  return a.length === b.length && a.every((clip, i) => clip === b[i]);
+}
+
+function psEquals(a, b) {
+  const text = (v) => (v instanceof PSName ? v.name : v instanceof PSString ? v.text : undefined);
+  const ta = text(a);
+  const tb = text(b);
+  if (ta !== undefined && tb !== undefined) return ta === tb;
+  if (a instanceof PSArray && b instanceof PSArray) return a.items === b.items;
+  return a === b;
+}
+
+function typeName(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integertype' : 'realtype';
+  if (typeof value === 'boolean') return 'booleantype';
+  if (value instanceof PSName) return 'nametype';
+  if (value instanceof PSString) return 'stringtype';
+  if (value instanceof PSArray) return 'arraytype';
+  if (value instanceof PSDict) return 'dicttype';
+  if (value instanceof PSOperator) return 'operatortype';
+  if (value instanceof PSMark) return 'marktype';
+  if (value instanceof PSFile) return 'filetype';
+  if (value instanceof PSSave) return 'savetype';
+  if (value instanceof PSGState) return 'gstatetype';
+  return 'nulltype';
+}
+
+function textOf(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(6)));
+  if (typeof value === 'boolean') return String(value);
+  if (value instanceof PSName) return value.name;
+  if (value instanceof PSString) return value.text;
+  if (value instanceof PSOperator) return value.name;
+  return '--nostringval--';
+}
+
+// ---------------------------------------------------------------------------
+// Virtual machine
+// ---------------------------------------------------------------------------
+
+class PostScriptInterpreter {
+  /**
+   * @param {object} options - { width, height, pageMatrix, maxOperations }
+   *   pageMatrix maps default user space to SVG space (y down)
+   */
+  constructor({ width, height, pageMatrix, maxOperations = MAX_OPERATIONS }) {
+    this.width = width;
+    this.height = height;
+    this.pageMatrix = pageMatrix;
+    this.maxOperations = maxOperations;
+    this.operations = 0;
+    this.depth = 0;
+    this.random = 1;
+
+    this.stack = [];
+    this.files = [];
+    this.elements = [];
+    this.images = 0;
+    this.text = 0;
+    this.unsupported = new Set();
+    this.error = null;
+
+    this.systemdict = new PSDict();
+    this.globaldict = new PSDict();
+    this.userdict = new PSDict();
+    this.dictStack = [this.systemdict, this.globaldict, this.userdict];
+    this.fonts = new PSDict();
+    this.resources = new Map();
+    this.onUndefined = null;
+    this.lenient = false;
+
+    this.state = this.initialState();
+    this.gstack = [];
+
+    // Illustrator mode
+    this.compound = null;
+    this.pendingClip = false;
+
+    this.installSystemDict();
+  }
+
+  installSystemDict() {
+    const dict = this.systemdict;
+    for (const [name, fn] of Object.entries(POSTSCRIPT_OPERATORS)) {
+      dict.set(name, new PSOperator(name, fn));
+    }
+
+    const encoding = new PSArray(Array.from({ length: 256 }, () => new PSName('.notdef')));
+    const errordict = new PSDict();
+    for (const name of ['undefined', 'typecheck', 'rangecheck', 'stackunderflow', 'syntaxerror', 'invalidaccess', 'limitcheck', 'undefinedresult', 'ioerror', 'undefinedresource']) {
+      errordict.set(name, new PSOperator(name, () => { throw new PSError(name); }));
+    }
+    const errorState = new PSDict();
+    errorState.set('newerror', false);
+    errorState.set('errorname', NULL);
+    const statusdict = new PSDict();
+    statusdict.set('product', PSString.from('idegy PostScript'));
+
+    dict.set('true', true);
+    dict.set('false', false);
+    dict.set('null', NULL);
+    // Prologs read the level with `systemdict /languagelevel get`, so it is
+    // stored as a value rather than an operator
+    dict.set('languagelevel', 2);
+    dict.set('systemdict', this.systemdict);
+    dict.set('userdict', this.userdict);
+    dict.set('globaldict', this.globaldict);
+    dict.set('statusdict', statusdict);
+    dict.set('errordict', errordict);
+    dict.set('$error', errorState);
+    dict.set('FontDirectory', this.fonts);
+    dict.set('GlobalFontDirectory', this.fonts);
+    dict.set('SharedFontDirectory', this.fonts);
+    dict.set('StandardEncoding', encoding);
+    dict.set('ISOLatin1Encoding', encoding);
+    this.errorState = errorState;
+    this.encoding = encoding;
+  }
+
+  /**
+   * Switch to the Illustrator operator set; unknown operators (layers,
+   * locking, annotations, text positioning ...) just clear the stack
+   */
+  useIllustratorOperators() {
+    const dict = new PSDict();
+    for (const name of ['[', ']', '<<', '>>']) {
+      dict.set(name, this.systemdict.get(name));
+    }
+    for (const [name, fn] of Object.entries(ILLUSTRATOR_OPERATORS)) {
+      dict.set(name, new PSOperator(name, fn));
+    }
+    dict.set('true', true);
+    dict.set('false', false);
+    this.dictStack = [dict];
+    this.lenient = true;
+    this.onUndefined = () => {
+      this.stack.length = 0;
+    };
+  }
+
+  initialState() {
+    return {
+      ctm: this.pageMatrix.slice(),
+      path: [],
+      point: null,
+      colorSpace: DEVICE_GRAY,
+      color: [0],
+      fill: rgb(0, 0, 0),
+      stroke: rgb(0, 0, 0),
+      lineWidth: 1,
+      lineCap: 0,
+      lineJoin: 0,
+      miterLimit: 10,
+      dash: { array: [], phase: 0 },
+      clips: [],
+      font: null,
+      fillRule: null,
+      nullDevice: false,
+    };
+  }
+
+  cloneState(state) {
+    return {
+      ...state,
+      ctm: state.ctm.slice(),
+      path: copyPath(state.path),
+      dash: { ...state.dash },
+      clips: state.clips.slice(),
+    };
+  }
+
+  // -- Execution -------------------------------------------------------------
+
+  /**
+   * Run a program (or a byte range of it) from start to end
+   * @param {Buffer} data - Program
+   * @param {number} start - First byte
+   * @param {number} end - Byte after the last
+   */
+  run(data, start = 0, end = data.length) {
+    try {
+      this.runSource(this.createScanner(data, start, end));
+    } catch (error) {
+      if (error instanceof QuitSignal) return;
+      if (error instanceof PSError) {
+        this.error = error;
+      } else if (error instanceof StopSignal || error instanceof ExitSignal) {
+        this.error = new PSError(error instanceof StopSignal ? 'invalidstop' : 'invalidexit');
+      } else if (error instanceof OperationLimitError) {
+        this.error = new PSError('limitcheck', 'operation limit');
+      } else if (error instanceof RangeError) {
+        // Call stack exhausted by deeply recursive procedures, or an
+        // out-of-range buffer access
+        this.error = new PSError(/call stack/i.test(error.message) ? 'execstackoverflow' : 'rangecheck');
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  createScanner(data, start = 0, end = data.length) {
+    return new PSScanner(data, {
+      start,
+      end,
+      immediate: (name) => {
+        const value = this.lookup(name);
+        if (value === undefined && this.lenient) return new PSName(name, true);
+        if (value === undefined) throw new PSError('undefined', name);
+        return value;
+      },
+    });
+  }
+
+  runSource(scanner) {
+    this.files.push(scanner);
+    try {
+      for (;;) {
+        const token = scanner.next();
+        if (token === EOF) break;
+        this.tick();
+        if (token instanceof PSArray) {
+          this.push(token);
+        } else {
+          this.execute(token);
+        }
+      }
+    } finally {
+      this.files.pop();
+    }
+  }
+
+  tick() {
+    if (++this.operations > this.maxOperations) throw new OperationLimitError('Operation limit exceeded');
+  }
+
+  /**
+   * Execute any object: executable names, operators, procedures and
+   * strings run; everything else is pushed
+   */
+  execute(value) {
+    if (value instanceof PSName && value.executable) {
+      this.executeName(value.name);
+    } else if (value instanceof PSOperator) {
+      this.callOperator(value);
+    } else if (value instanceof PSArray && value.executable) {
+      this.runProcedure(value);
+    } else if (value instanceof PSString && value.executable) {
+      this.runSource(this.createScanner(value.bytes));
+    } else {
+      this.push(value);
+    }
+  }
+
+  executeName(name) {
+    const value = this.lookup(name);
+    if (value === undefined) {
+      if (this.onUndefined) return this.onUndefined(name);
+      throw new PSError('undefined', name);
+    }
+    return this.execute(value);
+  }
+
+  runProcedure(proc) {
+    // Counted even when empty so that `{ } loop` still hits the limit
+    this.tick();
+    if (++this.depth > MAX_DEPTH) {
+      this.depth--;
+      throw new PSError('execstackoverflow');
+    }
+    try {
+      for (const item of proc.items) {
+        this.tick();
+        if (item instanceof PSArray) {
+          // Nested procedures are data until something executes them
+          this.push(item);
+        } else {
+          this.execute(item);
+        }
+      }
+    } finally {
+      this.depth--;
+    }
+  }
+
+  callOperator(operator) {
+    try {
+      operator.fn(this);
+    } catch (error) {
+      if (error instanceof PSError && this.lenient) {
+        // Illustrator files are read operator by operator; a malformed
+        // operand list only loses that one operation
+        this.stack.length = 0;
+        return;
+      }
+      if (error instanceof PSError && !error.command) {
+        error.command = operator.name;
+        error.message = `${error.errorName} in ${operator.name}`;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run a procedure as a loop body; returns false when it called exit
+   */
+  loopBody(proc) {
+    try {
+      this.execute(proc);
+      return true;
+    } catch (error) {
+      if (error instanceof ExitSignal) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Call a procedure as a function (tint transforms, Indexed lookups)
+   */
+  callFunction(proc, inputs, outputs) {
+    const base = this.stack.length;
+    this.stack.push(...inputs);
+    this.execute(proc);
+    const values = this.stack.splice(base);
+    return values.slice(-outputs).map(Number);
+  }
+
+  lookup(name) {
+    for (let i = this.dictStack.length - 1; i >= 0; i--) {
+      const value = this.dictStack[i].get(name);
+      if (value !== undefined) return value;
+    }
+    return undefined;
+  }
+
+  // -- Operand stack ---------------------------------------------------------
+
+  push(...values) {
+    this.stack.push(...values);
+  }
+
+  pop() {
+    if (this.stack.length === 0) throw new PSError('stackunderflow');
+    return this.stack.pop();
+  }
+
+  popNumber() {
+    const value = this.pop();
+    if (typeof value !== 'number') throw new PSError('typecheck');
+    return value;
+  }
+
+  popInteger() {
+    return Math.trunc(this.popNumber());
+  }
+
+  popNumbers(count) {
+    const values = new Array(count);
+    for (let i = count - 1; i >= 0; i--) values[i] = this.popNumber();
+    return values;
+  }
+
+  popBoolean() {
+    const value = this.pop();
+    if (typeof value !== 'boolean') throw new PSError('typecheck');
+    return value;
+  }
+
+  popOf(Type) {
+    const value = this.pop();
+    if (!(value instanceof Type)) throw new PSError('typecheck');
+    return value;
+  }
+
+  popMatrix() {
+    const value = this.popOf(PSArray);
+    if (value.items.length !== 6) throw new PSError('rangecheck');
+    return value;
+  }
+
+  markIndex() {
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      if (this.stack[i] === MARK) return i;
+    }
+    throw new PSError('unmatchedmark');
+  }
+
+  // -- Graphics --------------------------------------------------------------
+
+  userPoint(x, y) {
+    return transformPoint(this.state.ctm, x, y);
+  }
+
+  currentPoint() {
+    if (!this.state.point) throw new PSError('nocurrentpoint');
+    return this.state.point;
+  }
+
+  moveTo(p) {
+    const { path } = this.state;
+    const last = path[path.length - 1];
+    if (last && last.segments.length === 0 && !last.closed) {
+      last.start = p;
+    } else {
+      path.push({ start: p, segments: [], closed: false });
+    }
+    this.state.point = p;
+  }
+
+  openSubpath() {
+    const { path } = this.state;
+    let last = path[path.length - 1];
+    if (!last || last.closed) {
+      last = { start: this.currentPoint(), segments: [], closed: false };
+      path.push(last);
+    }
+    return last;
+  }
+
+  lineTo(p) {
+    this.currentPoint();
+    this.openSubpath().segments.push(['L', ...p]);
+    this.state.point = p;
+  }
+
+  curveTo(c1, c2, p) {
+    this.currentPoint();
+    this.openSubpath().segments.push(['C', ...c1, ...c2, ...p]);
+    this.state.point = p;
+  }
+
+  closePath() {
+    const { path } = this.state;
+    const last = path[path.length - 1];
+    if (last && !last.closed && last.segments.length > 0) {
+      last.closed = true;
+      this.state.point = last.start;
+    }
+  }
+
+  newPath() {
+    this.state.path = [];
+    this.state.point = null;
+  }
+
+  /**
+   * Append a circular arc in user space, as Bezier segments of at most 90°
+   */
+  arc(cx, cy, r, a1, a2, clockwise) {
+    let sweep = a2 - a1;
+    if (clockwise) {
+      while (sweep > 0) sweep -= 360;
+    } else {
+      while (sweep < 0) sweep += 360;
+    }
+
+    const rad = (deg) => (deg * Math.PI) / 180;
+    const at = (deg) => this.userPoint(cx + r * Math.cos(rad(deg)), cy + r * Math.sin(rad(deg)));
+
+    if (this.state.point) this.lineTo(at(a1));
+    else this.moveTo(at(a1));
+
+    const steps = Math.max(1, Math.ceil(Math.abs(sweep) / 90 - 1e-9));
+    const step = sweep / steps;
+    const k = (4 / 3) * Math.tan(rad(step) / 4);
+    for (let i = 0; i < steps; i++) {
+      const t0 = rad(a1 + step * i);
+      const t1 = rad(a1 + step * (i + 1));
+      const c1 = this.userPoint(cx + r * (Math.cos(t0) - k * Math.sin(t0)), cy + r * (Math.sin(t0) + k * Math.cos(t0)));
+      const c2 = this.userPoint(cx + r * (Math.cos(t1) + k * Math.sin(t1)), cy + r * (Math.sin(t1) - k * Math.cos(t1)));
+      this.curveTo(c1, c2, at(a1 + step * (i + 1)));
+    }
+  }
+
+  /**
+   * arct/arcto: tangent arc between the lines to (x1, y1) and (x2, y2)
+   * @returns {number[]} Tangent points [xt1, yt1, xt2, yt2] in user space
+   */
+  tangentArc(x1, y1, x2, y2, r) {
+    const [x0, y0] = transformPoint(invertMatrix(this.state.ctm), ...this.currentPoint());
+    const v1 = [x0 - x1, y0 - y1];
+    const v2 = [x2 - x1, y2 - y1];
+    const l1 = Math.hypot(...v1);
+    const l2 = Math.hypot(...v2);
+    const cross = v1[0] * v2[1] - v1[1] * v2[0];
+
+    if (l1 === 0 || l2 === 0 || Math.abs(cross) < 1e-9) {
+      this.lineTo(this.userPoint(x1, y1));
+      return [x1, y1, x1, y1];
+    }
+
+    const u1 = [v1[0] / l1, v1[1] / l1];
+    const u2 = [v2[0] / l2, v2[1] / l2];
+    const angle = Math.acos(Math.max(-1, Math.min(1, u1[0] * u2[0] + u1[1] * u2[1])));
+    const distance = r / Math.tan(angle / 2);
+    const t1 = [x1 + u1[0] * distance, y1 + u1[1] * distance];
+    const t2 = [x1 + u2[0] * distance, y1 + u2[1] * distance];
+    const bisector = [u1[0] + u2[0], u1[1] + u2[1]];
+    const bl = Math.hypot(...bisector);
+    const offset = r / Math.sin(angle / 2);
+    const center = [x1 + (bisector[0] / bl) * offset, y1 + (bisector[1] / bl) * offset];
+
+    const deg = (p) => (Math.atan2(p[1] - center[1], p[0] - center[0]) * 180) / Math.PI;
+    // Turning left (counterclockwise) when the incoming and outgoing
+    // directions have a positive cross product
+    const turn = (x1 - x0) * (y2 - y1) - (y1 - y0) * (x2 - x1);
+    this.arc(center[0], center[1], r, deg(t1), deg(t2), turn < 0);
+    return [...t1, ...t2];
+  }
+
+  /**
+   * Record the current path as a painted element
+   */
+  paint({ fill = false, stroke = false, evenOdd = false }) {
+    const { state } = this;
+    const subpaths = state.path.filter(sp => sp.segments.length > 0);
+    if (state.nullDevice || subpaths.length === 0) return;
+
+    const fillPaint = fill && state.fill ? toHex(state.fill) : null;
+    const strokePaint = stroke && state.stroke ? toHex(state.stroke) : null;
+    if (!fillPaint && !strokePaint) return;
+
+    const scale = Math.sqrt(Math.abs(state.ctm[0] * state.ctm[3] - state.ctm[1] * state.ctm[2])) || 1;
+    const strokeStyle = {
+      stroke: strokePaint,
+      strokeOpacity: 1,
+      // Zero-width lines are the thinnest line the device can render
+      strokeWidth: state.lineWidth > 0 ? state.lineWidth * scale : 0.25,
+      lineCap: state.lineCap,
+      lineJoin: state.lineJoin,
+      miterLimit: state.miterLimit,
+      dash: state.dash.array.map(v => v * scale),
+      dashOffset: state.dash.phase * scale,
+    };
+    const d = pathData(subpaths);
+
+    // `gsave fill grestore stroke` paints the same outline twice; fold the
+    // stroke into the fill so the SVG has one element per shape
+    const previous = this.elements[this.elements.length - 1];
+    if (strokePaint && !fillPaint && previous && previous.fill && !previous.stroke
+      && previous.d === d && sameClips(previous.clips, state.clips)) {
+      Object.assign(previous, strokeStyle);
+      return;
+    }
+
+    this.elements.push({
+      d,
+      clips: state.clips,
+      fill: fillPaint,
+      fillOpacity: 1,
+      fillRule: evenOdd ? 'evenodd' : 'nonzero',
+      ...strokeStyle,
+    });
+  }
+
+  /**
+   * Intersect the clipping region with the current path
+   */
+  clip(rule) {
+    const subpaths = copyPath(this.state.path.filter(sp => sp.segments.length > 0));
+    if (subpaths.length === 0) return;
+    this.state.clips = [...this.state.clips, { subpaths, rule, id: null }];
+  }
+
+  rectanglePath(x, y, w, h) {
+    this.moveTo(this.userPoint(x, y));
+    this.lineTo(this.userPoint(x + w, y));
+    this.lineTo(this.userPoint(x + w, y + h));
+    this.lineTo(this.userPoint(x, y + h));
+    this.closePath();
+  }
+
+  /**
+   * Operands of rectfill/rectstroke/rectclip: x y w h or an array of them
+   */
+  popRectangles() {
+    const top = this.pop();
+    let values;
+    if (top instanceof PSArray) {
+      values = top.items.map(Number);
+    } else if (typeof top === 'number') {
+      values = [...this.popNumbers(3), top];
+    } else {
+      throw new PSError('typecheck');
+    }
+    const rects = [];
+    for (let i = 0; i + 3 < values.length; i += 4) rects.push(values.slice(i, i + 4));
+    return rects;
+  }
+
+  // -- Color -----------------------------------------------------------------
+
+  resolveColorSpace(value) {
+    const family = value instanceof PSArray ? value.items[0] : value;
+    const name = family instanceof PSName || family instanceof PSString ? PSDict.key(family) : null;
+    const items = value instanceof PSArray ? value.items : [];
+
+    switch (name) {
+      case 'DeviceGray':
+      case 'CalGray':
+      case 'CIEBasedA':
+        return DEVICE_GRAY;
+      case 'DeviceRGB':
+      case 'CalRGB':
+      case 'CIEBasedABC':
+      case 'CIEBasedDEF':
+        return DEVICE_RGB;
+      case 'DeviceCMYK':
+      case 'CIEBasedDEFG':
+        return DEVICE_CMYK;
+      case 'Separation':
+      case 'DeviceN': {
+        const alternate = this.resolveColorSpace(items[2]);
+        const components = name === 'DeviceN' && items[1] instanceof PSArray ? items[1].items.length : 1;
+        return {
+          name,
+          components,
+          initial: new Array(components).fill(1),
+          toRGB: (values) => alternate.toRGB(this.callFunction(items[3], values, alternate.components)),
+        };
+      }
+      case 'Indexed': {
+        const base = this.resolveColorSpace(items[1]);
+        const hival = Number(items[2]) || 0;
+        const lookup = items[3];
+        return {
+          name,
+          components: 1,
+          initial: [0],
+          toRGB: ([value]) => {
+            const index = Math.min(hival, Math.max(0, Math.round(value)));
+            if (lookup instanceof PSString) {
+              const bytes = lookup.bytes.subarray(index * base.components, (index + 1) * base.components);
+              return base.toRGB(Array.from(bytes, b => b / 255));
+            }
+            return base.toRGB(this.callFunction(lookup, [index], base.components));
+          },
+        };
+      }
+      case 'Pattern':
+        return PATTERN;
+      default:
+        throw new PSError('undefined', 'setcolorspace');
+    }
+  }
+
+  setColorSpace(space) {
+    this.state.colorSpace = space;
+    this.setColor(space.initial);
+  }
+
+  setColor(components) {
+    const { state } = this;
+    state.color = components;
+    const color = state.colorSpace.toRGB(components);
+    if (!color) this.unsupported.add('pattern fills');
+    state.fill = color;
+    state.stroke = color;
+  }
+
+  // -- Images and text -------------------------------------------------------
+
+  /**
+   * Consume the sample data of an image operator without decoding it
+   */
+  skipImageData(source, byteCount) {
+    if (source instanceof PSFile) {
+      this.skipFileData(source, byteCount);
+    } else if (source instanceof PSArray) {
+      let remaining = byteCount;
+      while (remaining > 0) {
+        const base = this.stack.length;
+        this.runProcedure(source);
+        const chunk = this.stack.length > base ? this.stack[this.stack.length - 1] : null;
+        this.stack.length = base;
+        const length = chunk instanceof PSString ? chunk.bytes.length : 0;
+        if (length === 0) break;
+        remaining -= length;
+      }
+    }
+  }
+
+  skipFileData(file, byteCount) {
+    const { scanner } = file;
+    if (!scanner) return;
+
+    const first = file.filters[0];
+    if (!first) {
+      scanner.pos = Math.min(scanner.end, scanner.pos + byteCount);
+      return;
+    }
+
+    const terminators = { ASCII85Decode: '~>', A85: '~>', ASCIIHexDecode: '>', AHx: '>' };
+    const terminator = first.name === 'SubFileDecode' ? first.eod : terminators[first.name];
+    if (!terminator) {
+      // Binary-encoded data with an unknown length cannot be skipped
+      throw new PSError('ioerror', `${first.name} image data`);
+    }
+    const end = scanner.data.indexOf(terminator, scanner.pos, 'latin1');
+    scanner.pos = end < 0 || end >= scanner.end ? scanner.end : end + terminator.length;
+  }
+
+  showText(string) {
+    if (!this.state.nullDevice && string.bytes.length > 0) this.text++;
+  }
+
+  makeFont(name) {
+    const font = new PSDict();
+    font.set('FontName', new PSName(name));
+    font.set('FontType', 1);
+    font.set('PaintType', 0);
+    font.set('FontMatrix', new PSArray([0.001, 0, 0, 0.001, 0, 0]));
+    font.set('FontBBox', new PSArray([0, 0, 1000, 1000]));
+    font.set('Encoding', this.encoding);
+    return font;
+  }
+
+  copyFont(font, matrix) {
+    const copy = new PSDict();
+    font.entries.forEach(({ key, value }) => copy.set(key, value));
+    const fontMatrix = font.get('FontMatrix');
+    const current = fontMatrix instanceof PSArray ? fontMatrix.items.map(Number) : [0.001, 0, 0, 0.001, 0, 0];
+    copy.set('FontMatrix', new PSArray(multiplyMatrix(matrix, current)));
+    return copy;
+  }
+
+  // -- Result ----------------------------------------------------------------
+
+  result() {
+    const paths = this.elements.length;
+    let reason;
+    if (this.images > 0) {
+      reason = `Document contains ${this.images} raster image${this.images === 1 ? '' : 's'}`;
+    } else if (this.text > 0) {
+      reason = 'Document contains live text that is not converted to outlines';
+    } else if (this.unsupported.size > 0) {
+      reason = `Document uses unsupported features: ${Array.from(this.unsupported).join(', ')}`;
+    } else if (this.error) {
+      reason = `PostScript error: ${this.error.message}`;
+    } else if (paths === 0) {
+      reason = 'Document has no vector paths';
+    } else {
+      reason = `Extracted ${paths} vector path${paths === 1 ? '' : 's'}`;
+    }
+
+    return {
+      svg: buildSVG(this, { idPrefix: 'eps' }),
+      width: this.width,
+      height: this.height,
+      vectorizable: paths > 0 && this.images === 0 && this.text === 0 && this.unsupported.size === 0 && !this.error,
+      reason,
+      images: this.images,
+      text: this.text,
+      paths,
+      unsupported: Array.from(this.unsupported),
+      error: this.error ? this.error.message : null,
+    };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// PostScript operators
+// ---------------------------------------------------------------------------
+
+/**
+ * Operators that take a fixed number of operands and have no effect on the
+ * recorded artwork
+ */
+const IGNORED_OPERATORS = {
+  setflat: 1, setstrokeadjust: 1, setoverprint: 1, setsmoothness: 1, setscreen: 3, setcolorscreen: 12,
+  sethalftone: 1, settransfer: 1, setcolortransfer: 4, setblackgeneration: 1, setundercolorremoval: 1,
+  setcolorrendering: 1, setpagedevice: 1, setglobal: 1, setpacking: 1, setshared: 1, setobjectformat: 1,
+  setuserparams: 1, setsystemparams: 1, setdevparams: 2, vmreclaim: 1, setvmthreshold: 1, setcachelimit: 1,
+  setcachedevice: 6, setcachedevice2: 10, setcharwidth: 2, setbbox: 4, print: 1, '=': 1, '==': 1, echo: 1,
+  ucache: 0, flush: 0, pstack: 0, stack: 0, handleerror: 0, copypage: 0, flattenpath: 0, reversepath: 0,
+};
+
+const CONSTANT_OPERATORS = {
+  revision: () => 0,
+  serialnumber: () => 0,
+  realtime: () => 0,
+  usertime: () => 0,
+  currentflat: () => 1,
+  currentsmoothness: () => 0.02,
+  currentstrokeadjust: () => false,
+  currentoverprint: () => false,
+  currentglobal: () => false,
+  currentpacking: () => false,
+  currentshared: () => false,
+  currentobjectformat: () => 0,
+  version: () => PSString.from('3010'),
+  product: () => PSString.from('idegy PostScript'),
+  currenttransfer: () => new PSArray([], true),
+  currentblackgeneration: () => new PSArray([], true),
+  currentundercolorremoval: () => new PSArray([], true),
+  currentuserparams: () => new PSDict(),
+  currentsystemparams: () => new PSDict(),
+  currenthalftone: () => new PSDict(),
+  currentcolorrendering: () => new PSDict(),
+};
+
+const POSTSCRIPT_OPERATORS = {
+  // Operand stack
+  pop: (vm) => { vm.pop(); },
+  exch: (vm) => { const b = vm.pop(); const a = vm.pop(); vm.push(b, a); },
+  dup: (vm) => { const a = vm.pop(); vm.push(a, a); },
+  index: (vm) => {
+    const n = vm.popInteger();
+    if (n < 0 || n >= vm.stack.length) throw new PSError('rangecheck');
+    vm.push(vm.stack[vm.stack.length - 1 - n]);
+  },
+  roll: (vm) => {
+    const j = vm.popInteger();
+    const n = vm.popInteger();
+    if (n < 0 || n > vm.stack.length) throw new PSError('rangecheck');
+    if (n === 0) return;
+    const items = vm.stack.splice(vm.stack.length - n, n);
+    const shift = ((j % n) + n) % n;
+    vm.push(...items.slice(n - shift), ...items.slice(0, n - shift));
+  },
+  copy: (vm) => {
+    const top = vm.pop();
+    if (typeof top === 'number') {
+      const n = Math.trunc(top);
+      if (n < 0 || n > vm.stack.length) throw new PSError('rangecheck');
+      vm.push(...vm.stack.slice(vm.stack.length - n));
+      return;
+    }
+    const source = vm.pop();
+    if (top instanceof PSArray && source instanceof PSArray) {
+      if (source.items.length > top.items.length) throw new PSError('rangecheck');
+      source.items.forEach((item, i) => { top.items[i] = item; });
+      vm.push(source.items.length === top.items.length ? top : new PSArray(top.items.slice(0, source.items.length)));
+    } else if (top instanceof PSString && source instanceof PSString) {
+      if (source.bytes.length > top.bytes.length) throw new PSError('rangecheck');
+      source.bytes.copy(top.bytes, 0);
+      vm.push(new PSString(top.bytes.subarray(0, source.bytes.length)));
+    } else if (top instanceof PSDict && source instanceof PSDict) {
+      source.entries.forEach(({ key, value }) => top.set(key, value));
+      vm.push(top);
+    } else {
+      throw new PSError('typecheck');
+    }
+  },
+  clear: (vm) => { vm.stack.length = 0; },
+  count: (vm) => { vm.push(vm.stack.length); },
+  mark: (vm) => { vm.push(MARK); },
+  '[': (vm) => { vm.push(MARK); },
+  '<<': (vm) => { vm.push(MARK); },
+  cleartomark: (vm) => { vm.stack.length = vm.markIndex(); },
+  counttomark: (vm) => { vm.push(vm.stack.length - 1 - vm.markIndex()); },
+  ']': (vm) => {
+    const index = vm.markIndex();
+    const items = vm.stack.splice(index + 1);
+    vm.stack.length = index;
+    vm.push(new PSArray(items));
+  },
+  '>>': (vm) => {
+    const index = vm.markIndex();
+    const items = vm.stack.splice(index + 1);
+    vm.stack.length = index;
+    if (items.length % 2) throw new PSError('rangecheck');
+    const dict = new PSDict(items.length / 2);
+    for (let i = 0; i < items.length; i += 2) dict.set(items[i], items[i + 1]);
+    vm.push(dict);
+  },
+
+  // Arithmetic
+  add: (vm) => { const b = vm.popNumber(); vm.push(vm.popNumber() + b); },
+  sub: (vm) => { const b = vm.popNumber(); vm.push(vm.popNumber() - b); },
+  mul: (vm) => { const b = vm.popNumber(); vm.push(vm.popNumber() * b); },
+  div: (vm) => {
+    const b = vm.popNumber();
+    const a = vm.popNumber();
+    if (b === 0) throw new PSError('undefinedresult');
+    vm.push(a / b);
+  },
+  idiv: (vm) => {
+    const b = vm.popInteger();
+    const a = vm.popInteger();
+    if (b === 0) throw new PSError('undefinedresult');
+    vm.push(Math.trunc(a / b));
+  },
+  mod: (vm) => {
+    const b = vm.popInteger();
+    const a = vm.popInteger();
+    if (b === 0) throw new PSError('undefinedresult');
+    vm.push(a % b);
+  },
+  neg: (vm) => { vm.push(-vm.popNumber()); },
+  abs: (vm) => { vm.push(Math.abs(vm.popNumber())); },
+  ceiling: (vm) => { vm.push(Math.ceil(vm.popNumber())); },
+  floor: (vm) => { vm.push(Math.floor(vm.popNumber())); },
+  round: (vm) => { vm.push(Math.round(vm.popNumber())); },
+  truncate: (vm) => { vm.push(Math.trunc(vm.popNumber())); },
+  sqrt: (vm) => {
+    const a = vm.popNumber();
+    if (a < 0) throw new PSError('rangecheck');
+    vm.push(Math.sqrt(a));
+  },
+  sin: (vm) => { vm.push(Math.sin((vm.popNumber() * Math.PI) / 180)); },
+  cos: (vm) => { vm.push(Math.cos((vm.popNumber() * Math.PI) / 180)); },
+  atan: (vm) => {
+    const b = vm.popNumber();
+    const a = vm.popNumber();
+    if (a === 0 && b === 0) throw new PSError('undefinedresult');
+    const angle = (Math.atan2(a, b) * 180) / Math.PI;
+    vm.push(angle < 0 ? angle + 360 : angle);
+  },
+  exp: (vm) => { const b = vm.popNumber(); vm.push(vm.popNumber() ** b); },
+  ln: (vm) => { vm.push(Math.log(vm.popNumber())); },
+  log: (vm) => { vm.push(Math.log10(vm.popNumber())); },
+  rand: (vm) => {
+    // Deterministic LCG so repeated conversions produce identical output
+    vm.random = (vm.random * 16807) % 2147483647;
+    vm.push(vm.random);
+  },
+  srand: (vm) => { vm.random = (vm.popInteger() % 2147483646) + 1; },
+  rrand: (vm) => { vm.push(vm.random); },
+
+  // Relational, boolean and bitwise
+  eq: (vm) => { const b = vm.pop(); vm.push(psEquals(vm.pop(), b)); },
+  ne: (vm) => { const b = vm.pop(); vm.push(!psEquals(vm.pop(), b)); },
+  ...Object.fromEntries([
+    ['gt', (a, b) => a > b],
+    ['ge', (a, b) => a >= b],
+    ['lt', (a, b) => a < b],
+    ['le', (a, b) => a <= b],
+  ].map(([name, compare]) => [name, (vm) => {
+    const b = vm.pop();
+    const a = vm.pop();
+    if (typeof a === 'number' && typeof b === 'number') vm.push(compare(a, b));
+    else if (a instanceof PSString && b instanceof PSString) vm.push(compare(a.text, b.text));
+    else throw new PSError('typecheck');
+  }])),
+  and: (vm) => {
+    const b = vm.pop();
+    const a = vm.pop();
+    vm.push(typeof a === 'boolean' ? a && b : a & b);
+  },
+  or: (vm) => {
+    const b = vm.pop();
+    const a = vm.pop();
+    vm.push(typeof a === 'boolean' ? a || b : a | b);
+  },
+  xor: (vm) => {
+    const b = vm.pop();
+    const a = vm.pop();
+    vm.push(typeof a === 'boolean' ? a !== b : a ^ b);
+  },
+  not: (vm) => {
+    const a = vm.pop();
+    vm.push(typeof a === 'boolean' ? !a : ~a);
+  },
+  bitshift: (vm) => {
+    const shift = vm.popInteger();
+    const a = vm.popInteger();
+    vm.push(shift >= 0 ? a << shift : a >> -shift);
+  },
+
+  // Control
+  exec: (vm) => { vm.execute(vm.pop()); },
+  if: (vm) => {
+    const proc = vm.pop();
+    if (vm.popBoolean()) vm.execute(proc);
+  },
+  ifelse: (vm) => {
+    const otherwise = vm.pop();
+    const then = vm.pop();
+    vm.execute(vm.popBoolean() ? then : otherwise);
+  },
+  for: (vm) => {
+    const proc = vm.pop();
+    const limit = vm.popNumber();
+    const increment = vm.popNumber();
+    const initial = vm.popNumber();
+    for (let v = initial; increment >= 0 ? v <= limit : v >= limit; v += increment) {
+      vm.push(v);
+      if (!vm.loopBody(proc)) break;
+    }
+  },
+  repeat: (vm) => {
+    const proc = vm.pop();
+    const n = vm.popInteger();
+    if (n < 0) throw new PSError('rangecheck');
+    for (let i = 0; i < n; i++) {
+      if (!vm.loopBody(proc)) break;
+    }
+  },
+  loop: (vm) => {
+    const proc = vm.pop();
+    while (vm.loopBody(proc));
+  },
+  forall: (vm) => {
+    const proc = vm.pop();
+    const collection = vm.pop();
+    if (collection instanceof PSArray) {
+      for (const item of collection.items.slice()) {
+        vm.push(item);
+        if (!vm.loopBody(proc)) break;
+      }
+    } else if (collection instanceof PSString) {
+      for (const byte of Buffer.from(collection.bytes)) {
+        vm.push(byte);
+        if (!vm.loopBody(proc)) break;
+      }
+    } else if (collection instanceof PSDict) {
+      for (const { key, value } of Array.from(collection.entries.values())) {
+        vm.push(key, value);
+        if (!vm.loopBody(proc)) break;
+      }
+    } else {
+      throw new PSError('typecheck');
+    }
+  },
+  exit: () => { throw new ExitSignal(); },
+  stop: () => { throw new StopSignal(); },
+  stopped: (vm) => {
+    const proc = vm.pop();
+    try {
+      vm.execute(proc);
+      vm.push(false);
+    } catch (error) {
+      if (error instanceof PSError) {
+        vm.errorState.set('newerror', true);
+        vm.errorState.set('errorname', new PSName(error.errorName));
+      } else if (!(error instanceof StopSignal)) {
+        throw error;
+      }
+      vm.push(true);
+    }
+  },
+  countexecstack: (vm) => { vm.push(vm.depth); },
+  quit: () => { throw new QuitSignal(); },
+
+  // Types and conversion
+  type: (vm) => { vm.push(new PSName(typeName(vm.pop()), true)); },
+  cvlit: (vm) => {
+    const value = vm.pop();
+    if (value instanceof PSName) vm.push(new PSName(value.name));
+    else if (value instanceof PSArray) vm.push(new PSArray(value.items));
+    else if (value instanceof PSString) vm.push(new PSString(value.bytes));
+    else vm.push(value);
+  },
+  cvx: (vm) => {
+    const value = vm.pop();
+    if (value instanceof PSName) vm.push(new PSName(value.name, true));
+    else if (value instanceof PSArray) vm.push(new PSArray(value.items, true));
+    else if (value instanceof PSString) vm.push(new PSString(value.bytes, true));
+    else vm.push(value);
+  },
+  xcheck: (vm) => {
+    const value = vm.pop();
+    vm.push(value instanceof PSOperator || !!(value && value.executable));
+  },
+  readonly: () => {},
+  executeonly: () => {},
+  noaccess: () => {},
+  rcheck: (vm) => { vm.pop(); vm.push(true); },
+  wcheck: (vm) => { vm.pop(); vm.push(true); },
+  cvi: (vm) => {
+    const value = vm.pop();
+    const number = value instanceof PSString ? Number(parseToken(value.text.trim())) : value;
+    if (typeof number !== 'number' || Number.isNaN(number)) throw new PSError('typecheck');
+    vm.push(Math.trunc(number));
+  },
+  cvr: (vm) => {
+    const value = vm.pop();
+    const number = value instanceof PSString ? Number(parseToken(value.text.trim())) : value;
+    if (typeof number !== 'number' || Number.isNaN(number)) throw new PSError('typecheck');
+    vm.push(number);
+  },
+  cvn: (vm) => {
+    const value = vm.popOf(PSString);
+    vm.push(new PSName(value.text, value.executable));
+  },
+  cvs: (vm) => {
+    const target = vm.popOf(PSString);
+    const text = textOf(vm.pop());
+    if (text.length > target.bytes.length) throw new PSError('rangecheck');
+    target.bytes.write(text, 0, 'latin1');
+    vm.push(new PSString(target.bytes.subarray(0, text.length)));
+  },
+  cvrs: (vm) => {
+    const target = vm.popOf(PSString);
+    const radix = vm.popInteger();
+    const value = vm.popNumber();
+    const text = radix === 10 ? textOf(value) : (Math.trunc(value) >>> 0).toString(radix).toUpperCase();
+    if (text.length > target.bytes.length) throw new PSError('rangecheck');
+    target.bytes.write(text, 0, 'latin1');
+    vm.push(new PSString(target.bytes.subarray(0, text.length)));
+  },
+
+  // Dictionaries
+  dict: (vm) => { vm.push(new PSDict(vm.popInteger())); },
+  maxlength: (vm) => {
+    const dict = vm.popOf(PSDict);
+    vm.push(Math.max(dict.capacity, dict.size));
+  },
+  begin: (vm) => { vm.dictStack.push(vm.popOf(PSDict)); },
+  end: (vm) => {
+    if (vm.dictStack.length <= 3) throw new PSError('dictstackunderflow');
+    vm.dictStack.pop();
+  },
+  def: (vm) => {
+    const value = vm.pop();
+    const key = vm.pop();
+    vm.dictStack[vm.dictStack.length - 1].set(key, value);
+  },
+  load: (vm) => {
+    const key = vm.pop();
+    const value = vm.lookup(PSDict.key(key));
+    if (value === undefined) throw new PSError('undefined', textOf(key));
+    vm.push(value);
+  },
+  store: (vm) => {
+    const value = vm.pop();
+    const key = vm.pop();
+    const dict = vm.dictStack.slice().reverse().find(d => d.has(key)) || vm.dictStack[vm.dictStack.length - 1];
+    dict.set(key, value);
+  },
+  known: (vm) => {
+    const key = vm.pop();
+    vm.push(vm.popOf(PSDict).has(key));
+  },
+  where: (vm) => {
+    const key = vm.pop();
+    const dict = vm.dictStack.slice().reverse().find(d => d.has(key));
+    if (dict) vm.push(dict, true);
+    else vm.push(false);
+  },
+  undef: (vm) => {
+    const key = vm.pop();
+    vm.popOf(PSDict).delete(key);
+  },
+  currentdict: (vm) => { vm.push(vm.dictStack[vm.dictStack.length - 1]); },
+  countdictstack: (vm) => { vm.push(vm.dictStack.length); },
+  cleardictstack: (vm) => { vm.dictStack.length = 3; },
+  dictstack: (vm) => {
+    const target = vm.popOf(PSArray);
+    vm.dictStack.forEach((dict, i) => { target.items[i] = dict; });
+    vm.push(new PSArray(target.items.slice(0, vm.dictStack.length)));
+  },
+  internaldict: (vm) => {
+    vm.pop();
+    vm.push(vm.userdict);
+  },
+
+  // Arrays and strings
+  array: (vm) => {
+    const n = vm.popInteger();
+    if (n < 0) throw new PSError('rangecheck');
+    vm.push(new PSArray(new Array(n).fill(NULL)));
+  },
+  string: (vm) => {
+    const n = vm.popInteger();
+    if (n < 0 || n > 65535) throw new PSError('rangecheck');
+    vm.push(new PSString(Buffer.alloc(n)));
+  },
+  length: (vm) => {
+    const value = vm.pop();
+    if (value instanceof PSArray) vm.push(value.items.length);
+    else if (value instanceof PSString) vm.push(value.bytes.length);
+    else if (value instanceof PSDict) vm.push(value.size);
+    else if (value instanceof PSName) vm.push(value.name.length);
+    else throw new PSError('typecheck');
+  },
+  get: (vm) => {
+    const key = vm.pop();
+    const container = vm.pop();
+    if (container instanceof PSDict) {
+      const value = container.get(key);
+      if (value === undefined) throw new PSError('undefined', textOf(key));
+      vm.push(value);
+      return;
+    }
+    const items = container instanceof PSArray ? container.items : container instanceof PSString ? container.bytes : null;
+    if (!items) throw new PSError('typecheck');
+    if (typeof key !== 'number' || key < 0 || key >= items.length) throw new PSError('rangecheck');
+    vm.push(items[Math.trunc(key)]);
+  },
+  put: (vm) => {
+    const value = vm.pop();
+    const key = vm.pop();
+    const container = vm.pop();
+    if (container instanceof PSDict) {
+      container.set(key, value);
+      return;
+    }
+    const items = container instanceof PSArray ? container.items : container instanceof PSString ? container.bytes : null;
+    if (!items) throw new PSError('typecheck');
+    if (typeof key !== 'number' || key < 0 || key >= items.length) throw new PSError('rangecheck');
+    items[Math.trunc(key)] = value;
+  },
+  getinterval: (vm) => {
+    const count = vm.popInteger();
+    const index = vm.popInteger();
+    const value = vm.pop();
+    const length = value instanceof PSArray ? value.items.length : value instanceof PSString ? value.bytes.length : -1;
+    if (length < 0) throw new PSError('typecheck');
+    if (index < 0 || count < 0 || index + count > length) throw new PSError('rangecheck');
+    vm.push(value instanceof PSArray
+      ? new PSArray(value.items.slice(index, index + count), value.executable)
+      : new PSString(value.bytes.subarray(index, index + count)));
+  },
+  putinterval: (vm) => {
+    const source = vm.pop();
+    const index = vm.popInteger();
+    const target = vm.pop();
+    if (target instanceof PSArray && source instanceof PSArray) {
+      if (index < 0 || index + source.items.length > target.items.length) throw new PSError('rangecheck');
+      source.items.forEach((item, i) => { target.items[index + i] = item; });
+    } else if (target instanceof PSString && source instanceof PSString) {
+      if (index < 0 || index + source.bytes.length > target.bytes.length) throw new PSError('rangecheck');
+      source.bytes.copy(target.bytes, index);
+    } else {
+      throw new PSError('typecheck');
+    }
+  },
+  aload: (vm) => {
+    const array = vm.popOf(PSArray);
+    vm.push(...array.items, array);
+  },
+  astore: (vm) => {
+    const array = vm.popOf(PSArray);
+    const n = array.items.length;
+    if (n > vm.stack.length) throw new PSError('stackunderflow');
+    vm.stack.splice(vm.stack.length - n, n).forEach((item, i) => { array.items[i] = item; });
+    vm.push(array);
+  },
+  search: (vm) => {
+    const seek = vm.popOf(PSString);
+    const string = vm.popOf(PSString);
+    const index = string.bytes.indexOf(seek.bytes);
+    if (index < 0) {
+      vm.push(string, false);
+      return;
+    }
+    const end = index + seek.bytes.length;
+    vm.push(
+      new PSString(string.bytes.subarray(end)),
+      new PSString(string.bytes.subarray(index, end)),
+      new PSString(string.bytes.subarray(0, index)),
+      true
+    );
+  },
+  anchorsearch: (vm) => {
+    const seek = vm.popOf(PSString);
+    const string = vm.popOf(PSString);
+    const n = seek.bytes.length;
+    if (string.bytes.subarray(0, n).equals(seek.bytes)) {
+      vm.push(new PSString(string.bytes.subarray(n)), new PSString(string.bytes.subarray(0, n)), true);
+    } else {
+      vm.push(string, false);
+    }
+  },
+  token: (vm) => {
+    const string = vm.popOf(PSString);
+    const scanner = vm.createScanner(string.bytes);
+    const token = scanner.next();
+    if (token === EOF) {
+      vm.push(false);
+      return;
+    }
+    vm.push(new PSString(string.bytes.subarray(scanner.pos)), token, true);
+  },
+  bind: (vm) => {
+    const proc = vm.pop();
+    const seen = new Set();
+    const bindProc = (p) => {
+      if (seen.has(p)) return;
+      seen.add(p);
+      p.items.forEach((item, i) => {
+        if (item instanceof PSName && item.executable) {
+          const value = vm.lookup(item.name);
+          if (value instanceof PSOperator) p.items[i] = value;
+        } else if (item instanceof PSArray && item.executable) {
+          bindProc(item);
+        }
+      });
+    };
+    if (proc instanceof PSArray) bindProc(proc);
+    vm.push(proc);
+  },
+
+  // Virtual memory and graphics state stacks
+  save: (vm) => {
+    vm.push(new PSSave(vm.cloneState(vm.state), vm.gstack.slice()));
+  },
+  restore: (vm) => {
+    const save = vm.popOf(PSSave);
+    vm.state = vm.cloneState(save.state);
+    vm.gstack = save.gstack.slice();
+  },
+  vmstatus: (vm) => { vm.push(0, 0, 10000000); },
+  gsave: (vm) => {
+    vm.gstack.push(vm.state);
+    vm.state = vm.cloneState(vm.state);
+  },
+  grestore: (vm) => {
+    if (vm.gstack.length > 0) vm.state = vm.gstack.pop();
+  },
+  grestoreall: (vm) => {
+    if (vm.gstack.length > 0) vm.state = vm.gstack[0];
+    vm.gstack = [];
+  },
+  initgraphics: (vm) => {
+    vm.state = { ...vm.initialState(), font: vm.state.font };
+  },
+  gstate: (vm) => { vm.push(new PSGState(vm.cloneState(vm.state))); },
+  currentgstate: (vm) => {
+    const target = vm.popOf(PSGState);
+    target.state = vm.cloneState(vm.state);
+    vm.push(target);
+  },
+  setgstate: (vm) => {
+    vm.state = vm.cloneState(vm.popOf(PSGState).state);
+  },
+
+  // Line style
+  setlinewidth: (vm) => { vm.state.lineWidth = Math.abs(vm.popNumber()); },
+  currentlinewidth: (vm) => { vm.push(vm.state.lineWidth); },
+  setlinecap: (vm) => { vm.state.lineCap = vm.popInteger(); },
+  currentlinecap: (vm) => { vm.push(vm.state.lineCap); },
+  setlinejoin: (vm) => { vm.state.lineJoin = vm.popInteger(); },
+  currentlinejoin: (vm) => { vm.push(vm.state.lineJoin); },
+  setmiterlimit: (vm) => { vm.state.miterLimit = vm.popNumber(); },
+  currentmiterlimit: (vm) => { vm.push(vm.state.miterLimit); },
+  setdash: (vm) => {
+    const phase = vm.popNumber();
+    const array = vm.popOf(PSArray);
+    vm.state.dash = { array: array.items.map(Number), phase };
+  },
+  currentdash: (vm) => {
+    vm.push(new PSArray(vm.state.dash.array.slice()), vm.state.dash.phase);
+  },
+
+  // Color
+  setgray: (vm) => {
+    const g = vm.popNumber();
+    vm.state.colorSpace = DEVICE_GRAY;
+    vm.setColor([g]);
+  },
+  setrgbcolor: (vm) => {
+    const values = vm.popNumbers(3);
+    vm.state.colorSpace = DEVICE_RGB;
+    vm.setColor(values);
+  },
+  sethsbcolor: (vm) => {
+    const values = hsbToRGB(vm.popNumbers(3));
+    vm.state.colorSpace = DEVICE_RGB;
+    vm.setColor(values);
+  },
+  setcmykcolor: (vm) => {
+    const values = vm.popNumbers(4);
+    vm.state.colorSpace = DEVICE_CMYK;
+    vm.setColor(values);
+  },
+  setcolorspace: (vm) => {
+    vm.setColorSpace(vm.resolveColorSpace(vm.pop()));
+  },
+  setcolor: (vm) => {
+    const space = vm.state.colorSpace;
+    if (space === PATTERN) {
+      vm.pop();
+      vm.setColor([]);
+      return;
+    }
+    vm.setColor(vm.popNumbers(space.components));
+  },
+  setpattern: (vm) => {
+    vm.pop();
+    vm.state.colorSpace = PATTERN;
+    vm.setColor([]);
+  },
+  makepattern: (vm) => {
+    vm.popMatrix();
+    vm.push(vm.popOf(PSDict));
+  },
+  currentcolorspace: (vm) => {
+    vm.push(new PSArray([new PSName(vm.state.colorSpace.name)]));
+  },
+  currentcolor: (vm) => { vm.push(...vm.state.color); },
+  currentgray: (vm) => {
+    const { r, g, b } = vm.state.fill || rgb(0, 0, 0);
+    vm.push((0.3 * r + 0.59 * g + 0.11 * b) / 255);
+  },
+  currentrgbcolor: (vm) => {
+    const { r, g, b } = vm.state.fill || rgb(0, 0, 0);
+    vm.push(r / 255, g / 255, b / 255);
+  },
+  currentcmykcolor: (vm) => {
+    if (vm.state.colorSpace === DEVICE_CMYK) {
+      vm.push(...vm.state.color);
+      return;
+    }
+    const { r, g, b } = vm.state.fill || rgb(0, 0, 0);
+    const k = 1 - Math.max(r, g, b) / 255;
+    const channel = (v) => (k >= 1 ? 0 : (1 - v / 255 - k) / (1 - k));
+    vm.push(channel(r), channel(g), channel(b), k);
+  },
+
+  // Coordinate systems
+  matrix: (vm) => { vm.push(new PSArray(IDENTITY.slice())); },
+  identmatrix: (vm) => {
+    const m = vm.popMatrix();
+    IDENTITY.forEach((v, i) => { m.items[i] = v; });
+    vm.push(m);
+  },
+  defaultmatrix: (vm) => {
+    const m = vm.popMatrix();
+    vm.pageMatrix.forEach((v, i) => { m.items[i] = v; });
+    vm.push(m);
+  },
+  currentmatrix: (vm) => {
+    const m = vm.popMatrix();
+    vm.state.ctm.forEach((v, i) => { m.items[i] = v; });
+    vm.push(m);
+  },
+  setmatrix: (vm) => { vm.state.ctm = vm.popMatrix().items.map(Number); },
+  initmatrix: (vm) => { vm.state.ctm = vm.pageMatrix.slice(); },
+  ...Object.fromEntries([
+    ['translate', 2, ([tx, ty]) => [1, 0, 0, 1, tx, ty]],
+    ['scale', 2, ([sx, sy]) => [sx, 0, 0, sy, 0, 0]],
+    ['rotate', 1, ([angle]) => {
+      const rad = (angle * Math.PI) / 180;
+      return [Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad), 0, 0];
+    }],
+  ].map(([name, operands, build]) => [name, (vm) => {
+    // With a matrix operand the result is stored there instead of the CTM
+    const top = vm.stack[vm.stack.length - 1];
+    if (top instanceof PSArray) {
+      const m = vm.popMatrix();
+      build(vm.popNumbers(operands)).forEach((v, i) => { m.items[i] = v; });
+      vm.push(m);
+    } else {
+      vm.state.ctm = multiplyMatrix(vm.state.ctm, build(vm.popNumbers(operands)));
+    }
+  }])),
+  concat: (vm) => {
+    vm.state.ctm = multiplyMatrix(vm.state.ctm, vm.popMatrix().items.map(Number));
+  },
+  concatmatrix: (vm) => {
+    const target = vm.popMatrix();
+    const m2 = vm.popMatrix().items.map(Number);
+    const m1 = vm.popMatrix().items.map(Number);
+    multiplyMatrix(m2, m1).forEach((v, i) => { target.items[i] = v; });
+    vm.push(target);
+  },
+  invertmatrix: (vm) => {
+    const target = vm.popMatrix();
+    invertMatrix(vm.popMatrix().items.map(Number)).forEach((v, i) => { target.items[i] = v; });
+    vm.push(target);
+  },
+  ...Object.fromEntries([
+    ['transform', false, false],
+    ['itransform', true, false],
+    ['dtransform', false, true],
+    ['idtransform', true, true],
+  ].map(([name, inverse, distance]) => [name, (vm) => {
+    const top = vm.stack[vm.stack.length - 1];
+    let m = top instanceof PSArray ? vm.popMatrix().items.map(Number) : vm.state.ctm;
+    if (inverse) m = invertMatrix(m);
+    if (distance) m = [m[0], m[1], m[2], m[3], 0, 0];
+    const [x, y] = vm.popNumbers(2);
+    vm.push(...transformPoint(m, x, y));
+  }])),
+
+  // Path construction
+  newpath: (vm) => { vm.newPath(); },
+  moveto: (vm) => {
+    const [x, y] = vm.popNumbers(2);
+    vm.moveTo(vm.userPoint(x, y));
+  },
+  rmoveto: (vm) => {
+    const [dx, dy] = vm.popNumbers(2);
+    const [x, y] = vm.currentPoint();
+    const [ddx, ddy] = transformPoint([...vm.state.ctm.slice(0, 4), 0, 0], dx, dy);
+    vm.moveTo([x + ddx, y + ddy]);
+  },
+  lineto: (vm) => {
+    const [x, y] = vm.popNumbers(2);
+    vm.lineTo(vm.userPoint(x, y));
+  },
+  rlineto: (vm) => {
+    const [dx, dy] = vm.popNumbers(2);
+    const [x, y] = vm.currentPoint();
+    const [ddx, ddy] = transformPoint([...vm.state.ctm.slice(0, 4), 0, 0], dx, dy);
+    vm.lineTo([x + ddx, y + ddy]);
+  },
+  curveto: (vm) => {
+    const v = vm.popNumbers(6);
+    vm.curveTo(vm.userPoint(v[0], v[1]), vm.userPoint(v[2], v[3]), vm.userPoint(v[4], v[5]));
+  },
+  rcurveto: (vm) => {
+    const v = vm.popNumbers(6);
+    const [x, y] = vm.currentPoint();
+    const d = (dx, dy) => {
+      const [ddx, ddy] = transformPoint([...vm.state.ctm.slice(0, 4), 0, 0], dx, dy);
+      return [x + ddx, y + ddy];
+    };
+    vm.curveTo(d(v[0], v[1]), d(v[2], v[3]), d(v[4], v[5]));
+  },
+  closepath: (vm) => { vm.closePath(); },
+  arc: (vm) => {
+    const [x, y, r, a1, a2] = vm.popNumbers(5);
+    vm.arc(x, y, r, a1, a2, false);
+  },
+  arcn: (vm) => {
+    const [x, y, r, a1, a2] = vm.popNumbers(5);
+    vm.arc(x, y, r, a1, a2, true);
+  },
+  arct: (vm) => {
+    const [x1, y1, x2, y2, r] = vm.popNumbers(5);
+    vm.tangentArc(x1, y1, x2, y2, r);
+  },
+  arcto: (vm) => {
+    const [x1, y1, x2, y2, r] = vm.popNumbers(5);
+    vm.push(...vm.tangentArc(x1, y1, x2, y2, r));
+  },
+  currentpoint: (vm) => {
+    vm.push(...transformPoint(invertMatrix(vm.state.ctm), ...vm.currentPoint()));
+  },
+  pathbbox: (vm) => {
+    const points = [];
+    vm.state.path.forEach((sp) => {
+      points.push(sp.start);
+      sp.segments.forEach((seg) => {
+        for (let i = 1; i < seg.length; i += 2) points.push([seg[i], seg[i + 1]]);
+      });
+    });
+    if (points.length === 0) throw new PSError('nocurrentpoint');
+    const inverse = invertMatrix(vm.state.ctm);
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    const corners = [
+      [Math.min(...xs), Math.min(...ys)], [Math.max(...xs), Math.min(...ys)],
+      [Math.min(...xs), Math.max(...ys)], [Math.max(...xs), Math.max(...ys)],
+    ].map(([x, y]) => transformPoint(inverse, x, y));
+    vm.push(
+      Math.min(...corners.map(c => c[0])), Math.min(...corners.map(c => c[1])),
+      Math.max(...corners.map(c => c[0])), Math.max(...corners.map(c => c[1]))
+    );
+  },
+  pathforall: (vm) => {
+    const [move, line, curve, close] = [vm.pop(), vm.pop(), vm.pop(), vm.pop()].reverse();
+    const inverse = invertMatrix(vm.state.ctm);
+    const user = (x, y) => transformPoint(inverse, x, y);
+    for (const sp of copyPath(vm.state.path)) {
+      vm.push(...user(...sp.start));
+      if (!vm.loopBody(move)) return;
+      for (const seg of sp.segments) {
+        if (seg[0] === 'L') vm.push(...user(seg[1], seg[2]));
+        else vm.push(...user(seg[1], seg[2]), ...user(seg[3], seg[4]), ...user(seg[5], seg[6]));
+        if (!vm.loopBody(seg[0] === 'L' ? line : curve)) return;
+      }
+      if (sp.closed && !vm.loopBody(close)) return;
+    }
+  },
+  strokepath: (vm) => { vm.unsupported.add('strokepath'); },
+  clippath: (vm) => {
+    const { clips } = vm.state;
+    vm.newPath();
+    if (clips.length > 0) {
+      vm.state.path = copyPath(clips[clips.length - 1].subpaths);
+      vm.state.point = vm.state.path[0] ? vm.state.path[0].start : null;
+    } else {
+      const inverse = invertMatrix(vm.state.ctm);
+      const [x0, y0] = transformPoint(inverse, 0, 0);
+      const [x1, y1] = transformPoint(inverse, vm.width, vm.height);
+      vm.rectanglePath(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0));
+    }
+  },
+  initclip: (vm) => { vm.state.clips = []; },
+  clip: (vm) => { vm.clip('nonzero'); },
+  eoclip: (vm) => { vm.clip('evenodd'); },
+  rectclip: (vm) => {
+    const rects = vm.popRectangles();
+    vm.newPath();
+    rects.forEach(([x, y, w, h]) => vm.rectanglePath(x, y, w, h));
+    vm.clip('nonzero');
+    vm.newPath();
+  },
+  uappend: (vm) => {
+    const userPath = vm.popOf(PSArray);
+    vm.execute(new PSArray(userPath.items, true));
+  },
+  ...Object.fromEntries([
+    ['ufill', { fill: true }],
+    ['ueofill', { fill: true, evenOdd: true }],
+    ['ustroke', { stroke: true }],
+  ].map(([name, mode]) => [name, (vm) => {
+    const top = vm.stack[vm.stack.length - 1];
+    if (mode.stroke && top instanceof PSArray && top.items.length === 6 && vm.stack[vm.stack.length - 2] instanceof PSArray) {
+      vm.pop(); // Optional stroke matrix
+    }
+    const userPath = vm.popOf(PSArray);
+    POSTSCRIPT_OPERATORS.gsave(vm);
+    vm.newPath();
+    vm.execute(new PSArray(userPath.items, true));
+    vm.paint(mode);
+    POSTSCRIPT_OPERATORS.grestore(vm);
+  }])),
+
+  // Painting
+  fill: (vm) => { vm.paint({ fill: true }); vm.newPath(); },
+  eofill: (vm) => { vm.paint({ fill: true, evenOdd: true }); vm.newPath(); },
+  stroke: (vm) => { vm.paint({ stroke: true }); vm.newPath(); },
+  rectfill: (vm) => {
+    const rects = vm.popRectangles();
+    const path = vm.state.path;
+    const point = vm.state.point;
+    vm.newPath();
+    rects.forEach(([x, y, w, h]) => vm.rectanglePath(x, y, w, h));
+    vm.paint({ fill: true });
+    vm.state.path = path;
+    vm.state.point = point;
+  },
+  rectstroke: (vm) => {
+    if (vm.stack[vm.stack.length - 1] instanceof PSArray && vm.stack[vm.stack.length - 1].items.length === 6
+      && vm.stack[vm.stack.length - 2] instanceof PSArray) {
+      vm.pop(); // Optional stroke matrix
+    }
+    const rects = vm.popRectangles();
+    const path = vm.state.path;
+    const point = vm.state.point;
+    vm.newPath();
+    rects.forEach(([x, y, w, h]) => vm.rectanglePath(x, y, w, h));
+    vm.paint({ stroke: true });
+    vm.state.path = path;
+    vm.state.point = point;
+  },
+  shfill: (vm) => {
+    vm.pop();
+    vm.unsupported.add('smooth shading');
+  },
+  erasepage: (vm) => { vm.elements = []; },
+  showpage: () => {
+    // Only the first page is converted
+    throw new QuitSignal();
+  },
+  nulldevice: (vm) => { vm.state.nullDevice = true; },
+  currentpagedevice: (vm) => {
+    const dict = new PSDict();
+    dict.set('PageSize', new PSArray([vm.width, vm.height]));
+    vm.push(dict);
+  },
+
+  // Images
+  image: (vm) => {
+    const top = vm.pop();
+    vm.images++;
+    if (top instanceof PSDict) {
+      const width = Number(top.get('Width')) || 0;
+      const height = Number(top.get('Height')) || 0;
+      const bits = Number(top.get('BitsPerComponent')) || 8;
+      const components = vm.state.colorSpace.components || 1;
+      vm.skipImageData(top.get('DataSource'), Math.ceil((width * bits * components) / 8) * height);
+      return;
+    }
+    vm.popMatrix();
+    const [width, height, bits] = vm.popNumbers(3);
+    vm.skipImageData(top, Math.ceil((width * bits) / 8) * height);
+  },
+  imagemask: (vm) => {
+    const top = vm.pop();
+    vm.images++;
+    if (top instanceof PSDict) {
+      const width = Number(top.get('Width')) || 0;
+      const height = Number(top.get('Height')) || 0;
+      vm.skipImageData(top.get('DataSource'), Math.ceil(width / 8) * height);
+      return;
+    }
+    vm.popMatrix();
+    vm.popBoolean();
+    const [width, height] = vm.popNumbers(2);
+    vm.skipImageData(top, Math.ceil(width / 8) * height);
+  },
+  colorimage: (vm) => {
+    const components = vm.popInteger();
+    const multi = vm.popBoolean();
+    const sources = [];
+    for (let i = multi ? components : 1; i > 0; i--) sources.unshift(vm.pop());
+    vm.popMatrix();
+    const [width, height, bits] = vm.popNumbers(3);
+    vm.images++;
+    const perSource = Math.ceil((width * bits * (multi ? 1 : components)) / 8) * height;
+    sources.forEach(source => vm.skipImageData(source, perSource));
+  },
+
+  // Fonts and text
+  findfont: (vm) => {
+    const key = vm.pop();
+    let font = vm.fonts.get(key);
+    if (!(font instanceof PSDict)) {
+      font = vm.makeFont(textOf(key));
+      vm.fonts.set(key, font);
+    }
+    vm.push(font);
+  },
+  definefont: (vm) => {
+    const font = vm.popOf(PSDict);
+    vm.fonts.set(vm.pop(), font);
+    vm.push(font);
+  },
+  undefinefont: (vm) => { vm.fonts.delete(vm.pop()); },
+  scalefont: (vm) => {
+    const size = vm.popNumber();
+    vm.push(vm.copyFont(vm.popOf(PSDict), [size, 0, 0, size, 0, 0]));
+  },
+  makefont: (vm) => {
+    const matrix = vm.popMatrix().items.map(Number);
+    vm.push(vm.copyFont(vm.popOf(PSDict), matrix));
+  },
+  setfont: (vm) => { vm.state.font = vm.popOf(PSDict); },
+  currentfont: (vm) => { vm.push(vm.state.font || vm.makeFont('Courier')); },
+  rootfont: (vm) => { vm.push(vm.state.font || vm.makeFont('Courier')); },
+  selectfont: (vm) => {
+    const scale = vm.pop();
+    const key = vm.pop();
+    const font = vm.fonts.get(key) instanceof PSDict ? vm.fonts.get(key) : vm.makeFont(textOf(key));
+    const matrix = scale instanceof PSArray ? scale.items.map(Number) : [scale, 0, 0, scale, 0, 0];
+    vm.state.font = vm.copyFont(font, matrix);
+  },
+  stringwidth: (vm) => {
+    const string = vm.popOf(PSString);
+    const font = vm.state.font;
+    const matrix = font && font.get('FontMatrix') instanceof PSArray ? font.get('FontMatrix').items : [0.001, 0, 0, 0.001];
+    // Without font metrics every glyph is assumed to be half an em wide
+    vm.push(500 * string.bytes.length * Number(matrix[0]), 500 * string.bytes.length * Number(matrix[1]));
+  },
+  show: (vm) => { vm.showText(vm.popOf(PSString)); },
+  ashow: (vm) => {
+    const string = vm.popOf(PSString);
+    vm.popNumbers(2);
+    vm.showText(string);
+  },
+  widthshow: (vm) => {
+    const string = vm.popOf(PSString);
+    vm.popNumbers(3);
+    vm.showText(string);
+  },
+  awidthshow: (vm) => {
+    const string = vm.popOf(PSString);
+    vm.popNumbers(5);
+    vm.showText(string);
+  },
+  kshow: (vm) => {
+    const string = vm.popOf(PSString);
+    vm.pop();
+    vm.showText(string);
+  },
+  cshow: (vm) => {
+    const string = vm.popOf(PSString);
+    vm.pop();
+    vm.showText(string);
+  },
+  ...Object.fromEntries(['xshow', 'yshow', 'xyshow'].map(name => [name, (vm) => {
+    vm.pop();
+    vm.showText(vm.popOf(PSString));
+  }])),
+  glyphshow: (vm) => {
+    vm.pop();
+    if (!vm.state.nullDevice) vm.text++;
+  },
+  charpath: (vm) => {
+    vm.popBoolean();
+    vm.showText(vm.popOf(PSString));
+  },
+
+  // Forms and resources
+  execform: (vm) => {
+    const form = vm.popOf(PSDict);
+    const matrix = form.get('Matrix');
+    const bbox = form.get('BBox');
+    POSTSCRIPT_OPERATORS.gsave(vm);
+    if (matrix instanceof PSArray) vm.state.ctm = multiplyMatrix(vm.state.ctm, matrix.items.map(Number));
+    if (bbox instanceof PSArray) {
+      const [x0, y0, x1, y1] = bbox.items.map(Number);
+      vm.newPath();
+      vm.rectanglePath(x0, y0, x1 - x0, y1 - y0);
+      vm.clip('nonzero');
+      vm.newPath();
+    }
+    vm.push(form);
+    vm.execute(form.get('PaintProc'));
+    POSTSCRIPT_OPERATORS.grestore(vm);
+  },
+  defineresource: (vm) => {
+    const category = PSDict.key(vm.pop());
+    const instance = vm.pop();
+    const key = vm.pop();
+    if (!vm.resources.has(category)) vm.resources.set(category, new PSDict());
+    vm.resources.get(category).set(key, instance);
+    if (category === 'Font') vm.fonts.set(key, instance);
+    vm.push(instance);
+  },
+  undefineresource: (vm) => {
+    const category = PSDict.key(vm.pop());
+    const key = vm.pop();
+    if (vm.resources.has(category)) vm.resources.get(category).delete(key);
+  },
+  findresource: (vm) => {
+    const category = PSDict.key(vm.pop());
+    const key = vm.pop();
+    const store = vm.resources.get(category);
+    if (store && store.has(key)) {
+      vm.push(store.get(key));
+    } else if (category === 'Font') {
+      vm.push(key);
+      POSTSCRIPT_OPERATORS.findfont(vm);
+    } else {
+      throw new PSError('undefinedresource', `${textOf(key)} ${category}`);
+    }
+  },
+  resourcestatus: (vm) => {
+    const category = PSDict.key(vm.pop());
+    const key = vm.pop();
+    const store = vm.resources.get(category);
+    if (store && store.has(key)) vm.push(0, 0, true);
+    else vm.push(false);
+  },
+
+  // Files
+  currentfile: (vm) => {
+    const scanner = vm.files[vm.files.length - 1] || new PSScanner(Buffer.alloc(0));
+    vm.push(new PSFile(scanner));
+  },
+  filter: (vm) => {
+    const name = PSDict.key(vm.popOf(PSName));
+    const filter = { name };
+    if (name === 'SubFileDecode') {
+      filter.eod = textOf(vm.pop());
+      vm.popInteger();
+    }
+    if (vm.stack[vm.stack.length - 1] instanceof PSDict) vm.pop(); // Filter parameters
+    const source = vm.pop();
+    vm.push(source instanceof PSFile
+      ? new PSFile(source.scanner, [...source.filters, filter])
+      : new PSFile(null, [filter], source));
+  },
+  readhexstring: (vm) => {
+    const target = vm.popOf(PSString);
+    const { scanner } = vm.popOf(PSFile);
+    let count = 0;
+    let high = -1;
+    while (scanner && count < target.bytes.length && scanner.pos < scanner.end) {
+      const c = scanner.data[scanner.pos++];
+      const digit = c >= 0x30 && c <= 0x39 ? c - 0x30 : c >= 0x41 && c <= 0x46 ? c - 0x37 : c >= 0x61 && c <= 0x66 ? c - 0x57 : -1;
+      if (digit < 0) continue;
+      if (high < 0) {
+        high = digit;
+      } else {
+        target.bytes[count++] = high * 16 + digit;
+        high = -1;
+      }
+    }
+    vm.push(new PSString(target.bytes.subarray(0, count)), count === target.bytes.length);
+  },
+  readstring: (vm) => {
+    const target = vm.popOf(PSString);
+    const { scanner } = vm.popOf(PSFile);
+    const count = scanner ? Math.min(target.bytes.length, scanner.end - scanner.pos) : 0;
+    if (count > 0) scanner.data.copy(target.bytes, 0, scanner.pos, scanner.pos + count);
+    if (scanner) scanner.pos += count;
+    vm.push(new PSString(target.bytes.subarray(0, count)), count === target.bytes.length);
+  },
+  readline: (vm) => {
+    const target = vm.popOf(PSString);
+    const { scanner } = vm.popOf(PSFile);
+    let count = 0;
+    let found = false;
+    while (scanner && scanner.pos < scanner.end) {
+      const c = scanner.data[scanner.pos++];
+      if (c === 0x0a || c === 0x0d) {
+        if (c === 0x0d && scanner.data[scanner.pos] === 0x0a) scanner.pos++;
+        found = true;
+        break;
+      }
+      if (count >= target.bytes.length) throw new PSError('rangecheck');
+      target.bytes[count++] = c;
+    }
+    vm.push(new PSString(target.bytes.subarray(0, count)), found);
+  },
+  read: (vm) => {
+    const { scanner } = vm.popOf(PSFile);
+    if (scanner && scanner.pos < scanner.end) vm.push(scanner.data[scanner.pos++], true);
+    else vm.push(false);
+  },
+  bytesavailable: (vm) => {
+    const { scanner } = vm.popOf(PSFile);
+    vm.push(scanner ? scanner.end - scanner.pos : -1);
+  },
+  closefile: (vm) => {
+    const file = vm.popOf(PSFile);
+    if (!file.scanner) return;
+    if (file.filters.length > 0) vm.skipFileData(file, 0);
+    else file.scanner.pos = file.scanner.end;
+  },
+  flushfile: (vm) => {
+    const file = vm.pop();
+    if (file instanceof PSFile && file.scanner && file.filters.length > 0) vm.skipFileData(file, 0);
+  },
+  eexec: (vm) => {
+    const file = vm.pop();
+    if (!(file instanceof PSFile) || !file.scanner) return;
+    // Encrypted sections hold Type 1 font programs; text is not converted,
+    // so skip to the trailing zeros, whose cleartomark expects this mark
+    const { scanner } = file;
+    const zeros = scanner.data.indexOf('0'.repeat(64), scanner.pos, 'latin1');
+    scanner.pos = zeros < 0 || zeros >= scanner.end ? scanner.end : zeros;
+    vm.push(MARK);
+  },
+  file: () => { throw new PSError('invalidfileaccess'); },
+  run: () => { throw new PSError('invalidfileaccess'); },
+
+  // Environment
+  cachestatus: (vm) => { vm.push(0, 0, 0, 0, 0, 0, 0); },
+  setucacheparams: (vm) => { vm.stack.length = vm.markIndex(); },
+  startjob: (vm) => {
+    vm.pop();
+    vm.pop();
+    vm.push(false);
+  },
+  ...Object.fromEntries(Object.entries(IGNORED_OPERATORS).map(([name, operands]) => [name, (vm) => {
+    for (let i = 0; i < operands; i++) vm.pop();
+  }])),
+  ...Object.fromEntries(Object.entries(CONSTANT_OPERATORS).map(([name, value]) => [name, (vm) => {
+    vm.push(value());
+  }])),
+  currentscreen: (vm) => { vm.push(60, 45, new PSArray([], true)); },
+  currentcolortransfer: (vm) => {
+    vm.push(...Array.from({ length: 4 }, () => new PSArray([], true)));
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Illustrator operators
+// ---------------------------------------------------------------------------
+
+/**
+ * Shared handling of the Illustrator painting operators. Inside a compound
+ * path (*u ... *U) subpaths accumulate and are painted once at *U.
+ */
+function illustratorPaint(vm, { close = false, fill = false, stroke = false }) {
+  const { state } = vm;
+  if (close) vm.closePath();
+  vm.stack.length = 0;
+
+  if (vm.compound) {
+    Object.assign(vm.compound, { fill, stroke, clip: vm.compound.clip || vm.pendingClip });
+    vm.pendingClip = false;
+    return;
+  }
+
+  const evenOdd = state.fillRule === 'evenodd';
+  vm.paint({ fill, stroke, evenOdd });
+  if (vm.pendingClip) vm.clip(evenOdd ? 'evenodd' : 'nonzero');
+  vm.pendingClip = false;
+  vm.newPath();
+}
+
+/**
+ * Custom color with a tint (0 = full strength, 1 = paper white)
+ */
+function tintColor(values, tint, model) {
+  const strength = 1 - Math.min(1, Math.max(0, tint));
+  if (model === 'rgb') return rgb(...values.map(v => 1 - (1 - v) * strength));
+  return cmykToRGB(values.map(v => v * strength));
+}
+
+const ILLUSTRATOR_OPERATORS = {
+  // Path construction
+  m: (vm) => {
+    const [x, y] = vm.popNumbers(2);
+    vm.moveTo(vm.userPoint(x, y));
+  },
+  ...Object.fromEntries(['l', 'L'].map(name => [name, (vm) => {
+    const [x, y] = vm.popNumbers(2);
+    vm.lineTo(vm.userPoint(x, y));
+  }])),
+  ...Object.fromEntries(['c', 'C'].map(name => [name, (vm) => {
+    const v = vm.popNumbers(6);
+    vm.curveTo(vm.userPoint(v[0], v[1]), vm.userPoint(v[2], v[3]), vm.userPoint(v[4], v[5]));
+  }])),
+  ...Object.fromEntries(['v', 'V'].map(name => [name, (vm) => {
+    const v = vm.popNumbers(4);
+    vm.curveTo(vm.currentPoint(), vm.userPoint(v[0], v[1]), vm.userPoint(v[2], v[3]));
+  }])),
+  ...Object.fromEntries(['y', 'Y'].map(name => [name, (vm) => {
+    const v = vm.popNumbers(4);
+    const end = vm.userPoint(v[2], v[3]);
+    vm.curveTo(vm.userPoint(v[0], v[1]), end, end);
+  }])),
+
+  // Painting
+  f: (vm) => illustratorPaint(vm, { close: true, fill: true }),
+  F: (vm) => illustratorPaint(vm, { fill: true }),
+  s: (vm) => illustratorPaint(vm, { close: true, stroke: true }),
+  S: (vm) => illustratorPaint(vm, { stroke: true }),
+  b: (vm) => illustratorPaint(vm, { close: true, fill: true, stroke: true }),
+  B: (vm) => illustratorPaint(vm, { fill: true, stroke: true }),
+  n: (vm) => illustratorPaint(vm, { close: true }),
+  N: (vm) => illustratorPaint(vm, {}),
+  h: (vm) => illustratorPaint(vm, { close: true }),
+  H: (vm) => illustratorPaint(vm, {}),
+  W: (vm) => { vm.pendingClip = true; },
+  '*u': (vm) => {
+    vm.stack.length = 0;
+    vm.compound = { fill: false, stroke: false, clip: false };
+  },
+  '*U': (vm) => {
+    const { compound } = vm;
+    vm.compound = null;
+    vm.stack.length = 0;
+    if (!compound) return;
+    // Compound paths without an explicit XR fill rule use even-odd
+    const evenOdd = (vm.state.fillRule || 'evenodd') === 'evenodd';
+    vm.paint({ fill: compound.fill, stroke: compound.stroke, evenOdd });
+    if (compound.clip) vm.clip(evenOdd ? 'evenodd' : 'nonzero');
+    vm.newPath();
+  },
+  XR: (vm) => { vm.state.fillRule = vm.popInteger() === 1 ? 'evenodd' : 'nonzero'; },
+  q: (vm) => POSTSCRIPT_OPERATORS.gsave(vm),
+  Q: (vm) => POSTSCRIPT_OPERATORS.grestore(vm),
+
+  // Color
+  g: (vm) => { const [gray] = vm.popNumbers(1); vm.state.fill = rgb(gray, gray, gray); },
+  G: (vm) => { const [gray] = vm.popNumbers(1); vm.state.stroke = rgb(gray, gray, gray); },
+  k: (vm) => { vm.state.fill = cmykToRGB(vm.popNumbers(4)); },
+  K: (vm) => { vm.state.stroke = cmykToRGB(vm.popNumbers(4)); },
+  Xa: (vm) => { vm.state.fill = rgb(...vm.popNumbers(3)); },
+  XA: (vm) => { vm.state.stroke = rgb(...vm.popNumbers(3)); },
+  ...Object.fromEntries([['x', 'fill'], ['X', 'stroke']].map(([name, target]) => [name, (vm) => {
+    const tint = vm.popNumber();
+    vm.pop(); // Color name
+    vm.state[target] = tintColor(vm.popNumbers(4), tint, 'cmyk');
+    vm.stack.length = 0;
+  }])),
+  ...Object.fromEntries([['Xx', 'fill'], ['XX', 'stroke']].map(([name, target]) => [name, (vm) => {
+    const model = vm.popInteger() === 1 ? 'rgb' : 'cmyk';
+    const tint = vm.popNumber();
+    vm.pop(); // Color name
+    vm.state[target] = tintColor(vm.popNumbers(model === 'rgb' ? 3 : 4), tint, model);
+    vm.stack.length = 0;
+  }])),
+
+  // Line style
+  w: (vm) => { vm.state.lineWidth = Math.abs(vm.popNumber()); },
+  j: (vm) => { vm.state.lineJoin = vm.popInteger(); },
+  J: (vm) => { vm.state.lineCap = vm.popInteger(); },
+  M: (vm) => { vm.state.miterLimit = vm.popNumber(); },
+  d: (vm) => {
+    const phase = vm.popNumber();
+    const array = vm.popOf(PSArray);
+    vm.state.dash = { array: array.items.map(Number), phase };
+  },
+
+  // Content that is counted but not converted
+  ...Object.fromEntries(['Tx', 'Tj', 'TX'].map(name => [name, (vm) => {
+    vm.stack.length = 0;
+    vm.text++;
+  }])),
+  ...Object.fromEntries(['XI', 'XG'].map(name => [name, (vm) => {
+    vm.stack.length = 0;
+    vm.images++;
+  }])),
+  Bg: (vm) => {
+    vm.stack.length = 0;
+    vm.unsupported.add('Illustrator gradients');
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Documents
+// ---------------------------------------------------------------------------
+
+/**
+ * Page box from the DSC comments, preferring the high-resolution box
+ * @param {string} text - Program text
+ * @returns {number[]} [llx, lly, urx, ury]
+ */
+function documentBox(text) {
+  for (const key of ['HiResBoundingBox', 'BoundingBox', 'PageBoundingBox']) {
+    const matches = Array.from(text.matchAll(new RegExp(`^%%${key}:[ \\t]*(.*)$`, 'gm')), m => m[1].trim());
+    if (matches.length === 0) continue;
+
+    // "(atend)" defers the value to the trailer, i.e. the last occurrence
+    const value = matches[0] === '(atend)' ? matches[matches.length - 1] : matches[0];
+    const box = value.split(/\s+/).map(Number);
+    if (box.length === 4 && box.every(Number.isFinite) && box[2] > box[0] && box[3] > box[1]) {
+      return box;
+    }
+  }
+  return DEFAULT_BOX;
+}
+
+/**
+ * Byte range of the artwork in a legacy Illustrator file: after the
+ * prolog/setup (which only references procsets) and before the trailer or
+ * the private data that repeats the artwork for editing
+ */
+function illustratorBody(text) {
+  const setup = text.indexOf('%%EndSetup');
+  const prolog = text.indexOf('%%EndProlog');
+  const start = setup >= 0 ? setup : Math.max(prolog, 0);
+  const ends = ['%AI9_PrivateDataBegin', '%%PageTrailer', '%%Trailer']
+    .map(marker => text.indexOf(marker, start))
+    .filter(index => index >= 0);
+  return [start, ends.length > 0 ? Math.min(...ends) : text.length];
+}
+
+/**
+ * Run a PostScript/EPS program or a legacy Illustrator file and build the SVG
+ * @param {Buffer} data - Program (without any DOS EPS binary header)
+ * @param {object} options - { mode: 'postscript' | 'illustrator', maxOperations }
+ * @returns {object} { svg, width, height, vectorizable, reason, images, text, paths, unsupported, error }
+ */
+function interpret(data, options = {}) {
+  const { mode = 'postscript', maxOperations } = options;
+  const text = data.toString('latin1');
+  const box = documentBox(text);
+
+  const vm = new PostScriptInterpreter({
+    width: box[2] - box[0],
+    height: box[3] - box[1],
+    // Default user space -> SVG space (y down, origin at the top-left of the box)
+    pageMatrix: [1, 0, 0, -1, -box[0], box[3]],
+    maxOperations,
+  });
+
+  if (mode === 'illustrator') {
+    vm.useIllustratorOperators();
+    vm.run(data, ...illustratorBody(text));
+  } else {
+    vm.run(data);
+  }
+
+  return { mode, ...vm.result() };
+}
+
+module.exports = {
+  interpret,
+  documentBox,
+  PostScriptInterpreter,
+  PSError,
+};
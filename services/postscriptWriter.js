@@ -0,0 +1,241 @@
+/**
+ * PostScript Writer Service
+ * Translates SVG documents into Encapsulated PostScript (EPS) with real
+ * vector operators (moveto/lineto/curveto/closepath/fill/stroke)
+ */
+
+const { parseScene, multiplyMatrix, subpathBounds } = require('./svgSceneParser');
+
+class PostScriptWriter {
+  constructor() {
+    // Decimal places for coordinates (1/1000 pt is far below print resolution)
+    this.precision = 3;
+  }
+
+  /**
+   * Generate an EPS file from SVG content
+   * @param {string} svgContent - SVG content
+   * @param {object} options - { title, creator }
+   * @returns {string} EPS content
+   */
+  generateEPS(svgContent, options = {}) {
+    const {
+      title = 'Vectorized Image',
+      creator = 'idegy AI Image Vectorizer',
+    } = options;
+
+    return this.writeDocument(parseScene(svgContent), { title, creator });
+  }
+
+  /**
+   * Write a parsed scene as an EPS document
+   * @param {object} scene - From svgSceneParser.parseScene
+   * @param {object} options - { title, creator, comments, definitions,
+   *   colorOperator } where comments are extra DSC header lines, definitions
+   *   extra prolog lines inside idegyDict and colorOperator replaces
+   *   this.colorOperator for every paint
+   * @returns {string} EPS content
+   */
+  writeDocument(scene, options = {}) {
+    const { title, creator, comments = [], definitions = [], colorOperator } = options;
+    const { width, height } = scene;
+
+    // Flip the SVG y-down coordinate system into PostScript's y-up page space
+    const pageMatrix = multiplyMatrix([1, 0, 0, -1, 0, height], scene.rootMatrix);
+
+    const body = [];
+    let artBounds = null;
+
+    for (const item of scene.items) {
+      const matrix = multiplyMatrix(pageMatrix, item.matrix);
+      const drawing = this.itemToPostScript(item, matrix, colorOperator);
+      if (!drawing) continue;
+
+      body.push(drawing);
+      artBounds = this.unionBounds(artBounds, this.itemBounds(item, matrix));
+    }
+
+    const bounds = this.clipToPage(artBounds, width, height);
+
+    const lines = [
+      '%!PS-Adobe-3.0 EPSF-3.0',
+      `%%BoundingBox: ${Math.floor(bounds.minX)} ${Math.floor(bounds.minY)} ${Math.ceil(bounds.maxX)} ${Math.ceil(bounds.maxY)}`,
+      `%%HiResBoundingBox: ${this.fmt(bounds.minX)} ${this.fmt(bounds.minY)} ${this.fmt(bounds.maxX)} ${this.fmt(bounds.maxY)}`,
+      `%%Creator: ${this.dscText(creator)}`,
+      `%%Title: ${this.dscText(title)}`,
+      `%%CreationDate: ${new Date().toISOString()}`,
+      '%%DocumentData: Clean7Bit',
+      '%%LanguageLevel: 2',
+      '%%Pages: 1',
+      ...comments,
+      '%%EndComments',
+      '%%BeginProlog',
+      '/idegyDict 16 dict def',
+      'idegyDict begin',
+      '/m {moveto} bind def',
+      '/l {lineto} bind def',
+      '/c {curveto} bind def',
+      '/h {closepath} bind def',
+      '/rg {setrgbcolor} bind def',
+      '/w {setlinewidth} bind def',
+      '/f {fill} bind def',
+      '/f* {eofill} bind def',
+      '/s {stroke} bind def',
+      ...definitions,
+      'end',
+      '%%EndProlog',
+      '%%Page: 1 1',
+      'idegyDict begin',
+      'gsave',
+      `0 0 ${this.fmt(width)} ${this.fmt(height)} rectclip`,
+      ...body,
+      'grestore',
+      'end',
+      'showpage',
+      '%%Trailer',
+      '%%EOF',
+      '',
+    ];
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Emit the PostScript for a single scene item
+   * @param {Function} colorOperator - (color, opacity) => color setting operators
+   * @returns {string|null} PostScript fragment, or null if nothing is painted
+   */
+  itemToPostScript(item, matrix, colorOperator = (color, opacity) => this.colorOperator(color, opacity)) {
+    const { style } = item;
+    const hasFill = style.fill && style.fillOpacity > 0;
+    const hasStroke = style.stroke && style.strokeOpacity > 0 && style.strokeWidth > 0;
+
+    if (!hasFill && !hasStroke) return null;
+
+    const out = ['gsave', `[${matrix.map(v => this.fmt(v)).join(' ')}] concat`];
+    const pathOps = this.pathToPostScript(item.subpaths);
+
+    if (hasFill) {
+      const fillOp = style.fillRule === 'evenodd' ? 'f*' : 'f';
+      out.push(colorOperator(style.fill, style.fillOpacity));
+      out.push(hasStroke ? `gsave\n${pathOps}\n${fillOp}\ngrestore` : `${pathOps}\n${fillOp}`);
+    }
+
+    if (hasStroke) {
+      out.push(colorOperator(style.stroke, style.strokeOpacity));
+      out.push(`${this.fmt(style.strokeWidth)} w`);
+      out.push(`${{ butt: 0, round: 1, square: 2 }[style.lineCap]} setlinecap`);
+      out.push(`${{ miter: 0, round: 1, bevel: 2 }[style.lineJoin]} setlinejoin`);
+      out.push(`${this.fmt(Math.max(1, style.miterLimit))} setmiterlimit`);
+      if (style.dashArray.length > 0 && style.dashArray.some(v => v > 0)) {
+        out.push(`[${style.dashArray.map(v => this.fmt(v)).join(' ')}] ${this.fmt(style.dashOffset)} setdash`);
+      }
+      out.push(`${pathOps}\ns`);
+    }
+
+    out.push('grestore');
+    return out.join('\n');
+  }
+
+  /**
+   * Convert subpaths to PostScript path construction operators
+   */
+  pathToPostScript(subpaths) {
+    const ops = ['newpath'];
+
+    for (const sp of subpaths) {
+      ops.push(`${this.fmt(sp.start[0])} ${this.fmt(sp.start[1])} m`);
+
+      for (const seg of sp.segments) {
+        if (seg[0] === 'L') {
+          ops.push(`${this.fmt(seg[1])} ${this.fmt(seg[2])} l`);
+        } else {
+          ops.push(`${seg.slice(1).map(v => this.fmt(v)).join(' ')} c`);
+        }
+      }
+
+      if (sp.closed) ops.push('h');
+    }
+
+    return ops.join('\n');
+  }
+
+  /**
+   * Emit a setrgbcolor operator
+   * PostScript has no transparency, so partial opacity is flattened against white paper
+   */
+  colorOperator(color, opacity = 1) {
+    const channel = (v) => this.fmt((v * opacity + 255 * (1 - opacity)) / 255);
+    return `${channel(color.r)} ${channel(color.g)} ${channel(color.b)} rg`;
+  }
+
+  /**
+   * Painted bounds of an item in page space, including stroke width
+   */
+  itemBounds(item, matrix) {
+    const bounds = subpathBounds(item.subpaths, matrix);
+    if (!bounds) return null;
+
+    const { style } = item;
+    if (style.stroke && style.strokeOpacity > 0 && style.strokeWidth > 0) {
+      // Scale the half stroke width by the matrix' average scale factor
+      const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+      const pad = (style.strokeWidth * scale) / 2;
+      bounds.minX -= pad;
+      bounds.minY -= pad;
+      bounds.maxX += pad;
+      bounds.maxY += pad;
+    }
+
+    return bounds;
+  }
+
+  unionBounds(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return {
+      minX: Math.min(a.minX, b.minX),
+      minY: Math.min(a.minY, b.minY),
+      maxX: Math.max(a.maxX, b.maxX),
+      maxY: Math.max(a.maxY, b.maxY),
+    };
+  }
+
+  /**
+   * Intersect the artwork bounds with the page; fall back to the full page
+   */
+  clipToPage(bounds, width, height) {
+    if (!bounds) return { minX: 0, minY: 0, maxX: width, maxY: height };
+
+    const clipped = {
+      minX: Math.max(0, bounds.minX),
+      minY: Math.max(0, bounds.minY),
+      maxX: Math.min(width, bounds.maxX),
+      maxY: Math.min(height, bounds.maxY),
+    };
+
+    if (clipped.maxX <= clipped.minX || clipped.maxY <= clipped.minY) {
+      return { minX: 0, minY: 0, maxX: width, maxY: height };
+    }
+
+    return clipped;
+  }
+
+  /**
+   * Format a number for PostScript output
+   */
+  fmt(value) {
+    const factor = Math.pow(10, this.precision);
+    const rounded = Math.round(value * factor) / factor;
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+  }
+
+  /**
+   * Restrict DSC comment text to a single 7-bit line
+   */
+  dscText(text) {
+    return String(text).replace(/[^\x20-\x7E]/g, '').slice(0, 200);
+  }
+}
+
+module.exports = new PostScriptWriter();
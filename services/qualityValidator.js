@@ -3,6 +3,15 @@
  * Validates SVG output quality and provides metrics
  */
 
+const sharp = require('sharp');
+
+const FIDELITY_WEIGHT = 0.7; // Share of a combined score from raster fidelity; the rest is the SVG text score
+const SSIM_WINDOW = 8; // Side of the square windows SSIM is averaged over, in px
+const EDGE_THRESHOLD = 96; // Sobel magnitude counted as an edge (a sharp step of about 24 levels)
+const MISSING_EDGE_DISTANCE = 16; // Distance charged for an edge with no counterpart nearby, in px
+const MAX_EDGE_ERROR = 8; // Mean edge displacement that scores zero, in source px
+const WORST_REGION_COUNT = 5;
+
 class QualityValidator {
   /**
    * Validate and analyze SVG quality
@@ -166,14 +175,8 @@ class QualityValidator {
       if (metrics.hasEmbeddedRaster) {
         metrics.quality = 'poor';
         metrics.warnings.push('Cannot be professional quality with embedded raster');
-      } else if (score >= 90) {
-        metrics.quality = 'excellent';
-      } else if (score >= 70) {
-        metrics.quality = 'good';
-      } else if (score >= 50) {
-        metrics.quality = 'fair';
       } else {
-        metrics.quality = 'poor';
+        metrics.quality = this.rate(score);
       }
 
       // Additional warnings
@@ -234,6 +237,118 @@ class QualityValidator {
     return comparison;
   }
 
+  /**
+   * Combine the text-based score with raster fidelity
+   * @param {number} score - Score from validateSVG (0-100)
+   * @param {object} fidelity - From measureFidelity
+   * @returns {number} Score (0-100) weighted towards fidelity
+   */
+  combineScores(score, fidelity) {
+    const combined = (1 - FIDELITY_WEIGHT) * score + FIDELITY_WEIGHT * fidelity.score;
+    return Math.round(combined * 10) / 10;
+  }
+
+  /**
+   * Quality rating for a score
+   * @param {number} score - 0-100
+   * @returns {string} 'excellent', 'good', 'fair' or 'poor'
+   */
+  rate(score) {
+    if (score >= 90) return 'excellent';
+    if (score >= 70) return 'good';
+    if (score >= 50) return 'fair';
+    return 'poor';
+  }
+
+  /**
+   * Measure how closely an SVG reproduces its source raster
+   * The SVG is rendered back to a bitmap at the source resolution (longest
+   * side at most maxSize) and compared with the source on white: per-pixel
+   * color error, SSIM of luminance over 8px windows, and how far edges in
+   * the rendering sit from edges in the source.
+   * @param {string} svgContent - Vectorized SVG
+   * @param {Buffer} sourceBuffer - Source raster image
+   * @param {object} options - { maxSize, tolerance, heatmap } tolerance is the
+   *   largest channel difference (0-255) a pixel may have and still match;
+   *   heatmap: false skips rendering the heatmap PNG
+   * @returns {Promise<object>} { score, ssim, matchingPixels, meanError,
+   *   edgeError, worstRegions, width, height, heatmap? } where score is 0-100,
+   *   matchingPixels a percentage, meanError the mean channel difference,
+   *   edgeError the mean edge displacement in source pixels, worstRegions the
+   *   source areas with the highest error and heatmap a PNG marking them
+   */
+  async measureFidelity(svgContent, sourceBuffer, { maxSize = 2048, tolerance = 32, heatmap = true } = {}) {
+    const source = await sharp(sourceBuffer).metadata();
+    const scale = Math.min(1, maxSize / Math.max(source.width, source.height));
+    const width = Math.max(1, Math.round(source.width * scale));
+    const height = Math.max(1, Math.round(source.height * scale));
+
+    // Render the SVG at a density that gives at least the compared size
+    const svgBuffer = Buffer.from(svgContent);
+    const rendered = await sharp(svgBuffer).metadata();
+    const density = Math.min(72 * Math.max(1, width / rendered.width, height / rendered.height), 2400);
+
+    const rasterize = (image) => image
+      .resize(width, height, { fit: 'fill' })
+      .flatten({ background: { r: 255, g: 255, b: 255 } })
+      .removeAlpha()
+      .raw()
+      .toBuffer();
+    const [expected, actual] = await Promise.all([
+      rasterize(sharp(sourceBuffer)),
+      rasterize(sharp(svgBuffer, { density })),
+    ]);
+
+    const pixels = width * height;
+    const errors = new Uint8Array(pixels);
+    const expectedLuma = new Float32Array(pixels);
+    const actualLuma = new Float32Array(pixels);
+    let matching = 0;
+    let totalError = 0;
+    for (let i = 0; i < pixels; i++) {
+      const p = i * 3;
+      const difference = Math.max(
+        Math.abs(expected[p] - actual[p]),
+        Math.abs(expected[p + 1] - actual[p + 1]),
+        Math.abs(expected[p + 2] - actual[p + 2])
+      );
+      errors[i] = difference;
+      totalError += difference;
+      if (difference <= tolerance) matching++;
+      expectedLuma[i] = luminance(expected, p);
+      actualLuma[i] = luminance(actual, p);
+    }
+
+    const ssim = structuralSimilarity(expectedLuma, actualLuma, width, height);
+    const edgeError = edgeDisplacement(expectedLuma, actualLuma, width, height) / scale;
+    const matchRatio = matching / pixels;
+    const edgeScore = Math.max(0, 1 - edgeError / MAX_EDGE_ERROR);
+    const score = 100 * (0.4 * Math.max(0, ssim) + 0.4 * matchRatio + 0.2 * edgeScore);
+
+    const regions = worstRegions(errors, width, height, tolerance / 2);
+    const result = {
+      score: Math.round(score * 10) / 10,
+      ssim: Math.round(ssim * 1000) / 1000,
+      matchingPixels: Math.round(matchRatio * 1000) / 10,
+      meanError: Math.round((totalError / pixels) * 100) / 100,
+      edgeError: Math.round(edgeError * 100) / 100,
+      worstRegions: regions.map(region => ({
+        x: Math.round(region.x / scale),
+        y: Math.round(region.y / scale),
+        width: Math.round(region.width / scale),
+        height: Math.round(region.height / scale),
+        meanError: Math.round(region.meanError * 10) / 10,
+      })),
+      width,
+      height,
+    };
+
+    if (heatmap) {
+      result.heatmap = await renderHeatmap(expectedLuma, errors, regions, width, height);
+    }
+    return result;
+  }
+
   /**
    * Get method-specific recommendations
    * @param {string} method - 'ai' or 'replicate'
@@ -254,4 +369,186 @@ class QualityValidator {
   }
 }
 
+function luminance(data, p) {
+  return 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+}
+
+/**
+ * Mean SSIM of two luminance images over half-overlapping square windows
+ */
+function structuralSimilarity(a, b, width, height) {
+  const c1 = (0.01 * 255) ** 2;
+  const c2 = (0.03 * 255) ** 2;
+  const windowWidth = Math.min(SSIM_WINDOW, width);
+  const windowHeight = Math.min(SSIM_WINDOW, height);
+  const n = windowWidth * windowHeight;
+  const step = Math.max(1, SSIM_WINDOW / 2);
+
+  let total = 0;
+  let count = 0;
+  for (let y0 = 0; y0 + windowHeight <= height; y0 += step) {
+    for (let x0 = 0; x0 + windowWidth <= width; x0 += step) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+      for (let y = y0; y < y0 + windowHeight; y++) {
+        for (let i = y * width + x0, end = i + windowWidth; i < end; i++) {
+          sumA += a[i];
+          sumB += b[i];
+          sumAA += a[i] * a[i];
+          sumBB += b[i] * b[i];
+          sumAB += a[i] * b[i];
+        }
+      }
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varianceA = sumAA / n - meanA * meanA;
+      const varianceB = sumBB / n - meanB * meanB;
+      const covariance = sumAB / n - meanA * meanB;
+      total += ((2 * meanA * meanB + c1) * (2 * covariance + c2))
+        / ((meanA * meanA + meanB * meanB + c1) * (varianceA + varianceB + c2));
+      count++;
+    }
+  }
+
+  return count > 0 ? total / count : 1;
+}
+
+/**
+ * Pixels where the Sobel gradient of a luminance image is strong
+ */
+function edgeMap(luma, width, height) {
+  const edges = new Uint8Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = luma[i - width + 1] + 2 * luma[i + 1] + luma[i + width + 1]
+        - luma[i - width - 1] - 2 * luma[i - 1] - luma[i + width - 1];
+      const gy = luma[i + width - 1] + 2 * luma[i + width] + luma[i + width + 1]
+        - luma[i - width - 1] - 2 * luma[i - width] - luma[i - width + 1];
+      if (gx * gx + gy * gy > EDGE_THRESHOLD * EDGE_THRESHOLD) edges[i] = 1;
+    }
+  }
+  return edges;
+}
+
+/**
+ * Distance from every pixel to the nearest edge pixel (two-pass chamfer)
+ */
+function distanceTransform(edges, width, height) {
+  const distance = new Float32Array(width * height);
+  for (let i = 0; i < distance.length; i++) distance[i] = edges[i] ? 0 : Infinity;
+
+  const relax = (i, x, y, dx, dy, cost) => {
+    const nx = x + dx;
+    const ny = y + dy;
+    if (nx < 0 || ny < 0 || nx >= width || ny >= height) return;
+    const candidate = distance[ny * width + nx] + cost;
+    if (candidate < distance[i]) distance[i] = candidate;
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      relax(i, x, y, -1, 0, 1);
+      relax(i, x, y, -1, -1, Math.SQRT2);
+      relax(i, x, y, 0, -1, 1);
+      relax(i, x, y, 1, -1, Math.SQRT2);
+    }
+  }
+  for (let y = height - 1; y >= 0; y--) {
+    for (let x = width - 1; x >= 0; x--) {
+      const i = y * width + x;
+      relax(i, x, y, 1, 0, 1);
+      relax(i, x, y, 1, 1, Math.SQRT2);
+      relax(i, x, y, 0, 1, 1);
+      relax(i, x, y, -1, 1, Math.SQRT2);
+    }
+  }
+  return distance;
+}
+
+/**
+ * Mean distance between the edges of two luminance images, measured both
+ * ways so missing and spurious edges both count
+ */
+function edgeDisplacement(expected, actual, width, height) {
+  const expectedEdges = edgeMap(expected, width, height);
+  const actualEdges = edgeMap(actual, width, height);
+
+  const meanDistance = (edges, distance) => {
+    let total = 0;
+    let count = 0;
+    for (let i = 0; i < edges.length; i++) {
+      if (!edges[i]) continue;
+      total += Math.min(distance[i], MISSING_EDGE_DISTANCE);
+      count++;
+    }
+    return count > 0 ? total / count : null;
+  };
+
+  const missed = meanDistance(expectedEdges, distanceTransform(actualEdges, width, height));
+  const spurious = meanDistance(actualEdges, distanceTransform(expectedEdges, width, height));
+  if (missed === null && spurious === null) return 0;
+  return ((missed ?? MISSING_EDGE_DISTANCE) + (spurious ?? MISSING_EDGE_DISTANCE)) / 2;
+}
+
+/**
+ * Grid cells with the highest mean error, worst first
+ */
+function worstRegions(errors, width, height, threshold) {
+  const cell = Math.max(16, Math.ceil(Math.max(width, height) / 16));
+  const regions = [];
+
+  for (let y0 = 0; y0 < height; y0 += cell) {
+    for (let x0 = 0; x0 < width; x0 += cell) {
+      const regionWidth = Math.min(cell, width - x0);
+      const regionHeight = Math.min(cell, height - y0);
+      let total = 0;
+      for (let y = y0; y < y0 + regionHeight; y++) {
+        for (let x = x0; x < x0 + regionWidth; x++) total += errors[y * width + x];
+      }
+      const meanError = total / (regionWidth * regionHeight);
+      if (meanError > threshold) {
+        regions.push({ x: x0, y: y0, width: regionWidth, height: regionHeight, meanError });
+      }
+    }
+  }
+
+  return regions.sort((a, b) => b.meanError - a.meanError).slice(0, WORST_REGION_COUNT);
+}
+
+/**
+ * PNG of the source in gray with error in red and the worst regions outlined
+ */
+function renderHeatmap(luma, errors, regions, width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < errors.length; i++) {
+    const gray = 128 + luma[i] / 2;
+    const heat = Math.min(1, errors[i] / 96);
+    pixels[i * 3] = gray + (230 - gray) * heat;
+    pixels[i * 3 + 1] = gray * (1 - heat);
+    pixels[i * 3 + 2] = gray * (1 - heat);
+  }
+
+  const outline = (x, y) => {
+    const p = (y * width + x) * 3;
+    pixels[p] = 255;
+    pixels[p + 1] = 171;
+    pixels[p + 2] = 0;
+  };
+  for (const region of regions) {
+    const right = region.x + region.width - 1;
+    const bottom = region.y + region.height - 1;
+    for (let x = region.x; x <= right; x++) {
+      outline(x, region.y);
+      outline(x, bottom);
+    }
+    for (let y = region.y; y <= bottom; y++) {
+      outline(region.x, y);
+      outline(right, y);
+    }
+  }
+
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+}
+
 module.exports = new QualityValidator();
@@ -35,12 +35,17 @@ class ReplicateService {
    * Convert an image to SVG vector using Replicate AI
    * @param {string} imageUrl - URL or base64 data URI of the image
    * @param {object} options - Optional parameters
+   * @param {object} control - { signal } AbortSignal that cancels the prediction
    * @returns {Promise<string>} - SVG content as string
    */
-  async vectorizeImage(imageUrl, options = {}) {
+  async vectorizeImage(imageUrl, options = {}, control = {}) {
+    const { signal } = control;
     if (!this.isAvailable()) {
       throw new Error('Replicate service is not available - REPLICATE_API_TOKEN not configured');
     }
+    if (signal?.aborted) {
+      throw new Error('Replicate vectorization cancelled');
+    }
 
     try {
       console.log('Starting vectorization with Replicate AI...');
@@ -50,7 +55,12 @@ class ReplicateService {
         ...options
       };
 
-      const output = await this.replicate.run(this.model, { input });
+      const output = await this.replicate.run(this.model, { input, signal });
+
+      // The client cancels the prediction and returns without output when aborted
+      if (signal?.aborted) {
+        throw new Error('cancelled');
+      }
 
       console.log('Vectorization completed successfully');
       return output;
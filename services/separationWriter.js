@@ -0,0 +1,270 @@
+/**
+ * Separation Writer Service
+ * Writes spot color separations for print. Every color of an SVG is
+ * assigned to its nearest spot in a library (PaletteManager.spotMatcher) and
+ * drawn on a named Separation color space, so a RIP outputs one plate per
+ * spot instead of converting RGB to process colors.
+ *
+ * Colors that map to the same spot share its plate at full tint. Near-white
+ * colors are left to the paper: they are painted white, which knocks out
+ * every plate beneath them.
+ */
+
+const sharp = require('sharp');
+const { parseScene, multiplyMatrix, transformPoint, colorToHex } = require('./svgSceneParser');
+const { buildSVG, pathData } = require('./svgSceneWriter');
+const {
+  PDFWriter, formatNumber, pdfString, pdfName, pdfDate,
+} = require('./pdfWriter');
+const illustratorWriter = require('./illustratorWriter');
+const postscriptWriter = require('./postscriptWriter');
+const PaletteManager = require('./vectorizer/paletteManager');
+
+const paletteManager = new PaletteManager();
+
+class SeparationWriter {
+  constructor() {
+    // Plate preview width in pixels
+    this.previewWidth = 512;
+  }
+
+  /**
+   * Assign every painted color of an SVG to a spot plate
+   * @param {string} svgContent - SVG content
+   * @param {Array} library - Spot colors as { hex, name? } or { r, g, b, name? }
+   * @param {string} metric - colorScience metric picking the nearest spot
+   * @returns {object} { scene, plates, paper, plateOf } where plates are
+   *   { name, color, colors: [{ color, deltaE }] } in order of first use,
+   *   paper lists the colors left unprinted and plateOf(color) gives a plate
+   *   index, or -1 for paper
+   */
+  separate(svgContent, library, metric = 'ciede2000') {
+    const scene = parseScene(svgContent);
+    const spotOf = paletteManager.spotMatcher(paletteManager.parsePalette(library), metric);
+    const plates = [];
+    const paper = [];
+    const plateIndex = new Map(); // spot name -> plate index
+    const colorPlate = new Map(); // hex -> plate index
+
+    const plateOf = (color) => {
+      const hex = colorToHex(color);
+      if (!colorPlate.has(hex)) {
+        const { spot, spotColor, deltaE } = spotOf(color);
+        if (spot === null) {
+          paper.push(hex);
+          colorPlate.set(hex, -1);
+        } else {
+          if (!plateIndex.has(spot)) {
+            plateIndex.set(spot, plates.length);
+            plates.push({ name: spot, color: spotColor, colors: [] });
+          }
+          plates[plateIndex.get(spot)].colors.push({ color: hex, deltaE });
+          colorPlate.set(hex, plateIndex.get(spot));
+        }
+      }
+      return colorPlate.get(hex);
+    };
+
+    for (const { style } of scene.items) {
+      if (style.fill && style.fillOpacity > 0) plateOf(style.fill);
+      if (style.stroke && style.strokeOpacity > 0 && style.strokeWidth > 0) plateOf(style.stroke);
+    }
+
+    return { scene, plates, paper, plateOf };
+  }
+
+  /**
+   * Write a separation as a PDF with one Separation color space per plate
+   * Opacity is kept as transparency, which RIPs blend within each plate.
+   * @param {object} separation - From separate()
+   * @param {object} options - { title, creator }
+   * @returns {Buffer} PDF content
+   */
+  generatePDF({ scene, plates, plateOf }, options = {}) {
+    const {
+      title = 'Spot Color Separations',
+      creator = 'idegy AI Image Vectorizer',
+    } = options;
+
+    const { width, height } = scene;
+    const pageMatrix = multiplyMatrix([1, 0, 0, -1, 0, height], scene.rootMatrix);
+    const graphicStates = new Map(); // "ca/CA" -> resource name
+
+    const paint = (color, stroking) => {
+      const plate = plateOf(color);
+      if (plate < 0) return stroking ? '1 G' : '1 g';
+      return stroking ? `/CS${plate} CS 1 SCN` : `/CS${plate} cs 1 scn`;
+    };
+    const content = scene.items
+      .map(item => illustratorWriter.itemToOperators(item, multiplyMatrix(pageMatrix, item.matrix), graphicStates, paint))
+      .filter(Boolean);
+
+    const writer = new PDFWriter({ version: '1.5' });
+    const catalogId = writer.reserve();
+    const pagesId = writer.reserve();
+    const pageId = writer.reserve();
+    const now = new Date();
+
+    const contentId = writer.addStream('', content.join('\n'));
+
+    const colorSpaces = plates.map((plate, i) => `/CS${i} ${this.separationColorSpace(plate)}`).join(' ');
+    const extGStates = Array.from(graphicStates.entries())
+      .map(([key, resource]) => {
+        const [fillAlpha, strokeAlpha] = key.split('/');
+        return `/${resource} << /Type /ExtGState /ca ${fillAlpha} /CA ${strokeAlpha} >>`;
+      }).join(' ');
+
+    const mediaBox = `[0 0 ${formatNumber(width)} ${formatNumber(height)}]`;
+    writer.addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox ${mediaBox} /TrimBox ${mediaBox}` +
+      ` /Resources << /ColorSpace << ${colorSpaces} >> /ExtGState << ${extGStates} >> >>` +
+      ` /Contents ${contentId} 0 R >>`,
+      pageId
+    );
+
+    writer.addObject(`<< /Type /Pages /Kids [${pageId} 0 R] /Count 1 >>`, pagesId);
+    writer.addObject(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`, catalogId);
+
+    const infoId = writer.addObject(
+      `<< /Title ${pdfString(title)} /Creator ${pdfString(creator)} /Producer ${pdfString(creator)}` +
+      ` /CreationDate (${pdfDate(now)}) /ModDate (${pdfDate(now)}) >>`
+    );
+
+    return writer.toBuffer(catalogId, infoId);
+  }
+
+  /**
+   * PDF Separation color space for a plate, previewed as its spot color
+   */
+  separationColorSpace(plate) {
+    const { r, g, b } = paletteManager.parseColor(plate.color);
+    const alternate = [r, g, b].map(v => formatNumber(v / 255)).join(' ');
+    return `[/Separation ${pdfName(plate.name)} /DeviceRGB` +
+      ` << /FunctionType 2 /Domain [0 1] /C0 [1 1 1] /C1 [${alternate}] /N 1 >>]`;
+  }
+
+  /**
+   * Write a separation as an EPS with one Separation color space per plate
+   * PostScript has no transparency, so opacity becomes the tint of the ink.
+   * @param {object} separation - From separate()
+   * @param {object} options - { title, creator }
+   * @returns {string} EPS content
+   */
+  generateEPS({ scene, plates, plateOf }, options = {}) {
+    const {
+      title = 'Spot Color Separations',
+      creator = 'idegy AI Image Vectorizer',
+    } = options;
+    const fmt = value => postscriptWriter.fmt(value);
+
+    const comments = plates.length === 0 ? [] : [
+      `%%DocumentCustomColors: ${plates.map(plate => psString(plate.name)).join(' ')}`,
+      ...plates.map((plate) => {
+        const { r, g, b } = paletteManager.parseColor(plate.color);
+        return `%%RGBCustomColor: ${fmt(r / 255)} ${fmt(g / 255)} ${fmt(b / 255)} ${psString(plate.name)}`;
+      }),
+    ];
+
+    // The tint transform maps tint t to paper white blended toward the spot:
+    // each channel is 1 - t * (1 - channel)
+    const definitions = plates.map((plate, i) => {
+      const [kr, kg, kb] = ['r', 'g', 'b'].map(channel => fmt(1 - paletteManager.parseColor(plate.color)[channel] / 255));
+      return `/S${i} [/Separation ${psString(plate.name)} /DeviceRGB ` +
+        `{dup ${kr} mul 1 exch sub exch dup ${kg} mul 1 exch sub exch ${kb} mul 1 exch sub}] def`;
+    });
+
+    return postscriptWriter.writeDocument(scene, {
+      title,
+      creator,
+      comments,
+      definitions,
+      colorOperator: (color, opacity) => {
+        const plate = plateOf(color);
+        return plate < 0 ? '1 setgray' : `S${plate} setcolorspace ${fmt(opacity)} setcolor`;
+      },
+    });
+  }
+
+  /**
+   * Render a preview of each plate: its ink in black on white paper
+   * Colors on other plates and paper colors knock out to white, as they do
+   * on press.
+   * @param {object} separation - From separate()
+   * @param {object} options - { width } in pixels
+   * @returns {Promise<Array<Buffer>>} Grayscale PNGs in plate order
+   */
+  async platePreviews({ scene, plates, plateOf }, { width = this.previewWidth } = {}) {
+    const density = Math.min(72 * Math.max(1, width / scene.width), 2400);
+    const previews = [];
+
+    for (let plate = 0; plate < plates.length; plate++) {
+      const svg = this.plateSVG(scene, color => (plateOf(color) === plate ? '#000000' : '#ffffff'));
+      previews.push(await sharp(Buffer.from(svg), { density })
+        .resize(width)
+        .flatten({ background: { r: 255, g: 255, b: 255 } })
+        .toColourspace('b-w')
+        .png()
+        .toBuffer());
+    }
+
+    return previews;
+  }
+
+  /**
+   * Redraw a scene flattened to page space with every paint recolored
+   * @param {Function} ink - color => replacement paint
+   * @returns {string} SVG document
+   */
+  plateSVG(scene, ink) {
+    const elements = [];
+
+    for (const item of scene.items) {
+      const { style } = item;
+      const hasFill = style.fill && style.fillOpacity > 0;
+      const hasStroke = style.stroke && style.strokeOpacity > 0 && style.strokeWidth > 0;
+      if (!hasFill && !hasStroke) continue;
+
+      const matrix = multiplyMatrix(scene.rootMatrix, item.matrix);
+      const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+      elements.push({
+        d: pathData(transformSubpaths(item.subpaths, matrix)),
+        clips: [],
+        fill: hasFill ? ink(style.fill) : null,
+        fillOpacity: style.fillOpacity,
+        fillRule: style.fillRule,
+        stroke: hasStroke ? ink(style.stroke) : null,
+        strokeOpacity: style.strokeOpacity,
+        strokeWidth: style.strokeWidth * scale,
+        lineCap: { butt: 0, round: 1, square: 2 }[style.lineCap],
+        lineJoin: { miter: 0, round: 1, bevel: 2 }[style.lineJoin],
+        miterLimit: style.miterLimit,
+        dash: style.dashArray.map(v => v * scale),
+        dashOffset: style.dashOffset * scale,
+      });
+    }
+
+    return buildSVG({ width: scene.width, height: scene.height, elements }, { idPrefix: 'plate' });
+  }
+}
+
+// Subpaths with every point mapped through an affine matrix
+function transformSubpaths(subpaths, matrix) {
+  return subpaths.map(sp => ({
+    start: transformPoint(matrix, sp.start[0], sp.start[1]),
+    segments: sp.segments.map(([type, ...coords]) => {
+      const points = [];
+      for (let i = 0; i < coords.length; i += 2) {
+        points.push(...transformPoint(matrix, coords[i], coords[i + 1]));
+      }
+      return [type, ...points];
+    }),
+    closed: sp.closed,
+  }));
+}
+
+// PostScript string literal; DSC comments allow printable ASCII only
+function psString(text) {
+  return `(${postscriptWriter.dscText(text).replace(/[\\()]/g, '\\$&')})`;
+}
+
+module.exports = new SeparationWriter();
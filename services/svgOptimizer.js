@@ -144,6 +144,16 @@ class SVGOptimizer {
       );
     }
 
+    // Merging paths changes the bounding box a gradient or pattern is laid out
+    // in, so shapes painted with one keep their own paths
+    if (this.hasPaintServers(svgContent)) {
+      config.plugins = config.plugins
+        .filter(p => p !== 'mergePaths')
+        .map(p => (p.name === 'preset-default'
+          ? { ...p, params: { ...p.params, overrides: { ...p.params?.overrides, mergePaths: false } } }
+          : p));
+    }
+
     const originalSize = Buffer.byteLength(svgContent, 'utf8');
 
     try {
@@ -180,6 +190,16 @@ class SVGOptimizer {
     }
   }
 
+  /**
+   * Whether shapes are painted with a gradient or pattern
+   * @param {string} svgContent - SVG content
+   * @returns {boolean}
+   */
+  hasPaintServers(svgContent) {
+    return /<(?:\w+:)?(?:linearGradient|radialGradient|pattern)\b/.test(svgContent)
+      && /url\(\s*['"]?#/.test(svgContent);
+  }
+
   /**
    * Batch optimize multiple SVGs
    * @param {string[]} svgContents - Array of SVG contents
@@ -272,6 +292,7 @@ class SVGOptimizer {
       hasImages: /<image/i.test(svgContent),
       hasScripts: /<script/i.test(svgContent),
       hasStyles: /<style/i.test(svgContent),
+      textRegions: this.textRegions(svgContent),
       estimatedComplexity: 'low',
     };
 
@@ -292,6 +313,30 @@ class SVGOptimizer {
 
     return info;
   }
+
+  /**
+   * Bounds of the text lines marked with <g data-role="text-line">
+   * Groups without numeric data-x/-y/-width/-height/-baseline are skipped.
+   * @param {string} svgContent - SVG content
+   * @returns {Array} { x, y, width, height, baseline } per line
+   */
+  textRegions(svgContent) {
+    const regions = [];
+    for (const [tag] of svgContent.matchAll(/<g\b[^>]*data-role="text-line"[^>]*>/g)) {
+      const attr = (name) => parseFloat((tag.match(new RegExp(`data-${name}="([^"]*)"`)) || [])[1]);
+      const region = {
+        x: attr('x'),
+        y: attr('y'),
+        width: attr('width'),
+        height: attr('height'),
+        baseline: attr('baseline'),
+      };
+      if (Object.values(region).every(Number.isFinite)) {
+        regions.push(region);
+      }
+    }
+    return regions;
+  }
 }
 
 // Export singleton
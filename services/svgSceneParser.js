@@ -0,0 +1,1039 @@
+/**
+ * SVG Scene Parser
+ * Flattens an SVG document into a list of drawable items with absolute
+ * geometry, resolved styles and transformation matrices.
+ *
+ * Used by the vector exporters (EPS, PDF, AI) so that every backend
+ * interprets paths, basic shapes, transforms and paint the same way.
+ *
+ * Geometry model:
+ * - A path is a list of subpaths: { start: [x, y], segments, closed }
+ * - A segment is ['L', x, y] or ['C', x1, y1, x2, y2, x, y] (absolute)
+ * - Arcs and quadratic curves are converted to cubic Beziers
+ */
+
+const { JSDOM } = require('jsdom');
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Elements whose children are never rendered directly
+const NON_RENDERED = new Set([
+  'defs', 'clipPath', 'mask', 'symbol', 'marker', 'pattern', 'linearGradient',
+  'radialGradient', 'metadata', 'title', 'desc', 'style', 'script', 'filter',
+]);
+
+const SHAPE_ELEMENTS = new Set(['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon']);
+
+// Subset of CSS named colors commonly found in traced/exported SVGs
+const NAMED_COLORS = {
+  black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0],
+  blue: [0, 0, 255], yellow: [255, 255, 0], cyan: [0, 255, 255], aqua: [0, 255, 255],
+  magenta: [255, 0, 255], fuchsia: [255, 0, 255], gray: [128, 128, 128], grey: [128, 128, 128],
+  silver: [192, 192, 192], maroon: [128, 0, 0], olive: [128, 128, 0], lime: [0, 255, 0],
+  teal: [0, 128, 128], navy: [0, 0, 128], purple: [128, 0, 128], orange: [255, 165, 0],
+  pink: [255, 192, 203], brown: [165, 42, 42], gold: [255, 215, 0], indigo: [75, 0, 130],
+  violet: [238, 130, 238], beige: [245, 245, 220], coral: [255, 127, 80], crimson: [220, 20, 60],
+  darkblue: [0, 0, 139], darkgreen: [0, 100, 0], darkred: [139, 0, 0], darkgray: [169, 169, 169],
+  darkgrey: [169, 169, 169], lightgray: [211, 211, 211], lightgrey: [211, 211, 211],
+  tomato: [255, 99, 71], salmon: [250, 128, 114], khaki: [240, 230, 140], tan: [210, 180, 140],
+  turquoise: [64, 224, 208], skyblue: [135, 206, 235], steelblue: [70, 130, 180],
+  royalblue: [65, 105, 225], whitesmoke: [245, 245, 245], ivory: [255, 255, 240],
+};
+
+// Conversion of absolute length units to SVG user units (px)
+const UNIT_TO_PX = { px: 1, pt: 96 / 72, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4 };
+
+// Conversion of absolute length units to PostScript/PDF points.
+// Unitless and px values map 1:1 to points, matching how Illustrator opens SVGs.
+const UNIT_TO_PT = { '': 1, px: 1, pt: 1, pc: 12, in: 72, cm: 72 / 2.54, mm: 72 / 25.4 };
+
+/**
+ * Multiply two affine matrices [a, b, c, d, e, f] (m1 applied after m2)
+ */
+function multiplyMatrix(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
+/**
+ * Apply an affine matrix to a point
+ */
+function transformPoint(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+/**
+ * Parse an SVG transform attribute into a single matrix
+ * @param {string} value - e.g. "translate(10 20) rotate(45)"
+ * @returns {number[]} Affine matrix
+ */
+function parseTransform(value) {
+  let matrix = IDENTITY.slice();
+  if (!value) return matrix;
+
+  const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+
+  while ((match = re.exec(value)) !== null) {
+    const args = parseNumberList(match[2]);
+    let m;
+
+    switch (match[1]) {
+      case 'matrix':
+        m = args.length === 6 ? args : IDENTITY;
+        break;
+      case 'translate':
+        m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale': {
+        const sx = args.length > 0 ? args[0] : 1;
+        const sy = args.length > 1 ? args[1] : sx;
+        m = [sx, 0, 0, sy, 0, 0];
+        break;
+      }
+      case 'rotate': {
+        const angle = (args[0] || 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        m = [cos, sin, -sin, cos, 0, 0];
+        if (args.length === 3) {
+          const [, cx, cy] = args;
+          m = multiplyMatrix(multiplyMatrix([1, 0, 0, 1, cx, cy], m), [1, 0, 0, 1, -cx, -cy]);
+        }
+        break;
+      }
+      case 'skewX':
+        m = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        m = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+        break;
+    }
+
+    matrix = multiplyMatrix(matrix, m);
+  }
+
+  return matrix;
+}
+
+/**
+ * Parse a whitespace/comma separated number list
+ */
+function parseNumberList(value) {
+  if (!value) return [];
+  const matches = String(value).match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g);
+  return matches ? matches.map(Number) : [];
+}
+
+/**
+ * Split a length into its numeric value and unit
+ */
+function splitLength(value) {
+  const match = String(value || '').trim().match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*([a-z%]*)$/i);
+  if (!match) return null;
+  return { value: parseFloat(match[1]), unit: match[2].toLowerCase() };
+}
+
+/**
+ * Parse a length attribute into user units
+ * @param {string} value - Length such as "12", "3mm" or "1in"
+ * @param {number} fallback - Value returned when unparseable
+ * @param {number} reference - Reference length for percentages
+ */
+function parseLength(value, fallback = 0, reference = 0) {
+  const length = splitLength(value);
+  if (!length) return fallback;
+  if (length.unit === '%') return (length.value / 100) * reference;
+  const factor = length.unit === '' ? 1 : UNIT_TO_PX[length.unit];
+  return factor ? length.value * factor : fallback;
+}
+
+/**
+ * Parse a length into PostScript/PDF points
+ */
+function lengthToPoints(value) {
+  const length = splitLength(value);
+  if (!length || length.unit === '%') return null;
+  const factor = UNIT_TO_PT[length.unit];
+  return factor ? length.value * factor : null;
+}
+
+/**
+ * Parse a CSS color into { r, g, b, a } (0-255 channels, alpha 0-1)
+ * @param {string} value - Color string
+ * @returns {object|null} Color, or null for none/unparseable
+ */
+function parseColor(value) {
+  if (!value) return null;
+  const color = String(value).trim().toLowerCase();
+
+  if (color === 'none' || color === 'transparent') return null;
+
+  if (color.startsWith('#')) {
+    const hex = color.slice(1);
+    if (/^[0-9a-f]{3,4}$/.test(hex)) {
+      return {
+        r: parseInt(hex[0] + hex[0], 16),
+        g: parseInt(hex[1] + hex[1], 16),
+        b: parseInt(hex[2] + hex[2], 16),
+        a: hex.length === 4 ? parseInt(hex[3] + hex[3], 16) / 255 : 1,
+      };
+    }
+    if (/^[0-9a-f]{6}([0-9a-f]{2})?$/.test(hex)) {
+      return {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16),
+        a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1,
+      };
+    }
+    return null;
+  }
+
+  const fnMatch = color.match(/^rgba?\(([^)]*)\)$/);
+  if (fnMatch) {
+    const parts = fnMatch[1].split(/[\s,/]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+    const channel = (p) => p.endsWith('%')
+      ? Math.round(parseFloat(p) * 2.55)
+      : Math.round(parseFloat(p));
+    const alpha = parts[3] === undefined ? 1
+      : parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+    return {
+      r: clampChannel(channel(parts[0])),
+      g: clampChannel(channel(parts[1])),
+      b: clampChannel(channel(parts[2])),
+      a: isNaN(alpha) ? 1 : Math.max(0, Math.min(1, alpha)),
+    };
+  }
+
+  if (NAMED_COLORS[color]) {
+    const [r, g, b] = NAMED_COLORS[color];
+    return { r, g, b, a: 1 };
+  }
+
+  return null;
+}
+
+function clampChannel(value) {
+  return Math.max(0, Math.min(255, isNaN(value) ? 0 : value));
+}
+
+/**
+ * Convert an {r, g, b} color to a hex string
+ */
+function colorToHex(color) {
+  const hex = (v) => Math.round(v).toString(16).padStart(2, '0');
+  return `#${hex(color.r)}${hex(color.g)}${hex(color.b)}`;
+}
+
+/**
+ * Convert an elliptical arc to cubic Bezier segments
+ * Implementation of the SVG spec endpoint-to-center conversion (F.6.5)
+ */
+function arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+  if (x1 === x2 && y1 === y2) return [];
+  if (rx === 0 || ry === 0) return [['L', x2, y2]];
+
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const phi = angle * Math.PI / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+
+  // Scale radii up if they are too small to reach the end point
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    const s = Math.sqrt(lambda);
+    rx *= s;
+    ry *= s;
+  }
+
+  const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  let coef = den === 0 ? 0 : Math.sqrt(Math.max(0, num / den));
+  if (largeArc === sweep) coef = -coef;
+
+  const cxp = coef * (rx * y1p / ry);
+  const cyp = coef * -(ry * x1p / rx);
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  const vectorAngle = (ux, uy, vx, vy) => {
+    const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+    const dot = ux * vx + uy * vy;
+    const len = Math.sqrt(ux * ux + uy * uy) * Math.sqrt(vx * vx + vy * vy);
+    return sign * Math.acos(Math.max(-1, Math.min(1, dot / len)));
+  };
+
+  const theta1 = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  // Split into segments of at most 90 degrees
+  const count = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2)));
+  const step = delta / count;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const segments = [];
+
+  const point = (t) => {
+    const cosT = Math.cos(t);
+    const sinT = Math.sin(t);
+    return [
+      cx + rx * cosT * cosPhi - ry * sinT * sinPhi,
+      cy + rx * cosT * sinPhi + ry * sinT * cosPhi,
+    ];
+  };
+  const derivative = (t) => {
+    const cosT = Math.cos(t);
+    const sinT = Math.sin(t);
+    return [
+      -rx * sinT * cosPhi - ry * cosT * sinPhi,
+      -rx * sinT * sinPhi + ry * cosT * cosPhi,
+    ];
+  };
+
+  let t = theta1;
+  for (let i = 0; i < count; i++) {
+    const p0 = point(t);
+    const d0 = derivative(t);
+    const t2 = t + step;
+    const p3 = i === count - 1 ? [x2, y2] : point(t2);
+    const d3 = derivative(t2);
+    segments.push([
+      'C',
+      p0[0] + k * d0[0], p0[1] + k * d0[1],
+      p3[0] - k * d3[0], p3[1] - k * d3[1],
+      p3[0], p3[1],
+    ]);
+    t = t2;
+  }
+
+  return segments;
+}
+
+/**
+ * Parse SVG path data into absolute subpaths of line and cubic segments
+ * @param {string} d - Path data
+ * @returns {Array} Subpaths
+ */
+function parsePathData(d) {
+  const subpaths = [];
+  if (!d) return subpaths;
+
+  const tokens = String(d).match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+
+  let i = 0;
+  let command = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControl = null;   // For S/s
+  let lastQuadControl = null; // For T/t
+  let current = null;
+
+  const isCommand = (t) => /^[A-Za-z]$/.test(t);
+  const next = () => parseFloat(tokens[i++]);
+  const hasNumbers = (n) => {
+    for (let j = 0; j < n; j++) {
+      if (i + j >= tokens.length || isCommand(tokens[i + j])) return false;
+    }
+    return true;
+  };
+
+  const ensureSubpath = () => {
+    if (!current) {
+      current = { start: [x, y], segments: [], closed: false };
+      subpaths.push(current);
+    }
+  };
+
+  // Arc flags may be packed without separators ("a1 1 0 013 4")
+  const readFlag = () => {
+    const token = tokens[i];
+    if (token === undefined) return 0;
+    if (token.length > 1 && (token[0] === '0' || token[0] === '1') && !token.includes('.')) {
+      tokens[i] = token.slice(1);
+      return token[0] === '1' ? 1 : 0;
+    }
+    i++;
+    return parseFloat(token) ? 1 : 0;
+  };
+
+  while (i < tokens.length) {
+    if (isCommand(tokens[i])) {
+      command = tokens[i++];
+    } else if (!command) {
+      break;
+    }
+
+    const relative = command === command.toLowerCase();
+    const type = command.toUpperCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+
+    switch (type) {
+      case 'M': {
+        if (!hasNumbers(2)) { i = tokens.length; break; }
+        x = ox + next();
+        y = oy + next();
+        startX = x;
+        startY = y;
+        current = { start: [x, y], segments: [], closed: false };
+        subpaths.push(current);
+        // Subsequent coordinate pairs are implicit lineto commands
+        command = relative ? 'l' : 'L';
+        lastControl = lastQuadControl = null;
+        break;
+      }
+      case 'L': {
+        if (!hasNumbers(2)) { i = tokens.length; break; }
+        ensureSubpath();
+        x = ox + next();
+        y = oy + next();
+        current.segments.push(['L', x, y]);
+        lastControl = lastQuadControl = null;
+        break;
+      }
+      case 'H': {
+        if (!hasNumbers(1)) { i = tokens.length; break; }
+        ensureSubpath();
+        x = (relative ? x : 0) + next();
+        current.segments.push(['L', x, y]);
+        lastControl = lastQuadControl = null;
+        break;
+      }
+      case 'V': {
+        if (!hasNumbers(1)) { i = tokens.length; break; }
+        ensureSubpath();
+        y = (relative ? y : 0) + next();
+        current.segments.push(['L', x, y]);
+        lastControl = lastQuadControl = null;
+        break;
+      }
+      case 'C': {
+        if (!hasNumbers(6)) { i = tokens.length; break; }
+        ensureSubpath();
+        const x1 = ox + next(); const y1 = oy + next();
+        const x2 = ox + next(); const y2 = oy + next();
+        x = ox + next();
+        y = oy + next();
+        current.segments.push(['C', x1, y1, x2, y2, x, y]);
+        lastControl = [x2, y2];
+        lastQuadControl = null;
+        break;
+      }
+      case 'S': {
+        if (!hasNumbers(4)) { i = tokens.length; break; }
+        ensureSubpath();
+        const x1 = lastControl ? 2 * x - lastControl[0] : x;
+        const y1 = lastControl ? 2 * y - lastControl[1] : y;
+        const x2 = ox + next(); const y2 = oy + next();
+        x = ox + next();
+        y = oy + next();
+        current.segments.push(['C', x1, y1, x2, y2, x, y]);
+        lastControl = [x2, y2];
+        lastQuadControl = null;
+        break;
+      }
+      case 'Q': {
+        if (!hasNumbers(4)) { i = tokens.length; break; }
+        ensureSubpath();
+        const qx = ox + next(); const qy = oy + next();
+        const ex = ox + next(); const ey = oy + next();
+        current.segments.push(quadToCubic(x, y, qx, qy, ex, ey));
+        x = ex;
+        y = ey;
+        lastQuadControl = [qx, qy];
+        lastControl = null;
+        break;
+      }
+      case 'T': {
+        if (!hasNumbers(2)) { i = tokens.length; break; }
+        ensureSubpath();
+        const qx = lastQuadControl ? 2 * x - lastQuadControl[0] : x;
+        const qy = lastQuadControl ? 2 * y - lastQuadControl[1] : y;
+        const ex = ox + next(); const ey = oy + next();
+        current.segments.push(quadToCubic(x, y, qx, qy, ex, ey));
+        x = ex;
+        y = ey;
+        lastQuadControl = [qx, qy];
+        lastControl = null;
+        break;
+      }
+      case 'A': {
+        if (!hasNumbers(3)) { i = tokens.length; break; }
+        ensureSubpath();
+        const rx = next(); const ry = next(); const angle = next();
+        const largeArc = readFlag();
+        const sweep = readFlag();
+        if (!hasNumbers(2)) { i = tokens.length; break; }
+        const ex = ox + next(); const ey = oy + next();
+        current.segments.push(...arcToCubics(x, y, rx, ry, angle, largeArc, sweep, ex, ey));
+        x = ex;
+        y = ey;
+        lastControl = lastQuadControl = null;
+        break;
+      }
+      case 'Z': {
+        if (current) current.closed = true;
+        x = startX;
+        y = startY;
+        current = null;
+        lastControl = lastQuadControl = null;
+        // A command letter must follow Z; stray numbers are ignored
+        while (i < tokens.length && !isCommand(tokens[i])) i++;
+        break;
+      }
+      default:
+        i = tokens.length;
+    }
+  }
+
+  return subpaths.filter(sp => sp.segments.length > 0 || sp.closed);
+}
+
+function quadToCubic(x0, y0, qx, qy, x, y) {
+  return [
+    'C',
+    x0 + (2 / 3) * (qx - x0), y0 + (2 / 3) * (qy - y0),
+    x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y),
+    x, y,
+  ];
+}
+
+/**
+ * Build subpaths for SVG basic shapes
+ */
+function shapeToSubpaths(el, attr) {
+  const num = (name, fallback = 0) => parseLength(attr(name), fallback);
+  const tag = el.tagName;
+
+  switch (tag) {
+    case 'path':
+      return parsePathData(attr('d'));
+
+    case 'rect': {
+      const x = num('x');
+      const y = num('y');
+      const w = num('width');
+      const h = num('height');
+      if (w <= 0 || h <= 0) return [];
+
+      let rx = attr('rx') !== null ? num('rx') : null;
+      let ry = attr('ry') !== null ? num('ry') : null;
+      if (rx === null && ry !== null) rx = ry;
+      if (ry === null && rx !== null) ry = rx;
+      rx = Math.min(Math.max(rx || 0, 0), w / 2);
+      ry = Math.min(Math.max(ry || 0, 0), h / 2);
+
+      if (rx === 0 || ry === 0) {
+        return [{
+          start: [x, y],
+          segments: [['L', x + w, y], ['L', x + w, y + h], ['L', x, y + h]],
+          closed: true,
+        }];
+      }
+
+      return parsePathData(
+        `M${x + rx},${y}H${x + w - rx}A${rx},${ry} 0 0 1 ${x + w},${y + ry}` +
+        `V${y + h - ry}A${rx},${ry} 0 0 1 ${x + w - rx},${y + h}` +
+        `H${x + rx}A${rx},${ry} 0 0 1 ${x},${y + h - ry}` +
+        `V${y + ry}A${rx},${ry} 0 0 1 ${x + rx},${y}Z`
+      );
+    }
+
+    case 'circle':
+    case 'ellipse': {
+      const cx = num('cx');
+      const cy = num('cy');
+      const rx = tag === 'circle' ? num('r') : num('rx');
+      const ry = tag === 'circle' ? num('r') : num('ry');
+      if (rx <= 0 || ry <= 0) return [];
+
+      return parsePathData(
+        `M${cx + rx},${cy}A${rx},${ry} 0 0 1 ${cx},${cy + ry}` +
+        `A${rx},${ry} 0 0 1 ${cx - rx},${cy}` +
+        `A${rx},${ry} 0 0 1 ${cx},${cy - ry}` +
+        `A${rx},${ry} 0 0 1 ${cx + rx},${cy}Z`
+      );
+    }
+
+    case 'line':
+      return [{
+        start: [num('x1'), num('y1')],
+        segments: [['L', num('x2'), num('y2')]],
+        closed: false,
+      }];
+
+    case 'polyline':
+    case 'polygon': {
+      const coords = parseNumberList(attr('points'));
+      if (coords.length < 4) return [];
+      const segments = [];
+      for (let i = 2; i + 1 < coords.length; i += 2) {
+        segments.push(['L', coords[i], coords[i + 1]]);
+      }
+      return [{ start: [coords[0], coords[1]], segments, closed: tag === 'polygon' }];
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Parse the simple selectors of embedded <style> blocks
+ * Supports tag, .class, #id and tag.class selectors
+ */
+function parseStylesheets(doc) {
+  const rules = [];
+
+  doc.querySelectorAll('style').forEach(styleEl => {
+    const css = (styleEl.textContent || '').replace(/\/\*[\s\S]*?\*\//g, '');
+    const re = /([^{}]+)\{([^}]*)\}/g;
+    let match;
+
+    while ((match = re.exec(css)) !== null) {
+      const declarations = parseDeclarations(match[2]);
+      match[1].split(',').map(s => s.trim()).filter(Boolean).forEach(selector => {
+        const parts = selector.match(/^([a-zA-Z][\w-]*)?(?:([.#])([\w-]+))?$/);
+        if (!parts) return;
+        rules.push({
+          tag: parts[1] || null,
+          kind: parts[2] || null,
+          name: parts[3] || null,
+          declarations,
+        });
+      });
+    }
+  });
+
+  return rules;
+}
+
+function parseDeclarations(text) {
+  const declarations = {};
+  String(text || '').split(';').forEach(decl => {
+    const idx = decl.indexOf(':');
+    if (idx === -1) return;
+    const key = decl.slice(0, idx).trim().toLowerCase();
+    const value = decl.slice(idx + 1).replace(/!important/i, '').trim();
+    if (key) declarations[key] = value;
+  });
+  return declarations;
+}
+
+function matchingRules(el, rules) {
+  const classes = (el.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+  const id = el.getAttribute('id');
+
+  return rules.filter(rule => {
+    if (rule.tag && rule.tag !== el.tagName) return false;
+    if (rule.kind === '.') return classes.includes(rule.name);
+    if (rule.kind === '#') return id === rule.name;
+    return !!rule.tag;
+  });
+}
+
+const STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray',
+  'stroke-dashoffset', 'opacity', 'display', 'visibility', 'color',
+];
+
+// Properties that are not inherited by child elements
+const NON_INHERITED = new Set(['opacity', 'display']);
+
+/**
+ * Resolve the computed style of an element from its parent's style,
+ * presentation attributes, stylesheet rules and the style attribute
+ */
+function computeStyle(el, parentStyle, rules) {
+  const style = {};
+  for (const key of Object.keys(parentStyle)) {
+    if (!NON_INHERITED.has(key)) style[key] = parentStyle[key];
+  }
+
+  for (const prop of STYLE_PROPERTIES) {
+    const value = el.getAttribute(prop);
+    if (value !== null && value !== 'inherit') style[prop] = value.trim();
+  }
+
+  for (const rule of matchingRules(el, rules)) {
+    Object.assign(style, filterInherit(rule.declarations));
+  }
+
+  const inline = el.getAttribute('style');
+  if (inline) Object.assign(style, filterInherit(parseDeclarations(inline)));
+
+  return style;
+}
+
+function filterInherit(declarations) {
+  const result = {};
+  for (const [key, value] of Object.entries(declarations)) {
+    if (value !== 'inherit') result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Resolve a paint value (fill/stroke) to a color
+ * Gradient references resolve to the average of their stop colors.
+ */
+function resolvePaint(value, style, doc) {
+  if (!value || value === 'none') return null;
+
+  if (value === 'currentColor' || value === 'currentcolor') {
+    return parseColor(style.color || '#000000');
+  }
+
+  const urlMatch = value.match(/url\(\s*['"]?#([^'")\s]+)['"]?\s*\)\s*(.*)$/);
+  if (urlMatch) {
+    const target = doc.getElementById(urlMatch[1]);
+    const fallback = urlMatch[2] ? parseColor(urlMatch[2]) : null;
+    return (target && gradientAverageColor(target, doc)) || fallback;
+  }
+
+  return parseColor(value);
+}
+
+function gradientAverageColor(gradient, doc, depth = 0) {
+  let stops = Array.from(gradient.children || []).filter(c => c.tagName === 'stop');
+
+  // Follow xlink:href chains to inherited stops
+  if (stops.length === 0 && depth < 5) {
+    const href = gradient.getAttribute('href') || gradient.getAttribute('xlink:href');
+    const ref = href && href.startsWith('#') ? doc.getElementById(href.slice(1)) : null;
+    return ref ? gradientAverageColor(ref, doc, depth + 1) : null;
+  }
+
+  const colors = stops.map(stop => {
+    const declarations = parseDeclarations(stop.getAttribute('style'));
+    return parseColor(declarations['stop-color'] || stop.getAttribute('stop-color') || '#000000');
+  }).filter(Boolean);
+
+  if (colors.length === 0) return null;
+
+  return {
+    r: Math.round(colors.reduce((sum, c) => sum + c.r, 0) / colors.length),
+    g: Math.round(colors.reduce((sum, c) => sum + c.g, 0) / colors.length),
+    b: Math.round(colors.reduce((sum, c) => sum + c.b, 0) / colors.length),
+    a: 1,
+  };
+}
+
+function parseOpacity(value, fallback = 1) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const str = String(value).trim();
+  const num = str.endsWith('%') ? parseFloat(str) / 100 : parseFloat(str);
+  return isNaN(num) ? fallback : Math.max(0, Math.min(1, num));
+}
+
+/**
+ * Build the drawing style for a shape from its computed style
+ */
+function buildPaintStyle(style, doc, inheritedOpacity) {
+  const fill = resolvePaint(style.fill === undefined ? '#000000' : style.fill, style, doc);
+  const stroke = resolvePaint(style.stroke, style, doc);
+  const opacity = inheritedOpacity * parseOpacity(style.opacity);
+
+  return {
+    fill: fill ? { r: fill.r, g: fill.g, b: fill.b } : null,
+    fillOpacity: fill ? fill.a * parseOpacity(style['fill-opacity']) * opacity : 0,
+    fillRule: style['fill-rule'] === 'evenodd' ? 'evenodd' : 'nonzero',
+    stroke: stroke ? { r: stroke.r, g: stroke.g, b: stroke.b } : null,
+    strokeOpacity: stroke ? stroke.a * parseOpacity(style['stroke-opacity']) * opacity : 0,
+    strokeWidth: parseLength(style['stroke-width'], 1),
+    lineCap: ['butt', 'round', 'square'].includes(style['stroke-linecap']) ? style['stroke-linecap'] : 'butt',
+    lineJoin: ['miter', 'round', 'bevel'].includes(style['stroke-linejoin']) ? style['stroke-linejoin'] : 'miter',
+    miterLimit: parseFloat(style['stroke-miterlimit']) || 4,
+    dashArray: style['stroke-dasharray'] && style['stroke-dasharray'] !== 'none'
+      ? parseNumberList(style['stroke-dasharray']).filter(n => n >= 0)
+      : [],
+    dashOffset: parseFloat(style['stroke-dashoffset']) || 0,
+  };
+}
+
+/**
+ * Compute the mapping from an <svg> element's viewBox to its viewport
+ */
+function viewBoxTransform(viewBox, width, height, preserveAspectRatio) {
+  if (!viewBox || viewBox.width <= 0 || viewBox.height <= 0) {
+    return IDENTITY.slice();
+  }
+
+  const par = (preserveAspectRatio || 'xMidYMid meet').trim().split(/\s+/);
+  const align = par[0];
+  const slice = par[1] === 'slice';
+
+  let sx = width / viewBox.width;
+  let sy = height / viewBox.height;
+
+  if (align !== 'none') {
+    const s = slice ? Math.max(sx, sy) : Math.min(sx, sy);
+    sx = s;
+    sy = s;
+  }
+
+  let tx = -viewBox.x * sx;
+  let ty = -viewBox.y * sy;
+
+  if (align !== 'none') {
+    const extraX = width - viewBox.width * sx;
+    const extraY = height - viewBox.height * sy;
+    if (align.includes('xMid')) tx += extraX / 2;
+    if (align.includes('xMax')) tx += extraX;
+    if (align.includes('YMid')) ty += extraY / 2;
+    if (align.includes('YMax')) ty += extraY;
+  }
+
+  return [sx, 0, 0, sy, tx, ty];
+}
+
+function parseViewBox(value) {
+  const nums = parseNumberList(value);
+  if (nums.length !== 4) return null;
+  return { x: nums[0], y: nums[1], width: nums[2], height: nums[3] };
+}
+
+/**
+ * Resolve the page size in points: explicit physical size, else the viewBox size
+ */
+function resolvePageSize(viewBox, widthAttr, heightAttr) {
+  let width = lengthToPoints(widthAttr);
+  let height = lengthToPoints(heightAttr);
+
+  if (viewBox) {
+    if (width === null && height === null) {
+      width = viewBox.width;
+      height = viewBox.height;
+    } else if (width === null) {
+      width = height * (viewBox.width / viewBox.height);
+    } else if (height === null) {
+      height = width * (viewBox.height / viewBox.width);
+    }
+  }
+
+  return {
+    width: width > 0 ? width : 612,
+    height: height > 0 ? height : 792,
+  };
+}
+
+/**
+ * Read the page size of an SVG from its root element without building a DOM
+ * @param {string} svgContent - SVG markup
+ * @returns {object} { width, height } in points
+ */
+function getDocumentSize(svgContent) {
+  const rootTag = String(svgContent).match(/<svg\b[^>]*>/i);
+  const attr = (name) => {
+    if (!rootTag) return null;
+    const match = rootTag[0].match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`));
+    return match ? match[1] : null;
+  };
+
+  return resolvePageSize(parseViewBox(attr('viewBox')), attr('width'), attr('height'));
+}
+
+/**
+ * Parse an SVG document into a flat, render-ordered scene
+ * @param {string} svgContent - SVG markup
+ * @returns {object} { width, height, viewBox, items }
+ *   width/height are the page size in points; each item carries
+ *   { tag, id, groupKey, matrix, subpaths, style }
+ */
+function parseScene(svgContent) {
+  const dom = new JSDOM(svgContent, { contentType: 'image/svg+xml' });
+  const doc = dom.window.document;
+  const root = doc.querySelector('svg');
+
+  if (!root) {
+    throw new Error('Invalid SVG content');
+  }
+
+  const viewBox = parseViewBox(root.getAttribute('viewBox'));
+  const { width, height } = resolvePageSize(viewBox, root.getAttribute('width'), root.getAttribute('height'));
+
+  const rootMatrix = viewBoxTransform(viewBox, width, height, root.getAttribute('preserveAspectRatio'));
+  const rules = parseStylesheets(doc);
+  const items = [];
+
+  const walk = (el, matrix, parentStyle, opacity, groupKey, depth) => {
+    if (depth > 64) return;
+
+    const tag = el.tagName;
+    const style = computeStyle(el, parentStyle, rules);
+    if (style.display === 'none') return;
+
+    let localMatrix = multiplyMatrix(matrix, parseTransform(el.getAttribute('transform')));
+    const key = el.getAttribute('data-group-key') || groupKey;
+
+    if (SHAPE_ELEMENTS.has(tag)) {
+      if (style.visibility === 'hidden' || style.visibility === 'collapse') return;
+
+      const subpaths = shapeToSubpaths(el, (name) => el.getAttribute(name));
+      if (subpaths.length === 0) return;
+
+      items.push({
+        tag,
+        id: el.getAttribute('id') || null,
+        groupKey: key || null,
+        matrix: localMatrix,
+        subpaths,
+        style: buildPaintStyle(style, doc, opacity),
+      });
+      return;
+    }
+
+    if (tag === 'use') {
+      const href = el.getAttribute('href') || el.getAttribute('xlink:href');
+      const target = href && href.startsWith('#') ? doc.getElementById(href.slice(1)) : null;
+      if (!target || target === el) return;
+
+      const useMatrix = multiplyMatrix(localMatrix, [
+        1, 0, 0, 1,
+        parseLength(el.getAttribute('x')),
+        parseLength(el.getAttribute('y')),
+      ]);
+      const groupOpacity = opacity * parseOpacity(style.opacity);
+
+      if (target.tagName === 'symbol') {
+        Array.from(target.children).forEach(child =>
+          walk(child, useMatrix, style, groupOpacity, key, depth + 1));
+      } else {
+        walk(target, useMatrix, style, groupOpacity, key, depth + 1);
+      }
+      return;
+    }
+
+    if (tag === 'svg' && el !== root) {
+      const nestedViewBox = parseViewBox(el.getAttribute('viewBox'));
+      const w = parseLength(el.getAttribute('width'), nestedViewBox ? nestedViewBox.width : 0);
+      const h = parseLength(el.getAttribute('height'), nestedViewBox ? nestedViewBox.height : 0);
+      localMatrix = multiplyMatrix(localMatrix, [
+        1, 0, 0, 1,
+        parseLength(el.getAttribute('x')),
+        parseLength(el.getAttribute('y')),
+      ]);
+      localMatrix = multiplyMatrix(localMatrix, viewBoxTransform(nestedViewBox, w, h, el.getAttribute('preserveAspectRatio')));
+    } else if (NON_RENDERED.has(tag)) {
+      return;
+    }
+
+    const groupOpacity = el === root ? opacity : opacity * parseOpacity(style.opacity);
+    Array.from(el.children).forEach(child =>
+      walk(child, localMatrix, style, groupOpacity, key, depth + 1));
+  };
+
+  walk(root, IDENTITY, {}, parseOpacity(computeStyle(root, {}, rules).opacity), null, 0);
+
+  return { width, height, viewBox, rootMatrix, items };
+}
+
+/**
+ * Compute the tight bounding box of a list of subpaths under a matrix
+ * Curve extrema are solved exactly so control points do not inflate it.
+ * @returns {object|null} { minX, minY, maxX, maxY }
+ */
+function subpathBounds(subpaths, matrix = IDENTITY) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+  const include = (x, y) => {
+    const [tx, ty] = transformPoint(matrix, x, y);
+    if (tx < minX) minX = tx;
+    if (ty < minY) minY = ty;
+    if (tx > maxX) maxX = tx;
+    if (ty > maxY) maxY = ty;
+  };
+
+  for (const sp of subpaths) {
+    let [x0, y0] = sp.start;
+    include(x0, y0);
+
+    for (const seg of sp.segments) {
+      if (seg[0] === 'L') {
+        include(seg[1], seg[2]);
+        [x0, y0] = [seg[1], seg[2]];
+        continue;
+      }
+
+      const [, x1, y1, x2, y2, x3, y3] = seg;
+      include(x3, y3);
+
+      // Extrema are found on the transformed curve since affine maps preserve Beziers
+      const p0 = transformPoint(matrix, x0, y0);
+      const p1 = transformPoint(matrix, x1, y1);
+      const p2 = transformPoint(matrix, x2, y2);
+      const p3 = transformPoint(matrix, x3, y3);
+
+      for (const axis of [0, 1]) {
+        for (const t of cubicExtrema(p0[axis], p1[axis], p2[axis], p3[axis])) {
+          const mt = 1 - t;
+          const px = mt * mt * mt * p0[0] + 3 * mt * mt * t * p1[0] + 3 * mt * t * t * p2[0] + t * t * t * p3[0];
+          const py = mt * mt * mt * p0[1] + 3 * mt * mt * t * p1[1] + 3 * mt * t * t * p2[1] + t * t * t * p3[1];
+          if (px < minX) minX = px;
+          if (py < minY) minY = py;
+          if (px > maxX) maxX = px;
+          if (py > maxY) maxY = py;
+        }
+      }
+
+      [x0, y0] = [x3, y3];
+    }
+  }
+
+  if (minX === Infinity) return null;
+  return { minX, minY, maxX, maxY };
+}
+
+/**
+ * Parameter values in (0, 1) where a 1D cubic Bezier has zero derivative
+ */
+function cubicExtrema(p0, p1, p2, p3) {
+  const a = -p0 + 3 * p1 - 3 * p2 + p3;
+  const b = 2 * (p0 - 2 * p1 + p2);
+  const c = p1 - p0;
+  const roots = [];
+
+  if (Math.abs(a) < 1e-12) {
+    if (Math.abs(b) > 1e-12) roots.push(-c / b);
+  } else {
+    const disc = b * b - 4 * a * c;
+    if (disc >= 0) {
+      const sq = Math.sqrt(disc);
+      roots.push((-b + sq) / (2 * a), (-b - sq) / (2 * a));
+    }
+  }
+
+  return roots.filter(t => t > 0 && t < 1);
+}
+
+module.exports = {
+  parseScene,
+  getDocumentSize,
+  parsePathData,
+  shapeToSubpaths,
+  parseTransform,
+  parseColor,
+  parseLength,
+  colorToHex,
+  multiplyMatrix,
+  transformPoint,
+  subpathBounds,
+};
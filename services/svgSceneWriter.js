@@ -0,0 +1,149 @@
+/**
+ * SVG Scene Writer
+ * Serializes painted paths collected by the document interpreters (PDF
+ * content streams, PostScript/EPS) into a flat SVG with clip paths and
+ * gradients. Coordinates are expected in final SVG user space.
+ *
+ * Element shape: { d, clips, fill, fillOpacity, fillRule, stroke,
+ * strokeOpacity, strokeWidth, lineCap, lineJoin, miterLimit, dash, dashOffset }
+ * where clips is an array of { subpaths, rule, id } shared between elements.
+ */
+
+const { formatNumber } = require('./pdfWriter');
+
+/**
+ * Color as #rrggbb
+ * @param {object} color - { r, g, b } in 0-255
+ */
+function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Serialize subpaths ({ start, segments: [['L', x, y] | ['C', ...6]], closed }) as path data
+ */
+function pathData(subpaths) {
+  const parts = [];
+  for (const sp of subpaths) {
+    parts.push(`M${formatNumber(sp.start[0])} ${formatNumber(sp.start[1])}`);
+    for (const seg of sp.segments) {
+      parts.push(seg[0] + seg.slice(1).map(formatNumber).join(' '));
+    }
+    if (sp.closed) parts.push('Z');
+  }
+  return parts.join('');
+}
+
+/**
+ * Whether a subpath is an axis-aligned rectangle containing the whole page
+ */
+function coversPage(subpath, width, height) {
+  if (subpath.segments.length < 3 || subpath.segments.length > 4 || subpath.segments.some(s => s[0] !== 'L')) {
+    return false;
+  }
+  const points = [subpath.start, ...subpath.segments.map(s => s.slice(1))];
+  const tolerance = 0.01;
+  const onLeft = (x) => x <= tolerance;
+  const onRight = (x) => x >= width - tolerance;
+  const onTop = (y) => y <= tolerance;
+  const onBottom = (y) => y >= height - tolerance;
+  return points.every(([x, y]) => (onLeft(x) || onRight(x)) && (onTop(y) || onBottom(y)))
+    && points.some(([x]) => onLeft(x)) && points.some(([x]) => onRight(x))
+    && points.some(([, y]) => onTop(y)) && points.some(([, y]) => onBottom(y));
+}
+
+function elementMarkup(element) {
+  const attributes = [`d="${element.d}"`];
+
+  attributes.push(`fill="${element.fill || 'none'}"`);
+  if (element.fill) {
+    if (element.fillRule === 'evenodd') attributes.push('fill-rule="evenodd"');
+    if (element.fillOpacity < 1) attributes.push(`fill-opacity="${formatNumber(element.fillOpacity)}"`);
+  }
+
+  if (element.stroke) {
+    attributes.push(`stroke="${element.stroke}"`, `stroke-width="${formatNumber(element.strokeWidth)}"`);
+    if (element.strokeOpacity < 1) attributes.push(`stroke-opacity="${formatNumber(element.strokeOpacity)}"`);
+    if (element.lineCap === 1) attributes.push('stroke-linecap="round"');
+    if (element.lineCap === 2) attributes.push('stroke-linecap="square"');
+    if (element.lineJoin === 1) attributes.push('stroke-linejoin="round"');
+    if (element.lineJoin === 2) attributes.push('stroke-linejoin="bevel"');
+    if (element.lineJoin === 0) attributes.push(`stroke-miterlimit="${formatNumber(Math.max(1, element.miterLimit))}"`);
+    if (element.dash.length > 0 && element.dash.some(v => v > 0)) {
+      attributes.push(`stroke-dasharray="${element.dash.map(formatNumber).join(' ')}"`);
+      if (element.dashOffset) attributes.push(`stroke-dashoffset="${formatNumber(element.dashOffset)}"`);
+    }
+  }
+
+  return `<path ${attributes.join(' ')}/>`;
+}
+
+/**
+ * Serialize collected elements, clip paths and gradients
+ * @param {object} scene - { width, height, elements, gradients }
+ * @param {object} options - { idPrefix } prefix for generated clip path ids
+ * @returns {string} SVG document
+ */
+function buildSVG(scene, options = {}) {
+  const { width, height, elements, gradients = [] } = scene;
+  const { idPrefix = 'scene' } = options;
+  const defs = [];
+  const body = [];
+  let clipCount = 0;
+  let open = [];
+
+  const clipId = (clip) => {
+    if (!clip.id) {
+      clip.id = `${idPrefix}-clip-${++clipCount}`;
+      const rule = clip.rule === 'evenodd' ? ' clip-rule="evenodd"' : '';
+      defs.push(`<clipPath id="${clip.id}" clipPathUnits="userSpaceOnUse"><path d="${pathData(clip.subpaths)}"${rule}/></clipPath>`);
+    }
+    return clip.id;
+  };
+
+  // Rectangular clips that cover the whole page (e.g. page-sized form
+  // bounding boxes) do not change the result and are dropped
+  const isPageClip = (clip) => clip.subpaths.length === 1 && coversPage(clip.subpaths[0], width, height);
+
+  for (const element of elements) {
+    const clips = element.clips.filter(clip => !isPageClip(clip));
+
+    let common = 0;
+    while (common < open.length && common < clips.length && open[common] === clips[common]) common++;
+    for (let i = open.length; i > common; i--) body.push('</g>');
+    for (let i = common; i < clips.length; i++) body.push(`<g clip-path="url(#${clipId(clips[i])})">`);
+    open = clips;
+
+    body.push(elementMarkup(element));
+  }
+  for (let i = 0; i < open.length; i++) body.push('</g>');
+
+  for (const gradient of gradients) {
+    const attributes = Object.entries(gradient.attributes)
+      .map(([key, value]) => `${key}="${typeof value === 'number' ? formatNumber(value) : escapeAttribute(value)}"`)
+      .join(' ');
+    const stops = gradient.stops
+      .map(stop => `<stop offset="${formatNumber(stop.offset)}" stop-color="${toHex(stop.color)}"/>`)
+      .join('');
+    defs.push(`<${gradient.tag} ${attributes}>${stops}</${gradient.tag}>`);
+  }
+
+  const w = formatNumber(width);
+  const h = formatNumber(height);
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">`,
+    defs.length ? `<defs>${defs.join('')}</defs>` : '',
+    ...body,
+    '</svg>',
+  ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  buildSVG,
+  pathData,
+  toHex,
+};
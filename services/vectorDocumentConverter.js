@@ -0,0 +1,168 @@
+/**
+ * Vector Document Converter
+ * Converts uploaded vector documents to SVG without tracing, so existing
+ * artwork can be cleaned up, recolored and re-exported through the normal
+ * post-processing stages.
+ *
+ * - SVG is used as uploaded
+ * - EPS/PostScript runs through the PostScript interpreter; legacy
+ *   Illustrator files whose procsets are not embedded fall back to reading
+ *   the Illustrator drawing operators directly
+ * - PDF-based Illustrator files (AI 9 and later) are read with the PDF
+ *   vector extractor
+ */
+
+const path = require('path');
+const pdfVectorExtractor = require('./pdfVectorExtractor');
+const { interpret } = require('./postscriptInterpreter');
+const { getDocumentSize } = require('./svgSceneParser');
+
+// First four bytes of a DOS EPS binary file (PostScript plus TIFF/WMF preview)
+const DOS_EPS_MAGIC = 0xc5d0d3c6;
+
+const ILLUSTRATOR_MIME_TYPES = ['application/illustrator', 'application/vnd.adobe.illustrator'];
+
+class VectorDocumentConverter {
+  /**
+   * Identify a vector document upload
+   * Plain PDFs are not vector documents here: they keep the PDF pipeline,
+   * which can fall back to tracing pages that contain raster images.
+   * @param {Buffer} buffer - Uploaded file
+   * @param {object} file - { originalname, mimetype } as provided by multer
+   * @returns {string|null} 'svg', 'eps' or 'ai', or null for anything else
+   */
+  detectFormat(buffer, file = {}) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const isIllustrator = extension === '.ai' || ILLUSTRATOR_MIME_TYPES.includes(file.mimetype);
+    const head = buffer.subarray(0, 4096).toString('latin1').replace(/^\xEF\xBB\xBF/, '');
+
+    if (this.isPdfDocument(buffer)) {
+      return isIllustrator ? 'ai' : null;
+    }
+    if (this.isPostScriptDocument(buffer)) {
+      return isIllustrator ? 'ai' : 'eps';
+    }
+    if (/^\s*</.test(head) && /<svg[\s>]/i.test(head)) {
+      return 'svg';
+    }
+    return null;
+  }
+
+  isPdfDocument(buffer) {
+    // Illustrator files may carry a short preamble before the PDF header
+    return buffer.subarray(0, 1024).toString('latin1').includes('%PDF-');
+  }
+
+  isPostScriptDocument(buffer) {
+    return (buffer.length >= 4 && buffer.readUInt32BE(0) === DOS_EPS_MAGIC)
+      || buffer.subarray(0, 2).toString('latin1') === '%!';
+  }
+
+  /**
+   * Convert a vector document to SVG
+   * @param {Buffer} buffer - Uploaded file
+   * @param {object} file - { originalname, mimetype } as provided by multer
+   * @returns {object} { svg, width, height, format, processingMethod, reason, paths, images, text, unsupported }
+   */
+  convert(buffer, file = {}) {
+    const format = this.detectFormat(buffer, file);
+    if (!format) {
+      throw new Error('Unsupported vector document: expected SVG, EPS or Illustrator content');
+    }
+
+    if (format === 'svg') {
+      return this.convertSVG(buffer);
+    }
+    if (this.isPdfDocument(buffer)) {
+      return this.convertPdfIllustrator(buffer);
+    }
+    return this.convertPostScript(buffer, format);
+  }
+
+  convertSVG(buffer) {
+    const svg = buffer.toString('utf8').replace(/^﻿/, '');
+    const { width, height } = getDocumentSize(svg);
+
+    return {
+      svg,
+      width,
+      height,
+      format: 'svg',
+      processingMethod: 'SVG import',
+      reason: 'SVG used as uploaded',
+    };
+  }
+
+  convertPdfIllustrator(buffer) {
+    const page = pdfVectorExtractor.extractPage(buffer, 1);
+    if (page.paths === 0) {
+      throw new Error(`No vector artwork found: ${page.reason}`);
+    }
+
+    return {
+      svg: page.svg,
+      width: page.width,
+      height: page.height,
+      format: 'ai',
+      processingMethod: 'Illustrator import (PDF)',
+      reason: page.reason,
+      paths: page.paths,
+      images: page.images,
+      text: page.text,
+      unsupported: page.unsupported,
+    };
+  }
+
+  convertPostScript(buffer, format) {
+    const program = this.postScriptProgram(buffer);
+    let result = interpret(program);
+    let processingMethod = `${format.toUpperCase()} import (PostScript)`;
+
+    // Legacy Illustrator files only reference their procsets, so running
+    // them as PostScript stops early; their drawing operators can be read
+    // directly instead
+    if ((result.error || result.paths === 0) && this.isIllustratorProgram(program)) {
+      const legacy = interpret(program, { mode: 'illustrator' });
+      if (legacy.paths > result.paths) {
+        result = legacy;
+        processingMethod = 'Illustrator import (legacy operators)';
+      }
+    }
+
+    if (result.paths === 0) {
+      throw new Error(`No vector artwork found: ${result.reason}`);
+    }
+
+    return {
+      svg: result.svg,
+      width: result.width,
+      height: result.height,
+      format,
+      processingMethod,
+      reason: result.reason,
+      paths: result.paths,
+      images: result.images,
+      text: result.text,
+      unsupported: result.unsupported,
+    };
+  }
+
+  /**
+   * PostScript section of an EPS file, without any DOS binary header
+   */
+  postScriptProgram(buffer) {
+    if (buffer.length >= 12 && buffer.readUInt32BE(0) === DOS_EPS_MAGIC) {
+      const offset = buffer.readUInt32LE(4);
+      const length = buffer.readUInt32LE(8);
+      return buffer.subarray(offset, offset + length);
+    }
+    return buffer;
+  }
+
+  isIllustratorProgram(program) {
+    const head = program.subarray(0, 8192).toString('latin1');
+    return /^%%Creator:.*Illustrator/m.test(head) || /^%AI\d/m.test(head);
+  }
+}
+
+module.exports = new VectorDocumentConverter();
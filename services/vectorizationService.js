@@ -0,0 +1,827 @@
+/**
+ * Vectorization Service
+ * The single-image pipeline shared by /api/vectorize and /api/vectorize/batch:
+ * engine selection, background removal, optimization, post-processing,
+ * quality metrics and caching. Vector documents (SVG, EPS, AI) are imported
+ * and PDF pages extracted where possible instead of being traced.
+ */
+
+const sharp = require('sharp');
+const replicateService = require('./replicateService');
+const vtracerService = require('./vtracerService');
+const IdegyVectorizer = require('./vectorizer');
+const AIColorPreservingVectorizer = require('./vectorizer/aiColorPreservingVectorizer');
+const SmoothingVectorizer = require('./vectorizer/smoothingVectorizer');
+const ColorPreservingVectorizer = require('./vectorizer/colorPreservingVectorizer');
+const CenterlineVectorizer = require('./vectorizer/centerlineVectorizer');
+const PixelArtVectorizer = require('./vectorizer/pixelArtVectorizer');
+const IllustrationVectorizer = require('./vectorizer/illustrationVectorizer');
+const SymmetryAnalyzer = require('./vectorizer/symmetryAnalyzer');
+const PaletteManager = require('./vectorizer/paletteManager');
+const generativeReconstructionService = require('./generativeReconstructionService');
+const svgPostProcessor = require('./svgPostProcessor');
+const qualityValidator = require('./qualityValidator');
+const backgroundRemovalService = require('./backgroundRemovalService');
+const svgOptimizer = require('./svgOptimizer');
+const pdfConverter = require('./pdfConverter');
+const pdfVectorExtractor = require('./pdfVectorExtractor');
+const vectorDocumentConverter = require('./vectorDocumentConverter');
+const cacheService = require('./cacheService');
+const methodSelector = require('./methodSelector');
+const engineComparison = require('./engineComparison');
+const outputBudget = require('./outputBudget');
+const { ProcessingError } = require('../utils/errors');
+const { apiLogger } = require('../utils/logger');
+
+const symmetryAnalyzer = new SymmetryAnalyzer();
+const paletteManager = new PaletteManager();
+
+// Request fields that control the pipeline, with their defaults.
+// detectShapes has no default: it is on for traced images and off for
+// imported documents unless asked for explicitly. engineParams holds the
+// validated per-engine overrides, maxPaths, maxNodes and maxBytes the
+// validated output budgets (see middleware/validation.js), palette the
+// colors resolved by paletteStore.resolve and colorMetric the color
+// difference every engine merges and snaps colors by (see colorScience).
+// Engines default to cie76 and palette snapping to ciede2000. spotLibrary,
+// resolved the same way as palette, is what print spots are suggested from
+// (PaletteManager.DEFAULT_SPOT_LIBRARY when unset).
+const SETTING_DEFAULTS = {
+  method: 'color-preserving',
+  removeBackground: 'false',
+  detailLevel: 'medium',
+  optimize: 'true',
+  optimizeLevel: 'default',
+  detectShapes: undefined,
+  detectGradients: 'true',
+  detectText: 'true',
+  enforceSymmetry: 'false',
+  topology: 'stacked',
+  engineParams: undefined,
+  gapFiller: 'false',
+  groupBy: 'none',
+  adobeCompatibility: 'false',
+  maxPaths: undefined,
+  maxNodes: undefined,
+  maxBytes: undefined,
+  palette: undefined,
+  colorMetric: undefined,
+  spotLibrary: undefined,
+};
+
+class VectorizationService {
+  /**
+   * Split request fields into pipeline settings and everything else
+   * @param {object} fields - Request body
+   * @param {object} defaults - Overrides for SETTING_DEFAULTS (e.g. { method: 'ai' })
+   * @returns {object} { settings, rest }
+   */
+  parseSettings(fields, defaults = {}) {
+    const settings = { ...SETTING_DEFAULTS, ...defaults };
+    const rest = {};
+
+    for (const [key, value] of Object.entries(fields || {})) {
+      if (key in SETTING_DEFAULTS) {
+        settings[key] = value;
+      } else {
+        rest[key] = value;
+      }
+    }
+
+    return { settings, rest };
+  }
+
+  /**
+   * Detect what kind of upload a buffer holds
+   * @param {Buffer} buffer - Uploaded file
+   * @param {object} file - { originalname, mimetype }
+   * @returns {object} { vectorFormat, isPdf }
+   */
+  detectInput(buffer, file) {
+    const vectorFormat = vectorDocumentConverter.detectFormat(buffer, file);
+    const isPdf = !vectorFormat && (file.mimetype === 'application/pdf' || pdfConverter.isPdf(buffer));
+    return { vectorFormat, isPdf };
+  }
+
+  /**
+   * Vectorize one uploaded file
+   * Vector documents are imported, PDF pages are extracted or rasterized and
+   * traced, and raster images are traced with the selected engine. Outputs are
+   * cached by file content and settings.
+   * @param {Buffer} buffer - Uploaded file
+   * @param {object} file - { originalname, mimetype }
+   * @param {object} settings - From parseSettings, plus { mimeType, options }
+   * @param {object} control - { page, reportStatus, signal } where page selects the PDF page (default 1)
+   * @returns {Promise<object>} { svg, processingMethod, route, routeReason, source, optimizationStats, postProcessStats, symmetry?, palette?, spots, methodSelection?, comparison?, fidelity?, budget?, cached }
+   *   where fidelity (from qualityValidator.measureFidelity) is present when the SVG was traced from a raster
+   *   and budget (see fitBudget) when maxPaths, maxNodes or maxBytes was set
+   */
+  async vectorizeFile(buffer, file, settings, control = {}) {
+    const { page = 1, reportStatus = () => {}, signal } = control;
+    const { vectorFormat, isPdf } = this.detectInput(buffer, file);
+
+    const resolved = {
+      ...settings,
+      // Shape detection is tuned for traced outlines; on imported artwork it
+      // would replace exact geometry, so it only runs when asked for explicitly
+      detectShapes: settings.detectShapes ?? (vectorFormat ? 'false' : 'true'),
+    };
+
+    // Sorted so the key does not depend on the order settings were assembled in
+    const keySettings = { ...resolved, page: isPdf ? page : null };
+    const cacheKey = cacheService.generateSVGKey(buffer, Object.fromEntries(
+      Object.keys(keySettings).sort().map(key => [key, keySettings[key]])
+    ));
+    const cached = cacheService.getSVG(cacheKey);
+    if (cached && cached.svg) {
+      return { ...cached, cached: true };
+    }
+
+    let output;
+    if (vectorFormat) {
+      output = this.importDocument(buffer, file, resolved, reportStatus);
+    } else if (isPdf) {
+      output = await this.vectorizePdfPage(buffer, page, resolved, { reportStatus, signal });
+    } else {
+      output = await this.traceImage(buffer, resolved, { reportStatus, signal });
+      output = { ...output, route: 'trace', source: output.imageBuffer };
+    }
+
+    const limits = outputBudget.limitsOf(resolved);
+    let unbudgetedSvg;
+    if (limits) {
+      ({ output, unbudgetedSvg } = await this.fitBudget(output, resolved, limits, { reportStatus, signal }));
+    }
+
+    // Score the output against the raster it was traced from, then reduce
+    // the source to its dimensions so results stay small
+    const result = { ...output };
+    delete result.imageBuffer;
+    if (Buffer.isBuffer(result.source)) {
+      reportStatus('measuring_fidelity');
+      result.fidelity = await qualityValidator.measureFidelity(result.svg, result.source);
+      if (unbudgetedSvg) {
+        const unbudgeted = await qualityValidator.measureFidelity(unbudgetedSvg, result.source, { heatmap: false });
+        result.budget.fidelityCost = Math.round((unbudgeted.score - result.fidelity.score) * 10) / 10;
+      }
+      const { width, height, format } = await sharp(result.source).metadata();
+      result.source = { width, height, format };
+    }
+
+    cacheService.setSVG(cacheKey, result);
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Bring an output under its path, node and byte budgets
+   * Traced outputs are traced again with relaxed engine parameters (higher
+   * simplification tolerances and speckle filters, fewer colors) until they
+   * fit; whatever is still over then loses its smallest shapes.
+   * @param {object} output - From traceImage, vectorizePdfPage or importDocument
+   * @param {object} settings - Vectorize settings the output was made with
+   * @param {object} limits - From outputBudget.limitsOf
+   * @param {object} control - { reportStatus, signal }
+   * @returns {Promise<object>} { output, unbudgetedSvg } where output carries
+   *   budget: { limits, before, after, binding, met, attempts, shapesRemoved }
+   *   with binding the budget exceeded the most (null when the first output
+   *   fit), and unbudgetedSvg is the first output when it did not fit
+   */
+  async fitBudget(output, settings, limits, control = {}) {
+    const { reportStatus = () => {}, signal } = control;
+    const before = outputBudget.measure(output.svg);
+    const [binding = null] = outputBudget.exceeded(before, limits);
+    if (!binding) {
+      return { output: { ...output, budget: { limits, before, after: before, binding, met: true, attempts: [], shapesRemoved: 0 } } };
+    }
+
+    reportStatus('fitting_budget');
+    let fitted = output;
+    let measured = before;
+    const attempts = [];
+
+    // Retrace the same raster; background removal and method=auto already ran
+    if (output.route === 'trace' && Buffer.isBuffer(output.source)) {
+      const method = output.methodSelection?.method ?? settings.method;
+      const engineParams = output.methodSelection?.engineParams ?? settings.engineParams ?? {};
+      let step = 0;
+      while (outputBudget.exceeded(measured, limits).length > 0) {
+        step = outputBudget.nextStep(step, measured, limits);
+        const relaxed = step && outputBudget.relax(method, engineParams, step, limits);
+        if (!relaxed) break;
+
+        const attempt = await this.traceImage(output.source, {
+          ...settings, method, engineParams: relaxed, removeBackground: 'false',
+        }, { signal });
+        measured = outputBudget.measure(attempt.svg);
+        attempts.push({ step, engineParams: relaxed, ...measured });
+        fitted = { ...output, ...attempt };
+      }
+    }
+
+    const { svg, removed, measured: after } = outputBudget.fit(fitted.svg, limits);
+    return {
+      output: {
+        ...fitted,
+        svg,
+        budget: {
+          limits,
+          before,
+          after,
+          binding,
+          met: outputBudget.exceeded(after, limits).length === 0,
+          attempts,
+          shapesRemoved: removed,
+        },
+      },
+      unbudgetedSvg: output.svg,
+    };
+  }
+
+  /**
+   * Run the selected vectorization engine followed by optimization,
+   * post-processing and sanitization on one raster image
+   * @param {Buffer} imageBuffer - Raster image
+   * @param {object} settings - Vectorize request fields (method, detailLevel, ...)
+   * @param {object} control - { reportStatus, signal, internal } where signal cancels in-flight
+   *   Replicate calls and internal enables the engines only method=compare runs ('potrace')
+   * @returns {Promise<object>} { svg, processingMethod, engine, imageBuffer, optimizationStats, postProcessStats, methodSelection?, comparison? }
+   *   where engine is the method that traced the image once auto and compare have picked one
+   */
+  async traceImage(imageBuffer, settings, control = {}) {
+    const { reportStatus = () => {}, signal, internal = false } = control;
+    const {
+      removeBackground,
+      detailLevel,
+      detectGradients,
+      detectText,
+      topology,
+      colorMetric,
+      mimeType: sourceMimeType,
+      options,
+    } = settings;
+    let { method, engineParams = {} } = settings;
+
+    // Optional: Remove background before vectorization
+    if (removeBackground === 'true' && backgroundRemovalService.isAvailable()) {
+      reportStatus('removing_background');
+
+      try {
+        const dataUri = replicateService.bufferToDataUri(imageBuffer, sourceMimeType);
+        const processedDataUri = await backgroundRemovalService.removeBackground(dataUri, { signal });
+        const base64Data = processedDataUri.replace(/^data:image\/\w+;base64,/, '');
+        imageBuffer = Buffer.from(base64Data, 'base64');
+      } catch (bgError) {
+        if (signal?.aborted) throw bgError;
+        console.warn('Background removal failed:', bgError.message);
+      }
+    }
+
+    // method=auto measures the image and picks the engine and its parameters
+    let methodSelection;
+    if (method === 'auto') {
+      reportStatus('analyzing');
+      methodSelection = await methodSelector.select(imageBuffer);
+      ({ method, engineParams } = methodSelection);
+      apiLogger.methodSelected(methodSelection);
+    }
+
+    // method=compare runs the whole pipeline once per engine in worker threads
+    if (method === 'compare') {
+      return this.compareEngines(imageBuffer, settings, { reportStatus, signal });
+    }
+
+    let svgContent;
+    let processingMethod;
+    let svgToSave;
+    let planarMap = false;
+
+    reportStatus('vectorizing');
+
+    const metadata = await sharp(imageBuffer).metadata();
+
+    // Choose vectorization method: 'smooth' (default), 'color-preserving', 'gen-pro', 'ai-pro', 'idegy', 'vtracer', or 'ai'
+    // ('auto' was resolved to one of these above)
+    if (method === 'smooth' || method === 'color-preserving') {
+      // SMOOTHING VECTORIZER - Best quality: exact colors with smooth Bezier curves
+      // 1. Upscales image 3x for higher tracing resolution
+      // 2. Traces with imagetracerjs for exact color regions
+      // 3. Converts polylines to smooth Bezier curves (Catmull-Rom)
+      // 4. Snaps colors to detected brand colors
+      // 5. Fills smooth color ramps with linear/radial gradients
+      // With topology 'planar', step 2-3 become one planar map whose regions
+      // share their boundary curves
+
+      const { upscaleFactor = 3, cornerThreshold, ...traceParams } = engineParams;
+      const vectorizer = new SmoothingVectorizer({ upscaleFactor, cornerThreshold, colorMetric });
+      const quantizeColors = detailLevel !== 'ultra';
+      planarMap = topology === 'planar';
+      svgToSave = await vectorizer.vectorize(imageBuffer, {
+        ...traceParams,
+        quantizeColors,
+        detectGradients: detectGradients === 'true',
+        topology: planarMap ? 'planar' : 'stacked',
+      });
+      processingMethod = planarMap
+        ? 'Smoothing Vectorizer (exact colors + shared-edge planar map)'
+        : 'Smoothing Vectorizer (exact colors + smooth curves)';
+
+    } else if (method === 'potrace' && internal) {
+      // POTRACE COLOR VECTORIZER - One Potrace layer per exact color, stacked
+      // from the largest area to the smallest. Not a public method: only
+      // method=compare races it, so a request naming it falls through below
+      const vectorizer = new ColorPreservingVectorizer({ colorMetric });
+      planarMap = topology === 'planar';
+      svgToSave = await vectorizer.vectorize(imageBuffer, { topology: planarMap ? 'planar' : 'stacked' });
+      processingMethod = planarMap
+        ? 'Potrace Color Vectorizer (exact colors + shared-edge planar map)'
+        : 'Potrace Color Vectorizer (exact colors + layered Potrace curves)';
+
+    } else if (method === 'ai-color' && replicateService.isAvailable()) {
+      // AI COLOR-PRESERVING VECTORIZER - Clean shapes but may change regions
+      // Uses Recraft AI for smooth vector shapes, then samples original image for exact colors
+      // Note: AI may reinterpret the image, changing region boundaries
+
+      const vectorizer = new AIColorPreservingVectorizer({ colorMetric });
+      const quantizeColors = detailLevel !== 'ultra';
+      svgToSave = await vectorizer.vectorize(imageBuffer, { quantizeColors, signal });
+      processingMethod = 'AI Color-Preserving Vectorizer (Recraft AI + exact colors)';
+
+    } else if (method === 'gen-pro' && generativeReconstructionService.isAvailable()) {
+      // Use Generative Reconstruction Pipeline + VTracer
+      // This is the highest quality option using:
+      // 1. Real-ESRGAN AI super-resolution
+      // 2. OpenCV edge preservation (bilateral filter + adaptive sharpening)
+      // 3. Color quantization to solid hex codes
+      // 4. VTracer for final vectorization
+
+      reportStatus('ai_preprocessing');
+
+      const colorMap = {
+        low: 8,
+        medium: 16,
+        high: 24,
+        ultra: 32,
+      };
+
+      const { upscaleFactor = 4, colorCount, ...tracerParams } = engineParams;
+      const result = await generativeReconstructionService.process(imageBuffer, {
+        upscaleFactor,
+        maxColors: colorCount || colorMap[detailLevel] || 16,
+        outputDpi: 300,
+        minDimension: 2000,
+        sharpenEdges: true,
+        denoise: true,
+      });
+
+      reportStatus('vectorizing');
+
+      // Now vectorize the preprocessed image
+      svgToSave = await vtracerService.vectorizeImage(result.buffer, {
+        ...tracerParams,
+        preset: 'logo',
+        preprocess: false,  // Already preprocessed by Python pipeline
+        aiUpscale: false,
+      });
+
+      processingMethod = `Generative Reconstruction + VTracer (${detailLevel} quality)`;
+
+    } else if (method === 'ai-pro' || (method === 'gen-pro' && !generativeReconstructionService.isAvailable())) {
+      // Use VTracer with optimized settings for clean vector output
+      // Logo preset produces cleaner, smaller files
+      // Falls back here if gen-pro requested but Python pipeline not available
+      const presetMap = {
+        low: 'poster',
+        medium: 'logo',
+        high: 'logo',      // Logo preset is best for most cases
+        ultra: 'detailed',
+      };
+      const { preset = presetMap[detailLevel] || 'logo', colorCount, ...tracerParams } = engineParams;
+
+      svgToSave = await vtracerService.vectorizeImage(imageBuffer, {
+        ...tracerParams,
+        preset,
+        preprocessColors: colorCount,
+        preprocess: true,
+        aiUpscale: false,  // Disabled - causes bloated output (4x paths)
+      });
+      processingMethod = `AI Vectorizer Pro (${preset} preset)`;
+
+    } else if (method === 'idegy' || method === 'vtracer' && false) {
+      // Use IDEGY Vectorizer (built from scratch, no external dependencies)
+      const presetMap = {
+        low: { maxColors: 16, minArea: 25, simplifyTolerance: 2.5, lineTolerance: 2.0 },
+        medium: { maxColors: 32, minArea: 8, simplifyTolerance: 1.5, lineTolerance: 1.0 },
+        high: { maxColors: 64, minArea: 4, simplifyTolerance: 1.0, lineTolerance: 0.5 },
+      };
+      const preset = presetMap[detailLevel] || presetMap.medium;
+
+      const vectorizer = new IdegyVectorizer({
+        ...preset,
+        ...engineParams,
+        gapFiller: true,  // Always use gap filler
+        detectShapes: false,  // Disable shape detection (causes issues)
+        detectGradients: detectGradients === 'true',
+        detectText: detectText === 'true',
+        colorMetric,
+      });
+
+      svgToSave = await vectorizer.vectorize(imageBuffer);
+      processingMethod = `IDEGY Vectorizer (${detailLevel} detail)`;
+
+      // Mark to skip optimization - IDEGY output is already clean
+      // The SVGO optimizer strips black fills which breaks the output
+
+    } else if (method === 'centerline') {
+      // Trace the middle of strokes for line art and signatures
+      const presetMap = {
+        low: { smoothing: 2, lineTolerance: 1.5, bezierTolerance: 1.5 },
+        medium: { smoothing: 1, lineTolerance: 0.75, bezierTolerance: 0.75 },
+        high: { smoothing: 1, lineTolerance: 0.5, bezierTolerance: 0.4 },
+      };
+      const vectorizer = new CenterlineVectorizer({ ...(presetMap[detailLevel] || presetMap.medium), ...engineParams });
+
+      svgToSave = await vectorizer.vectorize(imageBuffer);
+      processingMethod = `Centerline Tracer (${detailLevel} detail)`;
+
+      // Skip optimization - SVGO drops the zero-length paths used for dots
+      // and shape detection would turn closed strokes into filled shapes
+
+    } else if (method === 'pixel-art') {
+      // Exact square pixels for sprites and nearest-neighbor upscaled art
+      const vectorizer = new PixelArtVectorizer(engineParams);
+
+      svgToSave = await vectorizer.vectorize(imageBuffer);
+      processingMethod = `Pixel Art Vectorizer (${vectorizer.style})`;
+
+      // Skip optimization - shape detection and the gap filler would soften
+      // the pixel edges, and SVGO would round the shared corners apart
+
+    } else if (method === 'illustration') {
+      // Stacked layers of merged superpixels for photos and painted art
+      const detailMap = { low: 25, medium: 50, high: 75 };
+      const vectorizer = new IllustrationVectorizer({ detail: detailMap[detailLevel] ?? 50, ...engineParams, colorMetric });
+
+      const { svg, regions } = await vectorizer.vectorize(imageBuffer);
+      svgToSave = svg;
+      processingMethod = `Layered Illustration (detail ${vectorizer.detail}, ${regions} layers)`;
+
+      // Skip optimization - the layers already fit the path and byte budget,
+      // and the gap filler would add strokes on top of it
+
+    } else if (method === 'ai' && replicateService.isAvailable()) {
+      // Use Replicate AI (recraft-vectorize)
+      const maxDimension = 4096;
+      const minDimension = 512;
+      let mimeType = 'image/png';
+
+      const needsDownscale = metadata.width > maxDimension || metadata.height > maxDimension;
+      const needsUpscale = metadata.width < minDimension || metadata.height < minDimension;
+
+      let resizeOptions = { fit: 'inside', withoutEnlargement: true };
+
+      if (needsUpscale && !needsDownscale) {
+        const scale = minDimension / Math.min(metadata.width, metadata.height);
+        const targetWidth = Math.round(metadata.width * scale);
+        const targetHeight = Math.round(metadata.height * scale);
+        resizeOptions = { width: targetWidth, height: targetHeight, fit: 'fill' };
+      } else if (needsDownscale) {
+        resizeOptions = { width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true };
+      }
+
+      imageBuffer = await sharp(imageBuffer)
+        .resize(resizeOptions)
+        .flatten({ background: { r: 255, g: 255, b: 255 } })
+        .png({ quality: 100 })
+        .toBuffer();
+
+      const dataUri = replicateService.bufferToDataUri(imageBuffer, mimeType);
+      svgContent = await replicateService.vectorizeImage(dataUri, options, { signal });
+      processingMethod = 'Replicate AI (recraft-vectorize)';
+
+      // Handle URL responses from Replicate
+      svgToSave = svgContent;
+      if (typeof svgContent === 'string' && svgContent.startsWith('http')) {
+        const response = await fetch(svgContent, { signal });
+        svgToSave = await response.text();
+      } else if (typeof svgContent === 'object' && svgContent.uri) {
+        const response = await fetch(svgContent.uri, { signal });
+        svgToSave = await response.text();
+      } else if (typeof svgContent !== 'string') {
+        svgToSave = String(svgContent);
+      }
+    } else {
+      // Use VTracer with AI upscaling for best quality
+      // Map detailLevel to VTracer preset
+      const presetMap = {
+        low: 'poster',
+        medium: 'logo',
+        high: 'detailed',
+      };
+      const { preset = presetMap[detailLevel] || 'logo', colorCount, ...tracerParams } = engineParams;
+
+      // VTracer with preprocessing for best quality
+      // AI upscale only for very small images to keep output manageable
+      svgToSave = await vtracerService.vectorizeImage(imageBuffer, {
+        ...tracerParams,
+        preset,
+        preprocessColors: colorCount,
+        preprocess: true,
+        aiUpscale: true,
+        aiUpscaleMinDimension: 400,   // Only upscale very small images
+        aiUpscaleMaxDimension: 1200,  // Cap to prevent huge SVGs
+      });
+      processingMethod = `VTracer (${preset} preset with AI upscaling)`;
+    }
+
+    // Planar maps skip optimization too: rewriting path data or swapping
+    // paths for detected shapes would pull shared edges apart again
+    const finished = this.finish(svgToSave, settings, reportStatus, {
+      skipOptimization: processingMethod.includes('IDEGY') || method === 'centerline' || method === 'pixel-art' || method === 'illustration' || planarMap,
+    });
+
+    return {
+      ...finished,
+      processingMethod,
+      engine: method,
+      imageBuffer,
+      ...(methodSelection && { methodSelection }),
+    };
+  }
+
+  /**
+   * Trace with every local engine and keep the best-scoring result
+   * @param {Buffer} imageBuffer - Raster image, background already removed
+   * @param {object} settings - Vectorize request fields
+   * @param {object} control - { reportStatus, signal }
+   * @returns {Promise<object>} The winner's { svg, processingMethod, optimizationStats,
+   *   postProcessStats, symmetry? } plus imageBuffer and comparison: { candidates }
+   */
+  async compareEngines(imageBuffer, settings, control) {
+    const ranked = await engineComparison.compare(imageBuffer, {
+      ...settings,
+      removeBackground: 'false',
+      engineParams: {},
+    }, control);
+    const [best] = ranked;
+
+    return {
+      ...best.output,
+      processingMethod: `Engine comparison: ${best.processingMethod} (best of ${ranked.filter(c => c.success).length})`,
+      engine: best.method,
+      imageBuffer,
+      comparison: {
+        candidates: ranked.map(({ output, ...candidate }) => ({
+          ...candidate,
+          ...(output && { svgContent: output.svg }),
+        })),
+      },
+    };
+  }
+
+  /**
+   * Optimize, post-process, palette-snap and sanitize a vectorized SVG
+   * @param {string} svg - SVG produced by an engine or extracted from a document
+   * @param {object} settings - Vectorize request fields (optimize, detectShapes, ...)
+   * @param {Function} reportStatus - Called with a status string at each stage
+   * @param {object} flags - { skipOptimization } skips optimization and post-processing
+   * @returns {object} { svg, optimizationStats, postProcessStats, symmetry?, palette?, spots }
+   *   where palette is { name, mapping, maxDeltaE } when settings.palette was set
+   *   and spots is { library, colors } from PaletteManager.suggestSpots
+   */
+  finish(svg, settings, reportStatus = () => {}, { skipOptimization = false } = {}) {
+    const {
+      optimize,
+      optimizeLevel,
+      detectShapes,
+      gapFiller,
+      groupBy,
+      adobeCompatibility,
+      enforceSymmetry,
+      palette,
+      colorMetric = 'ciede2000',
+      spotLibrary,
+    } = settings;
+    let svgToSave = svg;
+
+    // Optimize SVG if requested (skip for IDEGY - optimizer strips black fills)
+    let optimizationStats = null;
+    if (optimize === 'true' && !skipOptimization) {
+      reportStatus('optimizing');
+
+      const optimized = svgOptimizer.optimize(svgToSave, {
+        level: optimizeLevel,
+        preserveColors: true,
+      });
+
+      if (optimized.success) {
+        svgToSave = optimized.data;
+        optimizationStats = optimized.stats;
+      }
+    }
+
+    // Post-process SVG (shape detection, grouping, gap filler)
+    // Skip for IDEGY - it already has gap filler and proper structure
+    let postProcessStats = null;
+    if (!skipOptimization) {
+      try {
+        reportStatus('post-processing');
+
+        const statsBefore = svgPostProcessor.getStatistics(svgToSave);
+
+        svgToSave = svgPostProcessor.process(svgToSave, {
+          detectShapes: detectShapes === 'true',
+          shapeTypes: ['circle', 'ellipse', 'rectangle'],
+          gapFiller: { enabled: gapFiller === 'true', strokeWidth: 1.5 },
+          groupBy: groupBy || 'none',
+          adobeCompatibility: adobeCompatibility === 'true',
+          svgVersion: '1.1',
+        });
+
+        const statsAfter = svgPostProcessor.getStatistics(svgToSave);
+        postProcessStats = {
+          shapesDetected: (statsAfter.circles || 0) + (statsAfter.ellipses || 0) + (statsAfter.rectangles || 0),
+          pathsBefore: statsBefore.paths,
+          pathsAfter: statsAfter.paths,
+          groups: statsAfter.groups,
+        };
+      } catch (postProcessError) {
+        console.warn('Post-processing failed, using original SVG:', postProcessError.message);
+      }
+    }
+
+    // Rebuild symmetric logos from one half; runs last so later passes
+    // cannot reintroduce drift
+    let symmetry;
+    if (enforceSymmetry === 'true') {
+      reportStatus('enforcing-symmetry');
+      try {
+        const enforced = symmetryAnalyzer.enforce(svgToSave);
+        svgToSave = enforced.svg;
+        symmetry = { detected: enforced.symmetries, applied: enforced.applied };
+      } catch (symmetryError) {
+        console.warn('Symmetry enforcement failed, using original SVG:', symmetryError.message);
+      }
+    }
+
+    // Lock every paint to the brand palette once the shapes are final
+    let paletteReport;
+    if (palette) {
+      reportStatus('snapping-palette');
+      const snapped = paletteManager.snapSVG(svgToSave, paletteManager.parsePalette(palette.colors), colorMetric);
+      svgToSave = snapped.svg;
+      paletteReport = {
+        name: palette.name,
+        mapping: snapped.mapping,
+        maxDeltaE: Math.max(0, ...snapped.mapping.map(entry => entry.deltaE)),
+      };
+    }
+
+    // Name the nearest print spot for every color that is left
+    const library = spotLibrary || {
+      name: PaletteManager.DEFAULT_SPOT_LIBRARY,
+      colors: PaletteManager.PALETTES[PaletteManager.DEFAULT_SPOT_LIBRARY],
+    };
+    const spots = {
+      library: library.name,
+      colors: paletteManager.suggestSpots(svgToSave, paletteManager.parsePalette(library.colors), colorMetric),
+    };
+
+    // Sanitize SVG for security
+    const sanitized = svgOptimizer.sanitize(svgToSave);
+    if (sanitized.success) {
+      svgToSave = sanitized.data;
+    }
+
+    return {
+      svg: svgToSave,
+      optimizationStats,
+      postProcessStats,
+      ...(symmetry && { symmetry }),
+      ...(paletteReport && { palette: paletteReport }),
+      spots,
+    };
+  }
+
+  /**
+   * Vectorize one PDF page
+   * Pages made only of vector paths are extracted directly; pages with raster
+   * images (or content the extractor cannot express) are rasterized and traced.
+   * @param {Buffer} pdfBuffer - Uploaded PDF
+   * @param {number} page - 1-indexed page number
+   * @param {object} settings - Vectorize request fields
+   * @param {object} control - { reportStatus, signal }
+   * @returns {Promise<object>} Pipeline output plus { route, routeReason, source }
+   */
+  async vectorizePdfPage(pdfBuffer, page, settings, control = {}) {
+    const { reportStatus = () => {} } = control;
+    let extraction;
+    try {
+      reportStatus('extracting_vectors');
+      extraction = pdfVectorExtractor.extractPage(pdfBuffer, page);
+    } catch (extractError) {
+      extraction = { vectorizable: false, reason: `PDF structure could not be read: ${extractError.message}` };
+    }
+
+    if (extraction.vectorizable) {
+      const finished = this.finish(extraction.svg, settings, reportStatus);
+      return {
+        ...finished,
+        processingMethod: 'PDF vector extraction',
+        route: 'vector-extraction',
+        routeReason: extraction.reason,
+        source: { width: Math.round(extraction.width), height: Math.round(extraction.height), format: 'pdf' },
+      };
+    }
+
+    reportStatus('rendering_page');
+    let imageBuffer;
+    try {
+      imageBuffer = await pdfConverter.pdfToImage(pdfBuffer, { page, scale: 2 });
+    } catch (pdfError) {
+      throw new ProcessingError(pdfError.message);
+    }
+
+    const output = await this.traceImage(imageBuffer, settings, control);
+    return {
+      ...output,
+      route: 'trace',
+      routeReason: extraction.reason,
+      source: output.imageBuffer,
+    };
+  }
+
+  /**
+   * Import an uploaded SVG, EPS or Illustrator document
+   * The artwork is already vector, so tracing is skipped and the converted SVG
+   * goes straight to optimization and post-processing for cleanup.
+   * @param {Buffer} buffer - Uploaded document
+   * @param {object} file - Multer file ({ originalname, mimetype })
+   * @param {object} settings - Vectorize request fields
+   * @param {Function} reportStatus - Called with a status string at each stage
+   * @returns {object} Pipeline output plus { route, routeReason, source }
+   */
+  importDocument(buffer, file, settings, reportStatus = () => {}) {
+    reportStatus('importing_vectors');
+    let document;
+    try {
+      document = vectorDocumentConverter.convert(buffer, file);
+    } catch (importError) {
+      throw new ProcessingError(importError.message);
+    }
+
+    const finished = this.finish(document.svg, settings, reportStatus);
+    return {
+      ...finished,
+      processingMethod: document.processingMethod,
+      route: 'vector-import',
+      routeReason: document.reason,
+      source: { width: Math.round(document.width), height: Math.round(document.height), format: document.format },
+    };
+  }
+
+  /**
+   * Build the quality and analysis blocks for a vectorized image
+   * @param {string} svg - Final SVG
+   * @param {Buffer|object} source - Source raster the SVG was traced from, or
+   *   { width, height, format } for documents that were not rasterized
+   * @param {string} method - Requested method id
+   * @param {object} fidelity - Pixel fidelity from vectorizeFile, if the SVG was traced
+   * @param {string} engine - Method that traced the SVG, from traceImage
+   * @returns {Promise<object>} { quality, analysis } where quality.score blends
+   *   the SVG text score with quality.fidelity.score when fidelity is given, and
+   *   analysis.textRegions is only listed for idegy, the one engine that detects text
+   */
+  async describe(svg, source, method, fidelity, engine) {
+    const qualityMetrics = qualityValidator.validateSVG(svg);
+    const score = fidelity ? qualityValidator.combineScores(qualityMetrics.score, fidelity) : qualityMetrics.score;
+    const imageMetadata = Buffer.isBuffer(source) ? await sharp(source).metadata() : source;
+    const sourceComparison = qualityValidator.compareWithSource(imageMetadata, qualityMetrics);
+    const recommendations = qualityValidator.getMethodRecommendations(method, qualityMetrics);
+    const { textRegions, ...analysis } = svgOptimizer.analyze(svg);
+
+    return {
+      quality: {
+        score,
+        rating: qualityMetrics.hasEmbeddedRaster ? qualityMetrics.quality : qualityValidator.rate(score),
+        ...(fidelity && { svgScore: qualityMetrics.score, fidelity }),
+        isTrueVector: qualityMetrics.isTrueVector,
+        hasEmbeddedRaster: qualityMetrics.hasEmbeddedRaster,
+        resolutionIndependent: qualityMetrics.resolutionIndependent,
+        complexity: qualityMetrics.complexity,
+        pathCount: qualityMetrics.pathCount,
+        vectorElements: qualityMetrics.vectorElements,
+        fileSize: qualityMetrics.fileSize,
+        fileSizeKB: (qualityMetrics.fileSize / 1024).toFixed(2),
+        hasColors: qualityMetrics.hasColors,
+        colorCount: qualityMetrics.colorCount,
+        warnings: qualityMetrics.warnings,
+        sourceResolution: sourceComparison.sourceResolution,
+        recommendations: [...sourceComparison.recommendations, ...recommendations],
+      },
+      analysis: engine === 'idegy' ? { ...analysis, textRegions } : analysis,
+    };
+  }
+}
+
+module.exports = new VectorizationService();
+module.exports.SETTING_DEFAULTS = SETTING_DEFAULTS;
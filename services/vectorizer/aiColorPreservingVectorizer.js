@@ -12,12 +12,14 @@
 const sharp = require('sharp');
 const replicateService = require('../replicateService');
 const { JSDOM } = require('jsdom');
+const { DEFAULT_METRIC, distance } = require('../colorScience');
 
 class AIColorPreservingVectorizer {
   constructor(options = {}) {
     this.colorGroupThreshold = options.colorGroupThreshold || 8;
     this.minColorPixels = options.minColorPixels || 50;
     this.edgeThreshold = options.edgeThreshold || 25;
+    this.colorMetric = options.colorMetric || DEFAULT_METRIC;
   }
 
   /**
@@ -25,9 +27,10 @@ class AIColorPreservingVectorizer {
    * @param {Buffer} imageBuffer - Original image
    * @param {Object} options - Options
    * @param {boolean} options.quantizeColors - If true, snap to detected brand colors (good for logos)
+   * @param {AbortSignal} options.signal - Cancels the Replicate prediction
    */
   async vectorize(imageBuffer, options = {}) {
-    const { quantizeColors = true } = options;
+    const { quantizeColors = true, signal } = options;
 
     console.log('[AIColorPreserving] Starting hybrid vectorization...');
 
@@ -57,11 +60,11 @@ class AIColorPreservingVectorizer {
     // Step 4: Vectorize with AI
     console.log('[AIColorPreserving] Running AI vectorization...');
     const dataUri = replicateService.bufferToDataUri(processedBuffer, 'image/png');
-    let svgContent = await replicateService.vectorizeImage(dataUri);
+    let svgContent = await replicateService.vectorizeImage(dataUri, {}, { signal });
 
     // Handle URL response from Replicate
     if (typeof svgContent === 'string' && svgContent.startsWith('http')) {
-      const response = await fetch(svgContent);
+      const response = await fetch(svgContent, { signal });
       svgContent = await response.text();
     }
 
@@ -686,30 +689,7 @@ class AIColorPreservingVectorizer {
   }
 
   colorDistanceLab(c1, c2) {
-    const lab1 = this.rgbToLab(c1.r, c1.g, c1.b);
-    const lab2 = this.rgbToLab(c2.r, c2.g, c2.b);
-    return Math.sqrt(
-      Math.pow(lab1.l - lab2.l, 2) +
-      Math.pow(lab1.a - lab2.a, 2) +
-      Math.pow(lab1.b - lab2.b, 2)
-    );
-  }
-
-  rgbToLab(r, g, b) {
-    let x = r / 255, y = g / 255, z = b / 255;
-    x = x > 0.04045 ? Math.pow((x + 0.055) / 1.055, 2.4) : x / 12.92;
-    y = y > 0.04045 ? Math.pow((y + 0.055) / 1.055, 2.4) : y / 12.92;
-    z = z > 0.04045 ? Math.pow((z + 0.055) / 1.055, 2.4) : z / 12.92;
-
-    x = (x * 0.4124 + y * 0.3576 + z * 0.1805) / 0.95047;
-    y = (x * 0.2126 + y * 0.7152 + z * 0.0722) / 1.00000;
-    z = (x * 0.0193 + y * 0.1192 + z * 0.9505) / 1.08883;
-
-    x = x > 0.008856 ? Math.pow(x, 1/3) : (7.787 * x) + 16/116;
-    y = y > 0.008856 ? Math.pow(y, 1/3) : (7.787 * y) + 16/116;
-    z = z > 0.008856 ? Math.pow(z, 1/3) : (7.787 * z) + 16/116;
-
-    return { l: (116 * y) - 16, a: 500 * (x - y), b: 200 * (y - z) };
+    return distance(c1, c2, this.colorMetric);
   }
 
   rgbToHex(r, g, b) {
@@ -0,0 +1,736 @@
+/**
+ * CENTERLINE VECTORIZER
+ *
+ * Traces the middle of thin strokes instead of their outlines, so line art,
+ * signatures, technical drawings and engravings become open stroked paths
+ * rather than thin filled shapes with two parallel edges.
+ *
+ * Pipeline:
+ * 1. THRESHOLD - Separate ink from paper (Otsu unless a threshold is given)
+ * 2. SKELETONIZE - Zhang-Suen thinning down to one-pixel-wide centerlines
+ * 3. STROKE GRAPH - Split the skeleton at endpoints and junctions, prune spurs
+ * 4. CURVE FITTING - Fit lines and Béziers along each stroke with CurveFitter
+ * 5. SVG GENERATION - Open <path> strokes with estimated width and ink color
+ */
+
+const sharp = require('sharp');
+const CurveFitter = require('./curveFitter');
+
+// Orthogonal neighbors first so walks prefer them over diagonals
+const NEIGHBOR_OFFSETS = [
+  [0, -1], [1, 0], [0, 1], [-1, 0],
+  [1, -1], [1, 1], [-1, 1], [-1, -1],
+];
+
+class CenterlineVectorizer {
+  constructor(options = {}) {
+    this.inkThreshold = options.threshold ?? null; // Luminance 0-255; null picks one with Otsu's method
+    this.maxDimension = options.maxDimension || 2000;
+    this.minStrokeLength = options.minStrokeLength || 3; // Skeleton pixels
+    this.minInkArea = options.minInkArea || 4; // Smaller ink specks are dropped
+    this.smoothing = options.smoothing ?? 1; // Moving-average radius along the skeleton
+    this.precision = options.precision ?? 2;
+
+    this.curveFitter = new CurveFitter({
+      lineTolerance: options.lineTolerance || 0.75,
+      bezierTolerance: options.bezierTolerance || 0.75,
+      cornerThreshold: options.cornerThreshold || 50,
+      allowCircularArc: false,
+      allowEllipticalArc: false,
+    });
+  }
+
+  /**
+   * Vectorize line art as centerline strokes
+   * @param {Buffer} imageBuffer - Input image
+   * @returns {Promise<string>} SVG content
+   */
+  async vectorize(imageBuffer) {
+    const startTime = Date.now();
+    console.log('[CenterlineVectorizer] Starting...');
+
+    const image = await this.loadImage(imageBuffer);
+    const { width, height } = image;
+    console.log(`[CenterlineVectorizer] Working size: ${width}x${height}`);
+
+    const ink = this.extractInk(image);
+    const components = this.labelComponents(ink, width, height);
+    const skeleton = this.thin(ink, width, height);
+    this.restoreDots(skeleton, components, width);
+    const degree = this.skeletonDegrees(skeleton, width, height);
+    const junctions = this.findJunctions(degree, width, height);
+    const strokes = this.traceSkeleton(skeleton, degree, junctions, width, height);
+    console.log(`[CenterlineVectorizer] Traced ${strokes.length} skeleton segments`);
+
+    const measured = this.measureComponents(components, skeleton, degree, image);
+    const pruned = this.pruneStrokes(strokes, components.labels, junctions.clusterOf, measured);
+    const kept = this.mergeStrokes(pruned, width);
+    console.log(`[CenterlineVectorizer] ${kept.length} strokes after pruning`);
+
+    const svg = this.buildSVG(kept, components.labels, measured, image);
+    console.log(`[CenterlineVectorizer] Done in ${Date.now() - startTime}ms`);
+    return svg;
+  }
+
+  /**
+   * Decode to RGB on white, downscaling very large images
+   */
+  async loadImage(imageBuffer) {
+    const meta = await sharp(imageBuffer).metadata();
+    const scale = Math.min(1, this.maxDimension / Math.max(meta.width, meta.height));
+
+    let pipeline = sharp(imageBuffer).flatten({ background: { r: 255, g: 255, b: 255 } });
+    if (scale < 1) {
+      pipeline = pipeline.resize(Math.round(meta.width * scale), Math.round(meta.height * scale));
+    }
+    const { data, info } = await pipeline.removeAlpha().raw().toBuffer({ resolveWithObject: true });
+
+    return {
+      data,
+      channels: info.channels,
+      width: info.width,
+      height: info.height,
+      outputWidth: meta.width,
+      outputHeight: meta.height,
+      // Working pixels to output pixels
+      scale: meta.width / info.width,
+    };
+  }
+
+  /**
+   * Binary ink mask; light-on-dark artwork is inverted so strokes are always ink
+   * @returns {Uint8Array} 1 for ink pixels
+   */
+  extractInk({ data, channels, width, height }) {
+    const size = width * height;
+    const luminance = new Uint8Array(size);
+    let min = 255;
+    let max = 0;
+    for (let i = 0; i < size; i++) {
+      const o = i * channels;
+      const l = Math.round(0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2]);
+      luminance[i] = l;
+      if (l < min) min = l;
+      if (l > max) max = l;
+    }
+
+    const ink = new Uint8Array(size);
+    // A flat image has no strokes to find
+    if (max - min < 32) return ink;
+
+    const threshold = this.inkThreshold ?? this.otsuThreshold(luminance);
+    let count = 0;
+    for (let i = 0; i < size; i++) {
+      if (luminance[i] < threshold) {
+        ink[i] = 1;
+        count++;
+      }
+    }
+
+    if (count > size / 2) {
+      for (let i = 0; i < size; i++) ink[i] ^= 1;
+    }
+    return ink;
+  }
+
+  /**
+   * Otsu's threshold: the split that maximizes between-class variance
+   */
+  otsuThreshold(luminance) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < luminance.length; i++) histogram[luminance[i]]++;
+
+    const total = luminance.length;
+    let sumAll = 0;
+    for (let i = 0; i < 256; i++) sumAll += i * histogram[i];
+
+    let sumBelow = 0;
+    let weightBelow = 0;
+    let best = 0;
+    let threshold = 128;
+    for (let t = 0; t < 256; t++) {
+      weightBelow += histogram[t];
+      if (weightBelow === 0) continue;
+      const weightAbove = total - weightBelow;
+      if (weightAbove === 0) break;
+
+      sumBelow += t * histogram[t];
+      const meanBelow = sumBelow / weightBelow;
+      const meanAbove = (sumAll - sumBelow) / weightAbove;
+      const variance = weightBelow * weightAbove * (meanBelow - meanAbove) ** 2;
+      if (variance > best) {
+        best = variance;
+        threshold = t + 1;
+      }
+    }
+    return threshold;
+  }
+
+  /**
+   * Label 8-connected ink components
+   * @returns {object} { labels, areas } where labels[i] is 0 for paper
+   */
+  labelComponents(ink, width, height) {
+    const labels = new Int32Array(width * height);
+    const areas = [0];
+    const stack = [];
+
+    for (let start = 0; start < ink.length; start++) {
+      if (!ink[start] || labels[start]) continue;
+
+      const label = areas.length;
+      let area = 0;
+      labels[start] = label;
+      stack.push(start);
+
+      while (stack.length > 0) {
+        const i = stack.pop();
+        area++;
+        const x = i % width;
+        const y = (i - x) / width;
+        for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const n = ny * width + nx;
+          if (ink[n] && !labels[n]) {
+            labels[n] = label;
+            stack.push(n);
+          }
+        }
+      }
+      areas.push(area);
+    }
+
+    return { labels, areas };
+  }
+
+  /**
+   * Zhang-Suen thinning followed by removal of staircase pixels, leaving a
+   * skeleton where path pixels have exactly two neighbors
+   * @returns {Uint8Array} 1 for skeleton pixels
+   */
+  thin(ink, width, height) {
+    const img = Uint8Array.from(ink);
+
+    // Border pixels lack a full neighborhood; clearing them keeps the scans bounds-free
+    for (let x = 0; x < width; x++) {
+      img[x] = 0;
+      img[(height - 1) * width + x] = 0;
+    }
+    for (let y = 0; y < height; y++) {
+      img[y * width] = 0;
+      img[y * width + width - 1] = 0;
+    }
+
+    const toClear = [];
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (let step = 0; step < 2; step++) {
+        toClear.length = 0;
+        for (let y = 1; y < height - 1; y++) {
+          for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            if (!img[i]) continue;
+
+            const p2 = img[i - width];
+            const p3 = img[i - width + 1];
+            const p4 = img[i + 1];
+            const p5 = img[i + width + 1];
+            const p6 = img[i + width];
+            const p7 = img[i + width - 1];
+            const p8 = img[i - 1];
+            const p9 = img[i - width - 1];
+
+            const neighbors = p2 + p3 + p4 + p5 + p6 + p7 + p8 + p9;
+            if (neighbors < 2 || neighbors > 6) continue;
+
+            const transitions = (!p2 && p3) + (!p3 && p4) + (!p4 && p5) + (!p5 && p6)
+              + (!p6 && p7) + (!p7 && p8) + (!p8 && p9) + (!p9 && p2);
+            if (transitions !== 1) continue;
+
+            if (step === 0) {
+              if (p2 && p4 && p6) continue;
+              if (p4 && p6 && p8) continue;
+            } else {
+              if (p2 && p4 && p8) continue;
+              if (p2 && p6 && p8) continue;
+            }
+            toClear.push(i);
+          }
+        }
+
+        for (const i of toClear) img[i] = 0;
+        if (toClear.length > 0) changed = true;
+      }
+    }
+
+    // A pixel with two orthogonal neighbors that touch each other diagonally is
+    // redundant unless it also connects the opposite diagonal
+    const corners = [
+      [-width, 1, width - 1], // N, E, SW
+      [1, width, -width - 1], // E, S, NW
+      [width, -1, -width + 1], // S, W, NE
+      [-1, -width, width + 1], // W, N, SE
+    ];
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        if (!img[i]) continue;
+        for (const [a, b, opposite] of corners) {
+          if (img[i + a] && img[i + b] && !img[i + opposite]) {
+            img[i] = 0;
+            break;
+          }
+        }
+      }
+    }
+
+    return img;
+  }
+
+  /**
+   * Thinning can erase small round blobs entirely; put back the pixel
+   * nearest the centroid of each component left without a skeleton so dots
+   * (the tittle of an i, a full stop) survive
+   */
+  restoreDots(skeleton, { labels, areas }, width) {
+    const hasSkeleton = new Uint8Array(areas.length);
+    for (let i = 0; i < skeleton.length; i++) {
+      if (skeleton[i]) hasSkeleton[labels[i]] = 1;
+    }
+
+    const sums = new Map();
+    for (let i = 0; i < labels.length; i++) {
+      const label = labels[i];
+      if (!label || hasSkeleton[label]) continue;
+      const sum = sums.get(label) || { x: 0, y: 0, pixels: [] };
+      sum.x += i % width;
+      sum.y += Math.floor(i / width);
+      sum.pixels.push(i);
+      sums.set(label, sum);
+    }
+
+    for (const { x, y, pixels } of sums.values()) {
+      const cx = x / pixels.length;
+      const cy = y / pixels.length;
+      let nearest = pixels[0];
+      let nearestDistance = Infinity;
+      for (const i of pixels) {
+        const distance = ((i % width) - cx) ** 2 + (Math.floor(i / width) - cy) ** 2;
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = i;
+        }
+      }
+      skeleton[nearest] = 1;
+    }
+  }
+
+  /**
+   * Skeleton neighbors of a pixel, orthogonal first
+   */
+  neighborsOf(skeleton, i, width, height) {
+    const x = i % width;
+    const y = (i - x) / width;
+    const result = [];
+    for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+      const n = ny * width + nx;
+      if (skeleton[n]) result.push(n);
+    }
+    return result;
+  }
+
+  /**
+   * Number of skeleton neighbors of every skeleton pixel
+   * 1 marks a dead end, 2 a pixel along a stroke and 3 or more a junction.
+   */
+  skeletonDegrees(skeleton, width, height) {
+    const degree = new Uint8Array(skeleton.length);
+    for (let i = 0; i < skeleton.length; i++) {
+      if (skeleton[i]) degree[i] = this.neighborsOf(skeleton, i, width, height).length;
+    }
+    return degree;
+  }
+
+  /**
+   * Group adjacent junction pixels; strokes meeting at a junction are
+   * anchored at the centroid of its group so they join at one point
+   * @returns {object} { clusterOf, centroids } where clusterOf[i] is 0 off junctions
+   */
+  findJunctions(degree, width, height) {
+    const clusterOf = new Int32Array(degree.length);
+    const centroids = [null];
+    const stack = [];
+
+    for (let start = 0; start < degree.length; start++) {
+      if (degree[start] < 3 || clusterOf[start]) continue;
+
+      const cluster = centroids.length;
+      let sumX = 0;
+      let sumY = 0;
+      let count = 0;
+      clusterOf[start] = cluster;
+      stack.push(start);
+
+      while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % width;
+        const y = (i - x) / width;
+        sumX += x + 0.5;
+        sumY += y + 0.5;
+        count++;
+        for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const n = ny * width + nx;
+          if (degree[n] >= 3 && !clusterOf[n]) {
+            clusterOf[n] = cluster;
+            stack.push(n);
+          }
+        }
+      }
+      centroids.push({ x: sumX / count, y: sumY / count });
+    }
+
+    return { clusterOf, centroids };
+  }
+
+  /**
+   * Split the skeleton into strokes running between endpoints and junctions;
+   * rings without either become closed strokes
+   * @returns {Array} [{ pixels, closed, start, end }] where start and end are
+   *   { degree, cluster, anchor } for the pixel the stroke ends on
+   */
+  traceSkeleton(skeleton, degree, junctions, width, height) {
+    const { clusterOf, centroids } = junctions;
+    const isNode = i => degree[i] !== 2;
+    const visited = new Uint8Array(skeleton.length);
+    const nodeLinks = new Set();
+    const strokes = [];
+
+    const endOf = pixel => ({
+      degree: degree[pixel],
+      cluster: clusterOf[pixel],
+      anchor: centroids[clusterOf[pixel]],
+    });
+    const stroke = (pixels, closed = false) => ({
+      pixels,
+      closed,
+      start: endOf(pixels[0]),
+      end: endOf(pixels[pixels.length - 1]),
+    });
+
+    for (let node = 0; node < skeleton.length; node++) {
+      if (!skeleton[node] || !isNode(node)) continue;
+
+      if (degree[node] === 0) {
+        strokes.push(stroke([node]));
+        continue;
+      }
+
+      for (const first of this.neighborsOf(skeleton, node, width, height)) {
+        if (isNode(first)) {
+          const key = node < first ? `${node},${first}` : `${first},${node}`;
+          if (!nodeLinks.has(key)) {
+            nodeLinks.add(key);
+            strokes.push(stroke([node, first]));
+          }
+          continue;
+        }
+        if (visited[first]) continue;
+
+        const pixels = [node];
+        let prev = node;
+        let cur = first;
+        while (true) {
+          pixels.push(cur);
+          if (isNode(cur)) break;
+          visited[cur] = 1;
+
+          const next = this.neighborsOf(skeleton, cur, width, height)
+            .find(n => n !== prev && (isNode(n) || !visited[n]));
+          if (next === undefined) break;
+          prev = cur;
+          cur = next;
+        }
+        strokes.push(stroke(pixels));
+      }
+    }
+
+    // Whatever is left forms rings with no endpoints or junctions
+    for (let start = 0; start < skeleton.length; start++) {
+      if (!skeleton[start] || isNode(start) || visited[start]) continue;
+
+      const pixels = [start];
+      visited[start] = 1;
+      let prev = -1;
+      let cur = start;
+      while (true) {
+        const next = this.neighborsOf(skeleton, cur, width, height)
+          .find(n => n !== prev && !visited[n]);
+        if (next === undefined) break;
+        visited[next] = 1;
+        pixels.push(next);
+        prev = cur;
+        cur = next;
+      }
+      pixels.push(start);
+      strokes.push(stroke(pixels, true));
+    }
+
+    return strokes;
+  }
+
+  /**
+   * Stroke width and ink color for each component
+   * Width comes from ink area over centerline length. The skeleton stops
+   * about half a width short of each dead end, so the area of those caps is
+   * solved for as well: area = width * length + deadEnds * width^2 / 2.
+   * @returns {Map} label -> { area, width, color }
+   */
+  measureComponents({ labels, areas }, skeleton, degree, { data, channels }) {
+    const totals = new Map();
+    for (let i = 0; i < skeleton.length; i++) {
+      if (!skeleton[i]) continue;
+      const label = labels[i];
+      const total = totals.get(label) || { length: 0, deadEnds: 0, r: 0, g: 0, b: 0 };
+      const o = i * channels;
+      total.length++;
+      if (degree[i] === 1) total.deadEnds++;
+      total.r += data[o];
+      total.g += data[o + 1];
+      total.b += data[o + 2];
+      totals.set(label, total);
+    }
+
+    const measured = new Map();
+    for (const [label, total] of totals) {
+      const area = areas[label];
+      const { length, deadEnds } = total;
+      let width = area / length;
+      if (length === 1) {
+        // A dot: the diameter of a disc of the same area
+        width = 2 * Math.sqrt(area / Math.PI);
+      } else if (deadEnds > 0) {
+        width = (Math.sqrt(length * length + 2 * deadEnds * area) - length) / deadEnds;
+      }
+      const hex = [total.r, total.g, total.b]
+        .map(sum => Math.round(sum / length).toString(16).padStart(2, '0'))
+        .join('');
+
+      measured.set(label, { area, width: Math.max(1, width), color: `#${hex}` });
+    }
+    return measured;
+  }
+
+  /**
+   * Drop specks, junction connectors and spurs
+   * Thinning grows short spurs towards the corners of thick strokes; any
+   * dead end shorter than the stroke is wide is treated as one.
+   */
+  pruneStrokes(strokes, labels, clusterOf, measured) {
+    return strokes.filter(({ pixels, start, end }) => {
+      const component = measured.get(labels[pixels[0]]);
+      if (!component || component.area < this.minInkArea) return false;
+
+      // Links between pixels of the same junction
+      if (pixels.every(i => clusterOf[i])) return false;
+
+      const deadEnds = (start.degree === 1) + (end.degree === 1);
+      if (deadEnds === 1) {
+        return pixels.length >= Math.max(this.minStrokeLength, component.width);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Join strokes through junctions
+   * Where only two strokes meet they are joined outright; elsewhere the
+   * pair that continues most nearly straight through is joined, so crossing
+   * lines stay single strokes while the stem of a T stays separate.
+   */
+  mergeStrokes(strokes, width) {
+    const passes = new Map();
+    let merged = true;
+
+    while (merged) {
+      merged = false;
+
+      const ends = new Map();
+      for (const stroke of strokes) {
+        if (stroke.closed) continue;
+        for (const atStart of [true, false]) {
+          const { cluster } = atStart ? stroke.start : stroke.end;
+          if (!cluster) continue;
+          if (!ends.has(cluster)) ends.set(cluster, []);
+          ends.get(cluster).push({ stroke, atStart });
+        }
+      }
+
+      for (const [cluster, arms] of ends) {
+        if (arms.length < 2) continue;
+
+        const pair = arms.length === 2 && !passes.has(cluster)
+          ? arms
+          : this.straightestPair(arms, width);
+        if (!pair) continue;
+
+        const [a, b] = pair;
+        if (a.stroke === b.stroke) {
+          a.stroke.closed = true;
+        } else {
+          // a runs into the junction, b runs out of it
+          if (a.atStart) this.reverseStroke(a.stroke);
+          if (!b.atStart) this.reverseStroke(b.stroke);
+          const joint = b.stroke.pixels[0] === a.stroke.pixels[a.stroke.pixels.length - 1] ? 1 : 0;
+          a.stroke.pixels = [...a.stroke.pixels, ...b.stroke.pixels.slice(joint)];
+          a.stroke.end = b.stroke.end;
+          strokes.splice(strokes.indexOf(b.stroke), 1);
+        }
+
+        passes.set(cluster, (passes.get(cluster) || 0) + 1);
+        merged = true;
+        break;
+      }
+    }
+    return strokes;
+  }
+
+  /**
+   * The two arms at a junction that leave it in the most nearly opposite
+   * directions, or null when no pair bends by less than about 45 degrees
+   */
+  straightestPair(arms, width) {
+    const directions = arms.map(({ stroke, atStart }) => {
+      const { pixels } = stroke;
+      const reach = Math.min(6, pixels.length - 1);
+      const from = atStart ? pixels[0] : pixels[pixels.length - 1];
+      const to = atStart ? pixels[reach] : pixels[pixels.length - 1 - reach];
+      return {
+        dx: (to % width) - (from % width),
+        dy: Math.floor(to / width) - Math.floor(from / width),
+      };
+    });
+
+    let best = null;
+    let bestDot = -Math.SQRT1_2;
+    for (let i = 0; i < arms.length; i++) {
+      for (let j = i + 1; j < arms.length; j++) {
+        const a = directions[i];
+        const b = directions[j];
+        const lengths = Math.hypot(a.dx, a.dy) * Math.hypot(b.dx, b.dy);
+        if (lengths === 0) continue;
+        const dot = (a.dx * b.dx + a.dy * b.dy) / lengths;
+        if (dot < bestDot) {
+          bestDot = dot;
+          best = [arms[i], arms[j]];
+        }
+      }
+    }
+    return best;
+  }
+
+  reverseStroke(stroke) {
+    stroke.pixels.reverse();
+    [stroke.start, stroke.end] = [stroke.end, stroke.start];
+  }
+
+  /**
+   * Pixel centers along a stroke in output coordinates, lightly smoothed to
+   * remove the skeleton's staircase; ends on a junction move to its centroid
+   */
+  strokePoints({ pixels, closed, start, end }, { width, scale }) {
+    const raw = pixels.map(i => ({ x: (i % width) + 0.5, y: Math.floor(i / width) + 0.5 }));
+    if (!closed && raw.length > 1) {
+      if (start.anchor) raw[0] = start.anchor;
+      if (end.anchor) raw[raw.length - 1] = end.anchor;
+    }
+
+    const radius = this.smoothing;
+    if (radius < 1 || raw.length < 3) {
+      return raw.map(p => ({ x: p.x * scale, y: p.y * scale }));
+    }
+
+    // Closed rings repeat their first pixel at the end
+    const ring = closed ? raw.slice(0, -1) : raw;
+    const n = ring.length;
+    const smoothed = ring.map((point, i) => {
+      if (!closed && (i === 0 || i === n - 1)) return point;
+      let x = 0;
+      let y = 0;
+      let count = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const j = closed ? (i + k + n) % n : Math.min(n - 1, Math.max(0, i + k));
+        x += ring[j].x;
+        y += ring[j].y;
+        count++;
+      }
+      return { x: x / count, y: y / count };
+    });
+    if (closed) smoothed.push(smoothed[0]);
+
+    return smoothed.map(p => ({ x: p.x * scale, y: p.y * scale }));
+  }
+
+  /**
+   * Path data for a fitted stroke
+   */
+  strokePath(points, closed) {
+    const fmt = n => Number(n.toFixed(this.precision));
+    const start = points[0];
+    const parts = [`M${fmt(start.x)} ${fmt(start.y)}`];
+
+    if (points.length === 1) {
+      // Zero-length segment; the round cap draws it as a dot
+      parts.push('h0');
+      return parts.join('');
+    }
+
+    for (const curve of this.curveFitter.fitOpenCurves(points)) {
+      switch (curve.type) {
+        case 'quadratic':
+          parts.push(`Q${fmt(curve.cp.x)} ${fmt(curve.cp.y)} ${fmt(curve.end.x)} ${fmt(curve.end.y)}`);
+          break;
+        case 'cubic':
+          parts.push(`C${fmt(curve.cp1.x)} ${fmt(curve.cp1.y)} ${fmt(curve.cp2.x)} ${fmt(curve.cp2.y)} ${fmt(curve.end.x)} ${fmt(curve.end.y)}`);
+          break;
+        default:
+          parts.push(`L${fmt(curve.end.x)} ${fmt(curve.end.y)}`);
+      }
+    }
+    if (closed) parts.push('Z');
+
+    return parts.join('');
+  }
+
+  /**
+   * Build the SVG document of open stroked paths
+   */
+  buildSVG(strokes, labels, measured, image) {
+    const { outputWidth, outputHeight, scale } = image;
+    const fmt = n => Number(n.toFixed(this.precision));
+
+    const paths = strokes.map((stroke) => {
+      const { width, color } = measured.get(labels[stroke.pixels[0]]);
+      const d = this.strokePath(this.strokePoints(stroke, image), stroke.closed);
+      return `<path d="${d}" stroke="${color}" stroke-width="${fmt(width * scale)}"/>`;
+    });
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">`,
+      '<g fill="none" stroke-linecap="round" stroke-linejoin="round">',
+      ...paths,
+      '</g>',
+      '</svg>',
+    ].join('\n');
+  }
+}
+
+module.exports = CenterlineVectorizer;
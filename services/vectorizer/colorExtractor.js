@@ -16,6 +16,7 @@
  */
 
 const sharp = require('sharp');
+const { DEFAULT_METRIC, distance } = require('../colorScience');
 
 class ColorExtractor {
   constructor(options = {}) {
@@ -30,6 +31,9 @@ class ColorExtractor {
 
     // Minimum region area to keep (prevents noise)
     this.minRegionArea = options.minRegionArea || 4;
+
+    // Metric the thresholds above are measured in
+    this.colorMetric = options.colorMetric || DEFAULT_METRIC;
   }
 
   /**
@@ -297,57 +301,10 @@ class ColorExtractor {
   }
 
   /**
-   * Calculate perceptual color distance (CIE76 approximation)
-   * Uses LAB color space for perceptually uniform distance
+   * Calculate perceptual color distance in the configured metric
    */
   colorDistance(c1, c2) {
-    // Convert to LAB
-    const lab1 = this.rgbToLab(c1.r, c1.g, c1.b);
-    const lab2 = this.rgbToLab(c2.r, c2.g, c2.b);
-
-    // Euclidean distance in LAB space
-    const dL = lab1.L - lab2.L;
-    const da = lab1.a - lab2.a;
-    const db = lab1.b - lab2.b;
-
-    return Math.sqrt(dL * dL + da * da + db * db);
-  }
-
-  /**
-   * Convert RGB to LAB color space
-   */
-  rgbToLab(r, g, b) {
-    // RGB to XYZ
-    let rr = r / 255;
-    let gg = g / 255;
-    let bb = b / 255;
-
-    rr = rr > 0.04045 ? Math.pow((rr + 0.055) / 1.055, 2.4) : rr / 12.92;
-    gg = gg > 0.04045 ? Math.pow((gg + 0.055) / 1.055, 2.4) : gg / 12.92;
-    bb = bb > 0.04045 ? Math.pow((bb + 0.055) / 1.055, 2.4) : bb / 12.92;
-
-    rr *= 100;
-    gg *= 100;
-    bb *= 100;
-
-    const x = rr * 0.4124 + gg * 0.3576 + bb * 0.1805;
-    const y = rr * 0.2126 + gg * 0.7152 + bb * 0.0722;
-    const z = rr * 0.0193 + gg * 0.1192 + bb * 0.9505;
-
-    // XYZ to LAB (D65 illuminant)
-    let xx = x / 95.047;
-    let yy = y / 100.000;
-    let zz = z / 108.883;
-
-    xx = xx > 0.008856 ? Math.pow(xx, 1/3) : (7.787 * xx) + (16 / 116);
-    yy = yy > 0.008856 ? Math.pow(yy, 1/3) : (7.787 * yy) + (16 / 116);
-    zz = zz > 0.008856 ? Math.pow(zz, 1/3) : (7.787 * zz) + (16 / 116);
-
-    return {
-      L: (116 * yy) - 16,
-      a: 500 * (xx - yy),
-      b: 200 * (yy - zz)
-    };
+    return distance(c1, c2, this.colorMetric);
   }
 
   /**
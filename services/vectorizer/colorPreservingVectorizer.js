@@ -8,11 +8,18 @@
  * 4. Build SVG with proper layer stacking
  *
  * This preserves original brand colors while producing smooth vector output.
+ *
+ * With topology 'planar' each pixel goes to its nearest color and the result
+ * is traced as one planar map instead of one Potrace layer per color, so
+ * neighboring regions share their boundary curves exactly.
  */
 
 const sharp = require('sharp');
 const potrace = require('potrace');
 const { promisify } = require('util');
+const PlanarMapTracer = require('./planarMapTracer');
+const SVGBuilder = require('./svgBuilder');
+const { DEFAULT_METRIC, coordinates, difference, distance } = require('../colorScience');
 
 const potraceTrace = promisify(potrace.trace);
 
@@ -22,6 +29,7 @@ class ColorPreservingVectorizer {
     this.edgeThreshold = options.edgeThreshold || 25; // Higher = less edge pixels = more colors captured
     this.colorGroupThreshold = options.colorGroupThreshold || 12; // Balance between preserving distinct colors and merging JPEG variants
     this.minColorPixels = options.minColorPixels || 10; // Capture small details but filter noise
+    this.colorMetric = options.colorMetric || DEFAULT_METRIC; // cie76, cie94, ciede2000 or oklab for every color comparison
 
     // Potrace settings for smooth curves while preserving detail
     this.potraceOptions = {
@@ -31,12 +39,20 @@ class ColorPreservingVectorizer {
       alphaMax: 1.0,
       optTolerance: 0.2,
     };
+
+    // Anti-aliasing specks merge into a neighbor; a planar map cannot leave
+    // them as holes the way dropped Potrace specks are
+    this.planarMapTracer = new PlanarMapTracer({ minRegionArea: 4 });
   }
 
   /**
    * Vectorize an image while preserving exact colors
+   * @param {Buffer} imageBuffer - Input image
+   * @param {object} options - { topology } 'stacked' (default) or 'planar'
    */
-  async vectorize(imageBuffer) {
+  async vectorize(imageBuffer, options = {}) {
+    const { topology = 'stacked' } = options;
+
     console.log('[ColorPreserving] Starting vectorization...');
 
     // Step 1: Extract exact colors from the image
@@ -57,12 +73,18 @@ class ColorPreservingVectorizer {
       return this.colorDistanceLab(c, bgColor) >= 5;
     });
 
-    // Step 4: Trace each color with Potrace
-    const colorLayers = [];
-
     // Include background color in "other colors" list for mask calculation
     const allColors = bgColor ? [...fgColors, bgColor] : fgColors;
 
+    if (topology === 'planar') {
+      const svg = this.tracePlanarMap(pixels, width, height, allColors);
+      console.log('[ColorPreserving] Generated planar map SVG');
+      return svg;
+    }
+
+    // Step 4: Trace each color with Potrace
+    const colorLayers = [];
+
     for (const color of fgColors) {
       console.log(`[ColorPreserving] Tracing color ${color.hex}...`);
 
@@ -236,6 +258,40 @@ class ColorPreservingVectorizer {
       .toBuffer();
   }
 
+  /**
+   * Trace the image as a planar map, every opaque pixel labeled with its
+   * nearest color so the regions cover the image with no gaps
+   */
+  tracePlanarMap(pixels, width, height, colors) {
+    const targets = colors.map(c => coordinates(c, this.colorMetric));
+    const labels = new Int32Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = pixels[y][x];
+        if (pixel.a < 128) {
+          labels[y * width + x] = -1;
+          continue;
+        }
+
+        const point = coordinates(pixel, this.colorMetric);
+        let nearest = 0;
+        let minDist = Infinity;
+        targets.forEach((c, i) => {
+          const dist = difference(point, c, this.colorMetric);
+          if (dist < minDist) {
+            minDist = dist;
+            nearest = i;
+          }
+        });
+        labels[y * width + x] = nearest;
+      }
+    }
+
+    const regions = this.planarMapTracer.trace({ width, height, labels, colors });
+    return new SVGBuilder({ gapFiller: false, shapeStacking: 'stacked' }).build(regions, width, height);
+  }
+
   /**
    * Trace a binary mask with Potrace
    */
@@ -566,46 +622,7 @@ class ColorPreservingVectorizer {
   }
 
   colorDistanceLab(c1, c2) {
-    const lab1 = this.rgbToLab(c1.r, c1.g, c1.b);
-    const lab2 = this.rgbToLab(c2.r, c2.g, c2.b);
-
-    const dL = lab1.L - lab2.L;
-    const da = lab1.a - lab2.a;
-    const db = lab1.b - lab2.b;
-
-    return Math.sqrt(dL * dL + da * da + db * db);
-  }
-
-  rgbToLab(r, g, b) {
-    let rr = r / 255;
-    let gg = g / 255;
-    let bb = b / 255;
-
-    rr = rr > 0.04045 ? Math.pow((rr + 0.055) / 1.055, 2.4) : rr / 12.92;
-    gg = gg > 0.04045 ? Math.pow((gg + 0.055) / 1.055, 2.4) : gg / 12.92;
-    bb = bb > 0.04045 ? Math.pow((bb + 0.055) / 1.055, 2.4) : bb / 12.92;
-
-    rr *= 100;
-    gg *= 100;
-    bb *= 100;
-
-    const x = rr * 0.4124 + gg * 0.3576 + bb * 0.1805;
-    const y = rr * 0.2126 + gg * 0.7152 + bb * 0.0722;
-    const z = rr * 0.0193 + gg * 0.1192 + bb * 0.9505;
-
-    let xx = x / 95.047;
-    let yy = y / 100.000;
-    let zz = z / 108.883;
-
-    xx = xx > 0.008856 ? Math.pow(xx, 1 / 3) : (7.787 * xx) + (16 / 116);
-    yy = yy > 0.008856 ? Math.pow(yy, 1 / 3) : (7.787 * yy) + (16 / 116);
-    zz = zz > 0.008856 ? Math.pow(zz, 1 / 3) : (7.787 * zz) + (16 / 116);
-
-    return {
-      L: (116 * yy) - 16,
-      a: 500 * (xx - yy),
-      b: 200 * (yy - zz)
-    };
+    return distance(c1, c2, this.colorMetric);
   }
 
   rgbToHex(r, g, b) {
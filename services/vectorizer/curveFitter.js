@@ -64,10 +64,48 @@ class CurveFitter {
     return curves;
   }
 
+  /**
+   * Fit curves to an open path such as a stroke centerline
+   * Unlike fitCurves the path does not wrap around, and spans whose best fit
+   * is still outside tolerance are split until they fit.
+   * @param {Array} points - Array of {x, y} points from start to end
+   * @returns {Array} Array of curve segments
+   */
+  fitOpenCurves(points) {
+    if (points.length < 2) return [];
+
+    const corners = this.detectCorners(points, { closed: false });
+    const curves = [];
+    for (let i = 0; i < corners.length - 1; i++) {
+      curves.push(...this.fitWithinTolerance(points.slice(corners[i], corners[i + 1] + 1)));
+    }
+
+    return curves;
+  }
+
+  /**
+   * Fit one span, halving it while the best curve exceeds its tolerance
+   */
+  fitWithinTolerance(points) {
+    const curve = this.fitBestCurve(points);
+    const tolerance = curve.type === 'line' ? this.lineTolerance : this.maxError;
+    if (curve.error <= tolerance || points.length < 4) {
+      return [curve];
+    }
+
+    const mid = Math.floor(points.length / 2);
+    return [
+      ...this.fitWithinTolerance(points.slice(0, mid + 1)),
+      ...this.fitWithinTolerance(points.slice(mid)),
+    ];
+  }
+
   /**
    * Detect corners in the contour
+   * @param {Array} points - Contour points
+   * @param {object} options - { closed } false for open paths, which always end with the last index
    */
-  detectCorners(points) {
+  detectCorners(points, { closed = true } = {}) {
     const corners = [0]; // Always include start point
     const n = points.length;
 
@@ -84,7 +122,7 @@ class CurveFitter {
     }
 
     // Check wrap-around corner
-    if (n >= 3) {
+    if (closed && n >= 3) {
       const angle = this.calculateAngle(
         points[n - 2],
         points[n - 1],
@@ -106,6 +144,15 @@ class CurveFitter {
       }
     }
 
+    if (!closed && n > 1) {
+      // A short last span is absorbed by the one before it
+      if (filtered.length > 1 && n - 1 - filtered[filtered.length - 1] < minSegmentLength) {
+        filtered[filtered.length - 1] = n - 1;
+      } else {
+        filtered.push(n - 1);
+      }
+    }
+
     return filtered.length > 0 ? filtered : [0];
   }
 
@@ -304,8 +351,8 @@ class CurveFitter {
     const A = [];
     for (let i = 0; i < n; i++) {
       const t = u[i];
-      const b1 = this.bernsteinBasis(1, t) * 3;
-      const b2 = this.bernsteinBasis(2, t) * 3;
+      const b1 = this.bernsteinBasis(1, t);
+      const b2 = this.bernsteinBasis(2, t);
       A.push([
         { x: tHat1.x * b1, y: tHat1.y * b1 },
         { x: tHat2.x * b2, y: tHat2.y * b2 }
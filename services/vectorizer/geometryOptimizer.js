@@ -13,6 +13,7 @@
  * 1. Corner sharpening (snap to common angles: 90°, 45°, 60°, etc.)
  * 2. Line straightening (detect and fix nearly-straight segments)
  * 3. Alignment detection (snap to horizontal/vertical)
+ * 4. Lettering cleanup (straight stems, square bowls, even stem widths)
  */
 
 class GeometryOptimizer {
@@ -28,6 +29,12 @@ class GeometryOptimizer {
     // Horizontal/vertical snap tolerance (degrees)
     this.hvSnapTolerance = options.hvSnapTolerance || 3;
 
+    // Horizontal/vertical snap tolerance for lettering (degrees)
+    this.textSnapTolerance = options.textSnapTolerance || 8;
+
+    // Stems within this fraction of a text line's median stem width are evened out
+    this.stemTolerance = options.stemTolerance || 0.15;
+
     // Common angles to snap to (degrees)
     this.snapAngles = [0, 30, 45, 60, 90, 120, 135, 150, 180];
   }
@@ -84,6 +91,184 @@ class GeometryOptimizer {
     return optimized;
   }
 
+  /**
+   * Strict optimization for lettering
+   * Glyphs are drawn from straight stems and symmetric bowls, so stems snap
+   * to exact horizontals/verticals and bowl handles are squared up at their
+   * extrema. Unlike snapToHV, moved points stay joined to their neighbors.
+   */
+  optimizeText(curves) {
+    if (!curves || curves.length === 0) return curves;
+
+    let optimized = this.straightenLines(curves, this.lineSnapTolerance * 0.3);
+    optimized = this.alignStems(optimized);
+    optimized = this.squareBowls(optimized);
+
+    return optimized;
+  }
+
+  /**
+   * Snap near-horizontal/vertical lines, moving the joints they share with
+   * their neighbors along with them
+   */
+  alignStems(curves, tolerance = this.textSnapTolerance) {
+    for (let i = 0; i < curves.length; i++) {
+      const curve = curves[i];
+      if (curve.type !== 'line') continue;
+
+      const angle = Math.abs(Math.atan2(curve.end.y - curve.start.y, curve.end.x - curve.start.x) * 180 / Math.PI);
+
+      if (Math.min(angle, 180 - angle) <= tolerance) {
+        const y = (curve.start.y + curve.end.y) / 2;
+        this.moveEndpoint(curves, i, 'start', curve.start.x, y);
+        this.moveEndpoint(curves, i, 'end', curve.end.x, y);
+      } else if (Math.abs(angle - 90) <= tolerance) {
+        const x = (curve.start.x + curve.end.x) / 2;
+        this.moveEndpoint(curves, i, 'start', x, curve.start.y);
+        this.moveEndpoint(curves, i, 'end', x, curve.end.y);
+      }
+    }
+
+    return curves;
+  }
+
+  /**
+   * Point cubic handles that are nearly horizontal/vertical exactly along
+   * the axis, and give a quarter bowl (one horizontal and one vertical
+   * handle) handles of the same relative length so it is symmetric
+   */
+  squareBowls(curves, tolerance = this.textSnapTolerance) {
+    for (const curve of curves) {
+      if (curve.type !== 'cubic') continue;
+
+      const h1 = this.axisHandle(curve.start, curve.cp1, tolerance);
+      const h2 = this.axisHandle(curve.end, curve.cp2, tolerance);
+      if (h1) curve.cp1 = this.handlePoint(curve.start, h1, h1.length);
+      if (h2) curve.cp2 = this.handlePoint(curve.end, h2, h2.length);
+
+      if (h1 && h2 && h1.axis !== h2.axis) {
+        const span1 = Math.abs(curve.end[h1.axis] - curve.start[h1.axis]);
+        const span2 = Math.abs(curve.end[h2.axis] - curve.start[h2.axis]);
+        if (span1 > 0 && span2 > 0) {
+          const ratio = (h1.length / span1 + h2.length / span2) / 2;
+          curve.cp1 = this.handlePoint(curve.start, h1, ratio * span1);
+          curve.cp2 = this.handlePoint(curve.end, h2, ratio * span2);
+        }
+      }
+    }
+
+    return curves;
+  }
+
+  /**
+   * Axis ('x' or 'y'), direction and length of a handle within tolerance
+   * of horizontal/vertical, or null
+   */
+  axisHandle(anchor, handle, tolerance) {
+    const dx = handle.x - anchor.x;
+    const dy = handle.y - anchor.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length < 1e-6) return null;
+
+    const angle = Math.abs(Math.atan2(dy, dx) * 180 / Math.PI);
+    if (Math.min(angle, 180 - angle) <= tolerance) {
+      return { axis: 'x', sign: Math.sign(dx), length };
+    }
+    if (Math.abs(angle - 90) <= tolerance) {
+      return { axis: 'y', sign: Math.sign(dy), length };
+    }
+    return null;
+  }
+
+  handlePoint(anchor, handle, length) {
+    return handle.axis === 'x'
+      ? { x: anchor.x + handle.sign * length, y: anchor.y }
+      : { x: anchor.x, y: anchor.y + handle.sign * length };
+  }
+
+  /**
+   * Even out the vertical stems across one line of text
+   * A stem is a vertical line facing the nearest opposite-running vertical
+   * line to its right in the same outline; stems close to the median width
+   * get exactly that width by moving their right edge.
+   * @param {Array<Array>} outlines - Curves of each glyph outline in the line
+   */
+  equalizeStems(outlines, tolerance = this.stemTolerance) {
+    const stems = [];
+
+    for (const curves of outlines) {
+      const verticals = [];
+      curves.forEach((curve, index) => {
+        if (curve.type === 'line' && curve.start.x === curve.end.x && curve.start.y !== curve.end.y) {
+          verticals.push({ index, x: curve.start.x, y1: Math.min(curve.start.y, curve.end.y), y2: Math.max(curve.start.y, curve.end.y), down: curve.end.y > curve.start.y });
+        }
+      });
+
+      for (const left of verticals) {
+        let best = null;
+        for (const right of verticals) {
+          const width = right.x - left.x;
+          if (width <= 0 || right.down === left.down) continue;
+          const overlap = Math.min(left.y2, right.y2) - Math.max(left.y1, right.y1);
+          if (overlap < width || overlap < Math.min(left.y2 - left.y1, right.y2 - right.y1) * 0.5) continue;
+          if (!best || width < best.width) best = { right, width };
+        }
+        if (best) stems.push({ curves, left, right: best.right, width: best.width });
+      }
+    }
+
+    if (stems.length < 2) return outlines;
+
+    const widths = stems.map(stem => stem.width).sort((a, b) => a - b);
+    const median = widths[Math.floor(widths.length / 2)];
+
+    for (const { curves, left, right, width } of stems) {
+      if (width === median || Math.abs(width - median) > median * tolerance) continue;
+      const x = left.x + median;
+      const curve = curves[right.index];
+      this.moveEndpoint(curves, right.index, 'start', x, curve.start.y);
+      this.moveEndpoint(curves, right.index, 'end', x, curve.end.y);
+      right.x = x;
+    }
+
+    return outlines;
+  }
+
+  /**
+   * Move one endpoint of a curve, together with the neighboring curve's
+   * endpoint joined to it; cubic handles at the joint move along so the
+   * tangents are kept
+   */
+  moveEndpoint(curves, index, side, x, y) {
+    const curve = curves[index];
+    const neighborIndex = side === 'start'
+      ? (index - 1 + curves.length) % curves.length
+      : (index + 1) % curves.length;
+    const neighbor = curves[neighborIndex];
+    const neighborSide = side === 'start' ? 'end' : 'start';
+
+    const old = curve[side];
+    const dx = x - old.x;
+    const dy = y - old.y;
+    if (dx === 0 && dy === 0) return;
+
+    const joined = neighbor !== curve && neighbor[neighborSide].x === old.x && neighbor[neighborSide].y === old.y;
+    const point = { x, y };
+
+    this.shiftHandle(curve, side, dx, dy);
+    curve[side] = point;
+    if (joined) {
+      this.shiftHandle(neighbor, neighborSide, dx, dy);
+      neighbor[neighborSide] = point;
+    }
+  }
+
+  shiftHandle(curve, side, dx, dy) {
+    if (curve.type !== 'cubic') return;
+    const key = side === 'start' ? 'cp1' : 'cp2';
+    curve[key] = { x: curve[key].x + dx, y: curve[key].y + dy };
+  }
+
   /**
    * Snap corners to clean angles
    */
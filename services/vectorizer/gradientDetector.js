@@ -0,0 +1,512 @@
+/**
+ * GRADIENT DETECTOR
+ *
+ * Finds regions filled with a smooth color ramp, which color quantization
+ * would otherwise posterize into dozens of flat bands, and fits a linear or
+ * radial gradient to each so it can be emitted as a single gradient fill.
+ *
+ * Pipeline:
+ * 1. SMOOTH REGIONS - Flood fill across neighbors whose colors barely differ
+ * 2. MODEL FIT - Ramp direction (linear) or center (radial) by least squares
+ * 3. COLOR STOPS - Mean colors along the ramp, reduced to the fewest stops
+ * 4. ACCEPTANCE - Keep ramps with a visible color range that fit the pixels closely
+ *
+ * Coordinates are image pixels with pixel centers at +0.5, the same space
+ * traced contours use.
+ */
+
+const sharp = require('sharp');
+
+const RAMP_BINS = 32;
+
+class GradientDetector {
+  constructor(options = {}) {
+    this.stepTolerance = options.stepTolerance || 6; // RGB distance between neighbors inside a ramp
+    this.minArea = options.minArea || 200; // Pixels
+    this.minAreaRatio = options.minAreaRatio ?? 0.005; // Fraction of the image
+    this.minColorRange = options.minColorRange || 24; // RGB distance across the ramp
+    this.maxResidual = options.maxResidual || 6; // RMS error per channel of the fitted ramp
+    this.stopTolerance = options.stopTolerance || 5; // RGB error allowed between stops
+    this.maxStops = options.maxStops || 6;
+    this.sampleSize = options.sampleSize || 20000; // Pixels per region used for fitting
+    this.matchTolerance = options.matchTolerance || 48; // RGB distance for matching traced shapes
+  }
+
+  /**
+   * Find gradient-filled regions in an image
+   * @param {Buffer} imageBuffer - Input image
+   * @returns {Promise<object>} { width, height, labels, regions } where labels[i]
+   *   is the 1-based index into regions of the gradient covering pixel i, or 0
+   */
+  async detect(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    // Region growing runs on a lightly blurred copy so noise and dithering
+    // don't break a ramp into pieces; fits use the original colors
+    const { data: smooth } = await sharp(imageBuffer)
+      .ensureAlpha()
+      .blur(1)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = info;
+    const size = width * height;
+    const minArea = Math.max(this.minArea, size * this.minAreaRatio);
+    const maxStep = this.stepTolerance * this.stepTolerance;
+
+    const visited = new Uint8Array(size);
+    const labels = new Int32Array(size);
+    const regions = [];
+    const stack = [];
+
+    for (let start = 0; start < size; start++) {
+      if (visited[start] || data[start * channels + 3] < 128) continue;
+
+      const pixels = [];
+      visited[start] = 1;
+      stack.push(start);
+
+      while (stack.length > 0) {
+        const i = stack.pop();
+        pixels.push(i);
+        const x = i % width;
+        const o = i * channels;
+
+        for (const n of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+          if (n < 0 || n >= size || visited[n]) continue;
+          const p = n * channels;
+          if (data[p + 3] < 128) continue;
+          const dr = smooth[p] - smooth[o];
+          const dg = smooth[p + 1] - smooth[o + 1];
+          const db = smooth[p + 2] - smooth[o + 2];
+          if (dr * dr + dg * dg + db * db > maxStep) continue;
+          visited[n] = 1;
+          stack.push(n);
+        }
+      }
+
+      if (pixels.length < minArea) continue;
+
+      const region = this.fitRegion(pixels, { data, width, channels });
+      if (!region) continue;
+
+      regions.push(region);
+      for (const i of pixels) labels[i] = regions.length;
+    }
+
+    console.log(`[GradientDetector] Found ${regions.length} gradient regions`);
+    return { width, height, labels, regions };
+  }
+
+  /**
+   * Fit a linear and a radial ramp to a region and keep the closer one
+   * @returns {object|null} { color, area, bounds, gradient } or null when
+   *   the region is flat or not a clean ramp
+   */
+  fitRegion(pixels, { data, width, channels }) {
+    const step = Math.max(1, Math.ceil(pixels.length / this.sampleSize));
+    const samples = [];
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (let k = 0; k < pixels.length; k += step) {
+      const i = pixels[k];
+      const o = i * channels;
+      const x = (i % width) + 0.5;
+      const y = Math.floor(i / width) + 0.5;
+      samples.push({ x, y, c: [data[o], data[o + 1], data[o + 2]] });
+    }
+    for (const i of pixels) {
+      const x = i % width;
+      const y = Math.floor(i / width);
+      if (x < bounds.minX) bounds.minX = x;
+      if (y < bounds.minY) bounds.minY = y;
+      if (x + 1 > bounds.maxX) bounds.maxX = x + 1;
+      if (y + 1 > bounds.maxY) bounds.maxY = y + 1;
+    }
+
+    const n = samples.length;
+    const mean = { x: 0, y: 0, c: [0, 0, 0] };
+    for (const s of samples) {
+      mean.x += s.x / n;
+      mean.y += s.y / n;
+      for (let ch = 0; ch < 3; ch++) mean.c[ch] += s.c[ch] / n;
+    }
+
+    const candidates = [this.fitLinear(samples, mean), this.fitRadial(samples, mean, bounds)]
+      .filter(Boolean)
+      .sort((a, b) => a.rms - b.rms);
+    const best = candidates[0];
+    if (!best || best.rms > this.maxResidual) return null;
+    if (this.colorRange(best.stops) < this.minColorRange) return null;
+
+    const [r, g, b] = mean.c.map(Math.round);
+    return {
+      color: { r, g, b, hex: this.rgbToHex(r, g, b) },
+      area: pixels.length,
+      bounds,
+      gradient: best.gradient,
+    };
+  }
+
+  /**
+   * Linear ramp along the direction colors change fastest
+   * The direction is the principal axis of the per-channel color slopes, so
+   * channels that rise and fall in opposite directions still agree on it.
+   */
+  fitLinear(samples, mean) {
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    const sxc = [0, 0, 0];
+    const syc = [0, 0, 0];
+    for (const s of samples) {
+      const dx = s.x - mean.x;
+      const dy = s.y - mean.y;
+      sxx += dx * dx;
+      sxy += dx * dy;
+      syy += dy * dy;
+      for (let ch = 0; ch < 3; ch++) {
+        const dc = s.c[ch] - mean.c[ch];
+        sxc[ch] += dx * dc;
+        syc[ch] += dy * dc;
+      }
+    }
+
+    const det = sxx * syy - sxy * sxy;
+    if (Math.abs(det) < 1e-9) return null;
+
+    let mxx = 0;
+    let mxy = 0;
+    let myy = 0;
+    for (let ch = 0; ch < 3; ch++) {
+      const gx = (syy * sxc[ch] - sxy * syc[ch]) / det;
+      const gy = (sxx * syc[ch] - sxy * sxc[ch]) / det;
+      mxx += gx * gx;
+      mxy += gx * gy;
+      myy += gy * gy;
+    }
+    if (mxx + myy < 1e-9) return null;
+
+    const angle = 0.5 * Math.atan2(2 * mxy, mxx - myy);
+    const ux = Math.cos(angle);
+    const uy = Math.sin(angle);
+
+    const positions = samples.map(s => (s.x - mean.x) * ux + (s.y - mean.y) * uy);
+    let min = Infinity;
+    let max = -Infinity;
+    for (const p of positions) {
+      if (p < min) min = p;
+      if (p > max) max = p;
+    }
+    if (max - min < 1) return null;
+
+    const ramp = this.fitRamp(samples, positions.map(p => (p - min) / (max - min)));
+    return {
+      ...ramp,
+      gradient: {
+        type: 'linear',
+        x1: mean.x + min * ux,
+        y1: mean.y + min * uy,
+        x2: mean.x + max * ux,
+        y2: mean.y + max * uy,
+        stops: ramp.stops,
+      },
+    };
+  }
+
+  /**
+   * Radial ramp around a center estimated from a paraboloid fit of the
+   * channel that varies most, then refined by pattern search
+   */
+  fitRadial(samples, mean, bounds) {
+    let channel = 0;
+    let bestVariance = -1;
+    for (let ch = 0; ch < 3; ch++) {
+      let variance = 0;
+      for (const s of samples) variance += (s.c[ch] - mean.c[ch]) ** 2;
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        channel = ch;
+      }
+    }
+
+    // c = a + b*x + c*y + d*(x^2 + y^2) has its extremum at (-b/2d, -c/2d)
+    const A = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+    const B = [0, 0, 0, 0];
+    for (const s of samples) {
+      const dx = s.x - mean.x;
+      const dy = s.y - mean.y;
+      const f = [1, dx, dy, dx * dx + dy * dy];
+      for (let r = 0; r < 4; r++) {
+        B[r] += f[r] * s.c[channel];
+        for (let c = 0; c < 4; c++) A[r][c] += f[r] * f[c];
+      }
+    }
+    const coef = this.solve(A, B);
+    if (!coef || Math.abs(coef[3]) < 1e-6) return null;
+
+    const spanX = bounds.maxX - bounds.minX;
+    const spanY = bounds.maxY - bounds.minY;
+    let cx = mean.x - coef[1] / (2 * coef[3]);
+    let cy = mean.y - coef[2] / (2 * coef[3]);
+    if (cx < bounds.minX - spanX / 4 || cx > bounds.maxX + spanX / 4
+      || cy < bounds.minY - spanY / 4 || cy > bounds.maxY + spanY / 4) {
+      return null;
+    }
+
+    const evaluate = (x, y) => {
+      const distances = samples.map(s => Math.hypot(s.x - x, s.y - y));
+      const radius = Math.max(...distances);
+      if (radius < 1) return null;
+      return { radius, ...this.fitRamp(samples, distances.map(d => d / radius)) };
+    };
+
+    let best = evaluate(cx, cy);
+    if (!best) return null;
+    for (let step = Math.max(spanX, spanY) / 20; step >= 0.5; step /= 2) {
+      let moved = true;
+      while (moved) {
+        moved = false;
+        for (const [dx, dy] of [[step, 0], [-step, 0], [0, step], [0, -step]]) {
+          const candidate = evaluate(cx + dx, cy + dy);
+          if (candidate && candidate.rms < best.rms - 1e-3) {
+            best = candidate;
+            cx += dx;
+            cy += dy;
+            moved = true;
+          }
+        }
+      }
+    }
+
+    return {
+      rms: best.rms,
+      stops: best.stops,
+      gradient: { type: 'radial', cx, cy, r: best.radius, stops: best.stops },
+    };
+  }
+
+  /**
+   * Color stops for samples at ramp positions t in [0, 1]
+   * Samples are averaged in bins along the ramp and stops are added where
+   * straight interpolation between the current stops misses a bin the most.
+   * @returns {object} { stops, rms } with rms the per-channel error of the ramp
+   */
+  fitRamp(samples, positions) {
+    const bins = Array.from({ length: RAMP_BINS }, () => ({ n: 0, t: 0, c: [0, 0, 0] }));
+    samples.forEach((s, k) => {
+      const t = positions[k];
+      const bin = bins[Math.min(RAMP_BINS - 1, Math.floor(t * RAMP_BINS))];
+      bin.n++;
+      bin.t += t;
+      for (let ch = 0; ch < 3; ch++) bin.c[ch] += s.c[ch];
+    });
+    const points = bins
+      .filter(bin => bin.n > 0)
+      .map(bin => ({ offset: bin.t / bin.n, c: bin.c.map(v => v / bin.n) }));
+
+    const chosen = [0, points.length - 1];
+    while (chosen.length < this.maxStops) {
+      let worst = -1;
+      let worstError = this.stopTolerance;
+      for (let k = 0; k < chosen.length - 1; k++) {
+        const a = points[chosen[k]];
+        const b = points[chosen[k + 1]];
+        for (let j = chosen[k] + 1; j < chosen[k + 1]; j++) {
+          const error = this.distance(points[j].c, this.interpolate(a, b, points[j].offset));
+          if (error > worstError) {
+            worstError = error;
+            worst = j;
+          }
+        }
+      }
+      if (worst < 0) break;
+      chosen.push(worst);
+      chosen.sort((a, b) => a - b);
+    }
+
+    const stops = [...new Set(chosen)].map(k => points[k]);
+    let sum = 0;
+    samples.forEach((s, k) => {
+      const predicted = this.colorAt(stops, positions[k]);
+      for (let ch = 0; ch < 3; ch++) sum += (s.c[ch] - predicted[ch]) ** 2;
+    });
+
+    return {
+      rms: Math.sqrt(sum / (samples.length * 3)),
+      stops: stops.map(({ offset, c }) => {
+        const [r, g, b] = c.map(Math.round);
+        return { offset: Math.round(offset * 1000) / 1000, color: { r, g, b, hex: this.rgbToHex(r, g, b) } };
+      }),
+    };
+  }
+
+  /**
+   * Ramp color at position t, padding beyond the first and last stop as SVG does
+   */
+  colorAt(stops, t) {
+    if (t <= stops[0].offset) return stops[0].c;
+    for (let k = 0; k < stops.length - 1; k++) {
+      if (t <= stops[k + 1].offset) return this.interpolate(stops[k], stops[k + 1], t);
+    }
+    return stops[stops.length - 1].c;
+  }
+
+  interpolate(a, b, t) {
+    const span = b.offset - a.offset;
+    const f = span > 0 ? (t - a.offset) / span : 0;
+    return a.c.map((v, ch) => v + (b.c[ch] - v) * f);
+  }
+
+  colorRange(stops) {
+    let range = 0;
+    for (const a of stops) {
+      for (const b of stops) {
+        range = Math.max(range, this.distance(
+          [a.color.r, a.color.g, a.color.b],
+          [b.color.r, b.color.g, b.color.b]
+        ));
+      }
+    }
+    return range;
+  }
+
+  /**
+   * Paint every gradient region with its mean color so tracing sees one flat
+   * shape instead of bands
+   * @returns {Promise<Buffer>} PNG
+   */
+  async flatten(imageBuffer, { labels, regions }) {
+    const { data, info } = await sharp(imageBuffer)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    for (let i = 0; i < labels.length; i++) {
+      if (!labels[i]) continue;
+      const { r, g, b } = regions[labels[i] - 1].color;
+      const o = i * info.channels;
+      data[o] = r;
+      data[o + 1] = g;
+      data[o + 2] = b;
+    }
+
+    return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Gradient for a traced outline, when the outline runs along gradient
+   * regions and was filled with the flat color of one of them
+   * An outline may border several gradient regions, so the region is chosen
+   * by color among those the outline touches.
+   * @param {Array} points - Outline points in image pixels
+   * @param {object} color - {r, g, b} fill of the traced shape
+   * @param {object} detection - Result of detect()
+   * @returns {object|null} Gradient or null
+   */
+  match(points, color, { width, height, labels, regions }) {
+    if (regions.length === 0 || points.length === 0) return null;
+
+    let near = 0;
+    const votes = new Map();
+    for (const point of points) {
+      const label = this.labelNear(labels, point.x, point.y, width, height);
+      if (!label) continue;
+      near++;
+      votes.set(label, (votes.get(label) || 0) + 1);
+    }
+    if (near < points.length * 0.8) return null;
+
+    let best = null;
+    let bestDistance = this.matchTolerance;
+    for (const label of votes.keys()) {
+      const region = regions[label - 1];
+      const { r, g, b } = region.color;
+      const distance = this.distance([r, g, b], [color.r, color.g, color.b]);
+      if (distance <= bestDistance) {
+        best = region;
+        bestDistance = distance;
+      }
+    }
+
+    return best ? best.gradient : null;
+  }
+
+  /**
+   * Gradient label within two pixels of a point, if any
+   */
+  labelNear(labels, x, y, width, height) {
+    const px = Math.floor(x);
+    const py = Math.floor(y);
+    for (let radius = 0; radius <= 2; radius++) {
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          const nx = px + dx;
+          const ny = py + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const label = labels[ny * width + nx];
+          if (label) return label;
+        }
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Gradient with its geometry multiplied by a factor, for output drawn in
+   * upscaled coordinates
+   */
+  scale(gradient, factor) {
+    if (gradient.type === 'radial') {
+      return { ...gradient, cx: gradient.cx * factor, cy: gradient.cy * factor, r: gradient.r * factor };
+    }
+    return {
+      ...gradient,
+      x1: gradient.x1 * factor,
+      y1: gradient.y1 * factor,
+      x2: gradient.x2 * factor,
+      y2: gradient.y2 * factor,
+    };
+  }
+
+  /**
+   * Solve a small linear system by Gaussian elimination with partial pivoting
+   * @returns {Array|null} Solution or null when the system is singular
+   */
+  solve(A, B) {
+    const n = B.length;
+    const m = A.map((row, r) => [...row, B[r]]);
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+      }
+      if (Math.abs(m[pivot][col]) < 1e-12) return null;
+      [m[col], m[pivot]] = [m[pivot], m[col]];
+      for (let r = col + 1; r < n; r++) {
+        const f = m[r][col] / m[col][col];
+        for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+      }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+      let sum = m[r][n];
+      for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+      x[r] = sum / m[r][r];
+    }
+    return x;
+  }
+
+  distance(a, b) {
+    return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+  }
+
+  rgbToHex(r, g, b) {
+    return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+module.exports = GradientDetector;
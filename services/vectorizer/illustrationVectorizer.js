@@ -0,0 +1,600 @@
+/**
+ * ILLUSTRATION VECTORIZER
+ *
+ * Vectorizes photos and painted illustrations as stacked layers of flat
+ * regions instead of tracing every quantized color, which on photographic
+ * input yields huge SVGs full of specks.
+ *
+ * Pipeline:
+ * 1. SUPERPIXELS - SLIC clustering in CIELAB (OKLab for colorMetric
+ *    oklab), so every superpixel is perceptually uniform, followed by a
+ *    connectivity pass
+ * 2. MERGING - Adjacent regions closer than the detail's color step are
+ *    merged, then regions below the detail's minimum area
+ * 3. BUDGET - Merging goes on, most similar and smallest first, until the
+ *    SVG has at most maxPaths paths and maxBytes bytes
+ * 4. LAYERS - Each region is drawn with its holes filled, largest first, so
+ *    smaller regions stack on top and no gaps open between neighbors
+ */
+
+const sharp = require('sharp');
+const PlanarMapTracer = require('./planarMapTracer');
+const SVGBuilder = require('./svgBuilder');
+const { DEFAULT_METRIC, coordinates, difference } = require('../colorScience');
+
+// Crack directions between pixel corners: east, south, west, north (y down)
+const STEPS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+class IllustrationVectorizer {
+  constructor(options = {}) {
+    this.detail = options.detail ?? 50; // 0-100: higher keeps smaller regions and finer color steps
+    this.maxPaths = options.maxPaths || null;
+    this.maxBytes = options.maxBytes || null;
+    this.compactness = options.compactness || 10; // SLIC weight of position against color
+    this.maxDimension = options.maxDimension || 1000; // Longest side segmented, in px
+    this.colorMetric = options.colorMetric || DEFAULT_METRIC; // Region color differences
+    this.iterations = 10; // SLIC passes
+    this.overlap = 2; // Pixels each layer reaches under the layers above it
+  }
+
+  /**
+   * Vectorize a photo or illustration as stacked layers
+   * @param {Buffer} imageBuffer - Input image
+   * @returns {Promise<object>} { svg, regions, paths, bytes } where regions
+   *   is the count after merging and paths the count in the SVG
+   */
+  async vectorize(imageBuffer) {
+    const startTime = Date.now();
+    console.log(`[IllustrationVectorizer] Starting (detail ${this.detail})...`);
+
+    const image = await this.loadImage(imageBuffer);
+    const { width, height } = image;
+    const pixels = width * height;
+
+    const superpixels = Math.round(200 + 38 * this.detail);
+    const segments = this.segment(image, superpixels);
+    console.log(`[IllustrationVectorizer] ${segments.count} superpixels at ${width}x${height}`);
+
+    const graph = this.buildGraph(image, segments);
+    graph.mergeSimilar(2 + (100 - this.detail) * 0.1);
+    graph.mergeSmall(Math.round((pixels / superpixels) * (0.25 + (100 - this.detail) / 100)));
+    if (this.maxPaths) graph.mergeToCount(this.maxPaths);
+
+    const tracer = new PlanarMapTracer({
+      lineTolerance: 0.6 + (100 - this.detail) / 60,
+      bezierTolerance: 0.6 + (100 - this.detail) / 60,
+    });
+
+    // Merge further until the document fits the byte budget; regions are
+    // monotonic, so each pass picks up where the last one stopped
+    let svg = this.buildSVG(graph, segments.labels, image, tracer);
+    while (this.maxBytes && Buffer.byteLength(svg) > this.maxBytes && graph.count > 1) {
+      const target = Math.floor(graph.count * (this.maxBytes / Buffer.byteLength(svg)) * 0.9);
+      graph.mergeToCount(Math.max(1, Math.min(graph.count - 1, target)));
+      svg = this.buildSVG(graph, segments.labels, image, tracer);
+    }
+
+    const paths = (svg.match(/<path\b/g) || []).length;
+    const bytes = Buffer.byteLength(svg);
+    console.log(`[IllustrationVectorizer] ${graph.count} regions, ${paths} paths, ${bytes} bytes in ${Date.now() - startTime}ms`);
+    return { svg, regions: graph.count, paths, bytes };
+  }
+
+  /**
+   * Decode to RGBA at the working size with CIELAB per pixel
+   */
+  async loadImage(imageBuffer) {
+    const meta = await sharp(imageBuffer).metadata();
+    const scale = Math.min(1, this.maxDimension / Math.max(meta.width, meta.height));
+
+    let pipeline = sharp(imageBuffer).ensureAlpha();
+    if (scale < 1) {
+      pipeline = pipeline.resize(Math.round(meta.width * scale), Math.round(meta.height * scale));
+    }
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+
+    const size = info.width * info.height;
+    const lab = new Float32Array(size * 3);
+    const opaque = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+      const p = i * 4;
+      opaque[i] = data[p + 3] >= 128 ? 1 : 0;
+      const { L, a, b } = coordinates({ r: data[p], g: data[p + 1], b: data[p + 2] }, this.colorMetric);
+      lab[i * 3] = L;
+      lab[i * 3 + 1] = a;
+      lab[i * 3 + 2] = b;
+    }
+
+    return {
+      data,
+      lab,
+      opaque,
+      width: info.width,
+      height: info.height,
+      outputWidth: meta.width,
+      outputHeight: meta.height,
+    };
+  }
+
+  /**
+   * SLIC superpixels over the opaque pixels, split into 4-connected segments
+   * with fragments under a quarter superpixel joined to a neighbor
+   * @returns {object} { labels, count } with -1 for transparent pixels
+   */
+  segment({ lab, opaque, width, height }, superpixels) {
+    const size = width * height;
+    const step = Math.max(2, Math.sqrt(size / superpixels));
+    const spatialWeight = (this.compactness / step) ** 2;
+
+    const centers = [];
+    for (let y = step / 2; y < height; y += step) {
+      for (let x = step / 2; x < width; x += step) {
+        const i = Math.floor(y) * width + Math.floor(x);
+        centers.push({ l: lab[i * 3], a: lab[i * 3 + 1], b: lab[i * 3 + 2], x, y });
+      }
+    }
+
+    const assigned = new Int32Array(size).fill(-1);
+    const distance = new Float64Array(size);
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      distance.fill(Infinity);
+      centers.forEach((center, k) => {
+        const x0 = Math.max(0, Math.floor(center.x - step));
+        const x1 = Math.min(width, Math.ceil(center.x + step));
+        const y0 = Math.max(0, Math.floor(center.y - step));
+        const y1 = Math.min(height, Math.ceil(center.y + step));
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) {
+            const i = y * width + x;
+            if (!opaque[i]) continue;
+            const dl = lab[i * 3] - center.l;
+            const da = lab[i * 3 + 1] - center.a;
+            const db = lab[i * 3 + 2] - center.b;
+            const d = dl * dl + da * da + db * db + ((x - center.x) ** 2 + (y - center.y) ** 2) * spatialWeight;
+            if (d < distance[i]) {
+              distance[i] = d;
+              assigned[i] = k;
+            }
+          }
+        }
+      });
+
+      const sums = centers.map(() => ({ l: 0, a: 0, b: 0, x: 0, y: 0, n: 0 }));
+      for (let i = 0; i < size; i++) {
+        const k = assigned[i];
+        if (k < 0) continue;
+        const sum = sums[k];
+        sum.l += lab[i * 3];
+        sum.a += lab[i * 3 + 1];
+        sum.b += lab[i * 3 + 2];
+        sum.x += i % width;
+        sum.y += Math.floor(i / width);
+        sum.n++;
+      }
+      sums.forEach((sum, k) => {
+        if (sum.n === 0) return;
+        centers[k] = { l: sum.l / sum.n, a: sum.a / sum.n, b: sum.b / sum.n, x: sum.x / sum.n, y: sum.y / sum.n };
+      });
+    }
+
+    // Enforce connectivity: each 4-connected piece becomes a segment, and
+    // small fragments take the segment of a neighbor found before them
+    const labels = new Int32Array(size).fill(-1);
+    const minFragment = Math.max(1, Math.floor((step * step) / 4));
+    const stack = [];
+    const piece = [];
+    let count = 0;
+    for (let start = 0; start < size; start++) {
+      if (labels[start] !== -1 || assigned[start] < 0) continue;
+
+      let adjacent = -1;
+      labels[start] = count;
+      stack.push(start);
+      piece.length = 0;
+      while (stack.length > 0) {
+        const i = stack.pop();
+        piece.push(i);
+        const x = i % width;
+        for (const n of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+          if (n < 0 || n >= size) continue;
+          if (labels[n] === -1 && assigned[n] === assigned[start]) {
+            labels[n] = count;
+            stack.push(n);
+          } else if (labels[n] >= 0 && labels[n] !== count) {
+            adjacent = labels[n];
+          }
+        }
+      }
+
+      if (piece.length < minFragment && adjacent >= 0) {
+        for (const i of piece) labels[i] = adjacent;
+      } else {
+        count++;
+      }
+    }
+
+    return { labels, count };
+  }
+
+  /**
+   * Region adjacency graph of the segments with their mean colors
+   */
+  buildGraph({ data, lab, width, height }, { labels, count }) {
+    const graph = new RegionGraph(count, this.colorMetric);
+    for (let i = 0; i < width * height; i++) {
+      const id = labels[i];
+      if (id < 0) continue;
+      graph.addPixel(id, lab[i * 3], lab[i * 3 + 1], lab[i * 3 + 2], data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+
+      const x = i % width;
+      if (x + 1 < width && labels[i + 1] >= 0 && labels[i + 1] !== id) graph.connect(id, labels[i + 1]);
+      if (i + width < width * height && labels[i + width] >= 0 && labels[i + width] !== id) graph.connect(id, labels[i + width]);
+    }
+    return graph;
+  }
+
+  /**
+   * Stacked SVG of the merged regions, largest (with holes filled) first
+   * Each layer also reaches `overlap` pixels under the layers drawn after it,
+   * so the fitted edges of neighbors never open a gap to the background
+   */
+  buildSVG(graph, segmentLabels, image, tracer) {
+    const { width, height } = image;
+    const labels = Int32Array.from(segmentLabels, id => (id < 0 ? -1 : graph.find(id)));
+
+    const bounds = new Map();
+    for (let i = 0; i < labels.length; i++) {
+      const id = labels[i];
+      if (id < 0) continue;
+      const x = i % width;
+      const y = Math.floor(i / width);
+      const box = bounds.get(id);
+      if (!box) {
+        bounds.set(id, { x0: x, y0: y, x1: x, y1: y });
+      } else {
+        if (x < box.x0) box.x0 = x;
+        if (x > box.x1) box.x1 = x;
+        if (y > box.y1) box.y1 = y;
+      }
+    }
+
+    // Depth: a region enclosing another has the larger filled area, so it goes below
+    const ids = [...bounds.keys()];
+    const filledArea = new Map(ids.map(id => [id, this.regionMask(labels, image, id, bounds.get(id), null).area]));
+    ids.sort((a, b) => filledArea.get(b) - filledArea.get(a));
+    const depth = new Int32Array(graph.parent.length);
+    ids.forEach((id, index) => { depth[id] = index; });
+
+    const regions = ids.map((id) => {
+      const mask = this.regionMask(labels, image, id, bounds.get(id), depth);
+      return {
+        color: graph.color(id),
+        paths: [{ type: 'path', curves: tracer.fitEdge({ points: this.traceOutline(mask), closed: true }) }],
+      };
+    });
+
+    return new SVGBuilder({
+      gapFiller: false,
+      shapeStacking: 'stacked',
+      outputWidth: image.outputWidth,
+      outputHeight: image.outputHeight,
+      aspectRatio: 'stretch',
+    }).build(regions, width, height);
+  }
+
+  /**
+   * A region's pixels with its holes filled, in its bounding box plus a margin
+   * With depth given, pixels of regions above it within `overlap` pixels are
+   * added too. Holes that reach transparent pixels stay open, since nothing
+   * is drawn there.
+   * @returns {object} { filled, w, h, left, top, area } where filled marks
+   *   mask pixels and left/top place the box in the image
+   */
+  regionMask(labels, { width, height, opaque }, id, { x0, y0, x1, y1 }, depth) {
+    const grow = depth ? this.overlap : 0;
+    const left = x0 - grow - 1;
+    const top = y0 - grow - 1;
+    const w = x1 - x0 + 2 * grow + 3;
+    const h = y1 - y0 + 2 * grow + 3;
+    const imageIndex = (x, y) => {
+      const sx = x + left;
+      const sy = y + top;
+      return sx < 0 || sy < 0 || sx >= width || sy >= height ? -1 : sy * width + sx;
+    };
+
+    const inside = new Uint8Array(w * h);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = imageIndex(x, y);
+        if (i >= 0 && labels[i] === id) inside[y * w + x] = 1;
+      }
+    }
+
+    // Reach under the regions drawn later and past the image edge, where the
+    // canvas clips: a square dilation, keeping what stays connected to the region
+    if (grow > 0) {
+      const near = dilate(dilate(inside, w, h, grow, 1), w, h, grow, w);
+      const reach = [];
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          const i = imageIndex(x, y);
+          if (inside[y * w + x]) reach.push(y * w + x);
+          else if (!near[y * w + x] || (i >= 0 && (labels[i] < 0 || depth[labels[i]] <= depth[id]))) near[y * w + x] = 0;
+        }
+      }
+      while (reach.length > 0) {
+        const i = reach.pop();
+        const x = i % w;
+        for (const n of [i - w, i + w, x > 0 ? i - 1 : -1, x < w - 1 ? i + 1 : -1]) {
+          if (n < 0 || n >= w * h || inside[n] || !near[n]) continue;
+          inside[n] = 1;
+          reach.push(n);
+        }
+      }
+    }
+
+    // Everything the margin reaches without crossing the region is outside
+    const outside = new Uint8Array(w * h);
+    const stack = [];
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = imageIndex(x, y);
+        const border = x === 0 || y === 0 || x === w - 1 || y === h - 1;
+        if (border || (!inside[y * w + x] && (i < 0 || !opaque[i]))) {
+          outside[y * w + x] = 1;
+          stack.push(y * w + x);
+        }
+      }
+    }
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const x = i % w;
+      for (const n of [i - w, i + w, x > 0 ? i - 1 : -1, x < w - 1 ? i + 1 : -1]) {
+        if (n < 0 || n >= w * h || outside[n] || inside[n]) continue;
+        outside[n] = 1;
+        stack.push(n);
+      }
+    }
+
+    const filled = new Uint8Array(w * h);
+    let area = 0;
+    for (let i = 0; i < w * h; i++) {
+      if (outside[i]) continue;
+      filled[i] = 1;
+      area++;
+    }
+    return { filled, w, h, left, top, area };
+  }
+
+  /**
+   * Outline of a mask with no holes, as crack corners in image coordinates
+   * from its top-left corner, the first repeated at the end
+   */
+  traceOutline({ filled, w, h, left, top }) {
+    const at = (x, y) => x >= 0 && y >= 0 && x < w && y < h && filled[y * w + x] === 1;
+    const rightOf = (x, y, d) => [at(x, y), at(x - 1, y), at(x - 1, y - 1), at(x, y - 1)][d];
+    const leftOf = (x, y, d) => [at(x, y - 1), at(x, y), at(x - 1, y), at(x - 1, y - 1)][d];
+
+    const first = filled.indexOf(1);
+    const startX = first % w;
+    const startY = Math.floor(first / w);
+    const points = [{ x: startX + left, y: startY + top }];
+    let x = startX;
+    let y = startY;
+    let direction = 0;
+    do {
+      x += STEPS[direction][0];
+      y += STEPS[direction][1];
+      points.push({ x: x + left, y: y + top });
+      direction = [1, 0, 3]
+        .map(turn => (direction + turn) % 4)
+        .find(d => rightOf(x, y, d) && !leftOf(x, y, d));
+    } while (x !== startX || y !== startY);
+
+    return points;
+  }
+}
+
+/**
+ * Binary dilation along one axis (stride 1 for rows, the row width for columns)
+ */
+function dilate(mask, w, h, radius, stride) {
+  const result = new Uint8Array(mask.length);
+  const length = stride === 1 ? w : h;
+  const lines = stride === 1 ? h : w;
+  for (let line = 0; line < lines; line++) {
+    const base = stride === 1 ? line * w : line;
+    let last = -Infinity; // Position of the last set pixel seen
+    for (let k = 0; k < length; k++) {
+      if (mask[base + k * stride]) last = k;
+      if (k - last <= radius) result[base + k * stride] = 1;
+    }
+    last = Infinity;
+    for (let k = length - 1; k >= 0; k--) {
+      if (mask[base + k * stride]) last = k;
+      if (last - k <= radius) result[base + k * stride] = 1;
+    }
+  }
+  return result;
+}
+
+/**
+ * Regions being merged, with union-find over the original segments
+ */
+class RegionGraph {
+  constructor(count, metric = DEFAULT_METRIC) {
+    this.count = count;
+    this.metric = metric;
+    this.parent = Int32Array.from({ length: count }, (_, i) => i);
+    this.area = new Float64Array(count);
+    this.sums = new Float64Array(count * 6); // L, a, b, r, g, b
+    this.neighbors = Array.from({ length: count }, () => new Map());
+    this.version = new Int32Array(count);
+  }
+
+  addPixel(id, l, a, b, red, green, blue) {
+    this.area[id]++;
+    const s = id * 6;
+    this.sums[s] += l;
+    this.sums[s + 1] += a;
+    this.sums[s + 2] += b;
+    this.sums[s + 3] += red;
+    this.sums[s + 4] += green;
+    this.sums[s + 5] += blue;
+  }
+
+  connect(a, b) {
+    this.neighbors[a].set(b, (this.neighbors[a].get(b) || 0) + 1);
+    this.neighbors[b].set(a, (this.neighbors[b].get(a) || 0) + 1);
+  }
+
+  find(id) {
+    while (this.parent[id] !== id) {
+      this.parent[id] = this.parent[this.parent[id]];
+      id = this.parent[id];
+    }
+    return id;
+  }
+
+  roots() {
+    return [...this.parent.keys()].filter(id => this.parent[id] === id && this.area[id] > 0);
+  }
+
+  color(id) {
+    const s = id * 6;
+    const n = this.area[id];
+    return { r: Math.round(this.sums[s + 3] / n), g: Math.round(this.sums[s + 4] / n), b: Math.round(this.sums[s + 5] / n) };
+  }
+
+  // Color difference between the regions' mean colors
+  deltaE(a, b) {
+    return difference(this.mean(a), this.mean(b), this.metric);
+  }
+
+  mean(id) {
+    const s = id * 6;
+    const n = this.area[id];
+    return { L: this.sums[s] / n, a: this.sums[s + 1] / n, b: this.sums[s + 2] / n };
+  }
+
+  // Ward-style cost: how much merging a and b would add to the color error
+  mergeCost(a, b) {
+    return this.deltaE(a, b) ** 2 * (this.area[a] * this.area[b]) / (this.area[a] + this.area[b]);
+  }
+
+  merge(a, b) {
+    const [root, child] = this.area[a] >= this.area[b] ? [a, b] : [b, a];
+    this.parent[child] = root;
+    this.area[root] += this.area[child];
+    for (let c = 0; c < 6; c++) this.sums[root * 6 + c] += this.sums[child * 6 + c];
+
+    for (const [neighbor, length] of this.neighbors[child]) {
+      this.neighbors[neighbor].delete(child);
+      if (neighbor === root) continue;
+      this.neighbors[root].set(neighbor, (this.neighbors[root].get(neighbor) || 0) + length);
+      this.neighbors[neighbor].set(root, (this.neighbors[neighbor].get(root) || 0) + length);
+    }
+    this.neighbors[root].delete(child);
+    this.neighbors[child] = new Map();
+    this.version[root]++;
+    this.version[child]++;
+    this.count--;
+    return root;
+  }
+
+  /**
+   * Merge neighbors in order of cost while the cheapest is below a limit
+   * and more than minCount regions remain
+   */
+  mergeBy(cost, { limit = Infinity, minCount = 1 } = {}) {
+    const heap = new MinHeap();
+    const push = (a, b) => heap.push([cost(a, b), a, b, this.version[a], this.version[b]]);
+    for (const id of this.roots()) {
+      for (const neighbor of this.neighbors[id].keys()) {
+        if (id < neighbor) push(id, neighbor);
+      }
+    }
+
+    while (this.count > minCount && heap.size > 0) {
+      const [value, a, b, versionA, versionB] = heap.pop();
+      if (this.version[a] !== versionA || this.version[b] !== versionB) continue;
+      if (value >= limit) break;
+      const root = this.merge(a, b);
+      for (const neighbor of this.neighbors[root].keys()) push(root, neighbor);
+    }
+  }
+
+  mergeSimilar(threshold) {
+    this.mergeBy((a, b) => this.deltaE(a, b), { limit: threshold });
+  }
+
+  mergeToCount(target) {
+    this.mergeBy((a, b) => this.mergeCost(a, b), { minCount: target });
+  }
+
+  // Join every region under minArea to its most similar neighbor, smallest first
+  mergeSmall(minArea) {
+    let merged = true;
+    while (merged) {
+      merged = false;
+      const small = this.roots().filter(id => this.area[id] < minArea).sort((a, b) => this.area[a] - this.area[b]);
+      for (const id of small) {
+        if (this.parent[id] !== id || this.area[id] >= minArea || this.neighbors[id].size === 0) continue;
+        let best = -1;
+        for (const neighbor of this.neighbors[id].keys()) {
+          if (best < 0 || this.deltaE(id, neighbor) < this.deltaE(id, best)) best = neighbor;
+        }
+        this.merge(id, best);
+        merged = true;
+      }
+    }
+  }
+}
+
+/**
+ * Binary min-heap of arrays ordered by their first element
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const { items } = this;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const { items } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+module.exports = IllustrationVectorizer;
@@ -5,12 +5,15 @@
  * No VTracer, no external dependencies for core vectorization.
  *
  * Pipeline:
+ * 0. GRADIENT DETECTION - Flatten smooth color ramps so they trace as one shape
+ *    TEXT DETECTION - Find lines of lettering for font-aware cleanup
  * 1. EDGE DETECTION - Gradient-based sub-pixel edge detection
  * 2. COLOR EXTRACTION - Exact colors from non-edge pixels
  * 3. BOUNDARY TRACING - Walk color boundaries with sub-pixel precision
  * 4. CURVE FITTING - Schneider's algorithm for optimal Beziers
  * 5. SHAPE DETECTION - Identify geometric primitives
- * 6. SVG GENERATION - Output clean vector graphics
+ * 6. SVG GENERATION - Output clean vector graphics, with gradient fills for ramps
+ *    and a <g data-role="text-line"> per line of text
  */
 
 const sharp = require('sharp');
@@ -19,14 +22,23 @@ const BoundaryTracer = require('./boundaryTracer');
 const CurveFitter = require('./curveFitter');
 const ShapeClassifier = require('./shapeClassifier');
 const GeometryOptimizer = require('./geometryOptimizer');
+const GradientDetector = require('./gradientDetector');
+const TextDetector = require('./textDetector');
 const SVGBuilder = require('./svgBuilder');
 
 class Vectorizer {
   constructor(options = {}) {
     this.options = {
+      // Gradient detection
+      detectGradients: options.detectGradients !== false,
+
+      // Text detection
+      detectText: options.detectText !== false,
+
       // Edge detection
       edgeThreshold: options.edgeThreshold || 10,
       colorGroupThreshold: options.colorGroupThreshold || 15,
+      colorMetric: options.colorMetric, // cie76 unless set (see colorScience)
 
       // Contour tracing
       minContourLength: options.minContourLength || 4,
@@ -55,9 +67,13 @@ class Vectorizer {
     };
 
     // Initialize modules
+    this.gradientDetector = new GradientDetector();
+    this.textDetector = new TextDetector();
+
     this.edgeDetector = new EdgeDetector({
       edgeThreshold: this.options.edgeThreshold,
       colorGroupThreshold: this.options.colorGroupThreshold,
+      colorMetric: this.options.colorMetric,
     });
 
     this.boundaryTracer = new BoundaryTracer({
@@ -72,6 +88,16 @@ class Vectorizer {
       bezierTolerance: this.options.bezierTolerance,
     });
 
+    // Lettering is fitted with lines and cubics only, and a looser line
+    // tolerance, so stems come out straight and bowls as smooth cubics
+    this.textCurveFitter = new CurveFitter({
+      lineTolerance: this.options.lineTolerance * 2,
+      bezierTolerance: this.options.bezierTolerance,
+      allowQuadraticBezier: false,
+      allowCircularArc: false,
+      allowEllipticalArc: false,
+    });
+
     this.shapeClassifier = new ShapeClassifier({
       confidenceThreshold: this.options.shapeConfidenceThreshold,
     });
@@ -99,9 +125,26 @@ class Vectorizer {
     const { width, height } = metadata;
     console.log(`[Vectorizer] Input: ${width}x${height}`);
 
+    // === STAGE 0: GRADIENT DETECTION ===
+    let gradients = null;
+    let tracedBuffer = imageBuffer;
+    if (this.options.detectGradients) {
+      console.log('[Vectorizer] Stage 0: Gradient detection...');
+      gradients = await this.gradientDetector.detect(imageBuffer);
+      if (gradients.regions.length > 0) {
+        tracedBuffer = await this.gradientDetector.flatten(imageBuffer, gradients);
+      }
+    }
+
+    let text = null;
+    if (this.options.detectText) {
+      console.log('[Vectorizer] Stage 0: Text detection...');
+      text = await this.textDetector.detect(tracedBuffer);
+    }
+
     // === STAGE 1: EDGE DETECTION ===
     console.log('[Vectorizer] Stage 1: Edge detection...');
-    const edgeData = await this.edgeDetector.detect(imageBuffer);
+    const edgeData = await this.edgeDetector.detect(tracedBuffer);
 
     // === STAGE 2: BOUNDARY TRACING ===
     console.log('[Vectorizer] Stage 2: Boundary tracing...');
@@ -109,7 +152,7 @@ class Vectorizer {
 
     // === STAGE 3: CURVE FITTING ===
     console.log('[Vectorizer] Stage 3: Curve fitting...');
-    const fittedRegions = this.fitCurves(regions);
+    const fittedRegions = this.fitCurves(regions, gradients, text);
 
     // === STAGE 4: SHAPE DETECTION ===
     if (this.options.detectShapes) {
@@ -135,12 +178,25 @@ class Vectorizer {
 
   /**
    * Fit curves to all region contours
+   * Contours around a detected gradient region carry its gradient; contours
+   * inside a detected text line are fitted with the lettering profile and
+   * carry the line as `textLine`.
    */
-  fitCurves(regions) {
+  fitCurves(regions, gradients = null, text = null) {
     return regions.map(region => {
       const paths = region.contours.map(contour => {
-        const curves = this.curveFitter.fitCurves(contour);
-        return { type: 'path', curves };
+        const textLine = text && text.lines.length > 0
+          ? this.textDetector.match(contour, text)
+          : null;
+        const curves = (textLine ? this.textCurveFitter : this.curveFitter).fitCurves(contour);
+        const gradient = gradients && gradients.regions.length > 0
+          ? this.gradientDetector.match(contour, region.color, gradients)
+          : null;
+
+        const path = { type: 'path', curves };
+        if (gradient) path.gradient = gradient;
+        if (textLine) path.textLine = textLine;
+        return path;
       });
 
       return {
@@ -176,7 +232,9 @@ class Vectorizer {
               // Replace path with geometric primitive
               region.paths[i] = {
                 type: classification.type,
-                ...classification.params
+                ...classification.params,
+                gradient: path.gradient,
+                textLine: path.textLine
               };
             }
           }
@@ -242,15 +300,28 @@ class Vectorizer {
 
   /**
    * Optimize geometry (corners, lines)
+   * Text outlines get the lettering cleanup, then even stems per line.
    */
   optimizeGeometry(regions) {
+    const textLines = new Map();
+
     for (const region of regions) {
       for (const path of region.paths) {
-        if (path.type === 'path' && path.curves) {
+        if (path.type !== 'path' || !path.curves) continue;
+
+        if (path.textLine) {
+          path.curves = this.geometryOptimizer.optimizeText(path.curves);
+          if (!textLines.has(path.textLine)) textLines.set(path.textLine, []);
+          textLines.get(path.textLine).push(path.curves);
+        } else {
           path.curves = this.geometryOptimizer.optimize(path.curves, {});
         }
       }
     }
+
+    for (const outlines of textLines.values()) {
+      this.geometryOptimizer.equalizeStems(outlines);
+    }
   }
 
   /**
@@ -6,13 +6,38 @@
  * - Tolerance-based color matching
  * - Custom palette support
  * - Color distance calculations (multiple algorithms)
+ * - Nearest spot color suggestions for print
  */
 
+const { parseColor: parseSvgColor, colorToHex } = require('../svgSceneParser');
+const { coordinates, difference, distance, rgbToLab, deltaE2000, isMetric } = require('../colorScience');
+const { PANTONE_COATED, RAL_CLASSIC } = require('./spotColors');
+
+// Presentation attributes and style properties that carry paint
+const PAINT_ATTRIBUTE = /(\s)(fill|stroke|stop-color|flood-color|lighting-color)(\s*=\s*)(["'])([^"']*)\4/g;
+const PAINT_PROPERTY = /(^|[\s;{"'])(fill|stroke|stop-color|flood-color|lighting-color)(\s*:\s*)([^;"'}<]+)/g;
+const STYLE_ATTRIBUTE = /(\sstyle\s*=\s*)(["'])([\s\S]*?)\2/g;
+const STYLE_ELEMENT = /(<style[^>]*>)([\s\S]*?)(<\/style>)/gi;
+const START_TAG = /<[a-zA-Z][^>]*>/g;
+
+// Opacity property that carries the alpha of each paint; lighting-color has none
+const PAINT_OPACITY = {
+  fill: 'fill-opacity',
+  stroke: 'stroke-opacity',
+  'stop-color': 'stop-opacity',
+  'flood-color': 'flood-opacity',
+};
+
+// Colors this close to white (ΔE00) are left to the paper rather than inked
+const PAPER_DELTA_E = 3;
+const PAPER = rgbToLab({ r: 255, g: 255, b: 255 });
+
 class PaletteManager {
   constructor(options = {}) {
     // Tolerance for color snapping (0-255 range)
     this.tolerance = options.tolerance || 30;
-    // Color distance algorithm: 'euclidean', 'weighted', 'ciede2000'
+    // Color distance algorithm: 'euclidean', 'weighted' or a colorScience
+    // metric ('cie76', 'cie94', 'ciede2000', 'oklab')
     this.algorithm = options.algorithm || 'weighted';
   }
 
@@ -72,17 +97,28 @@ class PaletteManager {
 
       // Pantone-inspired
       'pantone': [
-        { r: 0, g: 82, b: 147, a: 255 },    // Classic Blue
-        { r: 155, g: 35, b: 53, a: 255 },   // Marsala
-        { r: 221, g: 65, b: 36, a: 255 },   // Tangerine Tango
-        { r: 136, g: 176, b: 75, a: 255 },  // Greenery
-        { r: 91, g: 94, b: 166, a: 255 },   // Very Peri
-        { r: 187, g: 38, b: 73, a: 255 },   // Viva Magenta
-        { r: 255, g: 190, b: 152, a: 255 }, // Peach Fuzz
+        { r: 0, g: 82, b: 147, a: 255, name: 'PANTONE 19-4052 Classic Blue' },
+        { r: 155, g: 35, b: 53, a: 255, name: 'PANTONE 18-1438 Marsala' },
+        { r: 221, g: 65, b: 36, a: 255, name: 'PANTONE 17-1463 Tangerine Tango' },
+        { r: 136, g: 176, b: 75, a: 255, name: 'PANTONE 15-0343 Greenery' },
+        { r: 91, g: 94, b: 166, a: 255, name: 'PANTONE 17-3938 Very Peri' },
+        { r: 187, g: 38, b: 73, a: 255, name: 'PANTONE 18-1750 Viva Magenta' },
+        { r: 255, g: 190, b: 152, a: 255, name: 'PANTONE 13-1023 Peach Fuzz' },
       ],
+
+      // Spot color references (see spotColors.js)
+      'pantone-coated': PANTONE_COATED.map(color => ({ ...color, a: 255 })),
+      'ral': RAL_CLASSIC.map(color => ({ ...color, a: 255 })),
     };
   }
 
+  /**
+   * Built-in palette spots are suggested from when no spotLibrary is given
+   */
+  static get DEFAULT_SPOT_LIBRARY() {
+    return 'pantone-coated';
+  }
+
   /**
    * Get a predefined palette by name
    */
@@ -110,12 +146,18 @@ class PaletteManager {
    * Parse a single color from various formats
    */
   parseColor(color) {
+    // Stored palette entry { hex, name }
+    if (color && typeof color === 'object' && 'hex' in color) {
+      return { ...this.parseColor(color.hex), ...(color.name && { name: color.name }) };
+    }
+
     if (typeof color === 'object' && 'r' in color) {
       return {
         r: color.r,
         g: color.g,
         b: color.b,
-        a: color.a !== undefined ? color.a : 255
+        a: color.a !== undefined ? color.a : 255,
+        ...(color.name && { name: color.name })
       };
     }
 
@@ -205,15 +247,130 @@ class PaletteManager {
     return sourceColors.map(color => this.snapColor(color, targetPalette).color);
   }
 
+  /**
+   * Build a nearest-color lookup for a palette
+   * @param {Array} palette - Palette colors {r, g, b, name?}
+   * @param {string} metric - colorScience metric picking the nearest color
+   * @returns {Function} color => { match, deltaE } where deltaE is the
+   *   CIEDE2000 difference to the match whatever the metric
+   */
+  matcher(palette, metric = 'ciede2000') {
+    const targetCoordinates = palette.map(color => coordinates(color, metric));
+
+    return (color) => {
+      const point = coordinates(color, metric);
+      let match = null;
+      let bestDifference = Infinity;
+      palette.forEach((paletteColor, i) => {
+        const d = difference(point, targetCoordinates[i], metric);
+        if (d < bestDifference) {
+          bestDifference = d;
+          match = paletteColor;
+        }
+      });
+      return { match, deltaE: roundDeltaE(deltaE2000(rgbToLab(color), rgbToLab(match))) };
+    };
+  }
+
+  /**
+   * Snap every paint in an SVG to the nearest palette color
+   * Fills, strokes and gradient stops are replaced in attributes, style
+   * attributes and <style> sheets with hex colors; the alpha of a
+   * semi-transparent paint moves to its opacity property, and paint servers
+   * (url(#...)), none and currentColor are left alone.
+   * @param {string} svg - SVG document
+   * @param {Array} palette - Palette colors {r, g, b, name?}
+   * @param {string} metric - colorScience metric picking the nearest color
+   * @returns {Object} { svg, mapping } where mapping lists each original
+   *   color with its palette color, CIEDE2000 ΔE and use count, most used first
+   */
+  snapSVG(svg, palette, metric = 'ciede2000') {
+    const nearest = this.matcher(palette, metric);
+    const mapping = new Map(); // original hex -> report entry
+
+    const output = mapPaints(svg, (color) => {
+      const original = colorToHex(color);
+      let entry = mapping.get(original);
+      if (!entry) {
+        const { match, deltaE } = nearest(color);
+        entry = {
+          original,
+          color: colorToHex(match),
+          ...(match.name && { name: match.name }),
+          deltaE,
+          count: 0,
+        };
+        mapping.set(original, entry);
+      }
+
+      entry.count++;
+      return color.a < 1 ? { value: entry.color, opacity: color.a } : entry.color;
+    });
+
+    return {
+      svg: output,
+      mapping: Array.from(mapping.values()).sort((a, b) => b.count - a.count),
+    };
+  }
+
+  /**
+   * Build a spot color lookup for a library
+   * Near-white colors are left to the paper, so they get no spot.
+   * @param {Array} library - Spot colors {r, g, b, name?}; unnamed colors
+   *   are named by their hex value
+   * @param {string} metric - colorScience metric picking the nearest spot
+   * @returns {Function} color => { spot, spotColor, deltaE } or
+   *   { spot: null, paper: true, deltaE } with deltaE the CIEDE2000
+   *   difference to the spot (or to white)
+   */
+  spotMatcher(library, metric = 'ciede2000') {
+    const nearest = this.matcher(library, metric);
+
+    return (color) => {
+      const toPaper = deltaE2000(rgbToLab(color), PAPER);
+      if (toPaper <= PAPER_DELTA_E) {
+        return { spot: null, paper: true, deltaE: roundDeltaE(toPaper) };
+      }
+      const { match, deltaE } = nearest(color);
+      const spotColor = colorToHex(match);
+      return { spot: match.name || spotColor, spotColor, deltaE };
+    };
+  }
+
+  /**
+   * Suggest the nearest spot color for every paint in an SVG
+   * @param {string} svg - SVG document
+   * @param {Array} library - Spot colors {r, g, b, name?}
+   * @param {string} metric - colorScience metric picking the nearest spot
+   * @returns {Array} [{ color, spot, spotColor, deltaE, count }] per paint
+   *   color, most used first; see spotMatcher for paper colors
+   */
+  suggestSpots(svg, library, metric = 'ciede2000') {
+    const spotOf = this.spotMatcher(library, metric);
+    const suggestions = new Map(); // hex -> suggestion
+
+    mapPaints(svg, (color, value) => {
+      const hex = colorToHex(color);
+      if (!suggestions.has(hex)) {
+        suggestions.set(hex, { color: hex, ...spotOf(color), count: 0 });
+      }
+      suggestions.get(hex).count++;
+      return value;
+    });
+
+    return Array.from(suggestions.values()).sort((a, b) => b.count - a.count);
+  }
+
   /**
    * Calculate color distance using selected algorithm
    */
   colorDistance(c1, c2) {
+    if (isMetric(this.algorithm)) {
+      return this.perceptualDistance(c1, c2);
+    }
     switch (this.algorithm) {
       case 'euclidean':
         return this.euclideanDistance(c1, c2);
-      case 'ciede2000':
-        return this.ciede2000Distance(c1, c2);
       case 'weighted':
       default:
         return this.weightedDistance(c1, c2);
@@ -248,66 +405,11 @@ class PaletteManager {
   }
 
   /**
-   * CIEDE2000 color distance (most accurate but slower)
-   * Converts to Lab color space for perceptually uniform comparison
+   * Perceptual distance from colorScience, scaled to the 0-255 range of the
+   * RGB distances so one tolerance works for every algorithm
    */
-  ciede2000Distance(c1, c2) {
-    // Convert RGB to Lab
-    const lab1 = this.rgbToLab(c1);
-    const lab2 = this.rgbToLab(c2);
-
-    // Simplified CIEDE2000 (without full parametric factors)
-    const dL = lab2.L - lab1.L;
-    const dA = lab2.a - lab1.a;
-    const dB = lab2.b - lab1.b;
-
-    const c1Lab = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
-    const c2Lab = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
-    const dC = c2Lab - c1Lab;
-
-    const dH = Math.sqrt(Math.max(0, dA * dA + dB * dB - dC * dC));
-
-    const sL = 1;
-    const sC = 1 + 0.045 * c1Lab;
-    const sH = 1 + 0.015 * c1Lab;
-
-    const deltaE = Math.sqrt(
-      (dL / sL) ** 2 +
-      (dC / sC) ** 2 +
-      (dH / sH) ** 2
-    );
-
-    // Scale to approximate 0-255 range for consistency
-    return deltaE * 2.55;
-  }
-
-  /**
-   * Convert RGB to Lab color space
-   */
-  rgbToLab(rgb) {
-    // RGB to XYZ
-    let r = rgb.r / 255;
-    let g = rgb.g / 255;
-    let b = rgb.b / 255;
-
-    r = r > 0.04045 ? Math.pow((r + 0.055) / 1.055, 2.4) : r / 12.92;
-    g = g > 0.04045 ? Math.pow((g + 0.055) / 1.055, 2.4) : g / 12.92;
-    b = b > 0.04045 ? Math.pow((b + 0.055) / 1.055, 2.4) : b / 12.92;
-
-    const x = (r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047;
-    const y = (r * 0.2126 + g * 0.7152 + b * 0.0722) / 1.00000;
-    const z = (r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883;
-
-    // XYZ to Lab
-    const fx = x > 0.008856 ? Math.pow(x, 1/3) : (7.787 * x) + 16/116;
-    const fy = y > 0.008856 ? Math.pow(y, 1/3) : (7.787 * y) + 16/116;
-    const fz = z > 0.008856 ? Math.pow(z, 1/3) : (7.787 * z) + 16/116;
-
-    return {
-      L: (116 * fy) - 16,
-      a: 500 * (fx - fy),
-      b: 200 * (fy - fz)
-    };
+  perceptualDistance(c1, c2) {
+    return distance(c1, c2, this.algorithm) * 2.55;
   }
 
   /**
@@ -437,4 +539,74 @@ class PaletteManager {
   }
 }
 
+/**
+ * Replace every color paint of an SVG
+ * Covers presentation attributes, style attributes and <style> sheets;
+ * paint servers, none and currentColor are passed over.
+ * @param {string} svg - SVG document
+ * @param {Function} replace - (color {r, g, b, a}, value) => replacement
+ *   text, or { value, opacity } to also multiply the paint's opacity
+ *   property (fill-opacity, stroke-opacity, ...) by opacity
+ * @returns {string} SVG document
+ */
+function mapPaints(svg, replace) {
+  // Replaces paints in text, collecting the opacities they ask for
+  const paint = (value, name, opacities) => {
+    const color = parseSvgColor(value.trim());
+    if (!color) return value;
+
+    const result = replace(color, value);
+    if (typeof result === 'string') return result;
+    if (PAINT_OPACITY[name] && result.opacity < 1) {
+      opacities[PAINT_OPACITY[name]] = result.opacity;
+    }
+    return result.value;
+  };
+
+  const declarations = (block) => {
+    const opacities = {};
+    let text = block.replace(PAINT_PROPERTY, (match, before, name, colon, value) => `${before}${name}${colon}${paint(value, name, opacities)}`);
+    for (const [property, opacity] of Object.entries(opacities)) {
+      const existing = new RegExp(`(^|[\\s;])(${property}\\s*:\\s*)([^;]+)`);
+      if (existing.test(text)) {
+        text = text.replace(existing, (match, before, name, value) => `${before}${name}${multiplyOpacity(value, opacity)}`);
+      } else {
+        text = `${text.replace(/[\s;]*$/, '')}${text.trim() ? ';' : ''}${property}:${multiplyOpacity('1', opacity)}`;
+      }
+    }
+    return text;
+  };
+
+  const startTag = (tag) => {
+    const opacities = {};
+    let text = tag
+      .replace(PAINT_ATTRIBUTE, (match, space, name, equals, quote, value) => `${space}${name}${equals}${quote}${paint(value, name, opacities)}${quote}`)
+      .replace(STYLE_ATTRIBUTE, (match, before, quote, block) => `${before}${quote}${declarations(block)}${quote}`);
+    for (const [property, opacity] of Object.entries(opacities)) {
+      const existing = new RegExp(`(\\s${property}\\s*=\\s*)(["'])([^"']*)\\2`);
+      if (existing.test(text)) {
+        text = text.replace(existing, (match, before, quote, value) => `${before}${quote}${multiplyOpacity(value, opacity)}${quote}`);
+      } else {
+        text = text.replace(/\s*(\/?>)$/, ` ${property}="${multiplyOpacity('1', opacity)}"$1`);
+      }
+    }
+    return text;
+  };
+
+  return svg
+    .replace(STYLE_ELEMENT, (match, open, css, close) => `${open}${css.replace(/\{([^{}]*)\}/g, (block, body) => `{${declarations(body)}}`)}${close}`)
+    .replace(START_TAG, startTag);
+}
+
+// An opacity value ("0.5" or "50%") multiplied by a factor
+function multiplyOpacity(value, factor) {
+  const text = String(value).trim();
+  const opacity = text.endsWith('%') ? parseFloat(text) / 100 : parseFloat(text);
+  return String(Math.round((isNaN(opacity) ? 1 : opacity) * factor * 1000) / 1000);
+}
+
+function roundDeltaE(deltaE) {
+  return Math.round(deltaE * 100) / 100;
+}
+
 module.exports = PaletteManager;
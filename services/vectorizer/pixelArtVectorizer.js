@@ -0,0 +1,492 @@
+/**
+ * PIXEL ART VECTORIZER
+ *
+ * Vectorizes sprites, icons and other pixel art as exact square pixels
+ * instead of resampling them and rounding every pixel into a blob.
+ *
+ * Pipeline:
+ * 1. GRID - Find the native pixel size and offset of nearest-neighbor
+ *    upscaled art from where colors change along rows and columns
+ * 2. SAMPLE - Read one color per art pixel (the most common in its cell)
+ *    and merge colors closer than the tolerance into one palette entry
+ * 3. TRACE - crisp: merge 4-connected same-colored pixels into rectilinear
+ *    polygons (outline plus holes) with no collinear vertices.
+ *    smooth: depixelize - resolve diagonal connections between same-colored
+ *    pixels with the Kopf-Lischinski heuristics (curves, sparse pixels,
+ *    islands), cut the corners of the cells a kept diagonal runs between and
+ *    fit curves to the reshaped regions with the planar map tracer
+ * 4. SVG GENERATION - One path per region at the source size; crisp output
+ *    is marked shape-rendering="crispEdges"
+ */
+
+const sharp = require('sharp');
+const PlanarMapTracer = require('./planarMapTracer');
+const SVGBuilder = require('./svgBuilder');
+
+// Crack directions between pixel corners: east, south, west, north (y down)
+const STEPS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+class PixelArtVectorizer {
+  constructor(options = {}) {
+    this.style = options.style || 'crisp'; // 'crisp' or 'smooth'
+    this.pixelSize = options.pixelSize || null; // Source pixels per art pixel; null detects it
+    this.colorTolerance = options.colorTolerance ?? 8; // Channel difference still counted as the same color
+    this.maxPixelSize = 256;
+    this.gridTolerance = 0.01; // Share of color changes allowed off the grid (noise, stray pixels)
+    this.subdivision = 8; // Subpixels per art pixel when reshaping cells for the smooth style
+    this.curveWindow = 8; // Art pixels around a diagonal counted by the sparse pixels heuristic
+
+    this.planarMapTracer = new PlanarMapTracer({
+      minRegionArea: 1,
+      cornerAngle: options.cornerThreshold || 60,
+    });
+  }
+
+  /**
+   * Vectorize pixel art
+   * @param {Buffer} imageBuffer - Input image
+   * @returns {Promise<string>} SVG content
+   */
+  async vectorize(imageBuffer) {
+    const startTime = Date.now();
+    console.log(`[PixelArtVectorizer] Starting (${this.style})...`);
+
+    const { data, info } = await sharp(imageBuffer)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const image = { data, width: info.width, height: info.height };
+
+    const grid = this.pixelSize
+      ? { size: this.pixelSize, offsetX: 0, offsetY: 0 }
+      : this.detectGrid(image);
+    const art = this.sample(image, grid);
+    console.log(`[PixelArtVectorizer] ${grid.size}px grid: ${art.width}x${art.height} pixels, ${art.colors.length} colors`);
+
+    const svg = this.style === 'smooth'
+      ? this.buildSmoothSVG(art, image)
+      : this.buildCrispSVG(art, image);
+
+    console.log(`[PixelArtVectorizer] Done in ${Date.now() - startTime}ms`);
+    return svg;
+  }
+
+  /**
+   * Find the largest pixel size whose grid lines account for (nearly) every
+   * color change along the rows and columns
+   * @returns {object} { size, offsetX, offsetY } in source pixels
+   */
+  detectGrid({ data, width, height }) {
+    const changesX = new Map();
+    const changesY = new Map();
+    const count = (changes, position) => changes.set(position, (changes.get(position) || 0) + 1);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (x > 0 && !this.sameColor(data, i * 4, (i - 1) * 4)) count(changesX, x);
+        if (y > 0 && !this.sameColor(data, i * 4, (i - width) * 4)) count(changesY, y);
+      }
+    }
+
+    const maxSize = Math.min(this.maxPixelSize, Math.floor(Math.max(width, height) / 2));
+    for (let size = maxSize; size >= 2; size--) {
+      const offsetX = this.fitGrid(changesX, size);
+      const offsetY = this.fitGrid(changesY, size);
+      if (offsetX !== null && offsetY !== null) return { size, offsetX, offsetY };
+    }
+    return { size: 1, offsetX: 0, offsetY: 0 };
+  }
+
+  /**
+   * Offset of the grid lines of a pixel size along one axis
+   * @returns {number|null} Offset, or null when too many changes fall between lines
+   */
+  fitGrid(changes, size) {
+    const buckets = new Float64Array(size);
+    let total = 0;
+    for (const [position, n] of changes) {
+      buckets[position % size] += n;
+      total += n;
+    }
+    if (total === 0) return 0;
+
+    let offset = 0;
+    for (let o = 1; o < size; o++) {
+      if (buckets[o] > buckets[offset]) offset = o;
+    }
+    return total - buckets[offset] <= total * this.gridTolerance ? offset : null;
+  }
+
+  /**
+   * Read one color per grid cell
+   * @returns {object} { width, height, labels, colors, xs, ys } where labels
+   *   index colors ({ r, g, b, a }) or are -1 for transparent cells, and xs/ys
+   *   hold the source coordinate of every grid line
+   */
+  sample({ data, width, height }, { size, offsetX, offsetY }) {
+    const lines = (offset, extent) => {
+      const result = [0];
+      for (let line = offset % size || size; line < extent; line += size) result.push(line);
+      result.push(extent);
+      return result;
+    };
+    const xs = lines(offsetX, width);
+    const ys = lines(offsetY, height);
+    const artWidth = xs.length - 1;
+    const artHeight = ys.length - 1;
+
+    // Most common exact color in each cell; transparent pixels share one key
+    const cellColors = new Array(artWidth * artHeight);
+    const frequency = new Map();
+    for (let cy = 0; cy < artHeight; cy++) {
+      for (let cx = 0; cx < artWidth; cx++) {
+        const votes = new Map();
+        for (let y = ys[cy]; y < ys[cy + 1]; y++) {
+          for (let x = xs[cx]; x < xs[cx + 1]; x++) {
+            const p = (y * width + x) * 4;
+            const key = data[p + 3] < 128 ? -1 : ((data[p] << 24) | (data[p + 1] << 16) | (data[p + 2] << 8) | data[p + 3]) >>> 0;
+            votes.set(key, (votes.get(key) || 0) + 1);
+          }
+        }
+        let best = -1;
+        let bestVotes = 0;
+        for (const [key, n] of votes) {
+          if (n > bestVotes) {
+            best = key;
+            bestVotes = n;
+          }
+        }
+        cellColors[cy * artWidth + cx] = best;
+        if (best !== -1) frequency.set(best, (frequency.get(best) || 0) + 1);
+      }
+    }
+
+    // Palette from the most used colors down; near duplicates join an entry
+    const colors = [];
+    const labelOf = new Map([[-1, -1]]);
+    for (const [key] of [...frequency.entries()].sort((a, b) => b[1] - a[1])) {
+      const color = { r: key >>> 24, g: (key >>> 16) & 255, b: (key >>> 8) & 255, a: key & 255 };
+      const match = colors.findIndex(c => Math.max(
+        Math.abs(c.r - color.r), Math.abs(c.g - color.g), Math.abs(c.b - color.b), Math.abs(c.a - color.a)
+      ) <= this.colorTolerance);
+      if (match >= 0) {
+        labelOf.set(key, match);
+      } else {
+        labelOf.set(key, colors.length);
+        colors.push(color);
+      }
+    }
+
+    const labels = Int32Array.from(cellColors, key => labelOf.get(key));
+    return { width: artWidth, height: artHeight, labels, colors, xs, ys };
+  }
+
+  sameColor(data, p, q) {
+    const transparentP = data[p + 3] < 128;
+    const transparentQ = data[q + 3] < 128;
+    if (transparentP || transparentQ) return transparentP === transparentQ;
+    return Math.abs(data[p] - data[q]) <= this.colorTolerance
+      && Math.abs(data[p + 1] - data[q + 1]) <= this.colorTolerance
+      && Math.abs(data[p + 2] - data[q + 2]) <= this.colorTolerance
+      && Math.abs(data[p + 3] - data[q + 3]) <= this.colorTolerance;
+  }
+
+  /**
+   * Split art pixels into 4-connected regions of one color
+   * @returns {object} { ids, regions } where ids holds a region per pixel
+   *   (-1 for transparent) and regions lists { label, area }
+   */
+  labelRegions({ width, height, labels }) {
+    const size = width * height;
+    const ids = new Int32Array(size).fill(-1);
+    const regions = [];
+    const stack = [];
+
+    for (let start = 0; start < size; start++) {
+      if (ids[start] !== -1 || labels[start] < 0) continue;
+
+      const id = regions.length;
+      const label = labels[start];
+      let area = 0;
+      ids[start] = id;
+      stack.push(start);
+      while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % width;
+        area++;
+        for (const n of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+          if (n < 0 || n >= size || ids[n] !== -1 || labels[n] !== label) continue;
+          ids[n] = id;
+          stack.push(n);
+        }
+      }
+      regions.push({ label, area });
+    }
+
+    return { ids, regions };
+  }
+
+  /**
+   * Trace the outline and holes of every region as rectilinear rings
+   * Each crack between a region and anything else is walked with the region
+   * on its right, turning right first where two of its pixels touch only at
+   * a corner, so outlines run clockwise, holes counterclockwise and rings
+   * never cross.
+   * @returns {Array} Rings per region id, each a list of corner points
+   */
+  traceRings(ids, regionCount, width, height) {
+    const stride = width + 1;
+    const regionAt = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? -1 : ids[y * width + x]);
+
+    // Outgoing cracks per corner, as a bit per direction
+    const outgoing = new Uint8Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const id = ids[y * width + x];
+        if (id < 0) continue;
+        if (regionAt(x, y - 1) !== id) outgoing[y * stride + x] |= 1; // Top, heading east
+        if (regionAt(x + 1, y) !== id) outgoing[y * stride + x + 1] |= 2; // Right, heading south
+        if (regionAt(x, y + 1) !== id) outgoing[(y + 1) * stride + x + 1] |= 4; // Bottom, heading west
+        if (regionAt(x - 1, y) !== id) outgoing[(y + 1) * stride + x] |= 8; // Left, heading north
+      }
+    }
+
+    // The pixel on the right of a crack leaving a corner
+    const rightOf = (x, y, direction) => [
+      regionAt(x, y), regionAt(x - 1, y), regionAt(x - 1, y - 1), regionAt(x, y - 1),
+    ][direction];
+
+    const rings = Array.from({ length: regionCount }, () => []);
+    for (let corner = 0; corner < outgoing.length; corner++) {
+      while (outgoing[corner]) {
+        const first = Math.log2(outgoing[corner] & -outgoing[corner]);
+        let direction = first;
+        let x = corner % stride;
+        let y = Math.floor(corner / stride);
+        const region = rightOf(x, y, direction);
+        const points = [[x, y]];
+
+        for (;;) {
+          outgoing[y * stride + x] &= ~(1 << direction);
+          x += STEPS[direction][0];
+          y += STEPS[direction][1];
+
+          const available = outgoing[y * stride + x];
+          const next = [1, 0, 3]
+            .map(turn => (direction + turn) % 4)
+            .find(d => available & (1 << d) && rightOf(x, y, d) === region);
+          if (next === undefined) break;
+          if (next !== direction) points.push([x, y]);
+          direction = next;
+        }
+
+        // The ring closes on its first corner, which may lie along a straight run
+        if (direction === first) points.shift();
+        rings[region].push(points);
+      }
+    }
+    return rings;
+  }
+
+  /**
+   * Exact pixels: one axis-aligned path per region
+   */
+  buildCrispSVG(art, { width, height }) {
+    const { ids, regions } = this.labelRegions(art);
+    const rings = this.traceRings(ids, regions.length, art.width, art.height);
+    const { xs, ys } = art;
+
+    const paths = regions
+      .map((region, id) => ({ ...region, rings: rings[id] }))
+      .sort((a, b) => b.area - a.area)
+      .map(({ label, rings: regionRings }) => {
+        const d = regionRings.map((points) => {
+          const [[x0, y0], ...rest] = points;
+          const steps = rest.map(([x, y], i) => (x !== points[i][0] ? `H${xs[x]}` : `V${ys[y]}`));
+          return `M${xs[x0]} ${ys[y0]}${steps.join('')}Z`;
+        }).join('');
+        return `<path d="${d}"${this.fillAttributes(art.colors[label])}/>`;
+      });
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`,
+      ...paths,
+      '</svg>',
+    ].join('\n');
+  }
+
+  fillAttributes({ r, g, b, a }) {
+    const hex = `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')}`;
+    return a < 255 ? ` fill="${hex}" fill-opacity="${Number((a / 255).toFixed(3))}"` : ` fill="${hex}"`;
+  }
+
+  /**
+   * Depixelized: reshape cells along resolved diagonals, then fit curves
+   */
+  buildSmoothSVG(art, { width, height }) {
+    const s = this.subdivision;
+    const subWidth = art.width * s;
+    const labels = new Int32Array(subWidth * art.height * s);
+    for (let y = 0; y < art.height * s; y++) {
+      for (let x = 0; x < subWidth; x++) {
+        labels[y * subWidth + x] = art.labels[Math.floor(y / s) * art.width + Math.floor(x / s)];
+      }
+    }
+
+    // Cut the corner of a cell at the block center for a diagonal passing it
+    const cut = (cellX, cellY, cornerX, cornerY, label) => {
+      for (let j = 0; j < s; j++) {
+        for (let i = 0; i < s; i++) {
+          const fromCorner = (cornerX ? s - 1 - i : i) + (cornerY ? s - 1 - j : j);
+          if (fromCorner < s / 2) labels[(cellY * s + j) * subWidth + cellX * s + i] = label;
+        }
+      }
+    };
+
+    let kept = 0;
+    for (const { x, y, diagonal } of this.resolveDiagonals(art)) {
+      const label = diagonal === 'main' ? art.labels[y * art.width + x] : art.labels[y * art.width + x + 1];
+      if (diagonal === 'main') {
+        cut(x + 1, y, false, true, label); // Top-right cell, its bottom-left corner
+        cut(x, y + 1, true, false, label); // Bottom-left cell, its top-right corner
+      } else {
+        cut(x, y, true, true, label); // Top-left cell, its bottom-right corner
+        cut(x + 1, y + 1, false, false, label); // Bottom-right cell, its top-left corner
+      }
+      kept++;
+    }
+    console.log(`[PixelArtVectorizer] Depixelized along ${kept} diagonals`);
+
+    const regions = this.planarMapTracer.trace({
+      width: subWidth,
+      height: art.height * s,
+      labels,
+      colors: art.colors,
+    });
+    return new SVGBuilder({
+      gapFiller: false,
+      shapeStacking: 'stacked',
+      outputWidth: width,
+      outputHeight: height,
+      aspectRatio: 'stretch',
+    }).build(regions, subWidth, art.height * s);
+  }
+
+  /**
+   * Diagonal connections between same-colored pixels in each 2x2 block
+   * Where both diagonals connect (an X of two colors), the Kopf-Lischinski
+   * heuristics vote: the diagonal on the longer curve, of the sparser color
+   * and keeping a pixel from becoming an island wins; ties keep neither.
+   * @returns {Array} { x, y, diagonal } per block with a kept diagonal, where
+   *   x, y is the block's top-left pixel and diagonal is 'main' (top-left to
+   *   bottom-right) or 'anti' (top-right to bottom-left)
+   */
+  resolveDiagonals(art) {
+    const { width, height, labels } = art;
+    const at = (x, y) => labels[y * width + x];
+    const diagonals = [];
+
+    for (let y = 0; y + 1 < height; y++) {
+      for (let x = 0; x + 1 < width; x++) {
+        const a = at(x, y);
+        const b = at(x + 1, y);
+        const c = at(x, y + 1);
+        const d = at(x + 1, y + 1);
+        const main = a === d && !(a === b && a === c);
+        const anti = b === c && !(b === a && b === d);
+
+        if (main && anti) {
+          const votes = this.diagonalVotes(art, x, y);
+          if (votes > 0) diagonals.push({ x, y, diagonal: 'main' });
+          else if (votes < 0) diagonals.push({ x, y, diagonal: 'anti' });
+        } else if (main) {
+          diagonals.push({ x, y, diagonal: 'main' });
+        } else if (anti) {
+          diagonals.push({ x, y, diagonal: 'anti' });
+        }
+      }
+    }
+    return diagonals;
+  }
+
+  /**
+   * Votes for the main diagonal (positive) over the anti diagonal (negative)
+   */
+  diagonalVotes(art, x, y) {
+    const main = [[x, y], [x + 1, y + 1]];
+    const anti = [[x + 1, y], [x, y + 1]];
+
+    // Curves: the diagonal on the longer one-pixel-wide line
+    let votes = this.curveLength(art, main) - this.curveLength(art, anti);
+
+    // Sparse pixels: the color with fewer pixels nearby is the foreground
+    const half = this.curveWindow / 2;
+    const mainLabel = art.labels[y * art.width + x];
+    const antiLabel = art.labels[y * art.width + x + 1];
+    let mainCount = 0;
+    let antiCount = 0;
+    for (let wy = Math.max(0, y - half + 1); wy < Math.min(art.height, y + half + 1); wy++) {
+      for (let wx = Math.max(0, x - half + 1); wx < Math.min(art.width, x + half + 1); wx++) {
+        const label = art.labels[wy * art.width + wx];
+        if (label === mainLabel) mainCount++;
+        else if (label === antiLabel) antiCount++;
+      }
+    }
+    votes += antiCount - mainCount;
+
+    // Islands: cutting a pixel's only connection would isolate it
+    if (main.some(([px, py]) => this.valence(art, px, py) === 1)) votes += 5;
+    if (anti.some(([px, py]) => this.valence(art, px, py) === 1)) votes -= 5;
+
+    return votes;
+  }
+
+  /**
+   * Same-colored pixels among the 8 neighbors
+   */
+  valence({ width, height, labels }, x, y) {
+    const label = labels[y * width + x];
+    let count = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if ((dx || dy) && nx >= 0 && ny >= 0 && nx < width && ny < height && labels[ny * width + nx] === label) count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Length of the chain of valence-2 pixels a diagonal belongs to
+   */
+  curveLength(art, [start, end]) {
+    const { width, height, labels } = art;
+    const key = ([x, y]) => y * width + x;
+    const visited = new Set([key(start), key(end)]);
+    let length = 1;
+
+    for (const from of [start, end]) {
+      let current = from;
+      while (length < width + height && this.valence(art, current[0], current[1]) === 2) {
+        const label = labels[key(current)];
+        let next = null;
+        for (let dy = -1; dy <= 1 && !next; dy++) {
+          for (let dx = -1; dx <= 1 && !next; dx++) {
+            const candidate = [current[0] + dx, current[1] + dy];
+            if ((!dx && !dy) || candidate[0] < 0 || candidate[1] < 0 || candidate[0] >= width || candidate[1] >= height) continue;
+            if (labels[key(candidate)] === label && !visited.has(key(candidate))) next = candidate;
+          }
+        }
+        if (!next) break;
+        visited.add(key(next));
+        current = next;
+        length++;
+      }
+    }
+    return length;
+  }
+}
+
+module.exports = PixelArtVectorizer;
@@ -0,0 +1,473 @@
+/**
+ * PLANAR MAP TRACER
+ *
+ * Traces a color-labeled image as a planar map: every boundary between two
+ * regions is fitted once and the same curves are used, reversed, by the
+ * region on its other side. Fills therefore tile exactly, with no slivers
+ * between neighbors and no gap-filler strokes changing the silhouette.
+ *
+ * Pipeline:
+ * 1. REGIONS - Split the label image into 4-connected regions and merge
+ *    specks into the neighbor they share the most boundary with
+ * 2. EDGES - Walk the pixel cracks between regions from junction to junction
+ *    (corners where three or more regions meet)
+ * 3. FITTING - Smooth each edge and fit curves to it, junctions held fixed
+ * 4. FACES - Chain each region's edges into rings (outline and holes)
+ *
+ * Coordinates are pixel corners of the label image.
+ */
+
+const CurveFitter = require('./curveFitter');
+
+// Crack directions from a pixel corner: east, south, west, north (y down)
+const STEPS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+class PlanarMapTracer {
+  constructor(options = {}) {
+    this.minRegionArea = options.minRegionArea || 8; // Pixels; smaller regions merge into a neighbor
+    this.smoothing = options.smoothing ?? 2; // Averaging passes over each edge's points
+    this.cornerAngle = (options.cornerAngle || 60) * Math.PI / 180; // Turn kept sharp instead of smoothed
+    this.cornerSpan = options.cornerSpan || 4; // Cracks on either side measured for a turn
+
+    // Lines and cubics only: edges are reused reversed, which is exact for
+    // both, and a cubic follows a quarter circle far closer than a quadratic
+    this.curveFitter = new CurveFitter({
+      lineTolerance: options.lineTolerance || 1.0,
+      bezierTolerance: options.bezierTolerance || 1.0,
+      cornerThreshold: options.cornerThreshold || 60,
+      allowQuadraticBezier: false,
+      allowCircularArc: false,
+      allowEllipticalArc: false,
+    });
+  }
+
+  /**
+   * Trace a labeled image
+   * @param {object} image - { width, height, labels, colors } where labels
+   *   holds a color index per pixel (-1 for transparent) and colors maps an
+   *   index to {r, g, b}
+   * @returns {Array} SVGBuilder regions, one per color with a compound path
+   *   (outline plus holes) per connected region, largest color first
+   */
+  trace({ width, height, labels, colors }) {
+    const { ids, regionLabels } = this.labelRegions(labels, width, height);
+    const edges = this.traceEdges(ids, width, height);
+    edges.forEach(edge => { edge.curves = this.fitEdge(edge); });
+    const faces = this.assembleFaces(edges, regionLabels.length);
+
+    const byLabel = new Map();
+    faces.forEach(({ curves, area }, region) => {
+      if (curves.length === 0) return;
+      const label = regionLabels[region];
+      if (!byLabel.has(label)) byLabel.set(label, { color: colors[label], paths: [], area: 0 });
+      const entry = byLabel.get(label);
+      entry.paths.push({ type: 'path', curves, area });
+      entry.area += area;
+    });
+
+    console.log(`[PlanarMapTracer] ${faces.length} regions, ${edges.length} shared edges`);
+
+    return [...byLabel.values()]
+      .sort((a, b) => b.area - a.area)
+      .map(({ color, paths }) => ({
+        color,
+        paths: paths.sort((a, b) => b.area - a.area).map(({ type, curves }) => ({ type, curves })),
+      }));
+  }
+
+  /**
+   * Split labels into 4-connected regions, merging those under minRegionArea
+   * into the neighbor they share the longest boundary with
+   * @returns {object} { ids, regionLabels } with a region id per pixel
+   *   (-1 outside) and the color label of each region
+   */
+  labelRegions(labels, width, height) {
+    const size = width * height;
+    const ids = new Int32Array(size).fill(-1);
+    const areas = [];
+    const regionLabels = [];
+    const stack = [];
+
+    for (let start = 0; start < size; start++) {
+      if (ids[start] !== -1 || labels[start] < 0) continue;
+
+      const id = areas.length;
+      const label = labels[start];
+      let area = 0;
+      ids[start] = id;
+      stack.push(start);
+      while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % width;
+        area++;
+        for (const n of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+          if (n < 0 || n >= size || ids[n] !== -1 || labels[n] !== label) continue;
+          ids[n] = id;
+          stack.push(n);
+        }
+      }
+      areas.push(area);
+      regionLabels.push(label);
+    }
+
+    // Shared boundary length between each small region and its neighbors
+    const small = areas.map(area => area < this.minRegionArea);
+    const contacts = new Map();
+    const touch = (a, b) => {
+      if (a === b || a < 0 || b < 0 || !small[a]) return;
+      if (!contacts.has(a)) contacts.set(a, new Map());
+      const counts = contacts.get(a);
+      counts.set(b, (counts.get(b) || 0) + 1);
+    };
+    for (let i = 0; i < size; i++) {
+      if (i % width < width - 1) {
+        touch(ids[i], ids[i + 1]);
+        touch(ids[i + 1], ids[i]);
+      }
+      if (i + width < size) {
+        touch(ids[i], ids[i + width]);
+        touch(ids[i + width], ids[i]);
+      }
+    }
+
+    const parent = areas.map((_, i) => i);
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+    const order = areas.map((_, i) => i).filter(i => small[i]).sort((a, b) => areas[a] - areas[b]);
+    for (const region of order) {
+      const counts = contacts.get(region);
+      // Specks with no colored neighbor are dropped, like traced paths too small to keep
+      if (!counts) {
+        parent[region] = -1;
+        continue;
+      }
+      let target = -1;
+      let best = 0;
+      for (const [other, count] of counts) {
+        if (count > best && parent[other] !== -1) {
+          target = other;
+          best = count;
+        }
+      }
+      if (target === -1) {
+        parent[region] = -1;
+        continue;
+      }
+      const root = find(target);
+      if (root !== region) parent[region] = root;
+    }
+
+    // Renumber the surviving regions densely
+    const remap = new Int32Array(areas.length).fill(-1);
+    const merged = [];
+    areas.forEach((_, i) => {
+      if (parent[i] === i) {
+        remap[i] = merged.length;
+        merged.push(regionLabels[i]);
+      }
+    });
+    for (let i = 0; i < size; i++) {
+      if (ids[i] < 0) continue;
+      const root = parent[ids[i]] === -1 ? -1 : find(ids[i]);
+      ids[i] = root < 0 ? -1 : remap[root];
+    }
+
+    return { ids, regionLabels: merged };
+  }
+
+  /**
+   * Walk the cracks between differently labeled pixels into edges running
+   * from junction to junction (or around a closed loop)
+   * @returns {Array} Edges { points, right, left, from, to, firstDir, lastDir, closed }
+   *   where right and left are the regions on either side (-1 outside)
+   */
+  traceEdges(ids, width, height) {
+    const region = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? -1 : ids[y * width + x]);
+
+    // Pixels to the right and left of the crack leaving corner (x, y) in direction d
+    const sides = (x, y, d) => {
+      switch (d) {
+        case 0: return [region(x, y), region(x, y - 1)];
+        case 1: return [region(x - 1, y), region(x, y)];
+        case 2: return [region(x - 1, y - 1), region(x - 1, y)];
+        default: return [region(x, y - 1), region(x - 1, y - 1)];
+      }
+    };
+    const exists = (x, y, d) => {
+      const [right, left] = sides(x, y, d);
+      return right !== left;
+    };
+
+    // Edge id of each crack: horizontal cracks by left corner, vertical by top corner
+    const horizontal = new Int32Array(width * (height + 1)).fill(-1);
+    const vertical = new Int32Array((width + 1) * height).fill(-1);
+    const crack = (x, y, d) => {
+      switch (d) {
+        case 0: return [horizontal, y * width + x];
+        case 1: return [vertical, y * (width + 1) + x];
+        case 2: return [horizontal, y * width + x - 1];
+        default: return [vertical, (y - 1) * (width + 1) + x];
+      }
+    };
+
+    const degree = (x, y) => [0, 1, 2, 3].filter(d => exists(x, y, d)).length;
+    const isJunction = (x, y) => degree(x, y) >= 3;
+
+    const edges = [];
+    const walk = (x0, y0, d0) => {
+      const id = edges.length;
+      const [right, left] = sides(x0, y0, d0);
+      const points = [{ x: x0, y: y0 }];
+      let x = x0;
+      let y = y0;
+      let d = d0;
+
+      for (;;) {
+        const [cracks, index] = crack(x, y, d);
+        cracks[index] = id;
+        x += STEPS[d][0];
+        y += STEPS[d][1];
+        points.push({ x, y });
+        if ((x === x0 && y === y0) || isJunction(x, y)) break;
+
+        // Past a corner that is not a junction the boundary goes on one way only
+        const back = (d + 2) % 4;
+        d = [0, 1, 2, 3].find(next => next !== back && exists(x, y, next));
+      }
+
+      const closed = x === x0 && y === y0 && !isJunction(x0, y0);
+      edges.push({
+        points,
+        right,
+        left,
+        from: y0 * (width + 1) + x0,
+        to: y * (width + 1) + x,
+        firstDir: d0,
+        lastDir: d,
+        closed,
+      });
+    };
+
+    for (let y = 0; y <= height; y++) {
+      for (let x = 0; x <= width; x++) {
+        if (!isJunction(x, y)) continue;
+        for (let d = 0; d < 4; d++) {
+          const [cracks, index] = crack(x, y, d);
+          if (exists(x, y, d) && cracks[index] === -1) walk(x, y, d);
+        }
+      }
+    }
+
+    // Whatever is left forms loops with no junction; each loop has a
+    // horizontal crack, found first at its top-left corner
+    for (let y = 0; y <= height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (horizontal[y * width + x] === -1 && exists(x, y, 0)) walk(x, y, 0);
+      }
+    }
+
+    return edges;
+  }
+
+  /**
+   * Fit curves to an edge; its junctions and sharp corners stay fixed
+   * Points run through the middle of each crack so pixel staircases fit as
+   * straight lines and smooth curves; corners keep their pixel corner.
+   */
+  fitEdge(edge) {
+    let { points } = edge;
+    let corners = this.findCorners(points, edge.closed);
+    let closed = edge.closed;
+
+    // A loop with a corner is fitted as a run from that corner back to it
+    if (closed && corners.length > 0) {
+      const start = corners[0];
+      points = [...points.slice(start, -1), ...points.slice(0, start + 1)];
+      corners = corners.map(i => (i - start + points.length - 1) % (points.length - 1));
+      closed = false;
+    }
+
+    const samples = [];
+    const fixed = new Set();
+    const cornerSet = new Set(corners);
+    for (let i = 0; i + 1 < points.length; i++) {
+      if ((!closed && i === 0) || cornerSet.has(i)) {
+        fixed.add(samples.length);
+        samples.push(points[i]);
+      }
+      samples.push({ x: (points[i].x + points[i + 1].x) / 2, y: (points[i].y + points[i + 1].y) / 2 });
+    }
+    if (!closed) {
+      fixed.add(samples.length);
+      samples.push(points[points.length - 1]);
+    }
+
+    const smoothed = this.smooth(samples, fixed, closed);
+    if (closed) smoothed.push(smoothed[0]);
+
+    // Fit between consecutive fixed points
+    const breaks = closed ? [0, smoothed.length - 1] : [...fixed].sort((a, b) => a - b);
+    const curves = [];
+    for (let i = 0; i + 1 < breaks.length; i++) {
+      const span = smoothed.slice(breaks[i], breaks[i + 1] + 1);
+      curves.push(...(span.length === 2
+        ? [{ type: 'line', start: span[0], end: span[1] }]
+        : this.curveFitter.fitOpenCurves(span)));
+    }
+
+    // Chain the curves through shared points so every use prints the same numbers
+    curves[0].start = smoothed[0];
+    curves[curves.length - 1].end = smoothed[smoothed.length - 1];
+    for (let i = 1; i < curves.length; i++) curves[i].start = curves[i - 1].end;
+
+    return curves;
+  }
+
+  /**
+   * Indices of crack corners where the boundary turns sharply, measured over
+   * cornerSpan cracks on either side so pixel staircases do not count
+   */
+  findCorners(points, closed) {
+    const n = closed ? points.length - 1 : points.length;
+    const span = this.cornerSpan;
+    const at = (i) => points[closed ? (i + n) % n : Math.max(0, Math.min(n - 1, i))];
+
+    const turns = [];
+    for (let i = 0; i < n; i++) {
+      if (!closed && (i === 0 || i === n - 1)) {
+        turns.push(0);
+        continue;
+      }
+      const p = at(i);
+      const a = at(i - span);
+      const b = at(i + span);
+      const v1 = { x: p.x - a.x, y: p.y - a.y };
+      const v2 = { x: b.x - p.x, y: b.y - p.y };
+      turns.push(Math.abs(Math.atan2(v1.x * v2.y - v1.y * v2.x, v1.x * v2.x + v1.y * v2.y)));
+    }
+
+    // Keep the sharpest turn within each span
+    const corners = [];
+    for (let i = 0; i < n; i++) {
+      if (turns[i] < this.cornerAngle) continue;
+      let peak = true;
+      for (let k = 1; k <= span && peak; k++) {
+        const before = closed ? turns[(i - k + n) % n] : turns[i - k];
+        const after = closed ? turns[(i + k) % n] : turns[i + k];
+        if ((before !== undefined && before > turns[i]) || (after !== undefined && after >= turns[i])) peak = false;
+      }
+      if (peak) corners.push(i);
+    }
+
+    return corners;
+  }
+
+  /**
+   * [1, 2, 1] averaging passes that leave fixed points in place
+   */
+  smooth(points, fixed, closed) {
+    let current = points;
+    for (let pass = 0; pass < this.smoothing; pass++) {
+      const n = current.length;
+      if (n < 3) break;
+      current = current.map((p, i) => {
+        if (fixed.has(i) || (!closed && (i === 0 || i === n - 1))) return p;
+        const prev = current[(i - 1 + n) % n];
+        const next = current[(i + 1) % n];
+        return { x: (prev.x + 2 * p.x + next.x) / 4, y: (prev.y + 2 * p.y + next.y) / 4 };
+      });
+    }
+    return current;
+  }
+
+  /**
+   * Chain each region's edges into rings, walking with the region on the
+   * right; where a region meets itself at a corner the sharpest right turn
+   * wins, matching 4-connectivity
+   * @returns {Array} { curves, area } per region
+   */
+  assembleFaces(edges, regionCount) {
+    const uses = Array.from({ length: regionCount }, () => []);
+    for (const edge of edges) {
+      if (edge.right >= 0) {
+        uses[edge.right].push({ edge, forward: true, from: edge.from, to: edge.to, firstDir: edge.firstDir, lastDir: edge.lastDir });
+      }
+      if (edge.left >= 0) {
+        uses[edge.left].push({
+          edge,
+          forward: false,
+          from: edge.to,
+          to: edge.from,
+          firstDir: (edge.lastDir + 2) % 4,
+          lastDir: (edge.firstDir + 2) % 4,
+        });
+      }
+    }
+
+    return uses.map(regionUses => {
+      const starting = new Map();
+      for (const use of regionUses) {
+        if (!starting.has(use.from)) starting.set(use.from, []);
+        starting.get(use.from).push(use);
+      }
+
+      const used = new Set();
+      const curves = [];
+      let area = 0;
+      for (const first of regionUses) {
+        if (used.has(first)) continue;
+
+        const ring = [first];
+        used.add(first);
+        let current = first;
+        while (!current.edge.closed) {
+          const turns = [(current.lastDir + 1) % 4, current.lastDir, (current.lastDir + 3) % 4];
+          const next = (starting.get(current.to) || [])
+            .filter(use => turns.includes(use.firstDir))
+            .sort((a, b) => turns.indexOf(a.firstDir) - turns.indexOf(b.firstDir))[0];
+          if (!next || next === first || used.has(next)) break;
+          ring.push(next);
+          used.add(next);
+          current = next;
+        }
+
+        for (const use of ring) {
+          curves.push(...(use.forward ? use.edge.curves : this.reverseCurves(use.edge.curves)));
+          area += this.signedArea(use.edge.points) * (use.forward ? 1 : -1);
+        }
+      }
+
+      return { curves, area };
+    });
+  }
+
+  reverseCurves(curves) {
+    return curves.slice().reverse().map(curve => {
+      switch (curve.type) {
+        case 'cubic':
+          return { type: 'cubic', start: curve.end, cp1: curve.cp2, cp2: curve.cp1, end: curve.start };
+        default:
+          return { type: 'line', start: curve.end, end: curve.start };
+      }
+    });
+  }
+
+  /**
+   * Shoelace term of an edge's crack polyline; summed over a ring it gives
+   * the region's pixel area (positive for outlines, which run clockwise)
+   */
+  signedArea(points) {
+    let sum = 0;
+    for (let i = 0; i + 1 < points.length; i++) {
+      sum += points[i].x * points[i + 1].y - points[i + 1].x * points[i].y;
+    }
+    return sum / 2;
+  }
+}
+
+module.exports = PlanarMapTracer;
@@ -9,10 +9,19 @@
  * 2. Trace with imagetracerjs
  * 3. Apply Bezier curve fitting to smooth jagged edges
  * 4. Preserve exact brand colors
+ * 5. Fill smooth color ramps with SVG gradients instead of flat bands
+ *
+ * With topology 'planar' the quantized image is traced as a planar map
+ * instead: neighboring regions share their boundary curves, so fills tile
+ * without gaps or overlaps.
  */
 
 const sharp = require('sharp');
 const ImageTracer = require('imagetracerjs');
+const GradientDetector = require('./gradientDetector');
+const SVGBuilder = require('./svgBuilder');
+const PlanarMapTracer = require('./planarMapTracer');
+const { DEFAULT_METRIC, distance } = require('../colorScience');
 
 class SmoothingVectorizer {
   constructor(options = {}) {
@@ -20,10 +29,25 @@ class SmoothingVectorizer {
     this.colorGroupThreshold = options.colorGroupThreshold || 8;
     this.minColorPixels = options.minColorPixels || 50;
     this.edgeThreshold = options.edgeThreshold || 25;
+    this.colorMetric = options.colorMetric || DEFAULT_METRIC;
+    this.gradientDetector = new GradientDetector();
+    // Regions under four source pixels are dropped by imagetracer's pathomit too
+    this.planarMapTracer = new PlanarMapTracer({
+      minRegionArea: 4 * this.upscaleFactor ** 2,
+      cornerAngle: options.cornerThreshold,
+    });
   }
 
   async vectorize(imageBuffer, options = {}) {
-    const { quantizeColors = true, colorCount = 64 } = options;
+    const {
+      quantizeColors = true,
+      colorCount = 64,
+      lineTolerance = 0.5,
+      curveTolerance = 0.5,
+      speckleFilter = 4,
+      detectGradients = true,
+      topology = 'stacked',
+    } = options;
 
     console.log('[SmoothingVectorizer] Starting...');
 
@@ -33,6 +57,15 @@ class SmoothingVectorizer {
     const origHeight = meta.height;
     console.log(`[SmoothingVectorizer] Original: ${origWidth}x${origHeight}`);
 
+    // Flatten smooth color ramps so each traces as one shape instead of bands
+    let gradients = null;
+    if (detectGradients) {
+      gradients = await this.gradientDetector.detect(imageBuffer);
+      if (gradients.regions.length > 0) {
+        imageBuffer = await this.gradientDetector.flatten(imageBuffer, gradients);
+      }
+    }
+
     // Extract brand colors if quantizing
     let brandColors = null;
     if (quantizeColors) {
@@ -74,9 +107,9 @@ class SmoothingVectorizer {
       colorquantcycles: 5,
 
       // Path generation - key for smoothness
-      ltres: 0.5,        // Line threshold - lower = more detail but smoother
-      qtres: 0.5,        // Quadratic spline threshold
-      pathomit: 4,       // Omit paths smaller than this
+      ltres: lineTolerance,     // Line threshold - lower = more detail but smoother
+      qtres: curveTolerance,    // Quadratic spline threshold
+      pathomit: speckleFilter,  // Omit paths smaller than this
 
       // Blur for anti-alias handling
       blurradius: 1,
@@ -91,11 +124,16 @@ class SmoothingVectorizer {
       linefilter: true
     };
 
-    const svgContent = ImageTracer.imagedataToSVG(imageData, traceOptions);
+    let smoothedSvg;
+    if (topology === 'planar') {
+      smoothedSvg = this.tracePlanarMap(imageData, traceOptions);
+    } else {
+      const svgContent = ImageTracer.imagedataToSVG(imageData, traceOptions);
 
-    // Apply path smoothing
-    console.log('[SmoothingVectorizer] Smoothing paths...');
-    let smoothedSvg = this.smoothPaths(svgContent);
+      // Apply path smoothing
+      console.log('[SmoothingVectorizer] Smoothing paths...');
+      smoothedSvg = this.smoothPaths(svgContent);
+    }
 
     // Snap colors to brand colors if available
     if (brandColors && brandColors.length > 0) {
@@ -105,7 +143,13 @@ class SmoothingVectorizer {
 
     // Clean up SVG for Adobe Illustrator compatibility
     console.log('[SmoothingVectorizer] Cleaning up for Illustrator...');
-    smoothedSvg = this.cleanupForIllustrator(smoothedSvg);
+    // Planar regions keep their holes as subpaths, so they are not split
+    smoothedSvg = this.cleanupForIllustrator(smoothedSvg, { splitCompound: topology !== 'planar' });
+
+    if (gradients && gradients.regions.length > 0) {
+      console.log('[SmoothingVectorizer] Applying gradient fills...');
+      smoothedSvg = this.applyGradients(smoothedSvg, gradients);
+    }
 
     // Update viewBox to original dimensions (paths stay in upscaled coords, viewBox scales them)
     smoothedSvg = this.updateViewBox(smoothedSvg, origWidth, origHeight);
@@ -114,6 +158,32 @@ class SmoothingVectorizer {
     return smoothedSvg;
   }
 
+  /**
+   * Trace imagetracer's color quantization as a planar map
+   * @returns {string} SVG with one path per region, in upscaled coordinates
+   */
+  tracePlanarMap(imageData, traceOptions) {
+    const { width, height } = imageData;
+    const { array, palette } = ImageTracer.colorquantization(imageData, ImageTracer.checkoptions({ ...traceOptions }));
+
+    // The quantized array has a one-pixel border
+    const labels = new Int32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = array[y + 1][x + 1];
+        labels[y * width + x] = index >= 0 && palette[index].a >= 128 ? index : -1;
+      }
+    }
+
+    const regions = this.planarMapTracer.trace({
+      width,
+      height,
+      labels,
+      colors: palette.map(({ r, g, b }) => ({ r, g, b })),
+    });
+    return new SVGBuilder({ gapFiller: false, shapeStacking: 'stacked' }).build(regions, width, height);
+  }
+
   /**
    * Smooth SVG paths by converting to Bezier curves
    */
@@ -303,8 +373,9 @@ class SmoothingVectorizer {
    * - Removes problematic attributes
    * - Splits compound paths into individual paths for selectability
    * - Adds unique IDs to each path
+   * @param {object} options - { splitCompound } false keeps compound paths whole
    */
-  cleanupForIllustrator(svgContent) {
+  cleanupForIllustrator(svgContent, { splitCompound = true } = {}) {
     // Remove opacity="0" which makes paths invisible/unselectable
     svgContent = svgContent.replace(/ opacity="0"/g, '');
 
@@ -320,7 +391,9 @@ class SmoothingVectorizer {
     svgContent = svgContent.replace(/ opacity="1"/g, '');
 
     // Split compound paths (paths with multiple M commands) into separate paths
-    svgContent = this.splitCompoundPaths(svgContent);
+    if (splitCompound) {
+      svgContent = this.splitCompoundPaths(svgContent);
+    }
 
     // Add unique IDs to each path for better Illustrator handling
     let pathIndex = 0;
@@ -332,6 +405,45 @@ class SmoothingVectorizer {
     return svgContent;
   }
 
+  /**
+   * Replace the flat fill of paths traced around a gradient region with the
+   * region's gradient
+   * Paths are in upscaled coordinates, so outlines are scaled down for
+   * matching and gradients scaled up for output.
+   */
+  applyGradients(svgContent, gradients) {
+    const builder = new SVGBuilder();
+    const scaled = new Map(gradients.regions.map(region => [
+      region.gradient,
+      this.gradientDetector.scale(region.gradient, this.upscaleFactor),
+    ]));
+
+    svgContent = svgContent.replace(/<path[^>]*\/>/g, (element) => {
+      const fill = element.match(/ fill="([^"]+)"/);
+      const d = element.match(/ d="([^"]+)"/);
+      const rgb = fill && this.parseColor(fill[1]);
+      if (!rgb || !d) return element;
+
+      const numbers = d[1].match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || [];
+      const points = [];
+      for (let i = 0; i + 1 < numbers.length; i += 2) {
+        points.push({
+          x: parseFloat(numbers[i]) / this.upscaleFactor,
+          y: parseFloat(numbers[i + 1]) / this.upscaleFactor,
+        });
+      }
+
+      const gradient = this.gradientDetector.match(points, rgb, gradients);
+      if (!gradient) return element;
+      const paint = builder.paintFor({}, { gradient: scaled.get(gradient) });
+      return element.replace(fill[0], ` fill="${paint}"`);
+    });
+
+    const defs = builder.buildGradientDefs();
+    if (!defs) return svgContent;
+    return svgContent.replace(/<svg[^>]*>/, match => `${match}\n${defs}`);
+  }
+
   /**
    * Split compound paths (paths with multiple M commands) into separate path elements
    * This ensures each shape is individually selectable in Illustrator
@@ -502,30 +614,7 @@ class SmoothingVectorizer {
   }
 
   colorDistanceLab(c1, c2) {
-    const lab1 = this.rgbToLab(c1.r, c1.g, c1.b);
-    const lab2 = this.rgbToLab(c2.r, c2.g, c2.b);
-    return Math.sqrt(
-      Math.pow(lab1.l - lab2.l, 2) +
-      Math.pow(lab1.a - lab2.a, 2) +
-      Math.pow(lab1.b - lab2.b, 2)
-    );
-  }
-
-  rgbToLab(r, g, b) {
-    let x = r / 255, y = g / 255, z = b / 255;
-    x = x > 0.04045 ? Math.pow((x + 0.055) / 1.055, 2.4) : x / 12.92;
-    y = y > 0.04045 ? Math.pow((y + 0.055) / 1.055, 2.4) : y / 12.92;
-    z = z > 0.04045 ? Math.pow((z + 0.055) / 1.055, 2.4) : z / 12.92;
-
-    x = (x * 0.4124 + y * 0.3576 + z * 0.1805) / 0.95047;
-    y = (x * 0.2126 + y * 0.7152 + z * 0.0722) / 1.00000;
-    z = (x * 0.0193 + y * 0.1192 + z * 0.9505) / 1.08883;
-
-    x = x > 0.008856 ? Math.pow(x, 1/3) : (7.787 * x) + 16/116;
-    y = y > 0.008856 ? Math.pow(y, 1/3) : (7.787 * y) + 16/116;
-    z = z > 0.008856 ? Math.pow(z, 1/3) : (7.787 * z) + 16/116;
-
-    return { l: (116 * y) - 16, a: 500 * (x - y), b: 200 * (y - z) };
+    return distance(c1, c2, this.colorMetric);
   }
 
   rgbToHex(r, g, b) {
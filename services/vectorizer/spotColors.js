@@ -0,0 +1,127 @@
+/**
+ * Spot Color References
+ * Named spot colors for print separations, matched by
+ * PaletteManager.suggestSpots. The sRGB values are approximate screen
+ * renderings of the printed inks and paints, good enough to suggest a spot
+ * but not a substitute for a physical swatch book; customers with licensed
+ * libraries can store them as named palettes instead.
+ */
+
+// Pantone Matching System basics and common brand colors on coated stock
+const PANTONE_COATED = [
+  { r: 254, g: 221, b: 0, name: 'PANTONE Yellow C' },
+  { r: 255, g: 215, b: 0, name: 'PANTONE Yellow 012 C' },
+  { r: 254, g: 80, b: 0, name: 'PANTONE Orange 021 C' },
+  { r: 249, g: 66, b: 58, name: 'PANTONE Warm Red C' },
+  { r: 239, g: 51, b: 64, name: 'PANTONE Red 032 C' },
+  { r: 206, g: 0, b: 88, name: 'PANTONE Rubine Red C' },
+  { r: 225, g: 0, b: 152, name: 'PANTONE Rhodamine Red C' },
+  { r: 187, g: 41, b: 187, name: 'PANTONE Purple C' },
+  { r: 68, g: 0, b: 153, name: 'PANTONE Violet C' },
+  { r: 16, g: 6, b: 159, name: 'PANTONE Blue 072 C' },
+  { r: 0, g: 20, b: 137, name: 'PANTONE Reflex Blue C' },
+  { r: 0, g: 133, b: 202, name: 'PANTONE Process Blue C' },
+  { r: 0, g: 171, b: 132, name: 'PANTONE Green C' },
+  { r: 45, g: 41, b: 38, name: 'PANTONE Black C' },
+  { r: 255, g: 209, b: 0, name: 'PANTONE 109 C' },
+  { r: 255, g: 199, b: 44, name: 'PANTONE 123 C' },
+  { r: 255, g: 130, b: 0, name: 'PANTONE 151 C' },
+  { r: 255, g: 103, b: 32, name: 'PANTONE 165 C' },
+  { r: 228, g: 0, b: 43, name: 'PANTONE 185 C' },
+  { r: 200, g: 16, b: 46, name: 'PANTONE 186 C' },
+  { r: 213, g: 0, b: 50, name: 'PANTONE 199 C' },
+  { r: 186, g: 12, b: 47, name: 'PANTONE 200 C' },
+  { r: 218, g: 41, b: 28, name: 'PANTONE 485 C' },
+  { r: 134, g: 31, b: 65, name: 'PANTONE 208 C' },
+  { r: 109, g: 32, b: 119, name: 'PANTONE 259 C' },
+  { r: 117, g: 59, b: 189, name: 'PANTONE 266 C' },
+  { r: 1, g: 33, b: 105, name: 'PANTONE 280 C' },
+  { r: 0, g: 51, b: 160, name: 'PANTONE 286 C' },
+  { r: 0, g: 61, b: 165, name: 'PANTONE 293 C' },
+  { r: 0, g: 94, b: 184, name: 'PANTONE 300 C' },
+  { r: 0, g: 181, b: 226, name: 'PANTONE 306 C' },
+  { r: 0, g: 156, b: 166, name: 'PANTONE 320 C' },
+  { r: 0, g: 133, b: 106, name: 'PANTONE 327 C' },
+  { r: 0, g: 154, b: 68, name: 'PANTONE 347 C' },
+  { r: 0, g: 177, b: 64, name: 'PANTONE 354 C' },
+  { r: 120, g: 190, b: 32, name: 'PANTONE 368 C' },
+  { r: 132, g: 189, b: 0, name: 'PANTONE 376 C' },
+  { r: 181, g: 189, b: 0, name: 'PANTONE 390 C' },
+  { r: 51, g: 63, b: 72, name: 'PANTONE 432 C' },
+  { r: 79, g: 44, b: 29, name: 'PANTONE 4625 C' },
+  { r: 217, g: 217, b: 214, name: 'PANTONE Cool Gray 1 C' },
+  { r: 177, g: 179, b: 179, name: 'PANTONE Cool Gray 5 C' },
+  { r: 83, g: 86, b: 90, name: 'PANTONE Cool Gray 11 C' },
+  { r: 215, g: 210, b: 203, name: 'PANTONE Warm Gray 1 C' },
+  { r: 110, g: 98, b: 89, name: 'PANTONE Warm Gray 11 C' },
+];
+
+// RAL Classic colors common in signage and industrial coatings
+const RAL_CLASSIC = [
+  { r: 249, g: 168, b: 0, name: 'RAL 1003 Signal yellow' },
+  { r: 228, g: 158, b: 0, name: 'RAL 1004 Golden yellow' },
+  { r: 232, g: 140, b: 0, name: 'RAL 1007 Daffodil yellow' },
+  { r: 227, g: 217, b: 198, name: 'RAL 1013 Oyster white' },
+  { r: 230, g: 210, b: 181, name: 'RAL 1015 Light ivory' },
+  { r: 250, g: 202, b: 48, name: 'RAL 1018 Zinc yellow' },
+  { r: 246, g: 182, b: 0, name: 'RAL 1021 Colza yellow' },
+  { r: 247, g: 181, b: 0, name: 'RAL 1023 Traffic yellow' },
+  { r: 218, g: 110, b: 0, name: 'RAL 2000 Yellow orange' },
+  { r: 246, g: 120, b: 40, name: 'RAL 2003 Pastel orange' },
+  { r: 226, g: 83, b: 3, name: 'RAL 2004 Pure orange' },
+  { r: 237, g: 107, b: 33, name: 'RAL 2008 Bright red orange' },
+  { r: 222, g: 83, b: 7, name: 'RAL 2009 Traffic orange' },
+  { r: 167, g: 41, b: 32, name: 'RAL 3000 Flame red' },
+  { r: 155, g: 36, b: 35, name: 'RAL 3001 Signal red' },
+  { r: 134, g: 26, b: 34, name: 'RAL 3003 Ruby red' },
+  { r: 107, g: 28, b: 35, name: 'RAL 3004 Purple red' },
+  { r: 89, g: 25, b: 31, name: 'RAL 3005 Wine red' },
+  { r: 109, g: 52, b: 45, name: 'RAL 3009 Oxide red' },
+  { r: 216, g: 160, b: 166, name: 'RAL 3015 Light pink' },
+  { r: 203, g: 85, b: 93, name: 'RAL 3017 Rose' },
+  { r: 193, g: 18, b: 28, name: 'RAL 3020 Traffic red' },
+  { r: 180, g: 32, b: 65, name: 'RAL 3027 Raspberry red' },
+  { r: 196, g: 97, b: 140, name: 'RAL 4003 Heather violet' },
+  { r: 144, g: 51, b: 115, name: 'RAL 4006 Traffic purple' },
+  { r: 132, g: 76, b: 130, name: 'RAL 4008 Signal violet' },
+  { r: 188, g: 64, b: 119, name: 'RAL 4010 Telemagenta' },
+  { r: 32, g: 33, b: 79, name: 'RAL 5002 Ultramarine blue' },
+  { r: 21, g: 72, b: 137, name: 'RAL 5005 Signal blue' },
+  { r: 14, g: 76, b: 150, name: 'RAL 5010 Gentian blue' },
+  { r: 59, g: 131, b: 189, name: 'RAL 5012 Light blue' },
+  { r: 34, g: 113, b: 179, name: 'RAL 5015 Sky blue' },
+  { r: 14, g: 81, b: 141, name: 'RAL 5017 Traffic blue' },
+  { r: 33, g: 136, b: 143, name: 'RAL 5018 Turquoise blue' },
+  { r: 7, g: 115, b: 122, name: 'RAL 5021 Water blue' },
+  { r: 96, g: 147, b: 172, name: 'RAL 5024 Pastel blue' },
+  { r: 40, g: 114, b: 51, name: 'RAL 6001 Emerald green' },
+  { r: 45, g: 87, b: 44, name: 'RAL 6002 Leaf green' },
+  { r: 17, g: 66, b: 50, name: 'RAL 6005 Moss green' },
+  { r: 77, g: 111, b: 57, name: 'RAL 6010 Grass green' },
+  { r: 87, g: 166, b: 57, name: 'RAL 6018 Yellow green' },
+  { r: 48, g: 132, b: 70, name: 'RAL 6024 Traffic green' },
+  { r: 132, g: 195, b: 190, name: 'RAL 6027 Light green' },
+  { r: 32, g: 96, b: 61, name: 'RAL 6029 Mint green' },
+  { r: 49, g: 127, b: 67, name: 'RAL 6032 Signal green' },
+  { r: 138, g: 149, b: 151, name: 'RAL 7001 Silver grey' },
+  { r: 56, g: 62, b: 66, name: 'RAL 7016 Anthracite grey' },
+  { r: 71, g: 74, b: 81, name: 'RAL 7024 Graphite grey' },
+  { r: 215, g: 215, b: 215, name: 'RAL 7035 Light grey' },
+  { r: 157, g: 161, b: 170, name: 'RAL 7040 Window grey' },
+  { r: 208, g: 208, b: 208, name: 'RAL 7047 Telegrey 4' },
+  { r: 142, g: 64, b: 42, name: 'RAL 8004 Copper brown' },
+  { r: 90, g: 58, b: 41, name: 'RAL 8011 Nut brown' },
+  { r: 69, g: 50, b: 46, name: 'RAL 8017 Chocolate brown' },
+  { r: 253, g: 244, b: 227, name: 'RAL 9001 Cream' },
+  { r: 244, g: 244, b: 244, name: 'RAL 9003 Signal white' },
+  { r: 10, g: 10, b: 10, name: 'RAL 9005 Jet black' },
+  { r: 165, g: 165, b: 165, name: 'RAL 9006 White aluminium' },
+  { r: 255, g: 255, b: 255, name: 'RAL 9010 Pure white' },
+  { r: 246, g: 246, b: 246, name: 'RAL 9016 Traffic white' },
+  { r: 30, g: 30, b: 30, name: 'RAL 9017 Traffic black' },
+];
+
+module.exports = {
+  PANTONE_COATED,
+  RAL_CLASSIC,
+};
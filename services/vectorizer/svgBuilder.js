@@ -6,6 +6,8 @@
  * - Shape stacking: cutouts, stacked
  * - Grouping: none, color, parent, layer
  * - Gap filler with configurable options
+ * - Linear and radial gradient fills for regions or paths carrying a `gradient`
+ * - Text lines: paths carrying the same `textLine` share a <g data-role="text-line">
  * - Stroke styling
  * - Output sizing with units and aspect ratio
  */
@@ -43,6 +45,9 @@ class SVGBuilder {
     this.alignY = options.alignY !== undefined ? options.alignY : 0.5;
 
     this.precision = 2; // Decimal places
+
+    // Gradient -> id for gradients referenced by built elements
+    this.gradientIds = new Map();
   }
 
   /**
@@ -54,6 +59,9 @@ class SVGBuilder {
    * @returns {string} SVG content
    */
   build(regions, width, height, palette) {
+    // Gradients referenced by the elements built below, in order of first use
+    this.gradientIds = new Map();
+
     // Calculate output dimensions
     const { outputWidth, outputHeight, viewBox } = this.calculateDimensions(width, height);
 
@@ -73,11 +81,18 @@ class SVGBuilder {
         break;
     }
 
+    // Keep each line of text together before any other grouping
+    elements = this.groupTextLines(elements);
+
     // Group elements if requested
     const groupedElements = this.groupElements(elements, regions);
 
+    // Gradient definitions go first so every reference resolves
+    const defs = this.buildGradientDefs();
+    const content = defs ? [defs, ...groupedElements] : groupedElements;
+
     // Build final SVG
-    return this.wrapSVG(groupedElements, outputWidth, outputHeight, viewBox);
+    return this.wrapSVG(content, outputWidth, outputHeight, viewBox);
   }
 
   /**
@@ -99,11 +114,10 @@ class SVGBuilder {
     } else {
       // Stacked mode: shapes simply overlap
       for (const region of regions) {
-        const colorStr = this.colorToString(region.color);
         for (const path of region.paths) {
-          const element = this.pathToFillElement(path, colorStr);
+          const element = this.pathToFillElement(path, this.paintFor(region, path));
           if (element) {
-            elements.push({ element, color: region.color, region });
+            elements.push({ element, color: region.color, region, path });
           }
         }
       }
@@ -121,14 +135,13 @@ class SVGBuilder {
     // Process regions in order (largest first)
     for (let i = 0; i < regions.length; i++) {
       const region = regions[i];
-      const colorStr = this.colorToString(region.color);
 
       for (const path of region.paths) {
         // For cutouts, we could implement compound paths with holes
         // For now, just render as-is (proper cutouts require path boolean operations)
-        const element = this.pathToFillElement(path, colorStr);
+        const element = this.pathToFillElement(path, this.paintFor(region, path));
         if (element) {
-          elements.push({ element, color: region.color, region });
+          elements.push({ element, color: region.color, region, path });
         }
       }
     }
@@ -143,14 +156,13 @@ class SVGBuilder {
     const elements = [];
 
     for (const region of regions) {
-      const strokeColor = this.strokeUseOverrideColor
-        ? this.strokeOverrideColor
-        : this.colorToString(region.color);
-
       for (const path of region.paths) {
+        const strokeColor = this.strokeUseOverrideColor
+          ? this.strokeOverrideColor
+          : this.paintFor(region, path);
         const element = this.pathToStrokeElement(path, strokeColor);
         if (element) {
-          elements.push({ element, color: region.color, region });
+          elements.push({ element, color: region.color, region, path });
         }
       }
     }
@@ -172,7 +184,7 @@ class SVGBuilder {
       for (const path of region.paths) {
         const element = this.pathToStrokeElement(path, strokeColor);
         if (element) {
-          elements.push({ element, color: region.color, region });
+          elements.push({ element, color: region.color, region, path });
         }
       }
     }
@@ -231,6 +243,44 @@ class SVGBuilder {
     return result;
   }
 
+  /**
+   * Wrap the elements of each text line (paths sharing a `textLine`) in one
+   * <g data-role="text-line"> carrying the line's bounds and baseline
+   * The group takes the place of the line's last element, so the text stays
+   * on top of everything drawn before it.
+   */
+  groupTextLines(elements) {
+    const lines = new Map();
+    for (const item of elements) {
+      const line = item.path && item.path.textLine;
+      if (!line) continue;
+      if (!lines.has(line)) lines.set(line, []);
+      lines.get(line).push(item);
+    }
+    if (lines.size === 0) return elements;
+
+    const result = [];
+    for (const item of elements) {
+      const line = item.path && item.path.textLine;
+      if (!line) {
+        result.push(item);
+        continue;
+      }
+
+      const members = lines.get(line);
+      if (item !== members[members.length - 1]) continue;
+
+      const { x, y, width, height } = line.bounds;
+      result.push({
+        element: `<g data-role="text-line" data-x="${this.fmt(x)}" data-y="${this.fmt(y)}" data-width="${this.fmt(width)}" data-height="${this.fmt(height)}" data-baseline="${this.fmt(line.baseline)}">\n${members.map(m => m.element).join('\n')}\n</g>`,
+        color: item.color,
+        region: item.region,
+      });
+    }
+
+    return result;
+  }
+
   /**
    * Sanitize string for use as SVG id
    */
@@ -432,9 +482,10 @@ class SVGBuilder {
           const d = this.curvesToPathData(path.curves);
           if (d) {
             fillers.push({
-              element: `<path d="${d}" fill="none" stroke="${this.colorToString(region.color)}" stroke-width="${this.gapFillerWidth}" stroke-linejoin="round"${vectorEffect}/>`,
+              element: `<path d="${d}" fill="none" stroke="${this.paintFor(region, path)}" stroke-width="${this.gapFillerWidth}" stroke-linejoin="round"${vectorEffect}/>`,
               color: region.color,
-              region
+              region,
+              path
             });
           }
         }
@@ -444,6 +495,51 @@ class SVGBuilder {
     return fillers;
   }
 
+  /**
+   * Paint for a path: a reference to its gradient (or its region's) when it
+   * has one, otherwise the region's flat color
+   */
+  paintFor(region, path) {
+    const gradient = path.gradient || region.gradient;
+    if (!gradient) {
+      return this.colorToString(region.color);
+    }
+
+    if (!this.gradientIds.has(gradient)) {
+      this.gradientIds.set(gradient, `gradient-${this.gradientIds.size + 1}`);
+    }
+    return `url(#${this.gradientIds.get(gradient)})`;
+  }
+
+  /**
+   * <defs> with every gradient referenced so far, or null when there are none
+   */
+  buildGradientDefs() {
+    if (this.gradientIds.size === 0) return null;
+
+    const definitions = [];
+    for (const [gradient, id] of this.gradientIds) {
+      definitions.push(this.gradientToElement(gradient, id));
+    }
+    return `<defs>\n${definitions.join('\n')}\n</defs>`;
+  }
+
+  /**
+   * Convert a gradient to a <linearGradient> or <radialGradient> element
+   * Geometry is in user space so the ramp lines up with the image wherever
+   * the shape sits, and shapes sharing a gradient stay seamless.
+   */
+  gradientToElement(gradient, id) {
+    const stops = gradient.stops
+      .map(stop => `<stop offset="${this.fmt(stop.offset)}" stop-color="${this.colorToString(stop.color)}"/>`)
+      .join('');
+
+    if (gradient.type === 'radial') {
+      return `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${this.fmt(gradient.cx)}" cy="${this.fmt(gradient.cy)}" r="${this.fmt(gradient.r)}">${stops}</radialGradient>`;
+    }
+    return `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${this.fmt(gradient.x1)}" y1="${this.fmt(gradient.y1)}" x2="${this.fmt(gradient.x2)}" y2="${this.fmt(gradient.y2)}">${stops}</linearGradient>`;
+  }
+
   /**
    * Convert color object to CSS string
    */
@@ -0,0 +1,793 @@
+/**
+ * SYMMETRY ANALYZER
+ *
+ * Finds mirror and rotational symmetry in traced artwork and, when the
+ * evidence is strong, rebuilds the artwork from one half (or one sector) so
+ * the output is exactly symmetric instead of differing by tracing noise.
+ *
+ * Pipeline:
+ * 1. SHAPES - Sample every <path> outline and index the shapes in a VectorGraph
+ * 2. CANDIDATES - Mirror axes from alignment guides of shape centers,
+ *    rotation centers from the artwork's bounds and centroid
+ * 3. SCORING - Map each shape through the symmetry and look for a shape of the
+ *    same paint it lands on; confidence is the matched share of the artwork
+ * 4. ENFORCEMENT - Replace each partner with the exact image of its source,
+ *    and rebuild shapes lying across the axis (or around the center) from
+ *    one half (or sector)
+ *
+ * Works on SVG markup in user space, so it applies to any engine's output.
+ */
+
+const { parsePathData } = require('../svgSceneParser');
+const { pathData } = require('../svgSceneWriter');
+const GeometryOptimizer = require('./geometryOptimizer');
+const VectorGraph = require('./vectorGraph');
+
+const ROTATION_ORDERS = [2, 3, 4, 5, 6, 8];
+const CURVE_STEPS = 8; // Polyline steps per cubic when sampling outlines
+const ROOT_STEPS = 16; // Sign checks per cubic when looking for crossings
+
+class SymmetryAnalyzer {
+  constructor(options = {}) {
+    this.minConfidence = options.minConfidence || 0.9; // Matched share of the artwork
+    this.tolerance = options.tolerance || 0.015; // Mean outline distance, fraction of the artwork diagonal
+    this.minTolerance = options.minTolerance || 1; // Pixels
+    this.samples = options.samples || 64; // Outline samples per shape, at most
+
+    this.geometryOptimizer = new GeometryOptimizer();
+  }
+
+  /**
+   * Detect the symmetries of an SVG's artwork
+   * @param {string} svgContent - SVG markup
+   * @returns {Array} Detected symmetries, strongest structure first:
+   *   { type: 'rotational', order, center: {x, y}, confidence } and
+   *   { type: 'vertical' | 'horizontal', axis, confidence }
+   */
+  analyze(svgContent) {
+    const shapes = this.readShapes(svgContent);
+    return this.detect(shapes).map(symmetry => this.describe(symmetry));
+  }
+
+  /**
+   * Make an SVG's artwork exactly symmetric where a symmetry is detected
+   * A rotational symmetry of order 3 or more is enforced on its own when it is
+   * at least as convincing as any mirror; otherwise vertical and horizontal
+   * mirrors are (a half-turn only when neither is found).
+   * @param {string} svgContent - SVG markup
+   * @returns {object} { svg, symmetries, applied } where applied lists the
+   *   enforced symmetries and the number of shapes rebuilt for each
+   */
+  enforce(svgContent) {
+    // Outlines are compared in user space; group transforms would break that
+    if (/<g\b[^>]*\stransform=/.test(svgContent)) {
+      return { svg: svgContent, symmetries: [], applied: [] };
+    }
+
+    const shapes = this.readShapes(svgContent);
+    const symmetries = this.detect(shapes);
+
+    const rotation = symmetries.find(s => s.type === 'rotational');
+    const mirrors = symmetries.filter(s => s.type !== 'rotational');
+    const mirrorConfidence = Math.max(0, ...mirrors.map(s => s.confidence));
+    let plan = mirrors;
+    if (rotation && (mirrors.length === 0 || (rotation.order >= 3 && rotation.confidence >= mirrorConfidence))) {
+      plan = [rotation];
+    }
+
+    const applied = [];
+    for (const symmetry of plan) {
+      const rebuilt = symmetry.type === 'rotational'
+        ? this.applyRotation(symmetry, shapes)
+        : this.applyMirror(symmetry);
+      if (rebuilt.size > 0) {
+        applied.push({ ...this.describe(symmetry), shapesRebuilt: rebuilt.size });
+      }
+    }
+
+    const changed = shapes.filter(shape => shape.changed);
+    if (changed.length > 0) {
+      console.log(`[SymmetryAnalyzer] Rebuilt ${changed.length} shapes (${applied.map(a => a.type).join(', ')})`);
+    }
+
+    // Replace path data back to front so earlier offsets stay valid
+    let svg = svgContent;
+    for (const shape of changed.sort((a, b) => b.offset - a.offset)) {
+      const tag = shape.tag.replace(/(\sd=")[^"]*"/, `$1${pathData(shape.subpaths)}"`);
+      svg = svg.slice(0, shape.offset) + tag + svg.slice(shape.offset + shape.tag.length);
+    }
+
+    return { svg, symmetries: symmetries.map(s => this.describe(s)), applied };
+  }
+
+  /**
+   * Sampled outlines of the SVG's <path> elements, minus any background
+   * rectangle covering the canvas
+   */
+  readShapes(svgContent) {
+    const canvas = this.canvasSize(svgContent);
+    const shapes = [];
+
+    for (const match of svgContent.matchAll(/<path\b[^>]*>/g)) {
+      const tag = match[0];
+      if (/\stransform=/.test(tag)) continue;
+
+      const d = this.attribute(tag, 'd');
+      const subpaths = d ? parsePathData(d) : [];
+      if (subpaths.length === 0) continue;
+
+      const rings = subpaths.map(sp => this.flatten(sp));
+      const length = rings.reduce((sum, ring) => sum + this.ringLength(ring), 0);
+      if (length === 0) continue;
+
+      const count = Math.max(12, Math.min(this.samples, Math.round(length / 4)));
+      const samples = this.resample(rings, count).flat();
+      const bounds = this.boundsOf(samples);
+      if (canvas && bounds.maxX - bounds.minX >= canvas.width * 0.98 && bounds.maxY - bounds.minY >= canvas.height * 0.98) {
+        continue;
+      }
+
+      const fill = this.attribute(tag, 'fill');
+      const { area, centroid } = this.areaAndCentroid(rings, samples);
+      shapes.push({
+        offset: match.index,
+        tag,
+        subpaths,
+        paint: `${fill}|${this.attribute(tag, 'stroke')}|${this.attribute(tag, 'opacity')}`,
+        samples,
+        reference: this.resample(rings, count * 2),
+        bounds,
+        centroid,
+        // Unfilled outlines (strokes) count by length, filled shapes by area
+        weight: fill === 'none' ? length : Math.max(area, length),
+        changed: false,
+      });
+    }
+
+    return shapes;
+  }
+
+  /**
+   * Score every candidate symmetry and keep those above the confidence
+   * threshold, with the partner of each matched shape
+   */
+  detect(shapes) {
+    if (shapes.length === 0) return [];
+
+    const graph = new VectorGraph();
+    shapes.forEach(shape => graph.addShape({ color: shape.paint, contour: shape.samples, bounds: shape.bounds }));
+
+    const bounds = this.boundsOf(shapes.flatMap(shape => [
+      { x: shape.bounds.minX, y: shape.bounds.minY },
+      { x: shape.bounds.maxX, y: shape.bounds.maxY },
+    ]));
+    const diagonal = Math.hypot(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+    const totalWeight = shapes.reduce((sum, shape) => sum + shape.weight, 0);
+    const centroid = {
+      x: shapes.reduce((sum, shape) => sum + shape.centroid.x * shape.weight, 0) / totalWeight,
+      y: shapes.reduce((sum, shape) => sum + shape.centroid.y * shape.weight, 0) / totalWeight,
+    };
+    const context = {
+      shapes,
+      graph,
+      totalWeight,
+      tolerance: Math.max(this.minTolerance, diagonal * this.tolerance),
+    };
+
+    const symmetries = [];
+
+    let rotation = null;
+    const centers = [{ x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 }, centroid];
+    for (const order of ROTATION_ORDERS) {
+      for (const center of centers) {
+        const result = this.score(context, this.rotation(center, order));
+        if (result.confidence >= this.minConfidence && (!rotation || order > rotation.order || result.confidence > rotation.confidence)) {
+          rotation = { type: 'rotational', order, center, ...result };
+        }
+      }
+    }
+    if (rotation) symmetries.push(rotation);
+
+    for (const type of ['vertical', 'horizontal']) {
+      const key = type === 'vertical' ? 'x' : 'y';
+      const min = key === 'x' ? bounds.minX : bounds.minY;
+      const max = key === 'x' ? bounds.maxX : bounds.maxY;
+      const middle = (min + max) / 2;
+
+      // Shapes lying across a real axis have their centers on it
+      const guides = this.geometryOptimizer.findAlignmentGuides(
+        shapes.map(shape => (shape.bounds[`min${key.toUpperCase()}`] + shape.bounds[`max${key.toUpperCase()}`]) / 2)
+      ).filter(guide => Math.abs(guide - middle) <= (max - min) * 0.05);
+
+      let best = null;
+      for (const axis of [middle, centroid[key], ...guides]) {
+        const result = this.score(context, this.mirror(type, axis));
+        if (!best || result.confidence > best.confidence) best = { type, axis, ...result };
+      }
+      if (best.confidence < this.minConfidence) continue;
+
+      // Settle the axis halfway between matched partners
+      let sum = 0;
+      let weight = 0;
+      for (const [shape, partner] of best.partners) {
+        sum += (shape.centroid[key] + partner.centroid[key]) / 2 * shape.weight;
+        weight += shape.weight;
+      }
+      const refined = this.score(context, this.mirror(type, sum / weight));
+      if (refined.confidence >= best.confidence) best = { type, axis: sum / weight, ...refined };
+
+      symmetries.push(best);
+    }
+
+    return symmetries;
+  }
+
+  /**
+   * Share of the artwork (by weight) that lands on a shape of the same paint
+   * when mapped through a symmetry
+   * @returns {object} { confidence, partners } with partners mapping each
+   *   matched shape to the shape its image falls on (possibly itself)
+   */
+  score({ shapes, graph, totalWeight, tolerance }, transform) {
+    const partners = new Map();
+    let matched = 0;
+
+    for (const shape of shapes) {
+      const mapped = shape.samples.map(transform);
+      const spacing = this.ringLength(mapped) / mapped.length;
+      let mappedReference = null;
+      let best = null;
+
+      for (const id of graph.findShapesWithBounds(this.boundsOf(mapped), tolerance * 2 + spacing)) {
+        const other = shapes[id];
+        if (other.paint !== shape.paint) continue;
+
+        mappedReference = mappedReference || shape.reference.map(ring => ring.map(transform));
+        const distance = Math.max(
+          this.meanDistance(mapped, other.reference),
+          this.meanDistance(other.samples, mappedReference)
+        );
+        if (distance <= tolerance && (!best || distance < best.distance)) {
+          best = { other, distance };
+        }
+      }
+
+      if (best) {
+        partners.set(shape, best.other);
+        matched += shape.weight;
+      }
+    }
+
+    return { confidence: matched / totalWeight, partners };
+  }
+
+  mirror(type, axis) {
+    return type === 'vertical'
+      ? (p) => ({ x: 2 * axis - p.x, y: p.y })
+      : (p) => ({ x: p.x, y: 2 * axis - p.y });
+  }
+
+  rotation(center, order, turns = 1) {
+    const angle = 2 * Math.PI * turns / order;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return (p) => ({
+      x: center.x + (p.x - center.x) * cos - (p.y - center.y) * sin,
+      y: center.y + (p.x - center.x) * sin + (p.y - center.y) * cos,
+    });
+  }
+
+  /**
+   * Rebuild each mirrored partner from the shape on the left (or top) side,
+   * and shapes lying across the axis from their left (or top) half
+   * @returns {Set} Rebuilt shapes
+   */
+  applyMirror({ type, axis, partners }) {
+    const key = type === 'vertical' ? 'x' : 'y';
+    const reflect = this.mirror(type, axis);
+    const rebuilt = new Set();
+
+    for (const [shape, partner] of partners) {
+      if (partner === shape) {
+        const subpaths = this.mirrorHalves(shape.subpaths, key, axis, reflect);
+        if (subpaths) {
+          shape.subpaths = subpaths;
+          shape.changed = true;
+          rebuilt.add(shape);
+        }
+        continue;
+      }
+
+      if (shape.centroid[key] >= axis || partner.centroid[key] <= axis || rebuilt.has(partner)) continue;
+      partner.subpaths = this.mapSubpaths(shape.subpaths, reflect);
+      partner.changed = true;
+      rebuilt.add(partner);
+    }
+
+    return rebuilt;
+  }
+
+  /**
+   * Mirror the source half of a shape lying across the axis onto the other half
+   * Subpaths crossing the axis twice are cut there and completed with their
+   * reflection; subpaths wholly on the source side are kept and reflected,
+   * their counterparts on the other side dropped.
+   * @returns {Array|null} New subpaths, or null when the shape can't be split
+   */
+  mirrorHalves(subpaths, key, axis, reflect) {
+    const offset = (p) => p[key] - axis;
+    const kept = [];
+    const reflected = [];
+
+    for (const subpath of subpaths) {
+      if (!subpath.closed) return null;
+
+      const segments = this.toSegments(subpath);
+      const crossings = this.findCrossings(segments, offset);
+
+      if (crossings.length === 0) {
+        if (offset(this.pointAt(segments[0], 0)) < 0) {
+          kept.push(subpath);
+          reflected.push(...this.mapSubpaths([subpath], reflect));
+        }
+        continue;
+      }
+      if (crossings.length !== 2) return null;
+
+      let half = this.extract(segments, crossings[0], crossings[1]);
+      if (offset(this.pointAt(half[Math.floor(half.length / 2)], 0.5)) > 0) {
+        half = this.extract(segments, crossings[1], crossings[0]);
+      }
+
+      // Both cut points sit exactly on the axis so the halves join seamlessly
+      const first = half[0].points[0];
+      const last = half[half.length - 1].points[half[half.length - 1].points.length - 1];
+      first[key] = axis;
+      last[key] = axis;
+
+      const otherHalf = this.reverseSegments(half.map(segment => this.mapSegment(segment, reflect)));
+      kept.push(this.toSubpath([...half, ...otherHalf]));
+    }
+
+    return [...kept, ...reflected];
+  }
+
+  /**
+   * Rebuild each orbit of rotated partners from its first shape, and shapes
+   * wound around the center from one sector
+   * @returns {Set} Rebuilt shapes
+   */
+  applyRotation({ center, order, partners }, shapes) {
+    const rebuilt = new Set();
+    const visited = new Set();
+
+    for (const shape of shapes) {
+      if (visited.has(shape) || !partners.has(shape)) continue;
+
+      if (partners.get(shape) === shape) {
+        visited.add(shape);
+        const subpaths = this.rotateSectors(shape.subpaths, center, order);
+        if (subpaths) {
+          shape.subpaths = subpaths;
+          shape.changed = true;
+          rebuilt.add(shape);
+        }
+        continue;
+      }
+
+      const orbit = [shape];
+      let current = shape;
+      while (orbit.length < order) {
+        const next = partners.get(current);
+        if (!next || visited.has(next) || orbit.includes(next)) break;
+        orbit.push(next);
+        current = next;
+      }
+      if (orbit.length !== order || partners.get(current) !== shape) continue;
+
+      orbit.forEach((member, k) => {
+        visited.add(member);
+        if (k === 0) return;
+        member.subpaths = this.mapSubpaths(shape.subpaths, this.rotation(center, order, k));
+        member.changed = true;
+        rebuilt.add(member);
+      });
+    }
+
+    return rebuilt;
+  }
+
+  /**
+   * Rebuild subpaths wound once around the center from a single sector:
+   * the outline from its outermost point to the ray a 1/order turn away,
+   * repeated around the center. Starting on a tip means the tips are copied
+   * whole rather than cut where a ray happens to cross them. Other subpaths
+   * are kept.
+   * @returns {Array|null} New subpaths, or null when none could be rebuilt
+   */
+  rotateSectors(subpaths, center, order) {
+    const ray = (angle) => {
+      const u = { x: Math.sin(angle), y: -Math.cos(angle) };
+      return {
+        offset: (p) => u.x * (p.y - center.y) - u.y * (p.x - center.x),
+        ahead: (p) => u.x * (p.x - center.x) + u.y * (p.y - center.y) > 0,
+      };
+    };
+    const onRay = (segments, { offset, ahead }) =>
+      this.findCrossings(segments, offset).filter(c => ahead(c.point));
+
+    let changed = false;
+    const result = subpaths.map(subpath => {
+      if (!subpath.closed) return subpath;
+
+      const segments = this.toSegments(subpath);
+      const radius = (p) => Math.hypot(p.x - center.x, p.y - center.y);
+      let tipIndex = 0;
+      segments.forEach((segment, index) => {
+        if (radius(segment.points[0]) > radius(segments[tipIndex].points[0])) tipIndex = index;
+      });
+      const tip = segments[tipIndex].points[0];
+      const base = Math.atan2(tip.x - center.x, center.y - tip.y);
+
+      // An outline wound once around the center crosses each ray once
+      if (onRay(segments, ray(base)).length !== 1) return subpath;
+      const start = { index: tipIndex, t: 0 };
+
+      // The outline reaches one of the neighboring rays first, depending on its winding
+      const position = (c) => ((c.index - start.index + segments.length) % segments.length) + (c.index === start.index && c.t <= start.t ? segments.length : c.t);
+      const next = [
+        ...onRay(segments, ray(base + 2 * Math.PI / order)).map(c => ({ ...c, turns: 1 })),
+        ...onRay(segments, ray(base - 2 * Math.PI / order)).map(c => ({ ...c, turns: -1 })),
+      ].sort((a, b) => position(a) - position(b))[0];
+      if (!next) return subpath;
+
+      // End on the tip's counterpart when the outline has one, so tips are
+      // not doubled up with the ray crossing next to them
+      const target = this.rotation(center, order, next.turns)(tip);
+      let end = next;
+      segments.forEach((segment, index) => {
+        const distance = Math.hypot(segment.points[0].x - target.x, segment.points[0].y - target.y);
+        if (index !== tipIndex && distance <= radius(tip) * 0.05 && (end === next || distance < end.distance)) {
+          end = { index, t: 0, distance };
+        }
+      });
+
+      const sector = this.extract(segments, start, end);
+      const last = sector[sector.length - 1].points;
+      last[last.length - 1] = target;
+
+      const outline = [];
+      for (let k = 0; k < order; k++) {
+        const turn = this.rotation(center, order, k * next.turns);
+        outline.push(...sector.map(segment => this.mapSegment(segment, turn)));
+      }
+
+      changed = true;
+      return this.toSubpath(outline);
+    });
+
+    return changed ? result : null;
+  }
+
+  /**
+   * Closed subpath as segments { type: 'L' | 'C', points } sharing endpoints,
+   * including the closing line
+   */
+  toSegments(subpath) {
+    const segments = [];
+    let current = { x: subpath.start[0], y: subpath.start[1] };
+
+    for (const seg of subpath.segments) {
+      const end = { x: seg[seg.length - 2], y: seg[seg.length - 1] };
+      segments.push(seg[0] === 'L'
+        ? { type: 'L', points: [current, end] }
+        : { type: 'C', points: [current, { x: seg[1], y: seg[2] }, { x: seg[3], y: seg[4] }, end] });
+      current = end;
+    }
+
+    const start = { x: subpath.start[0], y: subpath.start[1] };
+    if (current.x !== start.x || current.y !== start.y) {
+      segments.push({ type: 'L', points: [current, start] });
+    }
+
+    return segments;
+  }
+
+  toSubpath(segments) {
+    const start = segments[0].points[0];
+    return {
+      start: [start.x, start.y],
+      segments: segments.map(({ type, points }) => [type, ...points.slice(1).flatMap(p => [p.x, p.y])]),
+      closed: true,
+    };
+  }
+
+  /**
+   * Points where a signed offset changes sign along the outline, in order
+   * @returns {Array} { index, t, point }
+   */
+  findCrossings(segments, offset) {
+    const crossings = [];
+
+    segments.forEach((segment, index) => {
+      const steps = segment.type === 'L' ? 1 : ROOT_STEPS;
+      let t0 = 0;
+      let positive = offset(segment.points[0]) > 0;
+
+      for (let k = 1; k <= steps; k++) {
+        const t1 = k / steps;
+        const next = offset(this.pointAt(segment, t1)) > 0;
+        if (next !== positive) {
+          let lo = t0;
+          let hi = t1;
+          for (let i = 0; i < 30; i++) {
+            const mid = (lo + hi) / 2;
+            if ((offset(this.pointAt(segment, mid)) > 0) === positive) lo = mid;
+            else hi = mid;
+          }
+          const t = (lo + hi) / 2;
+          crossings.push({ index, t, point: this.pointAt(segment, t) });
+        }
+        positive = next;
+        t0 = t1;
+      }
+    });
+
+    return crossings;
+  }
+
+  /**
+   * Segments along the outline from one crossing forward to another
+   */
+  extract(segments, from, to) {
+    const n = segments.length;
+    const steps = (to.index - from.index + n) % n;
+
+    if (steps === 0 && to.t > from.t) {
+      return [this.subSegment(segments[from.index], from.t, to.t)];
+    }
+
+    const piece = [this.subSegment(segments[from.index], from.t, 1)];
+    for (let k = 1; k < (steps === 0 ? n : steps); k++) {
+      piece.push(this.cloneSegment(segments[(from.index + k) % n]));
+    }
+    piece.push(this.subSegment(segments[to.index], 0, to.t));
+
+    // Cuts landing on a vertex leave zero-length slivers at the ends
+    const degenerate = (segment) => segment.points.every(p =>
+      Math.abs(p.x - segment.points[0].x) < 1e-6 && Math.abs(p.y - segment.points[0].y) < 1e-6);
+    const trimmed = piece.filter(segment => !degenerate(segment));
+    if (trimmed.length === 0) return piece;
+
+    // Keep the cut points themselves as the ends
+    trimmed[0].points[0] = piece[0].points[0];
+    const last = trimmed[trimmed.length - 1].points;
+    const cut = piece[piece.length - 1].points;
+    last[last.length - 1] = cut[cut.length - 1];
+    return trimmed;
+  }
+
+  /**
+   * Part of a segment between two parameters (de Casteljau for cubics)
+   */
+  subSegment(segment, t0, t1) {
+    if (segment.type === 'L') {
+      return { type: 'L', points: [this.pointAt(segment, t0), this.pointAt(segment, t1)] };
+    }
+
+    const [, right] = this.splitCubic(segment.points, t0);
+    const [middle] = this.splitCubic(right, t0 < 1 ? (t1 - t0) / (1 - t0) : 1);
+    return { type: 'C', points: middle };
+  }
+
+  splitCubic([p0, p1, p2, p3], t) {
+    const lerp = (a, b) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+    const a = lerp(p0, p1);
+    const b = lerp(p1, p2);
+    const c = lerp(p2, p3);
+    const d = lerp(a, b);
+    const e = lerp(b, c);
+    const f = lerp(d, e);
+    return [[p0, a, d, f], [f, e, c, p3]];
+  }
+
+  pointAt(segment, t) {
+    const p = segment.points;
+    if (segment.type === 'L') {
+      return { x: p[0].x + (p[1].x - p[0].x) * t, y: p[0].y + (p[1].y - p[0].y) * t };
+    }
+
+    const mt = 1 - t;
+    return {
+      x: mt * mt * mt * p[0].x + 3 * mt * mt * t * p[1].x + 3 * mt * t * t * p[2].x + t * t * t * p[3].x,
+      y: mt * mt * mt * p[0].y + 3 * mt * mt * t * p[1].y + 3 * mt * t * t * p[2].y + t * t * t * p[3].y,
+    };
+  }
+
+  cloneSegment(segment) {
+    return { type: segment.type, points: segment.points.map(p => ({ x: p.x, y: p.y })) };
+  }
+
+  mapSegment(segment, transform) {
+    return { type: segment.type, points: segment.points.map(transform) };
+  }
+
+  reverseSegments(segments) {
+    return segments.slice().reverse().map(segment => ({ type: segment.type, points: segment.points.slice().reverse() }));
+  }
+
+  mapSubpaths(subpaths, transform) {
+    const map = (x, y) => {
+      const p = transform({ x, y });
+      return [p.x, p.y];
+    };
+    return subpaths.map(subpath => ({
+      start: map(subpath.start[0], subpath.start[1]),
+      segments: subpath.segments.map(seg => {
+        const coords = [];
+        for (let i = 1; i < seg.length; i += 2) coords.push(...map(seg[i], seg[i + 1]));
+        return [seg[0], ...coords];
+      }),
+      closed: subpath.closed,
+    }));
+  }
+
+  /**
+   * Subpath as a polyline, closed subpaths ending back at their start
+   */
+  flatten(subpath) {
+    const segments = this.toSegments(subpath);
+    // Open subpaths don't get the closing line
+    if (!subpath.closed && segments.length > subpath.segments.length) segments.pop();
+
+    const ring = [{ x: subpath.start[0], y: subpath.start[1] }];
+    for (const segment of segments) {
+      const steps = segment.type === 'L' ? 1 : CURVE_STEPS;
+      for (let k = 1; k <= steps; k++) ring.push(this.pointAt(segment, k / steps));
+    }
+    return ring;
+  }
+
+  /**
+   * Spread `count` points over polylines by arc length
+   * @returns {Array<Array>} Resampled polylines
+   */
+  resample(rings, count) {
+    const lengths = rings.map(ring => this.ringLength(ring));
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+
+    return rings.map((ring, r) => {
+      const n = Math.max(4, Math.round(count * lengths[r] / total));
+      const step = lengths[r] / n;
+      const points = [];
+      let travelled = 0;
+      let next = 0;
+
+      for (let i = 1; i < ring.length && points.length < n; i++) {
+        const a = ring[i - 1];
+        const b = ring[i];
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        while (next <= travelled + length && points.length < n) {
+          const t = length > 0 ? (next - travelled) / length : 0;
+          points.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+          next += step;
+        }
+        travelled += length;
+      }
+
+      return points;
+    });
+  }
+
+  ringLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    return length;
+  }
+
+  /**
+   * Mean distance from points to the nearest point on closed polylines
+   */
+  meanDistance(points, rings) {
+    let sum = 0;
+    for (const p of points) {
+      let best = Infinity;
+      for (const ring of rings) {
+        for (let i = 0; i < ring.length; i++) {
+          const a = ring[i];
+          const b = ring[(i + 1) % ring.length];
+          best = Math.min(best, this.geometryOptimizer.pointToLineDistance(p, a, b));
+        }
+      }
+      sum += best;
+    }
+    return sum / points.length;
+  }
+
+  /**
+   * Filled area (holes subtracted by winding) and area centroid, falling
+   * back to the mean of the samples for outlines that enclose no area
+   */
+  areaAndCentroid(rings, samples) {
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        const cross = a.x * b.y - b.x * a.y;
+        area += cross;
+        cx += (a.x + b.x) * cross;
+        cy += (a.y + b.y) * cross;
+      }
+    }
+
+    if (Math.abs(area) < 1e-6) {
+      return {
+        area: 0,
+        centroid: {
+          x: samples.reduce((sum, p) => sum + p.x, 0) / samples.length,
+          y: samples.reduce((sum, p) => sum + p.y, 0) / samples.length,
+        },
+      };
+    }
+
+    return { area: Math.abs(area) / 2, centroid: { x: cx / (3 * area), y: cy / (3 * area) } };
+  }
+
+  boundsOf(points) {
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (const p of points) {
+      if (p.x < bounds.minX) bounds.minX = p.x;
+      if (p.y < bounds.minY) bounds.minY = p.y;
+      if (p.x > bounds.maxX) bounds.maxX = p.x;
+      if (p.y > bounds.maxY) bounds.maxY = p.y;
+    }
+    return bounds;
+  }
+
+  /**
+   * User-space canvas size from the viewBox, or the width and height
+   */
+  canvasSize(svgContent) {
+    const root = (svgContent.match(/<svg\b[^>]*>/) || [''])[0];
+    const viewBox = this.attribute(root, 'viewBox');
+    if (viewBox) {
+      const [, , width, height] = viewBox.split(/[\s,]+/).map(Number);
+      if (width > 0 && height > 0) return { width, height };
+    }
+
+    const width = parseFloat(this.attribute(root, 'width'));
+    const height = parseFloat(this.attribute(root, 'height'));
+    return width > 0 && height > 0 ? { width, height } : null;
+  }
+
+  attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Public form of a detected symmetry, without the matched partners
+   */
+  describe(symmetry) {
+    const round = (n) => Math.round(n * 100) / 100;
+    const confidence = Math.round(symmetry.confidence * 1000) / 1000;
+
+    if (symmetry.type === 'rotational') {
+      return {
+        type: 'rotational',
+        order: symmetry.order,
+        center: { x: round(symmetry.center.x), y: round(symmetry.center.y) },
+        confidence,
+      };
+    }
+    return { type: symmetry.type, axis: round(symmetry.axis), confidence };
+  }
+}
+
+module.exports = SymmetryAnalyzer;
@@ -0,0 +1,243 @@
+/**
+ * TEXT DETECTOR
+ *
+ * Finds lines of lettering (wordmarks, taglines) so the traced glyphs can be
+ * cleaned up with a stricter, font-aware profile and grouped per line.
+ *
+ * Pipeline:
+ * 1. COMPONENTS - Flood fill runs of one color into connected components
+ * 2. GLYPHS - Keep components sized and shaped like letters
+ * 3. LINES - Chain glyphs of similar height that sit side by side on a baseline
+ * 4. MARKS - Attach dots, accents and counters lying inside a line
+ *
+ * Coordinates are image pixels, the same space traced contours use.
+ */
+
+const sharp = require('sharp');
+
+class TextDetector {
+  constructor(options = {}) {
+    this.colorTolerance = options.colorTolerance || 48; // RGB distance within one component
+    this.minGlyphHeight = options.minGlyphHeight || 6; // Pixels
+    this.maxGlyphHeightRatio = options.maxGlyphHeightRatio || 0.5; // Fraction of the image height
+    this.maxGlyphAspect = options.maxGlyphAspect || 3; // Width / height
+    this.minGlyphFill = options.minGlyphFill || 0.08; // Ink area / bounding box area
+    this.minStrokeWidth = options.minStrokeWidth || 2; // Pixels; thinner slivers are anti-aliasing
+    this.maxHeightRatio = options.maxHeightRatio || 1.6; // Between glyphs of one line
+    this.minOverlap = options.minOverlap || 0.5; // Vertical overlap, fraction of the shorter glyph
+    this.maxGap = options.maxGap || 1.2; // Horizontal gap, in glyph heights
+    this.minGlyphs = options.minGlyphs || 3; // Per line
+  }
+
+  /**
+   * Find text lines in an image
+   * @param {Buffer} imageBuffer - Input image
+   * @returns {Promise<object>} { width, height, lines } where each line is
+   *   { bounds: {x, y, width, height}, baseline, glyphCount }
+   */
+  async detect(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    const components = this.labelComponents(data, info);
+    const glyphs = components.filter(c => this.isGlyph(c, height));
+    const lines = this.groupLines(glyphs)
+      .map(members => this.describeLine(members, components))
+      .sort((a, b) => a.bounds.y - b.bounds.y || a.bounds.x - b.bounds.x);
+
+    console.log(`[TextDetector] Found ${lines.length} text lines`);
+    return { width, height, lines };
+  }
+
+  /**
+   * Split the image into 4-connected components of near-identical color
+   * @returns {Array} { minX, minY, maxX, maxY, area, touchesBorder } per component
+   */
+  labelComponents(data, { width, height, channels }) {
+    const size = width * height;
+    const maxDistance = this.colorTolerance * this.colorTolerance;
+    const visited = new Uint8Array(size);
+    const components = [];
+    const stack = [];
+
+    for (let start = 0; start < size; start++) {
+      if (visited[start]) continue;
+      visited[start] = 1;
+      const s = start * channels;
+      if (data[s + 3] < 128) continue;
+
+      const component = { minX: width, minY: height, maxX: 0, maxY: 0, area: 0, touchesBorder: false };
+      stack.push(start);
+
+      while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % width;
+        const y = (i - x) / width;
+        component.area++;
+        if (x < component.minX) component.minX = x;
+        if (y < component.minY) component.minY = y;
+        if (x + 1 > component.maxX) component.maxX = x + 1;
+        if (y + 1 > component.maxY) component.maxY = y + 1;
+        if (x === 0 || y === 0 || x === width - 1 || y === height - 1) component.touchesBorder = true;
+
+        for (const n of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+          if (n < 0 || n >= size || visited[n]) continue;
+          const p = n * channels;
+          if (data[p + 3] < 128) continue;
+          const dr = data[p] - data[s];
+          const dg = data[p + 1] - data[s + 1];
+          const db = data[p + 2] - data[s + 2];
+          if (dr * dr + dg * dg + db * db > maxDistance) continue;
+          visited[n] = 1;
+          stack.push(n);
+        }
+      }
+
+      // Single pixels are noise; skipping them keeps photos cheap
+      if (component.area >= 3) components.push(component);
+    }
+
+    return components;
+  }
+
+  /**
+   * Whether a component is sized and shaped like a letter
+   */
+  isGlyph(component, imageHeight) {
+    if (component.touchesBorder) return false;
+
+    const w = component.maxX - component.minX;
+    const h = component.maxY - component.minY;
+    if (h < this.minGlyphHeight || h > imageHeight * this.maxGlyphHeightRatio) return false;
+    if (w < this.minStrokeWidth || w > h * this.maxGlyphAspect) return false;
+
+    return component.area / (w * h) >= this.minGlyphFill;
+  }
+
+  /**
+   * Chain glyphs into lines: neighbors of similar height, overlapping
+   * vertically and close together horizontally
+   * @returns {Array<Array>} Glyphs of each line with enough of them
+   */
+  groupLines(glyphs) {
+    const sorted = [...glyphs].sort((a, b) => a.minX - b.minX);
+    const parent = sorted.map((_, i) => i);
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+
+    for (let i = 0; i < sorted.length; i++) {
+      const a = sorted[i];
+      const ha = a.maxY - a.minY;
+      for (let j = i + 1; j < sorted.length; j++) {
+        const b = sorted[j];
+        const hb = b.maxY - b.minY;
+        // Sorted by left edge: once b starts too far right of a, so does every later glyph
+        if (b.minX - a.maxX > this.maxGap * ha * this.maxHeightRatio) break;
+
+        if (Math.max(ha, hb) > Math.min(ha, hb) * this.maxHeightRatio) continue;
+        if (b.minX - a.maxX > this.maxGap * Math.max(ha, hb)) continue;
+        const overlap = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+        if (overlap < this.minOverlap * Math.min(ha, hb)) continue;
+
+        parent[find(j)] = find(i);
+      }
+    }
+
+    const lines = new Map();
+    sorted.forEach((glyph, i) => {
+      const root = find(i);
+      if (!lines.has(root)) lines.set(root, []);
+      lines.get(root).push(glyph);
+    });
+
+    // A chain can reach a much taller mark (a logo symbol) through one glyph
+    // of in-between height; drop members out of scale with the line
+    return [...lines.values()]
+      .map(members => {
+        const height = this.medianHeight(this.outerGlyphs(members));
+        return members.filter(g => g.maxY - g.minY <= height * this.maxHeightRatio);
+      })
+      .filter(members => this.outerGlyphs(members).length >= this.minGlyphs);
+  }
+
+  /**
+   * Members not nested in another member; counters ('o', 'e') are
+   * components of their own
+   */
+  outerGlyphs(members) {
+    return members.filter(g => !members.some(o => o !== g && this.contains(o, g)));
+  }
+
+  medianHeight(glyphs) {
+    const heights = glyphs.map(g => g.maxY - g.minY).sort((a, b) => a - b);
+    return heights[Math.floor(heights.length / 2)];
+  }
+
+  /**
+   * Bounds, baseline and glyph count of a line, with the small marks
+   * (i-dots, accents, punctuation) that belong to it folded into the bounds
+   */
+  describeLine(members, components) {
+    const glyphs = this.outerGlyphs(members);
+    const lineHeight = this.medianHeight(glyphs);
+    const bottoms = glyphs.map(g => g.maxY).sort((a, b) => a - b);
+
+    const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (const g of members) this.extend(box, g);
+
+    const reach = { minX: box.minX, minY: box.minY - lineHeight * 0.5, maxX: box.maxX, maxY: box.maxY + lineHeight * 0.2 };
+    for (const c of components) {
+      if (c.touchesBorder || members.includes(c)) continue;
+      if (c.maxY - c.minY >= this.minGlyphHeight && c.maxX - c.minX >= this.minGlyphHeight) continue;
+      if (this.contains(reach, c)) this.extend(box, c);
+    }
+
+    return {
+      bounds: { x: box.minX, y: box.minY, width: box.maxX - box.minX, height: box.maxY - box.minY },
+      baseline: bottoms[Math.floor(bottoms.length / 2)],
+      glyphCount: glyphs.length,
+    };
+  }
+
+  /**
+   * The line whose box holds most of a traced outline, or null
+   * @param {Array} points - Outline points
+   * @param {object} detection - Result of detect()
+   */
+  match(points, detection) {
+    if (!detection || points.length === 0) return null;
+
+    for (const line of detection.lines) {
+      const { x, y, width, height } = line.bounds;
+      const margin = Math.max(1, line.bounds.height * 0.1);
+      let inside = 0;
+      for (const p of points) {
+        if (p.x >= x - margin && p.x <= x + width + margin && p.y >= y - margin && p.y <= y + height + margin) inside++;
+      }
+      if (inside >= points.length * 0.9) return line;
+    }
+
+    return null;
+  }
+
+  contains(outer, inner) {
+    return inner.minX >= outer.minX && inner.maxX <= outer.maxX && inner.minY >= outer.minY && inner.maxY <= outer.maxY;
+  }
+
+  extend(box, c) {
+    box.minX = Math.min(box.minX, c.minX);
+    box.minY = Math.min(box.minY, c.minY);
+    box.maxX = Math.max(box.maxX, c.maxX);
+    box.maxY = Math.max(box.maxY, c.maxY);
+  }
+}
+
+module.exports = TextDetector;
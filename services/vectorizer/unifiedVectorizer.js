@@ -94,6 +94,7 @@ class UnifiedVectorizer {
     this.colorExtractor = new ColorExtractor({
       antiAliasingThreshold: this.options.antiAliasingThreshold,
       minRegionArea: this.options.minRegionArea,
+      colorMetric: this.options.colorMetric,
     });
 
     this.contourTracer = new ContourTracer({
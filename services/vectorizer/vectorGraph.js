@@ -100,6 +100,43 @@ class VectorGraph {
     return Array.from(neighbors);
   }
 
+  /**
+   * Find shapes whose bounds match the given bounds
+   * @param {Object} bounds - { minX, minY, maxX, maxY }
+   * @param {number} tolerance - Allowed offset of each side
+   * @returns {Array<number>} Node IDs
+   */
+  findShapesWithBounds(bounds, tolerance) {
+    const matches = new Set();
+
+    // A matching shape covers the cells around the target's top-left corner
+    const minCellX = Math.floor((bounds.minX - tolerance) / this.gridSize);
+    const maxCellX = Math.floor((bounds.minX + tolerance) / this.gridSize);
+    const minCellY = Math.floor((bounds.minY - tolerance) / this.gridSize);
+    const maxCellY = Math.floor((bounds.minY + tolerance) / this.gridSize);
+
+    for (let cy = minCellY; cy <= maxCellY; cy++) {
+      for (let cx = minCellX; cx <= maxCellX; cx++) {
+        const cell = this.spatialIndex.get(`${cx},${cy}`);
+        if (!cell) continue;
+
+        for (const id of cell) {
+          const other = this.nodes.get(id).shape.bounds;
+          if (
+            Math.abs(other.minX - bounds.minX) <= tolerance &&
+            Math.abs(other.minY - bounds.minY) <= tolerance &&
+            Math.abs(other.maxX - bounds.maxX) <= tolerance &&
+            Math.abs(other.maxY - bounds.maxY) <= tolerance
+          ) {
+            matches.add(id);
+          }
+        }
+      }
+    }
+
+    return Array.from(matches);
+  }
+
   /**
    * Detect and create shared edges between adjacent shapes
    */
@@ -106,6 +106,10 @@ class VTracerService {
       filterSpeckle,
       cornerThreshold,
       layerDifference,
+      spliceThreshold,
+      lengthThreshold,
+      maxIterations,
+      pathPrecision,
       maxColors,
       removeBackground = false,
       // Preprocessing options
@@ -127,6 +131,10 @@ class VTracerService {
     if (filterSpeckle !== undefined) config.filterSpeckle = filterSpeckle;
     if (cornerThreshold !== undefined) config.cornerThreshold = cornerThreshold;
     if (layerDifference !== undefined) config.layerDifference = layerDifference;
+    if (spliceThreshold !== undefined) config.spliceThreshold = spliceThreshold;
+    if (lengthThreshold !== undefined) config.lengthThreshold = lengthThreshold;
+    if (maxIterations !== undefined) config.maxIterations = maxIterations;
+    if (pathPrecision !== undefined) config.pathPrecision = pathPrecision;
 
     // Get metadata
     const metadata = await sharp(imageBuffer).metadata();
@@ -6,7 +6,69 @@ class WebSocketService {
   constructor() {
     this.wss = null;
     this.clients = new Map(); // clientId -> { ws, userId, subscriptions }
-    this.jobProgress = new Map(); // jobId -> { status, progress, results }
+    this.jobQueue = null;
+  }
+
+  /**
+   * Forward job queue events to clients subscribed to each job
+   */
+  attachJobQueue(jobQueue) {
+    this.jobQueue = jobQueue;
+
+    jobQueue.on('progress', (job) => {
+      this.sendToJob(job.id, {
+        type: 'jobProgress',
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        completedItems: job.completedItems,
+        totalItems: job.totalItems,
+        currentFile: job.currentFile,
+        currentPage: job.currentPage,
+        totalPages: job.totalPages,
+      });
+    });
+
+    jobQueue.on('itemComplete', (job, result) => {
+      this.sendToJob(job.id, {
+        type: 'jobItemComplete',
+        result,
+        progress: job.progress,
+        completedItems: job.completedItems,
+        totalItems: job.totalItems,
+      });
+    });
+
+    jobQueue.on('itemError', (job, error) => {
+      this.sendToJob(job.id, {
+        type: 'jobItemError',
+        error,
+        progress: job.progress,
+        completedItems: job.completedItems,
+        totalItems: job.totalItems,
+      });
+    });
+
+    jobQueue.on('retry', (job) => {
+      this.sendToJob(job.id, {
+        type: 'jobRetry',
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextRunAt: job.nextRunAt,
+        error: job.error,
+      });
+    });
+
+    jobQueue.on('finished', (job) => {
+      this.sendToJob(job.id, {
+        type: 'jobComplete',
+        status: job.status,
+        results: job.results,
+        errors: job.errors,
+        error: job.error,
+        duration: job.completedAt - job.createdAt,
+      });
+    });
   }
 
   /**
@@ -132,7 +194,7 @@ class WebSocketService {
 
       case 'getJobStatus':
         if (message.jobId) {
-          const job = this.jobProgress.get(message.jobId);
+          const job = this.jobQueue?.getJob(message.jobId);
           this.send(clientId, {
             type: 'jobStatus',
             jobId: message.jobId,
@@ -141,6 +203,14 @@ class WebSocketService {
         }
         break;
 
+      case 'cancel':
+      case 'pause':
+      case 'resume':
+        if (message.jobId) {
+          this.controlJob(clientId, message.type, message.jobId);
+        }
+        break;
+
       default:
         this.send(clientId, {
           type: 'error',
@@ -149,6 +219,32 @@ class WebSocketService {
     }
   }
 
+  /**
+   * Cancel, pause or resume a job on behalf of a client
+   * The client is subscribed to the job so it receives the resulting updates.
+   */
+  controlJob(clientId, action, jobId) {
+    const job = this.jobQueue?.getJob(jobId);
+
+    if (!job) {
+      this.send(clientId, { type: 'error', jobId, message: 'Job not found' });
+      return;
+    }
+    if (this.jobQueue.isFinished(job)) {
+      this.send(clientId, { type: 'error', jobId, message: `Job already ${job.status}` });
+      return;
+    }
+
+    this.clients.get(clientId).subscriptions.add(jobId);
+    const updated = this.jobQueue[action](jobId);
+    this.send(clientId, {
+      type: 'jobControl',
+      action,
+      jobId,
+      status: updated.status,
+    });
+  }
+
   /**
    * Send message to a specific client
    */
@@ -182,134 +278,6 @@ class WebSocketService {
     }
   }
 
-  /**
-   * Create a new processing job
-   */
-  createJob(options = {}) {
-    const jobId = uuidv4();
-    const job = {
-      id: jobId,
-      status: 'pending',
-      progress: 0,
-      totalItems: options.totalItems || 1,
-      completedItems: 0,
-      results: [],
-      errors: [],
-      createdAt: Date.now(),
-      updatedAt: Date.now(),
-    };
-
-    this.jobProgress.set(jobId, job);
-
-    return jobId;
-  }
-
-  /**
-   * Update job progress
-   */
-  updateJobProgress(jobId, updates) {
-    const job = this.jobProgress.get(jobId);
-    if (!job) return;
-
-    Object.assign(job, updates, { updatedAt: Date.now() });
-
-    // Calculate progress percentage
-    if (job.totalItems > 0) {
-      job.progress = Math.round((job.completedItems / job.totalItems) * 100);
-    }
-
-    // Notify subscribed clients
-    this.sendToJob(jobId, {
-      type: 'jobProgress',
-      status: job.status,
-      progress: job.progress,
-      completedItems: job.completedItems,
-      totalItems: job.totalItems,
-    });
-  }
-
-  /**
-   * Add result to job
-   */
-  addJobResult(jobId, result) {
-    const job = this.jobProgress.get(jobId);
-    if (!job) return;
-
-    job.results.push(result);
-    job.completedItems++;
-    job.updatedAt = Date.now();
-
-    // Calculate progress
-    job.progress = Math.round((job.completedItems / job.totalItems) * 100);
-
-    // Notify subscribed clients
-    this.sendToJob(jobId, {
-      type: 'jobItemComplete',
-      result,
-      progress: job.progress,
-      completedItems: job.completedItems,
-      totalItems: job.totalItems,
-    });
-  }
-
-  /**
-   * Add error to job
-   */
-  addJobError(jobId, error) {
-    const job = this.jobProgress.get(jobId);
-    if (!job) return;
-
-    job.errors.push(error);
-    job.completedItems++;
-    job.updatedAt = Date.now();
-
-    // Calculate progress
-    job.progress = Math.round((job.completedItems / job.totalItems) * 100);
-
-    // Notify subscribed clients
-    this.sendToJob(jobId, {
-      type: 'jobItemError',
-      error,
-      progress: job.progress,
-      completedItems: job.completedItems,
-      totalItems: job.totalItems,
-    });
-  }
-
-  /**
-   * Complete a job
-   */
-  completeJob(jobId, status = 'completed') {
-    const job = this.jobProgress.get(jobId);
-    if (!job) return;
-
-    job.status = status;
-    job.progress = 100;
-    job.completedAt = Date.now();
-    job.updatedAt = Date.now();
-
-    // Notify subscribed clients
-    this.sendToJob(jobId, {
-      type: 'jobComplete',
-      status,
-      results: job.results,
-      errors: job.errors,
-      duration: job.completedAt - job.createdAt,
-    });
-
-    // Clean up job after 5 minutes
-    setTimeout(() => {
-      this.jobProgress.delete(jobId);
-    }, 5 * 60 * 1000);
-  }
-
-  /**
-   * Get job status
-   */
-  getJob(jobId) {
-    return this.jobProgress.get(jobId);
-  }
-
   /**
    * Get connected clients count
    */
@@ -323,7 +291,7 @@ class WebSocketService {
   getStats() {
     return {
       connectedClients: this.clients.size,
-      activeJobs: this.jobProgress.size,
+      activeJobs: this.jobQueue ? this.jobQueue.running.size : 0,
       uptime: this.wss ? Date.now() - this.wss._server?.listening : 0,
     };
   }
@@ -0,0 +1,20 @@
+/**
+ * Trace Worker
+ * Runs the vectorization pipeline for one engine in a worker thread, so
+ * method=compare can trace the same image with several engines at once.
+ * workerData is { method, image, settings }; the worker posts { output }
+ * or { error }.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const vectorizationService = require('../vectorizationService');
+
+const { method, image, settings } = workerData;
+
+vectorizationService.traceImage(Buffer.from(image), { ...settings, method }, { internal: true })
+  .then(({ svg, processingMethod, optimizationStats, postProcessStats, symmetry, palette, spots }) => {
+    parentPort.postMessage({ output: { svg, processingMethod, optimizationStats, postProcessStats, symmetry, palette, spots } });
+  })
+  .catch((error) => {
+    parentPort.postMessage({ error: error.message });
+  });
@@ -0,0 +1,208 @@
+/**
+ * ZIP Writer
+ * Streams a ZIP archive to a writable stream one entry at a time, so large
+ * archives never have to be held in memory. Buffer entries are written with
+ * their sizes up front; stream entries are deflated on the fly and followed
+ * by a data descriptor.
+ */
+
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const VERSION = 20;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * CRC-32 of a buffer, continuing from a previous value
+ */
+function crc32(buffer, previous = 0) {
+  let crc = ~previous;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+class ZipWriter {
+  /**
+   * @param {Writable} output - Stream the archive is written to (e.g. an HTTP response)
+   */
+  constructor(output) {
+    this.output = output;
+    this.entries = [];
+    this.offset = 0;
+  }
+
+  /**
+   * Add an entry whose content is already in memory
+   * @param {string} name - Path inside the archive
+   * @param {Buffer|string} data - Entry content
+   * @param {object} options - { compress } false to store already-compressed data (PNG)
+   */
+  async addFile(name, data, options = {}) {
+    const { compress = true } = options;
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const body = compress ? zlib.deflateRawSync(content) : content;
+
+    const entry = this.createEntry(name, compress ? METHOD_DEFLATE : METHOD_STORE, 0);
+    entry.crc = crc32(content);
+    entry.size = content.length;
+    entry.compressedSize = body.length;
+
+    await this.write(this.localHeader(entry));
+    await this.write(body);
+  }
+
+  /**
+   * Add an entry read from a stream (e.g. a file on disk), deflating it as it is read
+   * @param {string} name - Path inside the archive
+   * @param {Readable} source - Entry content
+   */
+  async addStream(name, source) {
+    const entry = this.createEntry(name, METHOD_DEFLATE, FLAG_DATA_DESCRIPTOR);
+    await this.write(this.localHeader(entry));
+
+    const measure = new Transform({
+      transform(chunk, encoding, callback) {
+        entry.crc = crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        callback(null, chunk);
+      },
+    });
+
+    await pipeline(source, measure, zlib.createDeflateRaw(), async (compressed) => {
+      for await (const chunk of compressed) {
+        entry.compressedSize += chunk.length;
+        await this.write(chunk);
+      }
+    });
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.write(descriptor);
+  }
+
+  /**
+   * Write the central directory and end the output stream
+   */
+  async finalize() {
+    const start = this.offset;
+    for (const entry of this.entries) {
+      await this.write(this.centralHeader(entry));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this.write(end);
+
+    this.output.end();
+  }
+
+  createEntry(name, method, flags) {
+    const entry = {
+      name: Buffer.from(name, 'utf8'),
+      method,
+      flags: flags | FLAG_UTF8,
+      ...dosDateTime(new Date()),
+      crc: 0,
+      size: 0,
+      compressedSize: 0,
+      offset: this.offset,
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  localHeader(entry) {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(entry.flags, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    // Zero when a data descriptor follows the content
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(entry.name.length, 26);
+    return Buffer.concat([header, entry.name]);
+  }
+
+  centralHeader(entry) {
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(VERSION, 6);
+    header.writeUInt16LE(entry.flags, 8);
+    header.writeUInt16LE(entry.method, 10);
+    header.writeUInt16LE(entry.time, 12);
+    header.writeUInt16LE(entry.date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(entry.compressedSize, 20);
+    header.writeUInt32LE(entry.size, 24);
+    header.writeUInt16LE(entry.name.length, 28);
+    header.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([header, entry.name]);
+  }
+
+  /**
+   * Write a chunk, waiting for the output to drain when its buffer is full
+   */
+  write(chunk) {
+    this.offset += chunk.length;
+    if (this.output.destroyed) {
+      return Promise.reject(new Error('Archive output closed'));
+    }
+    if (this.output.write(chunk)) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const done = (error) => {
+        this.output.off('drain', onDrain);
+        this.output.off('close', onClose);
+        if (error) reject(error);
+        else resolve();
+      };
+      const onDrain = () => done();
+      const onClose = () => done(new Error('Archive output closed'));
+      this.output.on('drain', onDrain);
+      this.output.on('close', onClose);
+    });
+  }
+}
+
+module.exports = {
+  ZipWriter,
+  crc32,
+};
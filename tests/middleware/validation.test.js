@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
-import { validateSVGContent } from '../../middleware/validation.js';
+import { validateSVGContent, parseEngineParams, parseOutputBudget, parseColorMetric, schemas } from '../../middleware/validation.js';
+import { ENGINE_PARAMETERS } from '../../services/engineParameters.js';
 
 describe('Validation Middleware', () => {
   describe('validateSVGContent', () => {
@@ -59,4 +60,90 @@ describe('Validation Middleware', () => {
       expect(result.valid).toBe(false);
     });
   });
+
+  describe('parseEngineParams', () => {
+    it('should parse JSON parameters for the selected method', () => {
+      const params = parseEngineParams('vtracer', '{"cornerThreshold":60,"filterSpeckle":4,"preset":"poster"}');
+
+      expect(params).toEqual({ cornerThreshold: 60, filterSpeckle: 4, preset: 'poster' });
+    });
+
+    it('should return no overrides when none are sent', () => {
+      expect(parseEngineParams('idegy', undefined)).toEqual({});
+      expect(parseEngineParams('idegy', '')).toEqual({});
+    });
+
+    it('should reject out-of-range values and parameters of other engines', () => {
+      expect(() => parseEngineParams('smooth', { upscaleFactor: 12 })).toThrow(/smooth/);
+      expect(() => parseEngineParams('smooth', { upscaleFactor: 1.5 })).toThrow();
+
+      try {
+        parseEngineParams('centerline', { filterSpeckle: 4 });
+        expect.unreachable();
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+        expect(error.details[0]).toMatchObject({ code: 'unrecognized_keys' });
+      }
+    });
+
+    it('should reject malformed JSON', () => {
+      expect(() => parseEngineParams('idegy', '{cornerThreshold: 60}')).toThrow('engineParams must be a JSON object');
+    });
+
+    it('should describe every parameter with its type and range', () => {
+      for (const parameters of Object.values(ENGINE_PARAMETERS)) {
+        for (const parameter of parameters) {
+          expect(parameter.description).toBeTruthy();
+          if (parameter.type === 'enum') {
+            expect(parameter.values.length).toBeGreaterThan(0);
+          } else {
+            expect(parameter.min).toBeLessThan(parameter.max);
+          }
+        }
+      }
+    });
+  });
+
+  describe('parseOutputBudget', () => {
+    it('should coerce form fields to integers and leave missing budgets undefined', () => {
+      expect(parseOutputBudget({ maxPaths: '200', maxNodes: '', method: 'smooth' })).toEqual({
+        maxPaths: 200, maxNodes: undefined, maxBytes: undefined,
+      });
+    });
+
+    it('should reject budgets that are not positive integers', () => {
+      try {
+        parseOutputBudget({ maxNodes: '1.5', maxBytes: '10' });
+        expect.unreachable();
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+        expect(error.details.map(detail => detail.field).sort()).toEqual(['maxBytes', 'maxNodes']);
+      }
+    });
+  });
+
+  describe('palette schema', () => {
+    it('should accept hex strings and named colors', () => {
+      const result = schemas.palette.safeParse({ name: 'acme-2024', colors: ['#1565C0', { hex: 'fff', name: 'Paper' }] });
+
+      expect(result.success).toBe(true);
+    });
+
+    it('should reject names that are not slugs and colors that are not hex', () => {
+      expect(schemas.palette.safeParse({ name: 'Acme Brand', colors: ['#000'] }).success).toBe(false);
+      expect(schemas.palette.safeParse({ name: 'acme', colors: ['red'] }).success).toBe(false);
+      expect(schemas.palette.safeParse({ name: 'acme', colors: [] }).success).toBe(false);
+    });
+  });
+
+  describe('parseColorMetric', () => {
+    it('should accept the colorScience metrics and skip missing values', () => {
+      expect(parseColorMetric('ciede2000')).toBe('ciede2000');
+      expect(parseColorMetric('')).toBeUndefined();
+    });
+
+    it('should reject unknown metrics', () => {
+      expect(() => parseColorMetric('cmc')).toThrow('Invalid colorMetric');
+    });
+  });
 });
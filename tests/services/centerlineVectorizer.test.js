@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import CenterlineVectorizer from '../../services/vectorizer/centerlineVectorizer.js';
+
+async function render(body, width = 120, height = 80) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="${width}" height="${height}" fill="#fff"/>${body}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+function paths(svg) {
+  return [...svg.matchAll(/<path d="([^"]+)" stroke="([^"]+)" stroke-width="([^"]+)"/g)]
+    .map(([, d, stroke, width]) => ({ d, stroke, width: parseFloat(width) }));
+}
+
+describe('CenterlineVectorizer', () => {
+  it('should trace a line as one open stroke with its width', async () => {
+    const image = await render('<path d="M10 40 L110 40" stroke="#000" stroke-width="4" fill="none"/>');
+    const svg = await new CenterlineVectorizer().vectorize(image);
+
+    expect(svg).toContain('fill="none"');
+    const strokes = paths(svg);
+    expect(strokes).toHaveLength(1);
+    expect(strokes[0].d).not.toMatch(/Z$/);
+    expect(strokes[0].width).toBeGreaterThan(3);
+    expect(strokes[0].width).toBeLessThan(5);
+  });
+
+  it('should close rings and keep stroke colors', async () => {
+    const image = await render('<circle cx="60" cy="40" r="25" stroke="#0000ff" stroke-width="3" fill="none"/>');
+    const strokes = paths(await new CenterlineVectorizer().vectorize(image));
+
+    expect(strokes).toHaveLength(1);
+    expect(strokes[0].d).toMatch(/Z$/);
+    expect(strokes[0].stroke).toBe('#0000ff');
+  });
+
+  it('should keep crossing lines as two continuous strokes', async () => {
+    const image = await render('<path d="M60 10 L60 70 M20 40 L100 40" stroke="#000" stroke-width="3" fill="none"/>');
+    const strokes = paths(await new CenterlineVectorizer().vectorize(image));
+
+    expect(strokes).toHaveLength(2);
+  });
+
+  it('should keep small dots as zero-length strokes', async () => {
+    const image = await render('<circle cx="60" cy="40" r="2" fill="#000"/>');
+    const strokes = paths(await new CenterlineVectorizer().vectorize(image));
+
+    expect(strokes).toHaveLength(1);
+    expect(strokes[0].d).toMatch(/h0$/);
+  });
+
+  it('should return an empty drawing for a blank image', async () => {
+    const image = await render('');
+    const strokes = paths(await new CenterlineVectorizer().vectorize(image));
+
+    expect(strokes).toHaveLength(0);
+  });
+});
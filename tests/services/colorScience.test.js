@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import colorScience from '../../services/colorScience.js';
+import PaletteManager from '../../services/vectorizer/paletteManager.js';
+
+const { rgbToLab, rgbToOklab, coordinates, deltaE94, deltaE2000, distance, METRICS } = colorScience;
+
+const white = { r: 255, g: 255, b: 255 };
+const red = { r: 255, g: 0, b: 0 };
+
+describe('colorScience', () => {
+  it('should convert sRGB to CIELab and OKLab', () => {
+    expect(rgbToLab(white).L).toBeCloseTo(100, 2);
+    expect(rgbToLab(red)).toMatchObject({ L: expect.closeTo(53.24, 1), a: expect.closeTo(80.09, 1), b: expect.closeTo(67.2, 1) });
+    expect(rgbToOklab(red)).toMatchObject({ L: expect.closeTo(0.628, 3), a: expect.closeTo(0.2249, 3), b: expect.closeTo(0.1258, 3) });
+    expect(coordinates(white, 'oklab').L).toBeCloseTo(100, 2);
+  });
+
+  it('should match reference CIEDE2000 differences', () => {
+    // Sharma, Wu and Dalal test pairs
+    expect(deltaE2000({ L: 50, a: 2.6772, b: -79.7751 }, { L: 50, a: 0, b: -82.7485 })).toBeCloseTo(2.0425, 4);
+    expect(deltaE2000({ L: 50, a: 2.5, b: 0 }, { L: 73, a: 25, b: -18 })).toBeCloseTo(27.1492, 4);
+    expect(deltaE2000({ L: 22.7233, a: 20.0904, b: -46.694 }, { L: 23.0331, a: 14.973, b: -42.5619 })).toBeCloseTo(2.0373, 4);
+    expect(deltaE2000({ L: 2.0776, a: 0.0795, b: -1.135 }, { L: 0.9033, a: -0.0636, b: -0.5514 })).toBeCloseTo(0.9082, 4);
+  });
+
+  it('should weight chroma differences down in CIE94', () => {
+    const reference = { L: 50, a: 60, b: 0 };
+    const sample = { L: 50, a: 70, b: 0 };
+
+    expect(deltaE94(reference, sample)).toBeCloseTo(10 / 3.7, 4);
+  });
+
+  it('should rank every metric the same way on clear-cut colors', () => {
+    const navy = { r: 0, g: 45, b: 114 };
+    const blue = { r: 21, g: 101, b: 192 };
+    const orange = { r: 255, g: 140, b: 0 };
+
+    for (const metric of METRICS) {
+      expect(distance(navy, navy, metric)).toBeCloseTo(0, 6);
+      expect(distance(navy, blue, metric)).toBeLessThan(distance(navy, orange, metric));
+    }
+  });
+
+  it('should let PaletteManager measure tolerance in any metric', () => {
+    const manager = new PaletteManager({ algorithm: 'ciede2000', tolerance: 10 });
+
+    expect(manager.colorDistance(red, red)).toBe(0);
+    expect(manager.colorDistance({ r: 250, g: 5, b: 5 }, red)).toBeCloseTo(distance({ r: 250, g: 5, b: 5 }, red, 'ciede2000') * 2.55, 6);
+    expect(manager.snapColor({ r: 250, g: 5, b: 5 }, [red, white]).matched).toBe(true);
+  });
+});
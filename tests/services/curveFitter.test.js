@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import CurveFitter from '../../services/vectorizer/curveFitter.js';
+
+describe('CurveFitter', () => {
+  describe('generateBezier', () => {
+    it('should recover the handles of the cubic its points were sampled from', () => {
+      const fitter = new CurveFitter();
+      const control = [{ x: 0, y: 0 }, { x: 10, y: 30 }, { x: 50, y: 30 }, { x: 60, y: 0 }];
+      const u = Array.from({ length: 21 }, (_, i) => i / 20);
+      const points = u.map(t => [0, 1, 2, 3].reduce((p, i) => ({
+        x: p.x + control[i].x * fitter.bernsteinBasis(i, t),
+        y: p.y + control[i].y * fitter.bernsteinBasis(i, t),
+      }), { x: 0, y: 0 }));
+      const unit = (from, to) => {
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        return { x: (to.x - from.x) / length, y: (to.y - from.y) / length };
+      };
+
+      const bezier = fitter.generateBezier(points, u, unit(control[0], control[1]), unit(control[3], control[2]));
+
+      bezier.forEach((point, i) => {
+        expect(point.x).toBeCloseTo(control[i].x, 6);
+        expect(point.y).toBeCloseTo(control[i].y, 6);
+      });
+    });
+  });
+});
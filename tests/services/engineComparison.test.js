@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import engineComparison from '../../services/engineComparison.js';
+import vectorizationService from '../../services/vectorizationService.js';
+
+const artwork = '<rect width="80" height="60" fill="#ffffff"/><circle cx="28" cy="30" r="18" fill="#1565c0"/><rect x="48" y="14" width="24" height="32" fill="#f9a825"/>';
+const svgOf = body => `<svg xmlns="http://www.w3.org/2000/svg" width="80" height="60" viewBox="0 0 80 60">${body}</svg>`;
+
+describe('EngineComparison', () => {
+  it('should rank every local engine and return the best as the output', async () => {
+    const image = await sharp(Buffer.from(svgOf(artwork))).png().toBuffer();
+    const { settings } = vectorizationService.parseSettings({ method: 'compare' });
+
+    const output = await vectorizationService.traceImage(image, settings);
+    const { candidates } = output.comparison;
+    const ranked = candidates.filter(candidate => candidate.success);
+
+    expect(candidates.map(candidate => candidate.method).sort()).toEqual(['idegy', 'potrace', 'smooth', 'vtracer']);
+    expect(ranked.length).toBeGreaterThanOrEqual(3);
+    expect(ranked.map(candidate => candidate.rank)).toEqual(ranked.map((_, i) => i + 1));
+    for (let i = 1; i < ranked.length; i++) {
+      expect(ranked[i - 1].score).toBeGreaterThanOrEqual(ranked[i].score);
+    }
+    for (const candidate of ranked) {
+      expect(candidate.fidelity.score).toBeGreaterThan(0);
+      expect(candidate.fidelity.heatmap).toBeUndefined();
+      expect(candidate.quality.score).toBeGreaterThan(0);
+      expect(candidate.svgContent).toContain('<svg');
+    }
+    expect(output.svg).toBe(ranked[0].svgContent);
+    expect(output.processingMethod).toContain(ranked[0].processingMethod);
+  }, 120000);
+
+  it('should fail when no engine can trace the input', async () => {
+    await expect(engineComparison.compare(Buffer.from('not an image'), {})).rejects.toThrow('No engine could vectorize the image');
+  }, 60000);
+});
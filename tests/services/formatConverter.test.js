@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest';
+import formatConverter from '../../services/formatConverter.js';
+
+describe('FormatConverter', () => {
+  const testSVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 50" width="100" height="50">
+  <g transform="translate(10 5)">
+    <rect width="20" height="10" fill="#ff0000"/>
+    <circle cx="50" cy="20" r="10" fill="none" stroke="#0000ff" stroke-width="2"/>
+    <path d="M0 0a5 5 0 015 5z" fill-rule="evenodd"/>
+  </g>
+</svg>`;
+
+  describe('generateEPSFromSVG', () => {
+    it('should emit an EPSF header with bounding boxes around the artwork', () => {
+      const eps = formatConverter.generateEPSFromSVG(testSVG);
+
+      expect(eps.startsWith('%!PS-Adobe-3.0 EPSF-3.0')).toBe(true);
+      expect(eps).toContain('%%BoundingBox: 10 14 71 45');
+      expect(eps).toContain('%%HiResBoundingBox: 10 14 71 45');
+      expect(eps.trim().endsWith('%%EOF')).toBe(true);
+    });
+
+    it('should translate shapes into path operators instead of comments', () => {
+      const eps = formatConverter.generateEPSFromSVG(testSVG);
+
+      expect(eps).not.toContain('<svg');
+      expect(eps).toContain('0 0 m');
+      expect(eps).toMatch(/ c\n/);
+      expect(eps).toContain('\nh\n');
+    });
+
+    it('should map fills, strokes and fill-rule to PostScript paint operators', () => {
+      const eps = formatConverter.generateEPSFromSVG(testSVG);
+
+      expect(eps).toContain('1 0 0 rg');
+      expect(eps).toContain('0 0 1 rg\n2 w');
+      expect(eps).toContain('\nf*\n');
+      expect(eps).toContain('\ns\n');
+    });
+
+    it('should flip the y axis through the item transform', () => {
+      const eps = formatConverter.generateEPSFromSVG(testSVG);
+
+      expect(eps).toContain('[1 0 0 -1 10 45] concat');
+    });
+
+    it('should fall back to the page size when nothing is painted', () => {
+      const eps = formatConverter.generateEPSFromSVG(
+        '<svg xmlns="http://www.w3.org/2000/svg" width="2in" height="1in"><rect width="5" height="5" fill="none"/></svg>'
+      );
+
+      expect(eps).toContain('%%BoundingBox: 0 0 144 72');
+    });
+  });
+
+  describe('generatePDF', () => {
+    const mediaBox = (buffer) => buffer.toString('latin1').match(/MediaBox \[([^\]]*)\]/)[1];
+
+    it('should produce a PDF sized to the viewBox', async () => {
+      const pdf = await formatConverter.generatePDF(testSVG);
+
+      expect(pdf.toString('latin1', 0, 5)).toBe('%PDF-');
+      expect(mediaBox(pdf)).toBe('0 0 100 50');
+      expect(pdf.toString('latin1')).not.toContain('<svg');
+    });
+
+    it('should add margins around the artwork page', async () => {
+      const pdf = await formatConverter.generatePDF(testSVG, { margin: 1, unit: 'in' });
+
+      expect(mediaBox(pdf)).toBe('0 0 244 194');
+    });
+
+    it('should use named page sizes in the artwork orientation', async () => {
+      const pdf = await formatConverter.generatePDF(testSVG, { pageSize: 'a4' });
+
+      expect(mediaBox(pdf)).toBe('0 0 841.89 595.28');
+    });
+
+    it('should drop raster images to stay vector-only', async () => {
+      const withImage = testSVG.replace('</svg>', '<image href="data:image/png;base64,AAAA" width="5" height="5"/></svg>');
+      const pdf = await formatConverter.generatePDF(withImage);
+
+      expect(pdf.toString('latin1')).not.toContain('/Subtype /Image');
+    });
+
+    it('should write document metadata', async () => {
+      const pdf = await formatConverter.generatePDF(testSVG, { metadata: { title: 'Brand Mark' } });
+
+      expect(pdf.toString('latin1')).toContain('Brand Mark');
+    });
+
+    it('should reject unsupported units', async () => {
+      await expect(formatConverter.generatePDF(testSVG, { unit: 'cm' })).rejects.toThrow('Unsupported unit');
+    });
+  });
+
+  describe('generateMultiPagePDF', () => {
+    it('should write one page per SVG, each sized to its artwork', async () => {
+      const second = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 30 40"><rect width="30" height="40"/></svg>';
+      const pdf = (await formatConverter.generateMultiPagePDF([testSVG, second])).toString('latin1');
+
+      expect(pdf).toContain('/Count 2');
+      expect(pdf.match(/MediaBox \[([^\]]*)\]/g)).toEqual(['MediaBox [0 0 100 50]', 'MediaBox [0 0 30 40]']);
+    });
+
+    it('should reject an empty page list', async () => {
+      await expect(formatConverter.generateMultiPagePDF([])).rejects.toThrow('No pages');
+    });
+  });
+
+  describe('generateAI', () => {
+    const groupedSVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 50">
+  <g data-group="color" data-group-key="#ff0000">
+    <rect width="20" height="10" fill="#ff0000"/>
+    <rect x="30" width="20" height="10" fill="#ff0000"/>
+  </g>
+  <circle cx="50" cy="20" r="10" fill="#0000ff" opacity="0.5"/>
+</svg>`;
+
+    it('should write a PDF-compatible file', () => {
+      const ai = formatConverter.generateAI(groupedSVG).toString('latin1');
+
+      expect(ai.startsWith('%PDF-1.5')).toBe(true);
+      expect(ai).toContain('/MediaBox [0 0 100 50]');
+      expect(ai).toContain('application/vnd.adobe.illustrator');
+    });
+
+    it('should point startxref at the cross-reference table', () => {
+      const ai = formatConverter.generateAI(groupedSVG).toString('latin1');
+      const offset = parseInt(ai.match(/startxref\n(\d+)/)[1], 10);
+
+      expect(ai.slice(offset, offset + 4)).toBe('xref');
+    });
+
+    it('should create one layer per color group', () => {
+      const ai = formatConverter.generateAI(groupedSVG).toString('latin1');
+      const layers = ai.match(/\/Type \/OCG \/Name \(([^)]*)\)/g);
+
+      expect(layers).toHaveLength(2);
+      expect(ai).toContain('/Name (#ff0000)');
+      expect(ai).toContain('/Name (#0000ff)');
+    });
+
+    it('should keep opacity as a graphics state', () => {
+      const ai = formatConverter.generateAI(groupedSVG).toString('latin1');
+
+      expect(ai).toContain('/ca 0.5');
+    });
+  });
+
+  describe('getAvailableFormats', () => {
+    it('should expose EPS as PostScript', () => {
+      const eps = formatConverter.getAvailableFormats().find(f => f.id === 'eps');
+
+      expect(eps.extension).toBe('.eps');
+      expect(eps.mimeType).toBe('application/postscript');
+    });
+
+    it('should export AI with its own extension', () => {
+      const ai = formatConverter.getAvailableFormats().find(f => f.id === 'ai');
+
+      expect(ai.extension).toBe('.ai');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import GradientDetector from '../../services/vectorizer/gradientDetector.js';
+import SVGBuilder from '../../services/vectorizer/svgBuilder.js';
+
+async function render(body, width = 200, height = 120) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="${width}" height="${height}" fill="#fff"/>${body}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+const linear = '<defs><linearGradient id="a"><stop offset="0" stop-color="#ff6a00"/><stop offset="1" stop-color="#ee0979"/></linearGradient></defs>'
+  + '<rect x="10" y="10" width="180" height="100" fill="url(#a)"/>';
+
+describe('GradientDetector', () => {
+  it('should fit a linear gradient along the ramp', async () => {
+    const { regions } = await new GradientDetector().detect(await render(linear));
+
+    expect(regions).toHaveLength(1);
+    const { gradient } = regions[0];
+    expect(gradient.type).toBe('linear');
+    expect(Math.abs(gradient.y2 - gradient.y1)).toBeLessThan(1);
+    expect(gradient.x2 - gradient.x1).toBeGreaterThan(170);
+    expect(gradient.stops[0].color.hex).toMatch(/^#f[ef]6/);
+  });
+
+  it('should fit a radial gradient around its center', async () => {
+    const image = await render('<defs><radialGradient id="b"><stop offset="0" stop-color="#ffffff"/><stop offset="1" stop-color="#1e90ff"/></radialGradient></defs>'
+      + '<circle cx="100" cy="60" r="50" fill="url(#b)"/>');
+    const { regions } = await new GradientDetector().detect(image);
+
+    expect(regions).toHaveLength(1);
+    const { gradient } = regions[0];
+    expect(gradient.type).toBe('radial');
+    expect(gradient.cx).toBeCloseTo(100, 0);
+    expect(gradient.cy).toBeCloseTo(60, 0);
+  });
+
+  it('should ignore flat regions', async () => {
+    const { regions } = await new GradientDetector().detect(await render('<rect x="20" y="20" width="100" height="60" fill="#2e7d32"/>'));
+
+    expect(regions).toHaveLength(0);
+  });
+
+  it('should flatten gradient regions and match their outlines', async () => {
+    const image = await render(linear);
+    const detector = new GradientDetector();
+    const detection = await detector.detect(image);
+    const { data, info } = await sharp(await detector.flatten(image, detection)).raw().toBuffer({ resolveWithObject: true });
+
+    const at = (x, y) => data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3);
+    expect([...at(20, 60)]).toEqual([...at(180, 60)]);
+
+    const outline = [{ x: 10, y: 10 }, { x: 190, y: 10 }, { x: 190, y: 110 }, { x: 10, y: 110 }];
+    const { color, gradient } = detection.regions[0];
+    expect(detector.match(outline, color, detection)).toBe(gradient);
+    expect(detector.match(outline, { r: 0, g: 0, b: 0 }, detection)).toBeNull();
+  });
+});
+
+describe('SVGBuilder gradients', () => {
+  it('should emit gradient definitions for paths carrying a gradient', () => {
+    const gradient = {
+      type: 'linear',
+      x1: 0,
+      y1: 0,
+      x2: 100,
+      y2: 0,
+      stops: [
+        { offset: 0, color: { r: 255, g: 0, b: 0 } },
+        { offset: 1, color: { r: 0, g: 0, b: 255 } },
+      ],
+    };
+    const curves = [
+      { type: 'line', start: { x: 0, y: 0 }, end: { x: 100, y: 0 } },
+      { type: 'line', start: { x: 100, y: 0 }, end: { x: 100, y: 50 } },
+      { type: 'line', start: { x: 100, y: 50 }, end: { x: 0, y: 0 } },
+    ];
+    const svg = new SVGBuilder({ gapFiller: false }).build(
+      [{ color: { r: 128, g: 0, b: 128 }, paths: [{ type: 'path', curves, gradient }] }],
+      100,
+      50
+    );
+
+    expect(svg).toContain('<linearGradient id="gradient-1" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="100" y2="0">');
+    expect(svg).toContain('fill="url(#gradient-1)"');
+    expect(svg.indexOf('<defs>')).toBeLessThan(svg.indexOf('<path'));
+  });
+});
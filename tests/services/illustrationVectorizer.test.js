@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import IllustrationVectorizer from '../../services/vectorizer/illustrationVectorizer.js';
+import vectorizationService from '../../services/vectorizationService.js';
+
+// 160x120 "photo": a sky-to-ground gradient, a sun disc with a ring around it
+// and a dark hill, all with deterministic grain
+function painting(width = 160, height = 120) {
+  const pixels = Buffer.alloc(width * height * 3);
+  let seed = 7;
+  const grain = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return (seed / 2147483648 - 0.5) * 24;
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let color = [90 + y, 140 + y / 2, 230 - y];
+      const sun = Math.hypot(x - 50, y - 40);
+      if (sun < 16) color = [250, 210, 60];
+      else if (sun < 22) color = [240, 150, 50];
+      if (y > 80 + 12 * Math.sin(x / 20)) color = [40, 90 - (y - 80), 40];
+      pixels.set(color.map(c => Math.max(0, Math.min(255, Math.round(c + grain())))), (y * width + x) * 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+}
+
+const pathCount = svg => (svg.match(/<path\b/g) || []).length;
+
+describe('IllustrationVectorizer', () => {
+  it('should keep more layers at a higher detail', async () => {
+    const image = await painting();
+    const low = await new IllustrationVectorizer({ detail: 10 }).vectorize(image);
+    const high = await new IllustrationVectorizer({ detail: 90 }).vectorize(image);
+
+    expect(low.regions).toBeGreaterThan(2);
+    expect(high.regions).toBeGreaterThan(low.regions);
+    expect(pathCount(high.svg)).toBe(high.paths);
+    expect(Buffer.byteLength(high.svg)).toBe(high.bytes);
+  });
+
+  it('should stay under a path budget', async () => {
+    const { svg, paths } = await new IllustrationVectorizer({ detail: 100, maxPaths: 6 }).vectorize(await painting());
+
+    expect(paths).toBeLessThanOrEqual(6);
+    expect(pathCount(svg)).toBe(paths);
+  });
+
+  it('should stay under a byte budget', async () => {
+    const image = await painting();
+    const unbounded = await new IllustrationVectorizer({ detail: 100 }).vectorize(image);
+    const bounded = await new IllustrationVectorizer({ detail: 100, maxBytes: 4000 }).vectorize(image);
+
+    expect(unbounded.bytes).toBeGreaterThan(4000);
+    expect(Buffer.byteLength(bounded.svg)).toBeLessThanOrEqual(4000);
+  });
+
+  it('should merge regions by the selected color metric', async () => {
+    const image = await painting();
+
+    for (const colorMetric of ['ciede2000', 'oklab']) {
+      const { regions, svg } = await new IllustrationVectorizer({ detail: 40, colorMetric }).vectorize(image);
+      expect(regions).toBeGreaterThan(2);
+      expect(pathCount(svg)).toBeGreaterThan(2);
+    }
+  });
+
+  it('should stack layers from large to small without gaps between them', async () => {
+    const { svg } = await new IllustrationVectorizer({ detail: 60 }).vectorize(await painting());
+
+    expect(svg).toContain('width="160" height="120"');
+    // The ring encloses the sun, so its filled layer is larger and goes below
+    const fills = [...svg.matchAll(/fill="rgb\((\d+),(\d+),(\d+)\)"/g)].map(([, r, g, b]) => [+r, +g, +b]);
+    const ring = fills.findIndex(([r, g, b]) => r > 200 && g < 170 && b < 80);
+    const sun = fills.findIndex(([r, g, b]) => r > 200 && g > 190 && b < 80);
+    expect(ring).toBeGreaterThanOrEqual(0);
+    expect(sun).toBeGreaterThan(ring);
+
+    // The upload is opaque, so every rendered pixel must be too, edges included
+    const { data } = await sharp(Buffer.from(svg)).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    let seams = 0;
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] < 250) seams++;
+    }
+    expect(seams).toBe(0);
+  });
+});
+
+describe('VectorizationService illustration method', () => {
+  it('should map detailLevel to detail and skip optimization', async () => {
+    const { settings } = vectorizationService.parseSettings({ method: 'illustration', detailLevel: 'high', engineParams: { maxPaths: 10 } });
+
+    const output = await vectorizationService.traceImage(await painting(), settings);
+
+    expect(output.processingMethod).toMatch(/^Layered Illustration \(detail 75, \d+ layers\)$/);
+    expect(output.optimizationStats).toBeNull();
+    expect(pathCount(output.svg)).toBeLessThanOrEqual(10);
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jobQueue from '../../services/jobQueue.js';
+import { ProcessingError } from '../../utils/errors.js';
+
+const { JobQueue } = jobQueue;
+
+describe('JobQueue', () => {
+  let directory;
+  let queue;
+
+  const createQueue = (options = {}) => new JobQueue({ directory, retryDelay: 5, ...options });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+  });
+
+  afterEach(async () => {
+    if (queue) await queue.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should run a job and store its output and results', async () => {
+    queue = createQueue();
+    queue.registerHandler('echo', async (job, context) => {
+      context.addResult({ value: job.payload.value });
+      return { doubled: job.payload.value * 2 };
+    });
+    await queue.start();
+
+    const { id } = queue.enqueue('echo', { value: 21 });
+    const job = await queue.waitFor(id);
+
+    expect(job.status).toBe('completed');
+    expect(job.output).toEqual({ doubled: 42 });
+    expect(job.results).toEqual([{ value: 21 }]);
+    expect(job.progress).toBe(100);
+    expect(job.payload).toBeUndefined();
+  });
+
+  it('should run higher priority jobs first within the concurrency limit', async () => {
+    queue = createQueue({ concurrency: 1 });
+    const order = [];
+    let active = 0;
+    let maxActive = 0;
+    queue.registerHandler('record', async (job) => {
+      maxActive = Math.max(maxActive, ++active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      order.push(job.payload.name);
+      active--;
+    });
+
+    const low = queue.enqueue('record', { name: 'low' });
+    const high = queue.enqueue('record', { name: 'high' }, { priority: 5 });
+    const normal = queue.enqueue('record', { name: 'normal' }, { priority: 1 });
+    await queue.start();
+    await Promise.all([low, high, normal].map(job => queue.waitFor(job.id)));
+
+    expect(order).toEqual(['high', 'normal', 'low']);
+    expect(maxActive).toBe(1);
+  });
+
+  it('should retry failed jobs with backoff', async () => {
+    queue = createQueue();
+    const retries = [];
+    queue.on('retry', job => retries.push(job.error.message));
+    queue.registerHandler('flaky', async (job) => {
+      if (job.attempts < 3) throw new Error('Replicate timed out');
+      return 'ok';
+    });
+    await queue.start();
+
+    const job = await queue.waitFor(queue.enqueue('flaky').id);
+
+    expect(job.status).toBe('completed');
+    expect(job.attempts).toBe(3);
+    expect(retries).toEqual(['Replicate timed out', 'Replicate timed out']);
+  });
+
+  it('should double the retry delay up to the maximum', () => {
+    queue = createQueue({ retryDelay: 1000, maxRetryDelay: 3000 });
+
+    expect([1, 2, 3].map(attempt => queue.backoff(attempt))).toEqual([1000, 2000, 3000]);
+  });
+
+  it('should not retry errors caused by the request', async () => {
+    queue = createQueue();
+    queue.registerHandler('invalid', async () => {
+      throw new ProcessingError('No vector artwork found', { pages: [] });
+    });
+    await queue.start();
+
+    const job = await queue.waitFor(queue.enqueue('invalid').id);
+
+    expect(job.status).toBe('failed');
+    expect(job.attempts).toBe(1);
+    expect(job.error).toMatchObject({ message: 'No vector artwork found', details: { pages: [] } });
+  });
+
+  it('should cancel queued and running jobs', async () => {
+    queue = createQueue({ concurrency: 1 });
+    queue.registerHandler('wait', (job, context) => new Promise((resolve) => {
+      context.signal.addEventListener('abort', () => resolve('partial'));
+    }));
+    await queue.start();
+
+    const running = queue.enqueue('wait');
+    const queued = queue.enqueue('wait');
+
+    expect(queue.cancel(queued.id).status).toBe('cancelled');
+    expect(queue.getJob(running.id).status).toBe('running');
+
+    queue.cancel(running.id);
+    const job = await queue.waitFor(running.id);
+
+    expect(job.status).toBe('cancelled');
+    expect(job.output).toBe('partial');
+  });
+
+  it('should pause a running job at its next pause point and resume from the checkpoint', async () => {
+    queue = createQueue();
+    const processed = [];
+    let release;
+    const firstItemStarted = new Promise(resolve => { release = resolve; });
+    queue.registerHandler('items', async (job, context) => {
+      for (let i = job.checkpoint?.next || 0; i < 3; i++) {
+        context.pausePoint();
+        if (i === 0) {
+          release();
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        processed.push(i);
+        context.addResult(i);
+        context.checkpoint({ next: i + 1 });
+      }
+    });
+    await queue.start();
+
+    const { id } = queue.enqueue('items', {}, { totalItems: 3 });
+    await firstItemStarted;
+    expect(queue.pause(id).pauseRequested).toBe(true);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(queue.getJob(id)).toMatchObject({ status: 'paused', attempts: 0, results: [0] });
+
+    queue.resume(id);
+    const job = await queue.waitFor(id);
+
+    expect(job.status).toBe('completed');
+    expect(job.results).toEqual([0, 1, 2]);
+    expect(processed).toEqual([0, 1, 2]);
+  });
+
+  it('should hold paused queued jobs until resumed or cancelled', async () => {
+    queue = createQueue();
+    const ran = [];
+    queue.registerHandler('mark', async job => ran.push(job.payload.name));
+
+    const resumed = queue.enqueue('mark', { name: 'resumed' });
+    const cancelled = queue.enqueue('mark', { name: 'cancelled' });
+    queue.pause(resumed.id);
+    queue.pause(cancelled.id);
+    await queue.start();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(ran).toEqual([]);
+    expect(queue.cancel(cancelled.id).status).toBe('cancelled');
+
+    queue.resume(resumed.id);
+    await queue.waitFor(resumed.id);
+    expect(ran).toEqual(['resumed']);
+  });
+
+  it('should remove uploads listed in the payload when a job finishes', async () => {
+    queue = createQueue();
+    queue.registerHandler('noop', async () => {});
+    await queue.start();
+
+    const upload = path.join(directory, 'upload.png');
+    fs.writeFileSync(upload, 'data');
+    await queue.waitFor(queue.enqueue('noop', { files: [{ path: upload }] }).id);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(fs.existsSync(upload)).toBe(false);
+  });
+
+  it('should keep finished jobs and resume interrupted ones after a restart', async () => {
+    const first = createQueue();
+    first.registerHandler('step', async (job, context) => {
+      context.checkpoint({ nextItem: 1 });
+      // Never settles: the process "stops" while this job is running
+      return new Promise(() => {});
+    });
+    first.registerHandler('done', async () => 'stored');
+    await first.start();
+
+    const finished = first.enqueue('done');
+    await first.waitFor(finished.id);
+    const interrupted = first.enqueue('step', { items: 2 });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await first.stop();
+
+    queue = createQueue();
+    const resumedFrom = [];
+    queue.registerHandler('step', async (job) => {
+      resumedFrom.push(job.checkpoint.nextItem);
+      return job.payload.items;
+    });
+    queue.registerHandler('done', async () => 'again');
+    await queue.start();
+
+    expect(queue.getJob(finished.id)).toMatchObject({ status: 'completed', output: 'stored' });
+
+    const resumed = await queue.waitFor(interrupted.id);
+    expect(resumed).toMatchObject({ status: 'completed', output: 2, attempts: 2 });
+    expect(resumedFrom).toEqual([1]);
+  });
+});
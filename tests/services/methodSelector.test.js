@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import methodSelector from '../../services/methodSelector.js';
+import vectorizationService from '../../services/vectorizationService.js';
+
+async function render(body, width = 240, height = 120, background = '#fff') {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="${width}" height="${height}" fill="${background}"/>${body}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// Block letters "ILO" at x, with their baseline at y
+function word(x, y, size, fill = '#1a237e') {
+  const stem = size * 0.2;
+  return `<rect x="${x}" y="${y - size}" width="${stem}" height="${size}" fill="${fill}"/>`
+    + `<path d="M${x + size * 0.5} ${y - size}h${stem}v${size - stem}h${size * 0.4}v${stem}h${-size * 0.6}z" fill="${fill}"/>`
+    + `<ellipse cx="${x + size * 1.6}" cy="${y - size / 2}" rx="${size * 0.4}" ry="${size * 0.45}" fill="none" stroke="${fill}" stroke-width="${stem}"/>`;
+}
+
+// Blurred deterministic noise over a color ramp
+async function photo(width = 300, height = 200) {
+  const pixels = Buffer.alloc(width * height * 3);
+  let seed = 1;
+  const rnd = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let i = 0; i < width * height; i++) {
+    pixels[i * 3] = (i % width) / width * 200 + rnd() * 60;
+    pixels[i * 3 + 1] = Math.floor(i / width) / height * 180 + rnd() * 60;
+    pixels[i * 3 + 2] = 120 + rnd() * 60;
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).blur(1.2).png().toBuffer();
+}
+
+describe('MethodSelector', () => {
+  it('should send flat logos to the color-preserving engine sized to their colors', async () => {
+    const image = await render('<circle cx="70" cy="60" r="40" fill="#c62828"/><rect x="130" y="25" width="70" height="70" fill="#2e7d32"/>');
+    const { method, engineParams, reasons, analysis } = await methodSelector.select(image);
+
+    expect(analysis.dominantColors).toBeLessThanOrEqual(4);
+    expect(method).toBe('color-preserving');
+    expect(engineParams).toEqual({ colorCount: 8, upscaleFactor: 4 });
+    expect(reasons.join(' ')).toContain('Low resolution');
+  });
+
+  it('should send lettering to IDEGY', async () => {
+    const image = await render(word(40, 50, 30) + word(60, 100, 16));
+    const { method, analysis } = await methodSelector.select(image);
+
+    expect(analysis.textLines).toBe(2);
+    expect(method).toBe('idegy');
+  });
+
+  it('should trace thin line art as centerlines', async () => {
+    const image = await render(
+      '<path d="M20 100 C60 10 120 10 160 90 S210 40 230 20" fill="none" stroke="#222" stroke-width="3"/>'
+      + '<path d="M30 20 L100 110" fill="none" stroke="#222" stroke-width="3"/>'
+    );
+    const { method, analysis } = await methodSelector.select(image);
+
+    expect(analysis.strokeWidth).toBeLessThan(8);
+    expect(method).toBe('centerline');
+  });
+
+  it('should recognize photographs', async () => {
+    const { analysis } = await methodSelector.select(await photo());
+
+    expect(analysis.dominantColors).toBeGreaterThan(64);
+    expect(methodSelector.choose(analysis, { vtracerAvailable: true })).toMatchObject({
+      method: 'ai-pro',
+      engineParams: { preset: 'detailed' },
+    });
+    expect(methodSelector.choose(analysis, { vtracerAvailable: false })).toMatchObject({
+      method: 'color-preserving',
+      engineParams: { colorCount: 64 },
+    });
+  });
+
+  it('should keep transparent art away from VTracer', () => {
+    const analysis = {
+      width: 800, height: 600, transparency: 0, dominantColors: 40, shading: 0.05, texture: 0.1,
+      inkCoverage: 0.6, strokeWidth: 30, textLines: 0, textCoverage: 0,
+    };
+
+    expect(methodSelector.choose(analysis, { vtracerAvailable: true }).method).toBe('vtracer');
+    const { method, reasons } = methodSelector.choose({ ...analysis, transparency: 0.4 }, { vtracerAvailable: true });
+    expect(method).toBe('color-preserving');
+    expect(reasons[0]).toContain('transparent');
+  });
+
+  it('should report the selection from the service', async () => {
+    const image = await render('<circle cx="70" cy="60" r="40" fill="#c62828"/>');
+    const { settings } = vectorizationService.parseSettings({ method: 'auto', detectGradients: 'false' });
+
+    const output = await vectorizationService.vectorizeFile(image, { originalname: 'logo.png', mimetype: 'image/png' }, settings);
+
+    expect(output.methodSelection.method).toBe('color-preserving');
+    expect(output.methodSelection.reasons.length).toBeGreaterThan(0);
+    expect(output.processingMethod).toContain('Smoothing Vectorizer');
+    expect(output.svg).toContain('viewBox="0 0 960 480"');
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import sharp from 'sharp';
+import outputBudget from '../../services/outputBudget.js';
+import vectorizationService from '../../services/vectorizationService.js';
+import cacheService from '../../services/cacheService.js';
+
+const svgOf = body => `<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100">${body}</svg>`;
+
+// A large background, a medium triangle and two specks
+const artwork = svgOf(
+  '<defs><path id="unused" d="M0 0L1 1L2 0Z"/></defs>' +
+  '<rect width="100" height="100" fill="#ffffff"/>' +
+  '<path d="M10 10L90 10L50 80Z" fill="#1565c0"/>' +
+  '<path d="M5 90h2v2h-2z" fill="#000000"/>' +
+  '<path d="M95 5h1v1h-1z" fill="#000000"/>'
+);
+
+// 96x96 dots in many colors on white: lots of small paths for any engine
+async function dots() {
+  const circles = [];
+  for (let i = 0; i < 36; i++) {
+    const hue = (i * 47) % 360;
+    circles.push(`<circle cx="${8 + (i % 6) * 16}" cy="${8 + Math.floor(i / 6) * 16}" r="${3 + (i % 4)}" fill="hsl(${hue},70%,45%)"/>`);
+  }
+  return sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="96" height="96"><rect width="96" height="96" fill="#fff"/>${circles.join('')}</svg>`))
+    .png()
+    .toBuffer();
+}
+
+describe('OutputBudget', () => {
+  it('should count rendered shapes and their anchor points', () => {
+    expect(outputBudget.measure(artwork)).toEqual({ paths: 4, nodes: 4 + 3 + 4 + 4, bytes: Buffer.byteLength(artwork) });
+  });
+
+  it('should list exceeded budgets by how far they are over', () => {
+    const measured = { paths: 40, nodes: 1000, bytes: 5000 };
+
+    expect(outputBudget.exceeded(measured, { maxPaths: 20, maxNodes: 100, maxBytes: 10000 })).toEqual(['maxNodes', 'maxPaths']);
+    expect(outputBudget.exceeded(measured, { maxBytes: 10000 })).toEqual([]);
+  });
+
+  it('should raise tolerances and lower color counts further at each step', () => {
+    const first = outputBudget.relax('smooth', { colorCount: 16 }, 1, { maxNodes: 100 });
+    const third = outputBudget.relax('smooth', { colorCount: 16 }, 3, { maxNodes: 100 });
+
+    expect(first).toEqual({ lineTolerance: 0.8, curveTolerance: 0.8, speckleFilter: 8, colorCount: 11 });
+    expect(third.lineTolerance).toBeGreaterThan(first.lineTolerance);
+    expect(third.colorCount).toBeLessThan(first.colorCount);
+    // Clamped to the published ranges
+    expect(outputBudget.relax('pixel-art', {}, 5, {}).colorTolerance).toBe(64);
+    expect(outputBudget.relax('ai', {}, 1, {})).toBeNull();
+  });
+
+  it('should hand path and byte budgets to the illustration engine', () => {
+    expect(outputBudget.relax('illustration', { detail: 80 }, 1, { maxPaths: 50, maxNodes: 900 })).toEqual({ detail: 60, maxPaths: 50 });
+  });
+
+  it('should skip steps when far over budget', () => {
+    expect(outputBudget.nextStep(0, { paths: 110 }, { maxPaths: 100 })).toBe(1);
+    expect(outputBudget.nextStep(0, { paths: 900 }, { maxPaths: 100 })).toBe(3);
+    expect(outputBudget.nextStep(3, { paths: 9000 }, { maxPaths: 100 })).toBe(5);
+    expect(outputBudget.nextStep(5, { paths: 200 }, { maxPaths: 100 })).toBeNull();
+  });
+
+  it('should drop the smallest shapes first', () => {
+    const { svg, removed, measured } = outputBudget.fit(artwork, { maxNodes: 8 });
+
+    expect(removed).toBe(2);
+    expect(measured).toEqual({ paths: 2, nodes: 7, bytes: Buffer.byteLength(svg) });
+    expect(svg).toContain('M10 10L90 10L50 80Z');
+    expect(svg).not.toContain('M5 90');
+    expect(svg).toContain('id="unused"');
+  });
+
+  it('should leave output within budget untouched', () => {
+    expect(outputBudget.fit(artwork, { maxPaths: 4 })).toMatchObject({ svg: artwork, removed: 0 });
+  });
+});
+
+describe('VectorizationService output budgets', () => {
+  beforeEach(() => {
+    cacheService.flushAll();
+  });
+
+  it('should retrace with relaxed parameters until the output fits', async () => {
+    const image = await dots();
+    const { settings } = vectorizationService.parseSettings({ method: 'smooth', maxPaths: 12, maxNodes: 400 });
+
+    const output = await vectorizationService.vectorizeFile(image, { originalname: 'dots.png', mimetype: 'image/png' }, settings);
+
+    const { budget } = output;
+    expect(budget.binding).toMatch(/^max(Paths|Nodes)$/);
+    expect(budget.met).toBe(true);
+    expect(budget.before.paths).toBeGreaterThan(12);
+    expect(budget.attempts.length).toBeGreaterThan(0);
+    expect(budget.attempts[0].engineParams.colorCount).toBeLessThan(64);
+    expect(outputBudget.measure(output.svg)).toEqual(budget.after);
+    expect(budget.after.paths).toBeLessThanOrEqual(12);
+    expect(budget.after.nodes).toBeLessThanOrEqual(400);
+    expect(typeof budget.fidelityCost).toBe('number');
+  });
+
+  it('should report when the first output already fits', async () => {
+    const { settings } = vectorizationService.parseSettings({ method: 'smooth', maxBytes: 5000000 });
+
+    const { budget } = await vectorizationService.vectorizeFile(await dots(), { originalname: 'dots.png', mimetype: 'image/png' }, settings);
+
+    expect(budget).toMatchObject({ binding: null, met: true, attempts: [], shapesRemoved: 0 });
+    expect(budget.fidelityCost).toBeUndefined();
+  });
+
+  it('should drop shapes from imported documents that are over budget', async () => {
+    const { settings } = vectorizationService.parseSettings({ maxPaths: 2 });
+
+    const output = await vectorizationService.vectorizeFile(Buffer.from(artwork), { originalname: 'art.svg', mimetype: 'image/svg+xml' }, settings);
+
+    expect(output.route).toBe('vector-import');
+    const { budget } = output;
+    expect(budget).toMatchObject({ binding: 'maxPaths', met: true, attempts: [] });
+    expect(budget.shapesRemoved).toBe(budget.before.paths - 2);
+    expect(outputBudget.measure(output.svg).paths).toBe(2);
+    expect(output.svg).toContain('#1565c0');
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import paletteStore from '../../services/paletteStore.js';
+import PaletteManager from '../../services/vectorizer/paletteManager.js';
+import vectorizationService from '../../services/vectorizationService.js';
+import cacheService from '../../services/cacheService.js';
+
+const { PaletteStore } = paletteStore;
+
+const brand = { name: 'acme', description: 'Acme brand', colors: [{ hex: '#C8102E', name: 'Acme Red' }, '#00f', '#ffffff'] };
+
+describe('PaletteStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'palettes-'));
+    store = new PaletteStore({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should store palettes with normalized colors and reload them', async () => {
+    const created = await store.create(brand);
+
+    expect(created.colors).toEqual([{ hex: '#c8102e', name: 'Acme Red' }, { hex: '#0000ff' }, { hex: '#ffffff' }]);
+    const reloaded = await new PaletteStore({ directory }).get('acme');
+    expect(reloaded).toEqual(created);
+  });
+
+  it('should skip unreadable palette files', async () => {
+    await store.create(brand);
+    fs.writeFileSync(path.join(directory, 'broken.json'), '{"name": "bro');
+
+    const reloaded = new PaletteStore({ directory });
+
+    expect((await reloaded.get('acme')).name).toBe('acme');
+    await expect(reloaded.get('broken')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should retry loading after a failed read', async () => {
+    const file = path.join(directory, 'not-a-directory');
+    fs.writeFileSync(file, '');
+    const blocked = new PaletteStore({ directory: file });
+
+    await expect(blocked.list()).rejects.toThrow();
+    fs.rmSync(file);
+    expect((await blocked.list()).map(palette => palette.name)).toContain('material');
+  });
+
+  it('should list stored palettes before the built-ins', async () => {
+    await store.create(brand);
+
+    const names = (await store.list()).map(palette => palette.name);
+
+    expect(names[0]).toBe('acme');
+    expect(names).toContain('material');
+  });
+
+  it('should update and delete stored palettes', async () => {
+    await store.create(brand);
+
+    const updated = await store.update('acme', { colors: ['#000000'] });
+    expect(updated).toMatchObject({ description: 'Acme brand', colors: [{ hex: '#000000' }] });
+
+    await store.delete('acme');
+    await expect(store.get('acme')).rejects.toMatchObject({ statusCode: 404 });
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  it('should refuse duplicate names and changes to built-ins', async () => {
+    await store.create(brand);
+
+    await expect(store.create(brand)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(store.create({ name: 'pantone', colors: ['#000'] })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(store.delete('web-safe')).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should resolve names, JSON arrays and comma-separated colors', async () => {
+    await store.create(brand);
+
+    expect(await store.resolve('acme')).toMatchObject({ name: 'acme', colors: [{ name: 'Acme Red' }, {}, {}] });
+    expect((await store.resolve('grayscale')).colors).toHaveLength(17);
+    expect(await store.resolve('["#123", {"hex": "#abcdef", "name": "Sky"}]')).toEqual({
+      name: null, colors: [{ hex: '#112233' }, { hex: '#abcdef', name: 'Sky' }],
+    });
+    expect(await store.resolve('#000, #fff')).toEqual({ name: null, colors: [{ hex: '#000000' }, { hex: '#ffffff' }] });
+    expect(await store.resolve('')).toBeUndefined();
+    expect((await store.resolve('ral')).colors).toContainEqual({ hex: '#c1121c', name: 'RAL 3020 Traffic red' });
+  });
+
+  it('should reject unknown palettes and malformed colors', async () => {
+    await expect(store.resolve('nope')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(store.resolve('#12, #fff')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(store.resolve('[1, 2')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('PaletteManager palette snapping', () => {
+  const manager = new PaletteManager();
+  const palette = manager.parsePalette(brand.colors);
+
+  it('should snap fills, strokes, styles and stops and report the mapping', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"><style>.a{fill:#d01030}</style>' +
+      '<path fill="#d01030" stroke="rgba(10,20,240,0.5)" style="fill:red;stroke-width:2"/>' +
+      '<path fill="url(#g)"/><path fill="none"/><stop stop-color="#fafafa"/></svg>';
+
+    const { svg: snapped, mapping } = manager.snapSVG(svg, palette);
+
+    expect(snapped).toContain('.a{fill:#c8102e}');
+    expect(snapped).toContain('fill="#c8102e" stroke="#0000ff" style="fill:#c8102e;stroke-width:2" stroke-opacity="0.5"/>');
+    expect(snapped).toContain('fill="url(#g)"');
+    expect(snapped).toContain('fill="none"');
+    expect(snapped).toContain('stop-color="#ffffff"');
+    expect(mapping[0]).toMatchObject({ original: '#d01030', color: '#c8102e', name: 'Acme Red', count: 2 });
+    expect(mapping[0].deltaE).toBeGreaterThan(0);
+    expect(mapping.find(entry => entry.original === '#fafafa')).toMatchObject({ color: '#ffffff' });
+  });
+
+  it('should write semi-transparent paints as hex with the alpha in their opacity', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"><style>.a{stroke:rgba(200,16,46,0.5)}</style>' +
+      '<path fill="#d0103080" fill-opacity="0.5"/><path style="fill:rgba(0,0,250,0.25); stroke-width: 2"/>' +
+      '<stop stop-color="rgba(255,255,255,0.4)"/></svg>';
+
+    const { svg: snapped } = manager.snapSVG(svg, palette);
+
+    expect(snapped).toContain('.a{stroke:#c8102e;stroke-opacity:0.5}');
+    expect(snapped).toContain('<path fill="#c8102e" fill-opacity="0.251"/>');
+    expect(snapped).toContain('style="fill:#0000ff; stroke-width: 2;fill-opacity:0.25"');
+    expect(snapped).toContain('<stop stop-color="#ffffff" stop-opacity="0.4"/>');
+    expect(snapped).not.toContain('rgba');
+  });
+});
+
+describe('PaletteManager spot suggestions', () => {
+  const manager = new PaletteManager();
+
+  it('should name the nearest spot for every paint and leave white to the paper', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"><rect fill="#fff"/>' +
+      '<path fill="#c9112f"/><path fill="#c9112f" stroke="#0234a2"/></svg>';
+
+    const spots = manager.suggestSpots(svg, PaletteManager.PALETTES['pantone-coated']);
+
+    expect(spots).toEqual([
+      { color: '#c9112f', spot: 'PANTONE 186 C', spotColor: '#c8102e', deltaE: expect.any(Number), count: 2 },
+      { color: '#ffffff', spot: null, paper: true, deltaE: 0, count: 1 },
+      { color: '#0234a2', spot: 'PANTONE 286 C', spotColor: '#0033a0', deltaE: expect.any(Number), count: 1 },
+    ]);
+    expect(spots[0].deltaE).toBeLessThan(1);
+  });
+
+  it('should name unnamed library colors by their hex value', () => {
+    const spotOf = manager.spotMatcher(manager.parsePalette(['#123456']));
+
+    expect(spotOf({ r: 20, g: 50, b: 90 })).toMatchObject({ spot: '#123456', spotColor: '#123456' });
+  });
+});
+
+describe('VectorizationService palette locking', () => {
+  beforeEach(() => {
+    cacheService.flushAll();
+  });
+
+  it('should leave only palette colors in the output', async () => {
+    const artwork = '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100">' +
+      '<rect width="100" height="100" fill="#f4f4f0"/><path d="M10 10L90 10L50 80Z" fill="#1a2bd0"/>' +
+      '<circle cx="50" cy="50" r="10" fill="#b01838"/></svg>';
+    const { settings } = vectorizationService.parseSettings({});
+    settings.palette = await paletteStore.resolve(brand.colors.map(color => color.hex || color).join(','));
+
+    const output = await vectorizationService.vectorizeFile(Buffer.from(artwork), { originalname: 'art.svg', mimetype: 'image/svg+xml' }, settings);
+
+    const colors = new Set(output.svg.match(/#[0-9a-f]{6}\b/gi).map(color => color.toLowerCase()));
+    expect([...colors].every(color => ['#c8102e', '#0000ff', '#ffffff'].includes(color))).toBe(true);
+    expect(output.palette.name).toBeNull();
+    expect(output.palette.mapping.map(entry => entry.original).sort()).toEqual(['#1a2bd0', '#b01838', '#f4f4f0']);
+    expect(output.palette.maxDeltaE).toBe(Math.max(...output.palette.mapping.map(entry => entry.deltaE)));
+    expect(output.spots.library).toBe('pantone-coated');
+    expect(output.spots.colors.find(entry => entry.color === '#c8102e')).toMatchObject({ spot: 'PANTONE 186 C', deltaE: 0 });
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import pdfConverter from '../../services/pdfConverter.js';
+
+describe('PDFConverter', () => {
+  describe('parsePageRange', () => {
+    it('should expand pages and ranges in order', () => {
+      expect(pdfConverter.parsePageRange('5,1-3', 6)).toEqual([1, 2, 3, 5]);
+    });
+
+    it('should treat "all" and empty specs as every page', () => {
+      expect(pdfConverter.parsePageRange('all', 3)).toEqual([1, 2, 3]);
+      expect(pdfConverter.parsePageRange(undefined, 2)).toEqual([1, 2]);
+    });
+
+    it('should support open-ended ranges and remove duplicates', () => {
+      expect(pdfConverter.parsePageRange('4-, 5', 6)).toEqual([4, 5, 6]);
+      expect(pdfConverter.parsePageRange('-2', 6)).toEqual([1, 2]);
+    });
+
+    it('should reject malformed and out-of-range pages', () => {
+      expect(() => pdfConverter.parsePageRange('a', 3)).toThrow('Invalid page range');
+      expect(() => pdfConverter.parsePageRange('3-1', 3)).toThrow('Invalid page range');
+      expect(() => pdfConverter.parsePageRange('0', 3)).toThrow('Invalid page range');
+      expect(() => pdfConverter.parsePageRange('2-4', 3)).toThrow('out of range');
+    });
+
+    it('should reject pages separated by whitespace instead of a hyphen', () => {
+      expect(() => pdfConverter.parsePageRange('1 3', 3)).toThrow('Invalid page range: "1 3"');
+      expect(() => pdfConverter.parsePageRange('1 3', 3)).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(pdfConverter.parsePageRange('1 - 3', 3)).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('isPdf', () => {
+    it('should detect the PDF signature', () => {
+      expect(pdfConverter.isPdf(Buffer.from('%PDF-1.7\n'))).toBe(true);
+      expect(pdfConverter.isPdf(Buffer.from('<svg/>'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import pdfVectorExtractor from '../../services/pdfVectorExtractor.js';
+import formatConverter from '../../services/formatConverter.js';
+import pdfWriter from '../../services/pdfWriter.js';
+
+const { PDFWriter } = pdfWriter;
+
+/**
+ * Build a one-page PDF around a raw content stream
+ */
+function buildPDF(content, { resources = '', mediaBox = '[0 0 200 100]', extraObjects = [] } = {}) {
+  const writer = new PDFWriter({ version: '1.4' });
+  const catalogId = writer.reserve();
+  const pagesId = writer.reserve();
+  const pageId = writer.reserve();
+  extraObjects.forEach(({ id, body, stream }) => {
+    if (stream !== undefined) writer.addStream(body, stream, { id });
+    else writer.addObject(body, id);
+  });
+  const contentId = writer.addStream('', content);
+  writer.addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox ${mediaBox} /Resources << ${resources} >> /Contents ${contentId} 0 R >>`, pageId);
+  writer.addObject(`<< /Type /Pages /Kids [${pageId} 0 R] /Count 1 >>`, pagesId);
+  writer.addObject(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`, catalogId);
+  return writer.toBuffer(catalogId);
+}
+
+describe('PDFVectorExtractor', () => {
+  it('should convert filled paths to SVG with the y axis flipped', () => {
+    const pdf = buildPDF('1 0 0 rg\n10 10 50 20 re\nf');
+    const result = pdfVectorExtractor.extractPage(pdf, 1);
+
+    expect(result.vectorizable).toBe(true);
+    expect(result.width).toBe(200);
+    expect(result.height).toBe(100);
+    expect(result.svg).toContain('viewBox="0 0 200 100"');
+    expect(result.svg).toContain('d="M10 90L60 90L60 70L10 70Z" fill="#ff0000"');
+  });
+
+  it('should map CMYK, strokes and opacity', () => {
+    const pdf = buildPDF('/GS1 gs\n0 1 1 0 K\n2 0 0 2 0 0 cm\n3 w\n1 J\n10 10 m\n40 10 l\nS', {
+      resources: '/ExtGState << /GS1 << /CA 0.5 >> >>',
+    });
+    const { svg } = pdfVectorExtractor.extractPage(pdf, 1);
+
+    expect(svg).toContain('fill="none" stroke="#ff0000" stroke-width="6" stroke-opacity="0.5" stroke-linecap="round"');
+  });
+
+  it('should keep clipping paths', () => {
+    const pdf = buildPDF('q\n0 0 100 50 re\nW n\n0 0 1 rg\n0 0 200 100 re\nf\nQ');
+    const { svg } = pdfVectorExtractor.extractPage(pdf, 1);
+
+    expect(svg).toContain('<clipPath id="pdf-clip-1"');
+    expect(svg).toContain('<g clip-path="url(#pdf-clip-1)">');
+  });
+
+  it('should turn axial shadings into linear gradients', () => {
+    const pdf = buildPDF('/Sh1 sh', {
+      resources: '/Shading << /Sh1 << /ShadingType 2 /ColorSpace /DeviceRGB /Coords [0 0 200 0]'
+        + ' /Function << /FunctionType 2 /Domain [0 1] /C0 [1 0 0] /C1 [0 0 1] /N 1 >> /Extend [true true] >> >>',
+    });
+    const result = pdfVectorExtractor.extractPage(pdf, 1);
+
+    expect(result.vectorizable).toBe(true);
+    expect(result.svg).toContain('<linearGradient id="pdf-gradient-1"');
+    expect(result.svg).toContain('<stop offset="0" stop-color="#ff0000"/><stop offset="1" stop-color="#0000ff"/>');
+  });
+
+  it('should evaluate spot color tint transforms', () => {
+    const pdf = buildPDF('/CS0 cs\n0.5 scn\n0 0 10 10 re\nf', {
+      resources: '/ColorSpace << /CS0 [/Separation /Brand /DeviceRGB << /FunctionType 2 /Domain [0 1] /C0 [1 1 1] /C1 [0 0 1] /N 1 >>] >>',
+    });
+    const { svg } = pdfVectorExtractor.extractPage(pdf, 1);
+
+    expect(svg).toContain('fill="#8080ff"');
+  });
+
+  it('should flag pages with raster images for tracing', () => {
+    const withImage = buildPDF('q 50 0 0 50 0 0 cm /Im1 Do Q\n0 0 10 10 re f', {
+      resources: '/XObject << /Im1 4 0 R >>',
+      extraObjects: [{ id: 4, body: '/Type /XObject /Subtype /Image /Width 1 /Height 1 /ColorSpace /DeviceGray /BitsPerComponent 8', stream: '\xff' }],
+    });
+    const result = pdfVectorExtractor.extractPage(withImage, 1);
+
+    expect(result.vectorizable).toBe(false);
+    expect(result.images).toBe(1);
+    expect(result.reason).toContain('raster image');
+  });
+
+  it('should flag live text for tracing', () => {
+    const result = pdfVectorExtractor.extractPage(buildPDF('BT /F1 12 Tf (Hello) Tj ET'), 1);
+
+    expect(result.vectorizable).toBe(false);
+    expect(result.text).toBe(1);
+  });
+
+  it('should read back PDFs written by the exporters', async () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 50"><rect x="10" y="5" width="20" height="10" fill="#00ff00"/></svg>';
+    const fromPdf = pdfVectorExtractor.extractPage(await formatConverter.generatePDF(svg), 1);
+    const fromAi = pdfVectorExtractor.extractPage(formatConverter.generateAI(svg), 1);
+
+    expect(fromPdf.vectorizable).toBe(true);
+    expect(fromPdf.svg).toContain('fill="#00ff00"');
+    expect(fromAi.svg).toContain('d="M10 5L30 5L30 15L10 15Z" fill="#00ff00"');
+  });
+
+  it('should reject pages outside the document', () => {
+    expect(() => pdfVectorExtractor.extractPage(buildPDF('0 0 1 1 re f'), 3)).toThrow('out of range');
+  });
+});
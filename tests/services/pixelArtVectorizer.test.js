@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import PixelArtVectorizer from '../../services/vectorizer/pixelArtVectorizer.js';
+import vectorizationService from '../../services/vectorizationService.js';
+
+const RED = [200, 0, 0];
+const BLUE = [0, 0, 200];
+const GREEN = [0, 160, 0];
+
+// 8x8 sprite on transparency: a red ring with a hole, a blue diagonal, a green corner pixel
+function spritePixels(size = 8) {
+  const pixels = Buffer.alloc(size * size * 4);
+  const set = (x, y, [r, g, b]) => pixels.set([r, g, b, 255], (y * size + x) * 4);
+  for (let y = 1; y < 5; y++) {
+    for (let x = 1; x < 5; x++) {
+      if (x === 1 || x === 4 || y === 1 || y === 4) set(x, y, RED);
+    }
+  }
+  for (let i = 5; i < 8; i++) set(i, i, BLUE);
+  set(0, 7, GREEN);
+  return { pixels, size };
+}
+
+async function sprite(scale) {
+  const { pixels, size } = spritePixels();
+  return sharp(pixels, { raw: { width: size, height: size, channels: 4 } })
+    .resize(size * scale, size * scale, { kernel: 'nearest' })
+    .png()
+    .toBuffer();
+}
+
+async function differingPixels(svg, image) {
+  const { width, height } = await sharp(image).metadata();
+  const [a, b] = await Promise.all([
+    sharp(Buffer.from(svg)).resize(width, height).ensureAlpha().raw().toBuffer(),
+    sharp(image).ensureAlpha().raw().toBuffer(),
+  ]);
+  let differing = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    if ([0, 1, 2, 3].some(c => Math.abs(a[i + c] - b[i + c]) > 32)) differing++;
+  }
+  return differing;
+}
+
+describe('PixelArtVectorizer', () => {
+  it('should find the native grid of nearest-neighbor upscaled art', async () => {
+    const vectorizer = new PixelArtVectorizer();
+    const { data, info } = await sharp(await sprite(6)).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+    expect(vectorizer.detectGrid({ data, width: info.width, height: info.height })).toEqual({ size: 6, offsetX: 0, offsetY: 0 });
+  });
+
+  it('should trace exact square pixels as axis-aligned paths', async () => {
+    const image = await sprite(6);
+    const svg = await new PixelArtVectorizer().vectorize(image);
+
+    expect(svg).toContain('shape-rendering="crispEdges"');
+    expect(svg).toContain('viewBox="0 0 48 48"');
+    const paths = [...svg.matchAll(/<path d="([^"]*)" fill="([^"]*)"/g)];
+    for (const [, d] of paths) {
+      expect(d).toMatch(/^(M\d+ \d+([HV]\d+)+Z)+$/);
+    }
+    // The ring is one region with its hole as a second subpath
+    const ring = paths.find(([, , fill]) => fill === '#c80000');
+    expect(ring[1]).toBe('M6 6H30V30H6ZM12 12V24H24V12Z');
+    // Pixels touching only at corners stay separate regions
+    expect(paths.filter(([, , fill]) => fill === '#0000c8')).toHaveLength(3);
+    expect(await differingPixels(svg, image)).toBe(0);
+  });
+
+  it('should keep partial cells where a cropped image starts mid-pixel', async () => {
+    const image = await sharp(await sprite(5)).extract({ left: 2, top: 3, width: 38, height: 37 }).png().toBuffer();
+    const svg = await new PixelArtVectorizer().vectorize(image);
+
+    expect(svg).toContain('viewBox="0 0 38 37"');
+    expect(await differingPixels(svg, image)).toBe(0);
+  });
+
+  it('should join diagonal runs into curves in the smooth style', async () => {
+    const svg = await new PixelArtVectorizer({ style: 'smooth' }).vectorize(await sprite(6));
+
+    expect(svg).not.toContain('crispEdges');
+    expect(svg).toMatch(/ C/);
+    expect(svg.match(/fill="rgb\(0,0,200\)"/g)).toHaveLength(1);
+    expect(svg).toContain('width="48" height="48"');
+  });
+});
+
+describe('VectorizationService pixel-art method', () => {
+  it('should trace with an explicit pixel size and skip optimization', async () => {
+    const image = await sprite(4);
+    const { settings } = vectorizationService.parseSettings({ method: 'pixel-art', engineParams: { pixelSize: 4 } });
+
+    const output = await vectorizationService.traceImage(image, settings);
+
+    expect(output.processingMethod).toBe('Pixel Art Vectorizer (crisp)');
+    expect(output.optimizationStats).toBeNull();
+    expect(output.svg).toContain('shape-rendering="crispEdges"');
+    expect(output.svg).toContain('M4 4H20V20H4Z');
+  });
+});
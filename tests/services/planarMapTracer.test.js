@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import PlanarMapTracer from '../../services/vectorizer/planarMapTracer.js';
+import SmoothingVectorizer from '../../services/vectorizer/smoothingVectorizer.js';
+import ColorPreservingVectorizer from '../../services/vectorizer/colorPreservingVectorizer.js';
+import SVGBuilder from '../../services/vectorizer/svgBuilder.js';
+import { parsePathData } from '../../services/svgSceneParser.js';
+
+const colors = [{ r: 200, g: 0, b: 0 }, { r: 0, g: 0, b: 200 }, { r: 0, g: 160, b: 0 }, { r: 250, g: 250, b: 0 }];
+
+// Red and blue halves, a green ring across the split with a red hole, a yellow block
+function labelImage(width = 80, height = 60) {
+  const labels = new Int32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const r2 = (x - 40) ** 2 + (y - 30) ** 2;
+      let label = x < 40 ? 0 : 1;
+      if (r2 < 15 ** 2) label = 2;
+      if (r2 < 5 ** 2) label = 0;
+      if (x > 60 && x < 70 && y > 5 && y < 12) label = 3;
+      labels[y * width + x] = label;
+    }
+  }
+  return { width, height, labels, colors };
+}
+
+// Segments of each path, keyed as drawn and reversed
+function segments(svg) {
+  const result = [];
+  for (const [, d] of svg.matchAll(/<path[^>]* d="([^"]*)"/g)) {
+    const own = [];
+    for (const { start, segments: segs } of parsePathData(d)) {
+      let current = start;
+      for (const [command, ...values] of segs) {
+        const points = [current];
+        for (let i = 0; i < values.length; i += 2) points.push([values[i], values[i + 1]]);
+        const key = (list) => `${command}${list.map(p => p.join(',')).join(' ')}`;
+        own.push({ key: key(points), reversed: key([...points].reverse()), points });
+        current = points[points.length - 1];
+      }
+    }
+    result.push(own);
+  }
+  return result;
+}
+
+function expectSharedEdges(svg, width, height) {
+  const paths = segments(svg);
+  const onBorder = ({ points }) => points.every(([x, y]) => x === 0 || y === 0 || x === width || y === height);
+
+  paths.forEach((own, index) => {
+    for (const segment of own) {
+      if (onBorder(segment)) continue;
+      const partners = paths.filter((other, j) => j !== index && other.some(s => s.key === segment.reversed));
+      expect(partners).toHaveLength(1);
+    }
+  });
+}
+
+describe('PlanarMapTracer', () => {
+  it('should give neighboring regions the same boundary curves, reversed', () => {
+    const image = labelImage();
+    const regions = new PlanarMapTracer().trace(image);
+    const svg = new SVGBuilder({ gapFiller: false, shapeStacking: 'stacked' }).build(regions, image.width, image.height);
+
+    expect(svg).not.toContain('stroke');
+    expectSharedEdges(svg, image.width, image.height);
+  });
+
+  it('should keep holes as subpaths of the surrounding region', () => {
+    const regions = new PlanarMapTracer().trace(labelImage());
+    const ring = regions.find(region => region.color.g === 160);
+
+    expect(ring.paths).toHaveLength(1);
+    const subpaths = ring.paths[0].curves.filter((curve, i, all) =>
+      i === 0 || curve.start.x !== all[i - 1].end.x || curve.start.y !== all[i - 1].end.y);
+    expect(subpaths).toHaveLength(2);
+  });
+
+  it('should keep square corners sharp', () => {
+    const regions = new PlanarMapTracer().trace(labelImage());
+    const block = regions.find(region => region.color.r === 250);
+    const corners = block.paths[0].curves.map(curve => curve.start);
+
+    expect(block.paths[0].curves.every(curve => curve.type === 'line')).toBe(true);
+    expect(corners).toEqual(expect.arrayContaining([{ x: 61, y: 6 }, { x: 70, y: 12 }]));
+  });
+
+  it('should merge specks into their neighbor', () => {
+    const image = labelImage();
+    image.labels[3 * image.width + 3] = 3;
+    const regions = new PlanarMapTracer().trace(image);
+    const yellow = regions.find(region => region.color.r === 250);
+
+    expect(yellow.paths).toHaveLength(1);
+  });
+});
+
+describe('SmoothingVectorizer planar topology', () => {
+  it('should trace an image into regions that share their edges', async () => {
+    const image = await sharp(Buffer.from(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="60" height="40"><rect width="60" height="40" fill="#ffffff"/>'
+      + '<circle cx="22" cy="20" r="14" fill="#1565c0"/><rect x="26" y="8" width="26" height="24" fill="#f9a825"/></svg>'
+    )).png().toBuffer();
+
+    const svg = await new SmoothingVectorizer({ upscaleFactor: 3 }).vectorize(image, { detectGradients: false, topology: 'planar' });
+
+    const paths = svg.match(/<path[^>]*>/g);
+    expect(paths.length).toBeGreaterThanOrEqual(3);
+    expect(svg).toContain('viewBox="0 0 180 120"');
+    expectSharedEdges(svg, 180, 120);
+  });
+});
+
+describe('ColorPreservingVectorizer planar topology', () => {
+  it('should trace an image into regions that share their edges', async () => {
+    const image = await sharp(Buffer.from(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="60" height="40"><rect width="60" height="40" fill="#ffffff"/>'
+      + '<circle cx="22" cy="20" r="14" fill="#1565c0"/><rect x="26" y="8" width="26" height="24" fill="#f9a825"/></svg>'
+    )).png().toBuffer();
+
+    const svg = await new ColorPreservingVectorizer().vectorize(image, { topology: 'planar' });
+
+    const paths = svg.match(/<path[^>]*>/g);
+    expect(paths.length).toBeGreaterThanOrEqual(3);
+    expectSharedEdges(svg, 60, 40);
+  });
+});
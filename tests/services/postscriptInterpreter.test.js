@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import postscriptInterpreter from '../../services/postscriptInterpreter.js';
+import postscriptWriter from '../../services/postscriptWriter.js';
+
+const { interpret } = postscriptInterpreter;
+
+/**
+ * Wrap a PostScript body in a minimal EPS header
+ */
+function eps(body, box = '0 0 200 100') {
+  return Buffer.from(`%!PS-Adobe-3.0 EPSF-3.0\n%%BoundingBox: ${box}\n%%EndComments\n${body}\nshowpage\n%%EOF\n`);
+}
+
+describe('PostScript interpreter', () => {
+  it('should convert filled paths to SVG with the y axis flipped', () => {
+    const result = interpret(eps('1 0 0 setrgbcolor\nnewpath 10 10 moveto 60 10 lineto 60 30 lineto 10 30 lineto closepath fill'));
+
+    expect(result.vectorizable).toBe(true);
+    expect(result.width).toBe(200);
+    expect(result.height).toBe(100);
+    expect(result.svg).toContain('d="M10 90L60 90L60 70L10 70Z" fill="#ff0000"');
+  });
+
+  it('should offset the page by the bounding box origin', () => {
+    const result = interpret(eps('0 setgray 110 60 20 10 rectfill', '100 50 200 100'));
+
+    expect(result.width).toBe(100);
+    expect(result.svg).toContain('d="M10 40L30 40L30 30L10 30Z" fill="#000000"');
+  });
+
+  it('should run procedures, loops and transformations', () => {
+    const result = interpret(eps([
+      '/box { newpath 0 0 moveto 10 0 rlineto 0 10 rlineto -10 0 rlineto closepath } bind def',
+      '0 1 2 { gsave dup 20 mul 0 translate 0.5 mul setgray box fill grestore } for',
+    ].join('\n')));
+
+    expect(result.paths).toBe(3);
+    expect(result.svg).toContain('d="M20 100L30 100L30 90L20 90Z" fill="#808080"');
+    expect(result.svg).toContain('d="M40 100L50 100L50 90L40 90Z" fill="#ffffff"');
+  });
+
+  it('should fold a stroke of the same outline into the preceding fill', () => {
+    const result = interpret(eps('newpath 10 10 moveto 50 10 lineto 50 50 lineto closepath\ngsave 0 0 1 setrgbcolor fill grestore\n2 setlinewidth 1 setlinejoin stroke'));
+
+    expect(result.paths).toBe(1);
+    expect(result.svg).toContain('fill="#0000ff" stroke="#000000" stroke-width="2" stroke-linejoin="round"');
+  });
+
+  it('should recover from errors inside stopped', () => {
+    const result = interpret(eps('{ notAnOperator } stopped { 0 1 0 setrgbcolor 0 0 10 10 rectfill } if'));
+
+    expect(result.error).toBeNull();
+    expect(result.svg).toContain('fill="#00ff00"');
+  });
+
+  it('should evaluate Separation tint transforms', () => {
+    const result = interpret(eps('[/Separation /Spot /DeviceCMYK { dup 0 exch 0 0 }] setcolorspace 1 setcolor 0 0 10 10 rectfill'));
+
+    expect(result.svg).toContain('fill="#ff00ff"');
+  });
+
+  it('should keep clipping paths', () => {
+    const result = interpret(eps('0 0 100 50 rectclip 0 0 1 setrgbcolor 0 0 200 100 rectfill'));
+
+    expect(result.svg).toContain('<clipPath id="eps-clip-1"');
+    expect(result.svg).toContain('<g clip-path="url(#eps-clip-1)">');
+  });
+
+  it('should skip image data and flag images and text', () => {
+    const result = interpret(eps([
+      '/pix 2 string def',
+      '2 2 8 [2 0 0 -2 0 2] { currentfile pix readhexstring pop } image',
+      'ffee\nddcc',
+      '/Helvetica findfont 12 scalefont setfont 10 10 moveto (Hi) show',
+      '0 0 10 10 rectfill',
+    ].join('\n')));
+
+    expect(result.error).toBeNull();
+    expect(result.images).toBe(1);
+    expect(result.text).toBe(1);
+    expect(result.paths).toBe(1);
+    expect(result.vectorizable).toBe(false);
+  });
+
+  it('should report errors and keep the artwork drawn before them', () => {
+    const result = interpret(eps('0 0 10 10 rectfill\nundefinedOperator'));
+
+    expect(result.paths).toBe(1);
+    expect(result.error).toBe('undefined in undefinedOperator');
+  });
+
+  it('should stop runaway programs', () => {
+    const result = interpret(eps('{ } loop'), { maxOperations: 10000 });
+
+    expect(result.error).toBe('limitcheck in operation limit');
+  });
+
+  it('should round-trip EPS files written by postscriptWriter', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="80">'
+      + '<rect x="10" y="10" width="50" height="20" fill="#ff0000"/>'
+      + '<circle cx="70" cy="50" r="15" fill="#00ff00"/></svg>';
+    const result = interpret(Buffer.from(postscriptWriter.generateEPS(svg)));
+
+    expect(result.vectorizable).toBe(true);
+    expect(result.paths).toBe(2);
+    expect(result.svg).toContain('fill="#ff0000"');
+    expect(result.svg).toContain('fill="#00ff00"');
+  });
+
+  describe('Illustrator mode', () => {
+    const illustrator = (body) => Buffer.from([
+      '%!PS-Adobe-3.0 EPSF-3.0',
+      '%%Creator: Adobe Illustrator(TM) 5.5',
+      '%%BoundingBox: 0 0 200 100',
+      '%%EndProlog',
+      '%%BeginSetup',
+      'Adobe_Illustrator_AI5 /initialize get exec',
+      '%%EndSetup',
+      body,
+      '%%PageTrailer',
+      'Adobe_Illustrator_AI5 /terminate get exec',
+      '%%Trailer',
+      '%%EOF',
+    ].join('\n'));
+
+    it('should read compound paths with the even-odd rule', () => {
+      const result = interpret(illustrator([
+        '0 0 0 1 k',
+        '*u',
+        '10 10 m 90 10 L 90 90 L 10 90 L f',
+        '30 30 m 70 30 L 70 70 L 30 70 L f',
+        '*U',
+      ].join('\n')), { mode: 'illustrator' });
+
+      expect(result.paths).toBe(1);
+      expect(result.svg).toContain('d="M10 90L90 90L90 10L10 10ZM30 70L70 70L70 30L30 30Z" fill="#000000" fill-rule="evenodd"');
+    });
+
+    it('should map strokes, custom colors and curve shorthands', () => {
+      const result = interpret(illustrator([
+        '1 0 0 0 K 2 w',
+        '100 10 m 150 10 190 90 v S',
+        '0 1 1 0 (Red) 0.5 x 10 10 m 20 10 L 20 20 L f',
+        'Lb (Layer 1) Ln 0 A',
+      ].join('\n')), { mode: 'illustrator' });
+
+      expect(result.error).toBeNull();
+      expect(result.svg).toContain('d="M100 90C100 90 150 90 190 10" fill="none" stroke="#00ffff" stroke-width="2"');
+      expect(result.svg).toContain('fill="#ff8080"');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import qualityValidator from '../../services/qualityValidator.js';
+import vectorizationService from '../../services/vectorizationService.js';
+
+const artwork = '<rect width="160" height="120" fill="#ffffff"/><circle cx="56" cy="60" r="36" fill="#1565c0"/><rect x="96" y="28" width="48" height="64" fill="#f9a825"/>';
+const svgOf = body => `<svg xmlns="http://www.w3.org/2000/svg" width="160" height="120" viewBox="0 0 160 120">${body}</svg>`;
+const source = () => sharp(Buffer.from(svgOf(artwork))).png().toBuffer();
+
+describe('QualityValidator.measureFidelity', () => {
+  it('should score an exact reproduction near 100', async () => {
+    const fidelity = await qualityValidator.measureFidelity(svgOf(artwork), await source());
+
+    expect(fidelity.score).toBeGreaterThan(99);
+    expect(fidelity.ssim).toBeGreaterThan(0.99);
+    expect(fidelity.matchingPixels).toBe(100);
+    expect(fidelity.edgeError).toBeLessThan(0.5);
+    expect(fidelity.worstRegions).toEqual([]);
+    expect([fidelity.width, fidelity.height]).toEqual([160, 120]);
+  });
+
+  it('should compare upscaled viewBoxes at the source resolution', async () => {
+    const fidelity = await qualityValidator.measureFidelity(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="160" height="120" viewBox="0 0 480 360"><g transform="scale(3)">${artwork}</g></svg>`,
+      await source()
+    );
+
+    expect(fidelity.score).toBeGreaterThan(95);
+    expect([fidelity.width, fidelity.height]).toEqual([160, 120]);
+  });
+
+  it('should measure how far misplaced edges moved and where', async () => {
+    const shifted = artwork.replace('x="96"', 'x="102"');
+    const fidelity = await qualityValidator.measureFidelity(svgOf(shifted), await source());
+
+    expect(fidelity.edgeError).toBeGreaterThan(1);
+    expect(fidelity.score).toBeLessThan(95);
+    expect(fidelity.worstRegions.length).toBeGreaterThan(0);
+    for (const region of fidelity.worstRegions) {
+      expect(region.x + region.width).toBeGreaterThan(96);
+      expect(region.x).toBeLessThan(150);
+    }
+  });
+
+  it('should score a wrong trace low and render a heatmap of its errors', async () => {
+    const fidelity = await qualityValidator.measureFidelity(svgOf('<rect width="160" height="120" fill="#ffffff"/>'), await source());
+
+    expect(fidelity.score).toBeLessThan(60);
+    expect(fidelity.meanError).toBeGreaterThan(20);
+
+    const heatmap = await sharp(fidelity.heatmap).metadata();
+    expect(heatmap).toMatchObject({ format: 'png', width: 160, height: 120 });
+    const { data } = await sharp(fidelity.heatmap).raw().toBuffer({ resolveWithObject: true });
+    const center = (60 * 160 + 56) * 3;
+    expect(data[center]).toBeGreaterThan(200);
+    expect(data[center + 1]).toBeLessThan(60);
+  });
+
+  it('should skip the heatmap when asked', async () => {
+    const fidelity = await qualityValidator.measureFidelity(svgOf(artwork), await source(), { heatmap: false });
+
+    expect(fidelity.heatmap).toBeUndefined();
+  });
+});
+
+describe('VectorizationService quality block', () => {
+  it('should blend pixel fidelity into the quality score of traced images', async () => {
+    const image = await source();
+    const { settings } = vectorizationService.parseSettings({ method: 'smooth' });
+
+    const output = await vectorizationService.vectorizeFile(image, { originalname: 'art.png', mimetype: 'image/png' }, settings);
+    const { quality } = await vectorizationService.describe(output.svg, output.source, 'smooth', output.fidelity);
+
+    expect(output.fidelity.score).toBeGreaterThan(50);
+    expect(quality.fidelity).toBe(output.fidelity);
+    expect(quality.score).toBe(qualityValidator.combineScores(quality.svgScore, output.fidelity));
+    expect(quality.rating).toBe(qualityValidator.rate(quality.score));
+  });
+
+  it('should keep the text-based score when there is no raster to compare with', async () => {
+    const { quality } = await vectorizationService.describe(svgOf(artwork), { width: 160, height: 120, format: 'svg' }, 'smooth');
+
+    expect(quality.fidelity).toBeUndefined();
+    expect(quality.score).toBe(qualityValidator.validateSVG(svgOf(artwork)).score);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import zlib from 'zlib';
+import sharp from 'sharp';
+import separationWriter from '../../services/separationWriter.js';
+
+const library = [
+  { hex: '#c8102e', name: 'PANTONE 186 C' },
+  { hex: '#0033a0', name: 'PANTONE 286 C' },
+];
+
+const artwork = `<svg xmlns="http://www.w3.org/2000/svg" width="100" height="50" viewBox="0 0 100 50">
+  <rect width="100" height="50" fill="#ffffff"/>
+  <rect x="10" y="10" width="30" height="30" fill="#d01030"/>
+  <rect x="20" y="20" width="10" height="10" fill="#fefefe"/>
+  <circle cx="70" cy="25" r="15" fill="#0030a8" fill-opacity="0.5" stroke="#c01030" stroke-width="2"/>
+</svg>`;
+
+describe('SeparationWriter', () => {
+  it('should put each color on the plate of its nearest spot and leave white to the paper', () => {
+    const { plates, paper } = separationWriter.separate(artwork, library);
+
+    expect(plates.map(plate => plate.name)).toEqual(['PANTONE 186 C', 'PANTONE 286 C']);
+    expect(plates[0].colors.map(entry => entry.color)).toEqual(['#d01030', '#c01030']);
+    expect(plates[0].color).toBe('#c8102e');
+    expect(paper).toEqual(['#ffffff', '#fefefe']);
+  });
+
+  it('should paint with named Separation color spaces in PDF', () => {
+    const pdf = separationWriter.generatePDF(separationWriter.separate(artwork, library)).toString('latin1');
+    const stream = zlib.inflateSync(Buffer.from(pdf.match(/stream\r?\n([\s\S]*?)endstream/)[1], 'latin1')).toString();
+
+    expect(pdf).toContain('/CS0 [/Separation /PANTONE#20186#20C /DeviceRGB << /FunctionType 2 /Domain [0 1] /C0 [1 1 1] /C1 [0.784 0.063 0.18] /N 1 >>]');
+    expect(pdf).toContain('/CS1 [/Separation /PANTONE#20286#20C');
+    expect(stream).toContain('/CS0 cs 1 scn');
+    expect(stream).toContain('/CS0 CS 1 SCN');
+    expect(stream).toContain('1 g');
+    expect(stream).toMatch(/\/GS0 gs\n\/CS1 cs 1 scn/);
+  });
+
+  it('should declare custom colors and paint tints in EPS', () => {
+    const eps = separationWriter.generateEPS(separationWriter.separate(artwork, library));
+
+    expect(eps).toContain('%%DocumentCustomColors: (PANTONE 186 C) (PANTONE 286 C)');
+    expect(eps).toContain('%%RGBCustomColor: 0.784 0.063 0.18 (PANTONE 186 C)');
+    expect(eps).toContain('/S0 [/Separation (PANTONE 186 C) /DeviceRGB {dup 0.216 mul 1 exch sub exch dup 0.937 mul 1 exch sub exch 0.82 mul 1 exch sub}] def');
+    expect(eps).toContain('S1 setcolorspace 0.5 setcolor');
+    expect(eps).toContain('1 setgray');
+  });
+
+  it('should render one grayscale preview per plate with other colors knocked out', async () => {
+    const separation = separationWriter.separate(artwork, library);
+    const previews = await separationWriter.platePreviews(separation, { width: 100 });
+
+    expect(previews).toHaveLength(2);
+    expect(await sharp(previews[0]).metadata()).toMatchObject({ width: 100, height: 50, channels: 1 });
+    const { data, info } = await sharp(previews[0]).raw().toBuffer({ resolveWithObject: true });
+    const at = (x, y) => data[(y * info.width + x) * info.channels];
+    expect(at(15, 15)).toBeLessThan(20);
+    expect(at(25, 25)).toBeGreaterThan(235);
+    expect(at(70, 25)).toBeGreaterThan(235);
+  });
+});
@@ -51,6 +51,22 @@ describe('SVGOptimizer', () => {
 
       expect(result.success).toBe(true);
     });
+
+    it('should keep gradient definitions and the paths they paint', () => {
+      const gradientSVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+        <defs><linearGradient id="ramp"><stop offset="0" stop-color="#ff0000"/><stop offset="1" stop-color="#0000ff"/></linearGradient></defs>
+        <path d="M0 0 L50 0 L50 50 L0 50 Z" fill="url(#ramp)"/>
+        <path d="M50 0 L100 0 L100 50 L50 50 Z" fill="url(#ramp)"/>
+      </svg>`;
+
+      for (const level of ['default', 'aggressive']) {
+        const result = svgOptimizer.optimize(gradientSVG, { level });
+        const id = result.data.match(/<linearGradient id="([^"]+)"/)[1];
+
+        expect(result.data.match(new RegExp(`url\\(#${id}\\)`, 'g'))).toHaveLength(2);
+        expect(result.data.match(/<path/g)).toHaveLength(2);
+      }
+    });
   });
 
   describe('sanitize', () => {
@@ -106,5 +122,15 @@ describe('SVGOptimizer', () => {
 
       expect(['low', 'medium', 'high']).toContain(info.estimatedComplexity);
     });
+
+    it('should skip text-line groups without bounds', () => {
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 40">
+  <g data-role="text-line"><path d="M5 5h10v20H5z"/></g>
+  <g data-role="text-line" data-x="5" data-y="abc" data-width="40" data-height="20"><path d="M30 5h10v20H30z"/></g>
+  <g data-role="text-line" data-x="50" data-y="5" data-width="40" data-height="20" data-baseline="25"><path d="M50 5h10v20H50z"/></g>
+</svg>`;
+
+      expect(svgOptimizer.analyze(svg).textRegions).toEqual([{ x: 50, y: 5, width: 40, height: 20, baseline: 25 }]);
+    });
   });
 });
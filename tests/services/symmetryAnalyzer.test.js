@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import SymmetryAnalyzer from '../../services/vectorizer/symmetryAnalyzer.js';
+import VectorGraph from '../../services/vectorizer/vectorGraph.js';
+import { parsePathData } from '../../services/svgSceneParser.js';
+import vectorizationService from '../../services/vectorizationService.js';
+
+// Deterministic jitter so traced-looking drift is the same on every run
+function jitter(seed = 7) {
+  return () => ((seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5) * 2;
+}
+
+function star(cx, cy, outer, inner, points, rnd) {
+  const vertices = [];
+  for (let i = 0; i < points * 2; i++) {
+    const angle = -Math.PI / 2 + (i * Math.PI) / points;
+    const r = i % 2 ? inner : outer;
+    vertices.push(`${(cx + r * Math.cos(angle) + rnd()).toFixed(2)} ${(cy + r * Math.sin(angle) + rnd()).toFixed(2)}`);
+  }
+  return `M${vertices.join(' L')} Z`;
+}
+
+function circle(cx, cy, r, rnd) {
+  const k = 0.5523 * r;
+  let d = `M${cx + r} ${cy}`;
+  for (let i = 0; i < 4; i++) {
+    const a0 = (i * Math.PI) / 2;
+    const a1 = a0 + Math.PI / 2;
+    const c1 = [cx + r * Math.cos(a0) - k * Math.sin(a0) + rnd(), cy + r * Math.sin(a0) + k * Math.cos(a0) + rnd()];
+    const c2 = [cx + r * Math.cos(a1) + k * Math.sin(a1) + rnd(), cy + r * Math.sin(a1) - k * Math.cos(a1) + rnd()];
+    const end = [cx + r * Math.cos(a1), cy + r * Math.sin(a1)];
+    d += ` C${[...c1, ...c2, ...end].map(v => v.toFixed(2)).join(' ')}`;
+  }
+  return `${d} Z`;
+}
+
+const svgOf = (width, height, body) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${body}</svg>`;
+
+function face() {
+  const rnd = jitter();
+  return svgOf(300, 240,
+    '<path d="M150 20 C210 20 250 50 250 100 C250 160 200 200 150.5 225 C100 200 50 160 50 100 C50 50 90 20 150 20Z" fill="#1565c0"/>'
+    + `<path d="${circle(110, 95, 18, rnd)}" fill="#ffca28"/>`
+    + `<path d="${circle(190.6, 95.4, 17.5, rnd)}" fill="#ffca28"/>`);
+}
+
+function vertices(svg, index) {
+  const d = [...svg.matchAll(/ d="([^"]*)"/g)][index][1];
+  return parsePathData(d).flatMap(({ start, segments }) => [start, ...segments.map(s => s.slice(-2))]);
+}
+
+describe('SymmetryAnalyzer', () => {
+  it('should find a vertical mirror axis and rebuild the right half from the left', () => {
+    const analyzer = new SymmetryAnalyzer();
+    const { svg, applied } = analyzer.enforce(face());
+
+    expect(applied).toHaveLength(1);
+    expect(applied[0].type).toBe('vertical');
+    expect(applied[0].axis).toBeCloseTo(150, 0);
+    expect(applied[0].shapesRebuilt).toBeGreaterThan(0);
+
+    // Each eye is the exact mirror image of the other
+    const axis = applied[0].axis;
+    const left = vertices(svg, 1);
+    const right = vertices(svg, 2);
+    for (const [x, y] of left) {
+      const mirrored = 2 * axis - x;
+      expect(right.some(([rx, ry]) => Math.abs(rx - mirrored) < 0.01 && Math.abs(ry - y) < 0.01)).toBe(true);
+    }
+  });
+
+  it('should rebuild an n-fold star from one sector', () => {
+    const analyzer = new SymmetryAnalyzer();
+    const input = svgOf(240, 240, `<path d="${star(120, 120, 100, 42, 5, jitter())}" fill="#c62828"/>`);
+    const { svg, applied } = analyzer.enforce(input);
+
+    expect(applied[0]).toMatchObject({ type: 'rotational', order: 5 });
+
+    // Tips and inner corners each sit at one radius
+    const { x, y } = applied[0].center;
+    const radii = vertices(svg, 0).map(([px, py]) => Math.hypot(px - x, py - y));
+    const tips = radii.filter(r => r > 70);
+    const corners = radii.filter(r => r <= 70);
+    expect(tips.length).toBeGreaterThanOrEqual(5);
+    expect(Math.max(...tips) - Math.min(...tips)).toBeLessThan(0.02);
+    expect(Math.max(...corners) - Math.min(...corners)).toBeLessThan(0.02);
+  });
+
+  it('should leave asymmetric artwork untouched', () => {
+    const input = svgOf(200, 200,
+      '<path d="M20 20 L120 30 L60 160 Z" fill="#2e7d32"/><path d="M140 120 L190 110 L180 190 L150 170 Z" fill="#6a1b9a"/>');
+    const { svg, symmetries, applied } = new SymmetryAnalyzer().enforce(input);
+
+    expect(symmetries).toEqual([]);
+    expect(applied).toEqual([]);
+    expect(svg).toBe(input);
+  });
+
+  it('should report detected and applied symmetries from the service', () => {
+    const output = vectorizationService.finish(face(), { optimize: 'false', enforceSymmetry: 'true' }, () => {}, { skipOptimization: true });
+
+    expect(output.symmetry.detected.map(s => s.type)).toContain('vertical');
+    expect(output.symmetry.applied[0].type).toBe('vertical');
+    expect(output.symmetry.applied[0].shapesRebuilt).toBeGreaterThan(0);
+  });
+});
+
+describe('VectorGraph.findShapesWithBounds', () => {
+  it('should find shapes whose every side lies within the tolerance', () => {
+    const graph = new VectorGraph();
+    const a = graph.addShape({ bounds: { minX: 10, minY: 10, maxX: 40, maxY: 30 } });
+    graph.addShape({ bounds: { minX: 10, minY: 10, maxX: 60, maxY: 30 } });
+    graph.addShape({ bounds: { minX: 200, minY: 200, maxX: 230, maxY: 220 } });
+
+    expect(graph.findShapesWithBounds({ minX: 11, minY: 9, maxX: 41, maxY: 31 }, 2)).toEqual([a]);
+    expect(graph.findShapesWithBounds({ minX: 100, minY: 100, maxX: 130, maxY: 120 }, 2)).toEqual([]);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import TextDetector from '../../services/vectorizer/textDetector.js';
+import GeometryOptimizer from '../../services/vectorizer/geometryOptimizer.js';
+import SVGBuilder from '../../services/vectorizer/svgBuilder.js';
+import svgOptimizer from '../../services/svgOptimizer.js';
+
+async function render(body, width = 240, height = 120) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="${width}" height="${height}" fill="#fff"/>${body}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// Block letters "ILO" at x, with their baseline at y
+function word(x, y, size, fill = '#1a237e') {
+  const stem = size * 0.2;
+  return `<rect x="${x}" y="${y - size}" width="${stem}" height="${size}" fill="${fill}"/>`
+    + `<path d="M${x + size * 0.5} ${y - size}h${stem}v${size - stem}h${size * 0.4}v${stem}h${-size * 0.6}z" fill="${fill}"/>`
+    + `<ellipse cx="${x + size * 1.6}" cy="${y - size / 2}" rx="${size * 0.4}" ry="${size * 0.45}" fill="none" stroke="${fill}" stroke-width="${stem}"/>`;
+}
+
+const line = (x1, y1, x2, y2) => ({ type: 'line', start: { x: x1, y: y1 }, end: { x: x2, y: y2 } });
+
+describe('TextDetector', () => {
+  it('should find each line of lettering with its bounds and baseline', async () => {
+    const image = await render(word(40, 50, 30) + word(60, 100, 16));
+    const { lines } = await new TextDetector().detect(image);
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0].glyphCount).toBe(3);
+    expect(lines[0].baseline).toBeCloseTo(50, 0);
+    expect(lines[0].bounds.x).toBeCloseTo(40, 0);
+    expect(lines[0].bounds.height).toBeGreaterThan(28);
+    expect(lines[1].bounds.y).toBeGreaterThan(80);
+  });
+
+  it('should leave a taller logo mark out of the line', async () => {
+    const image = await render('<circle cx="32" cy="40" r="28" fill="#c62828"/>' + word(70, 55, 30));
+    const { lines } = await new TextDetector().detect(image);
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0].bounds.x).toBeGreaterThanOrEqual(69);
+  });
+
+  it('should not report isolated shapes as text', async () => {
+    const image = await render('<circle cx="60" cy="60" r="30" fill="#c62828"/><rect x="140" y="30" width="60" height="60" fill="#2e7d32"/>');
+    const { lines } = await new TextDetector().detect(image);
+
+    expect(lines).toHaveLength(0);
+  });
+
+  it('should match outlines that lie inside a line', async () => {
+    const detector = new TextDetector();
+    const detection = { lines: [{ bounds: { x: 10, y: 10, width: 100, height: 30 }, baseline: 40, glyphCount: 4 }] };
+
+    expect(detector.match([{ x: 12, y: 12 }, { x: 20, y: 39 }], detection)).toBe(detection.lines[0]);
+    expect(detector.match([{ x: 12, y: 12 }, { x: 200, y: 90 }], detection)).toBeNull();
+  });
+});
+
+describe('GeometryOptimizer lettering', () => {
+  it('should straighten stems without breaking the outline', () => {
+    const curves = [line(0, 0, 10, 0.8), line(10, 0.8, 10.9, 30), line(10.9, 30, 0, 30), line(0, 30, 0, 0)];
+    const optimized = new GeometryOptimizer().optimizeText(curves);
+
+    expect(optimized[0].start.y).toBe(optimized[0].end.y);
+    expect(optimized[1].start.x).toBe(optimized[1].end.x);
+    optimized.forEach((curve, i) => {
+      expect(curve.end).toEqual(optimized[(i + 1) % optimized.length].start);
+    });
+  });
+
+  it('should make quarter bowls symmetric', () => {
+    const bowl = { type: 'cubic', start: { x: 0, y: 0 }, cp1: { x: 4, y: 0.3 }, cp2: { x: 10, y: 7 }, end: { x: 10, y: 10 } };
+    const [curve] = new GeometryOptimizer().squareBowls([bowl]);
+
+    expect(curve.cp1.y).toBe(0);
+    expect(curve.cp2.x).toBe(10);
+    expect(curve.cp1.x - curve.start.x).toBeCloseTo(curve.end.y - curve.cp2.y, 6);
+  });
+
+  it('should even out stem widths across a line', () => {
+    const stem = (x, width) => [line(x, 0, x + width, 0), line(x + width, 0, x + width, 30), line(x + width, 30, x, 30), line(x, 30, x, 0)];
+    const outlines = [stem(0, 6), stem(20, 6), stem(40, 6.6)];
+    new GeometryOptimizer().equalizeStems(outlines);
+
+    expect(outlines[2][1].start.x - 40).toBeCloseTo(6, 6);
+    expect(outlines[2][0].end).toBe(outlines[2][1].start);
+  });
+});
+
+describe('SVGBuilder text lines', () => {
+  it('should group each text line and report its bounds in the analysis', () => {
+    const textLine = { bounds: { x: 5, y: 5, width: 40, height: 20 }, baseline: 25, glyphCount: 2 };
+    const square = (x) => [line(x, 5, x + 10, 5), line(x + 10, 5, x + 10, 25), line(x + 10, 25, x, 25), line(x, 25, x, 5)];
+    const svg = new SVGBuilder({ gapFiller: false }).build(
+      [
+        { color: { r: 255, g: 255, b: 255 }, paths: [{ type: 'path', curves: square(60) }] },
+        { color: { r: 0, g: 0, b: 0 }, paths: [{ type: 'path', curves: square(5), textLine }, { type: 'path', curves: square(30), textLine }] },
+      ],
+      100,
+      40
+    );
+
+    const group = svg.match(/<g data-role="text-line"[^>]*>([\s\S]*?)<\/g>/);
+    expect(group).not.toBeNull();
+    expect(group[1].match(/<path/g)).toHaveLength(2);
+    expect(svgOptimizer.analyze(svg).textRegions).toEqual([{ x: 5, y: 5, width: 40, height: 20, baseline: 25 }]);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import vectorDocumentConverter from '../../services/vectorDocumentConverter.js';
+import illustratorWriter from '../../services/illustratorWriter.js';
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="120" height="60" viewBox="0 0 120 60">'
+  + '<rect x="10" y="10" width="50" height="20" fill="#ff0000"/></svg>';
+
+const LEGACY_AI = Buffer.from([
+  '%!PS-Adobe-3.0 EPSF-3.0',
+  '%%Creator: Adobe Illustrator(TM) 5.5',
+  '%%BoundingBox: 0 0 100 100',
+  '%%EndComments',
+  '%%EndProlog',
+  '%%BeginSetup',
+  'Adobe_Illustrator_AI5 /initialize get exec',
+  '%%EndSetup',
+  '0 1 1 0 k 10 10 m 90 10 L 90 90 L f',
+  '%%Trailer',
+].join('\n'));
+
+describe('VectorDocumentConverter', () => {
+  describe('detectFormat', () => {
+    it('should recognise SVG, EPS and Illustrator files by content', () => {
+      expect(vectorDocumentConverter.detectFormat(Buffer.from(`<?xml version="1.0"?>\n${SVG}`))).toBe('svg');
+      expect(vectorDocumentConverter.detectFormat(Buffer.from('%!PS-Adobe-3.0 EPSF-3.0\n'))).toBe('eps');
+      expect(vectorDocumentConverter.detectFormat(LEGACY_AI, { originalname: 'logo.ai' })).toBe('ai');
+      expect(vectorDocumentConverter.detectFormat(Buffer.from('%PDF-1.5\n'), { originalname: 'logo.ai' })).toBe('ai');
+    });
+
+    it('should leave plain PDFs and raster images to the tracing pipeline', () => {
+      expect(vectorDocumentConverter.detectFormat(Buffer.from('%PDF-1.5\n'), { originalname: 'logo.pdf' })).toBeNull();
+      expect(vectorDocumentConverter.detectFormat(Buffer.from([0x89, 0x50, 0x4e, 0x47]), { originalname: 'logo.png' })).toBeNull();
+    });
+  });
+
+  it('should pass SVG uploads through with their size', () => {
+    const result = vectorDocumentConverter.convert(Buffer.from(SVG), { originalname: 'logo.svg' });
+
+    expect(result.svg).toBe(SVG);
+    expect(result).toMatchObject({ width: 120, height: 60, format: 'svg' });
+  });
+
+  it('should read the PostScript section of DOS EPS files', () => {
+    const program = Buffer.from('%!PS-Adobe-3.0 EPSF-3.0\n%%BoundingBox: 0 0 100 100\n0 0 1 setrgbcolor 0 0 50 50 rectfill\n');
+    const header = Buffer.alloc(30);
+    header.writeUInt32BE(0xc5d0d3c6, 0);
+    header.writeUInt32LE(30, 4);
+    header.writeUInt32LE(program.length, 8);
+    const preview = Buffer.from('binary preview data');
+
+    const result = vectorDocumentConverter.convert(Buffer.concat([header, program, preview]), { originalname: 'logo.eps' });
+
+    expect(result.format).toBe('eps');
+    expect(result.paths).toBe(1);
+    expect(result.svg).toContain('fill="#0000ff"');
+  });
+
+  it('should fall back to Illustrator operators when procsets are missing', () => {
+    const result = vectorDocumentConverter.convert(LEGACY_AI, { originalname: 'logo.ai' });
+
+    expect(result.processingMethod).toBe('Illustrator import (legacy operators)');
+    expect(result.svg).toContain('d="M10 90L90 90L90 10Z" fill="#ff0000"');
+  });
+
+  it('should extract PDF-based Illustrator files', async () => {
+    const ai = await illustratorWriter.generateAI(SVG);
+    const result = vectorDocumentConverter.convert(Buffer.from(ai), { originalname: 'logo.ai' });
+
+    expect(result.processingMethod).toBe('Illustrator import (PDF)');
+    expect(result.svg).toContain('fill="#ff0000"');
+  });
+
+  it('should reject documents without vector artwork', () => {
+    const empty = Buffer.from('%!PS-Adobe-3.0 EPSF-3.0\n%%BoundingBox: 0 0 10 10\nshowpage\n');
+
+    expect(() => vectorDocumentConverter.convert(empty, { originalname: 'empty.eps' })).toThrow('No vector artwork found');
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import sharp from 'sharp';
+import vectorizationService from '../../services/vectorizationService.js';
+import cacheService from '../../services/cacheService.js';
+
+const svgDocument = '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="40"><rect x="5" y="5" width="30" height="30" fill="#0000ff"/></svg>';
+
+async function createImage() {
+  const square = await sharp({ create: { width: 30, height: 30, channels: 3, background: '#ff0000' } }).png().toBuffer();
+  return sharp({ create: { width: 64, height: 64, channels: 3, background: '#ffffff' } })
+    .composite([{ input: square, left: 17, top: 17 }])
+    .png()
+    .toBuffer();
+}
+
+describe('VectorizationService', () => {
+  beforeEach(() => {
+    cacheService.flushAll();
+  });
+
+  it('should split pipeline settings from other request fields', () => {
+    const { settings, rest } = vectorizationService.parseSettings(
+      { method: 'idegy', gapFiller: 'true', pages: '1-2', colors: '8' },
+      { method: 'ai', detailLevel: 'high' }
+    );
+
+    expect(settings).toMatchObject({ method: 'idegy', gapFiller: 'true', detailLevel: 'high', optimize: 'true' });
+    expect(settings.detectShapes).toBeUndefined();
+    expect(rest).toEqual({ pages: '1-2', colors: '8' });
+  });
+
+  it('should import vector documents without tracing', async () => {
+    const { settings } = vectorizationService.parseSettings({});
+    const output = await vectorizationService.vectorizeFile(
+      Buffer.from(svgDocument), { originalname: 'logo.svg', mimetype: 'image/svg+xml' }, settings
+    );
+
+    expect(output.route).toBe('vector-import');
+    expect(output.source).toMatchObject({ width: 40, height: 40 });
+    expect(output.svg).toContain('fill="#00f"');
+  });
+
+  it('should trace raster images with the selected method and cache the output', async () => {
+    const image = await createImage();
+    const file = { originalname: 'logo.png', mimetype: 'image/png' };
+    const { settings } = vectorizationService.parseSettings({ method: 'idegy' });
+    const stages = [];
+
+    const output = await vectorizationService.vectorizeFile(image, file, settings, {
+      reportStatus: stage => stages.push(stage),
+    });
+
+    expect(output.processingMethod).toContain('IDEGY');
+    expect(output.route).toBe('trace');
+    expect(output.source).toEqual({ width: 64, height: 64, format: 'png' });
+    expect(output.imageBuffer).toBeUndefined();
+    expect(output.cached).toBe(false);
+    expect(stages).toContain('vectorizing');
+
+    const again = await vectorizationService.vectorizeFile(image, file, { ...settings });
+    expect(again.cached).toBe(true);
+    expect(again.svg).toBe(output.svg);
+  });
+
+  it('should apply engine parameters over the detail preset', async () => {
+    const image = await createImage();
+    const file = { originalname: 'logo.png', mimetype: 'image/png' };
+    const { settings } = vectorizationService.parseSettings({ method: 'smooth', detectGradients: 'false' });
+
+    const output = await vectorizationService.vectorizeFile(image, file, { ...settings, engineParams: { upscaleFactor: 2 } });
+
+    expect(output.svg).toContain('viewBox="0 0 128 128"');
+  });
+
+  it('should only run the Potrace engine for method=compare', async () => {
+    const image = await createImage();
+    const { settings } = vectorizationService.parseSettings({ method: 'potrace' });
+
+    const raced = await vectorizationService.traceImage(image, settings, { internal: true });
+    const requested = await vectorizationService.traceImage(image, settings);
+
+    expect(raced.processingMethod).toContain('Potrace Color Vectorizer');
+    expect(requested.processingMethod).not.toContain('Potrace');
+  });
+
+  it('should describe quality against the source dimensions', async () => {
+    const { quality, analysis } = await vectorizationService.describe(svgDocument, { width: 40, height: 40, format: 'svg' }, 'smooth');
+
+    expect(quality.score).toBeGreaterThan(0);
+    expect(quality.isTrueVector).toBe(true);
+    expect(analysis).toBeTruthy();
+  });
+
+  it('should only list text regions for the idegy engine', async () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 40">'
+      + '<g data-role="text-line" data-x="5" data-y="5" data-width="40" data-height="20" data-baseline="25"><path d="M5 5h10v20H5z"/></g></svg>';
+    const source = { width: 100, height: 40, format: 'png' };
+
+    const idegy = await vectorizationService.describe(svg, source, 'auto', undefined, 'idegy');
+    const smooth = await vectorizationService.describe(svg, source, 'smooth', undefined, 'smooth');
+
+    expect(idegy.analysis.textRegions).toEqual([{ x: 5, y: 5, width: 40, height: 20, baseline: 25 }]);
+    expect(smooth.analysis).not.toHaveProperty('textRegions');
+  });
+});
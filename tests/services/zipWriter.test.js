@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import zlib from 'zlib';
+import { PassThrough, Readable } from 'stream';
+import zipWriterModule from '../../services/zipWriter.js';
+
+const { ZipWriter, crc32 } = zipWriterModule;
+
+/**
+ * Build an archive into memory and read its entries back from the central directory
+ */
+async function buildArchive(build) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => output.on('end', resolve));
+
+  const zip = new ZipWriter(output);
+  await build(zip);
+  await zip.finalize();
+  await ended;
+
+  return readArchive(Buffer.concat(chunks));
+}
+
+function readArchive(archive) {
+  const end = archive.length - 22;
+  expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+
+  const count = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(archive.readUInt32LE(offset)).toBe(0x02014b50);
+    const flags = archive.readUInt16LE(offset + 8);
+    const method = archive.readUInt16LE(offset + 10);
+    const crc = archive.readUInt32LE(offset + 16);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const size = archive.readUInt32LE(offset + 24);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const localNameLength = archive.readUInt16LE(localOffset + 26);
+    const dataStart = localOffset + 30 + localNameLength;
+    const raw = archive.subarray(dataStart, dataStart + compressedSize);
+    const content = method === 8 ? zlib.inflateRawSync(raw) : raw;
+
+    entries.push({ name, flags, method, crc, size, content });
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('ZipWriter', () => {
+  it('should compute standard CRC-32 values', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.from('6789'), crc32(Buffer.from('12345')))).toBe(0xcbf43926);
+  });
+
+  it('should write deflated and stored entries', async () => {
+    const png = Buffer.alloc(1000, 7);
+    const entries = await buildArchive(async (zip) => {
+      await zip.addFile('logo.svg', '<svg xmlns="http://www.w3.org/2000/svg"/>');
+      await zip.addFile('logo.png', png, { compress: false });
+    });
+
+    expect(entries.map(e => e.name)).toEqual(['logo.svg', 'logo.png']);
+    expect(entries[0].method).toBe(8);
+    expect(entries[0].content.toString()).toBe('<svg xmlns="http://www.w3.org/2000/svg"/>');
+    expect(entries[1].method).toBe(0);
+    expect(entries[1].content.equals(png)).toBe(true);
+    for (const entry of entries) {
+      expect(entry.crc).toBe(crc32(entry.content));
+      expect(entry.size).toBe(entry.content.length);
+    }
+  });
+
+  it('should stream entries with a data descriptor', async () => {
+    const parts = ['first chunk ', 'second chunk ', 'third chunk'];
+    const entries = await buildArchive(async (zip) => {
+      await zip.addStream('résumé.txt', Readable.from(parts.map(part => Buffer.from(part))));
+      await zip.addFile('manifest.json', '{}');
+    });
+
+    expect(entries[0].name).toBe('résumé.txt');
+    expect(entries[0].flags & 0x0008).toBe(0x0008);
+    expect(entries[0].content.toString()).toBe(parts.join(''));
+    expect(entries[0].crc).toBe(crc32(Buffer.from(parts.join(''))));
+    expect(entries[1].content.toString()).toBe('{}');
+  });
+
+  it('should reject writes once the output is destroyed', async () => {
+    const output = new PassThrough();
+    const zip = new ZipWriter(output);
+    output.destroy();
+
+    await expect(zip.addFile('a.txt', 'a')).rejects.toThrow('Archive output closed');
+  });
+});
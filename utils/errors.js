@@ -37,6 +37,12 @@ class NotFoundError extends AppError {
   }
 }
 
+class ConflictError extends AppError {
+  constructor(message) {
+    super(message, StatusCodes.CONFLICT, 'CONFLICT');
+  }
+}
+
 class RateLimitError extends AppError {
   constructor(message = 'Rate limit exceeded') {
     super(message, StatusCodes.TOO_MANY_REQUESTS, 'RATE_LIMIT');
@@ -173,6 +179,7 @@ module.exports = {
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
+  ConflictError,
   RateLimitError,
   FileError,
   ProcessingError,
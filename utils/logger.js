@@ -111,6 +111,16 @@ const apiLogger = {
     });
   },
 
+  // Kept with its measurements so the auto thresholds can be tuned later
+  methodSelected: ({ method, engineParams, reasons, analysis }) => {
+    logger.info('Vectorization method selected', {
+      method,
+      engineParams,
+      reasons,
+      analysis
+    });
+  },
+
   auth: (action, email, success) => {
     logger.info(`Auth ${action}`, {
       email: email.substring(0, 3) + '***',